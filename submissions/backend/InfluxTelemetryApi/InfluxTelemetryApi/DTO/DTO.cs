@@ -14,4 +14,69 @@ public class DTO
       public double Lon { get; set; }
       public long EventTime { get; set; }
    }
+   // Последние известные значения ТС для обзора автопарка
+   public record FleetVehicle
+   {
+      public string? Imei { get; set; }
+      public long? LastSeen { get; set; }
+      public double? Lat { get; set; }
+      public double? Lon { get; set; }
+      public long? PositionTime { get; set; }
+      public double? Speed { get; set; }
+      public double? Voltage { get; set; }
+      public double? Fuel { get; set; }
+      public Dictionary<string, double> FuelSensors { get; set; } = new();
+   }
+   // Запись реестра устройств: чей это IMEI и что за ТС
+   public record Device
+   {
+      public string? Imei { get; set; }
+      public string? Name { get; set; }
+      public string? Driver { get; set; }
+      public string? Group { get; set; }
+      public int? FuelTanks { get; set; }
+      public string? Notes { get; set; }
+      public long UpdatedAt { get; set; }
+   }
+   // Итоги ТС за сутки в запрошенной зоне. Топливо - в тех же единицах, что fuel_total (без тарировки),
+   // null, если датчиков уровня нет
+   public record DailyStats
+   {
+      public string? Date { get; set; }
+      public double MileageKm { get; set; }
+      public double EngineHours { get; set; }
+      public double? MaxSpeed { get; set; }
+      public double? FuelConsumed { get; set; }
+      public double? FuelRefueled { get; set; }
+      public int Refuels { get; set; }
+      public int Samples { get; set; }
+   }
+   // Пользователь дашборда. PasswordHash - PBKDF2 в виде "итерации.соль.хеш" (base64), пароль не хранится.
+   // Role: admin видит все IMEI и управляет пользователями и реестром, user - только свои Imeis
+   public record User
+   {
+      public string? Username { get; set; }
+      public string? PasswordHash { get; set; }
+      public string Role { get; set; } = "user";
+      public List<string> Imeis { get; set; } = new();
+   }
+   // Пользователь без хеша пароля - в таком виде он уходит клиенту
+   public record UserInfo
+   {
+      public string? Username { get; set; }
+      public string? Role { get; set; }
+      public List<string> Imeis { get; set; } = new();
+   }
+   public record LoginRequest
+   {
+      public string? Username { get; set; }
+      public string? Password { get; set; }
+   }
+   // Создание или изменение пользователя; пустой Password при изменении оставляет прежний пароль
+   public record UserRequest
+   {
+      public string? Password { get; set; }
+      public string? Role { get; set; }
+      public List<string> Imeis { get; set; } = new();
+   }
 }
\ No newline at end of file
@@ -0,0 +1,206 @@
+using InfluxTelemetryApi.DTO;
+
+// Одна точка ТС после aggregateWindow: поля, которых не было в этом окне, - null.
+// Voltage в вольтах, Fuel - сумма датчиков уровня (как fuel_total в /api/telemetry), тарированные датчики - в литрах
+public record DailySample(long Time, double? Speed, double? Voltage, double? Lat, double? Lon, double? Fuel);
+
+// Пороги поиска заправок. Источник значений - DEFAULT_FUEL_EVENT_OPTIONS во фронтенде (utils/fuelEvents.js):
+// сводка по дням передаёт их в запросе, Default - только для вызовов API без этих параметров
+public record RefuelOptions(double Threshold, long WindowSeconds, double MaxSpeed)
+{
+    public static readonly RefuelOptions Default = new(10, 15 * 60, 5);
+}
+
+// Суточные итоги по точкам периода. Правила те же, что у дашборда (utils/trips.js, fuelEvents.js, report.js),
+// чтобы сутки в календаре сходились с тем, что покажет дашборд, если открыть этот день
+public static class DailyAggregator
+{
+    // Ниже этой скорости ТС стоит: смещения GPS на стоянке в пробег не идут
+    private const double StationarySpeed = 3;
+    // Дольше этого без данных - связь пропала, работу двигателя в разрыве не засчитываем
+    private const long MaxEngineGapSeconds = 600;
+    private const double EarthRadiusKm = 6371;
+
+    private class DayTotals
+    {
+        public double MileageKm;
+        public double EngineSeconds;
+        public double? MaxSpeed;
+        public double? FuelStart;
+        public double? FuelEnd;
+        public double FuelRefueled;
+        public int Refuels;
+        public int Samples;
+    }
+
+    public static List<DTO.DailyStats> Aggregate(
+        IReadOnlyList<DailySample> samples, TimeZoneInfo timeZone, double engineOnVoltage, RefuelOptions refuelOptions)
+    {
+        var days = new SortedDictionary<DateOnly, DayTotals>();
+        DayTotals DayOf(long time)
+        {
+            var local = TimeZoneInfo.ConvertTime(DateTimeOffset.FromUnixTimeSeconds(time), timeZone);
+            var date = DateOnly.FromDateTime(local.DateTime);
+            if (!days.TryGetValue(date, out var totals))
+            {
+                totals = new DayTotals();
+                days[date] = totals;
+            }
+            return totals;
+        }
+
+        DailySample? previousPosition = null;
+        DailySample? previousVoltage = null;
+        double? lastFuel = null;
+        foreach (var sample in samples)
+        {
+            var day = DayOf(sample.Time);
+            day.Samples++;
+
+            if (sample.Speed.HasValue)
+            {
+                day.MaxSpeed = Math.Max(day.MaxSpeed ?? 0, sample.Speed.Value);
+            }
+
+            // Отрезок между соседними точками трека относится к суткам, в которых он начался
+            if (sample.Lat.HasValue && sample.Lon.HasValue)
+            {
+                if (previousPosition != null && Math.Max(previousPosition.Speed ?? 0, sample.Speed ?? 0) > StationarySpeed)
+                {
+                    DayOf(previousPosition.Time).MileageKm += HaversineKm(
+                        previousPosition.Lat!.Value, previousPosition.Lon!.Value, sample.Lat.Value, sample.Lon.Value);
+                }
+                previousPosition = sample;
+            }
+
+            // Двигатель работает, пока генератор держит напряжение выше порога
+            if (sample.Voltage.HasValue)
+            {
+                if (previousVoltage != null && previousVoltage.Voltage >= engineOnVoltage)
+                {
+                    DayOf(previousVoltage.Time).EngineSeconds += Math.Min(sample.Time - previousVoltage.Time, MaxEngineGapSeconds);
+                }
+                previousVoltage = sample;
+            }
+
+            // Начальный уровень суток - последний известный до них, чтобы расход на стыке суток не терялся
+            if (sample.Fuel.HasValue)
+            {
+                day.FuelStart ??= lastFuel ?? sample.Fuel;
+                day.FuelEnd = sample.Fuel;
+                lastFuel = sample.Fuel;
+            }
+        }
+
+        foreach (var (time, liters) in DetectRefuels(samples, refuelOptions))
+        {
+            var day = DayOf(time);
+            day.FuelRefueled += liters;
+            day.Refuels++;
+        }
+
+        return days
+            .Select(entry => new DTO.DailyStats
+            {
+                Date = entry.Key.ToString("yyyy-MM-dd"),
+                MileageKm = Math.Round(entry.Value.MileageKm, 1),
+                EngineHours = Math.Round(entry.Value.EngineSeconds / 3600.0, 2),
+                MaxSpeed = entry.Value.MaxSpeed.HasValue ? Math.Round(entry.Value.MaxSpeed.Value, 1) : null,
+                FuelConsumed = entry.Value.FuelStart.HasValue
+                    ? Math.Round(entry.Value.FuelStart.Value - entry.Value.FuelEnd!.Value + entry.Value.FuelRefueled, 1)
+                    : null,
+                FuelRefueled = entry.Value.FuelStart.HasValue ? Math.Round(entry.Value.FuelRefueled, 1) : null,
+                Refuels = entry.Value.Refuels,
+                Samples = entry.Value.Samples
+            })
+            .ToList();
+    }
+
+    // Перенос detectFuelEvents из фронтенда, только заправки: (время начала, литры)
+    private static List<(long Time, double Liters)> DetectRefuels(IReadOnlyList<DailySample> samples, RefuelOptions options)
+    {
+        var points = samples.Where(sample => sample.Fuel.HasValue).ToList();
+        var speeds = samples.Where(sample => sample.Speed.HasValue).ToList();
+        var refuels = new List<(long Time, double Liters)>();
+
+        var i = 0;
+        while (i < points.Count - 1)
+        {
+            var peakIndex = -1;
+            var peakDelta = 0.0;
+            for (var j = i + 1; j < points.Count && points[j].Time - points[i].Time <= options.WindowSeconds; j++)
+            {
+                var delta = points[j].Fuel!.Value - points[i].Fuel!.Value;
+                if (Math.Abs(delta) >= options.Threshold && Math.Abs(delta) > Math.Abs(peakDelta))
+                {
+                    peakIndex = j;
+                    peakDelta = delta;
+                }
+            }
+
+            if (peakIndex < 0)
+            {
+                i++;
+                continue;
+            }
+
+            // Границы события сужаются до участка, где уровень монотонно меняется в одну сторону
+            var direction = Math.Sign(peakDelta);
+            var start = i;
+            while (start < peakIndex && (points[start + 1].Fuel!.Value - points[start].Fuel!.Value) * direction <= 0)
+            {
+                start++;
+            }
+            var end = peakIndex;
+            while (end + 1 < points.Count &&
+                points[end + 1].Time - points[end].Time <= options.WindowSeconds &&
+                (points[end + 1].Fuel!.Value - points[end].Fuel!.Value) * direction > 0)
+            {
+                end++;
+            }
+
+            // На ходу уровень в баке колеблется - это не заправка и не слив
+            var startTime = points[start].Time;
+            var endTime = points[end].Time;
+            var speedsInEvent = speeds.Where(sample => sample.Time >= startTime && sample.Time <= endTime).ToList();
+            if (speedsInEvent.Count > 0 && speedsInEvent.Max(sample => sample.Speed!.Value) > options.MaxSpeed)
+            {
+                i++;
+                continue;
+            }
+
+            // Сливы тоже пропускаются целиком, чтобы поиск шёл с того же места, что и на фронтенде
+            if (direction > 0)
+            {
+                refuels.Add((startTime, points[end].Fuel!.Value - points[start].Fuel!.Value));
+            }
+            i = end;
+        }
+
+        return refuels;
+    }
+
+    // Перенос levelToLiters из utils/calibration.js: table - пары (уровень, литры) по возрастанию уровня,
+    // за пределами таблицы - крайнее значение
+    public static double LevelToLiters(double[][] table, double level)
+    {
+        if (level <= table[0][0]) return table[0][1];
+        var last = table[^1];
+        if (level >= last[0]) return last[1];
+
+        var high = 1;
+        while (table[high][0] <= level) high++;
+        var (level1, liters1) = (table[high - 1][0], table[high - 1][1]);
+        var (level2, liters2) = (table[high][0], table[high][1]);
+        return liters1 + (liters2 - liters1) * (level - level1) / (level2 - level1);
+    }
+
+    private static double HaversineKm(double lat1, double lon1, double lat2, double lon2)
+    {
+        var dLat = (lat2 - lat1) * Math.PI / 180;
+        var dLon = (lon2 - lon1) * Math.PI / 180;
+        var a = Math.Pow(Math.Sin(dLat / 2), 2) +
+            Math.Cos(lat1 * Math.PI / 180) * Math.Cos(lat2 * Math.PI / 180) * Math.Pow(Math.Sin(dLon / 2), 2);
+        return 2 * EarthRadiusKm * Math.Asin(Math.Sqrt(a));
+    }
+}
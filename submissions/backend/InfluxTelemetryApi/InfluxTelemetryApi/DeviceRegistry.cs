@@ -0,0 +1,93 @@
+using System.Text.Json;
+using InfluxTelemetryApi.DTO;
+
+// Реестр устройств в JSON-файле: записей десятки, отдельная база ради них не нужна.
+// Файл читается при старте, а после каждого изменения перезаписывается целиком через временный файл,
+// чтобы сбой посреди записи не оставил реестр обрезанным
+public class DeviceRegistry
+{
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web) { WriteIndented = true };
+
+    private readonly string _path;
+    private readonly SemaphoreSlim _lock = new(1, 1);
+    private readonly Dictionary<string, DTO.Device> _devices;
+
+    public DeviceRegistry(string path)
+    {
+        _path = path;
+        _devices = File.Exists(path)
+            ? (JsonSerializer.Deserialize<List<DTO.Device>>(File.ReadAllText(path), JsonOptions) ?? new())
+                .Where(device => !string.IsNullOrEmpty(device.Imei))
+                .ToDictionary(device => device.Imei!)
+            : new();
+    }
+
+    public async Task<List<DTO.Device>> GetAllAsync()
+    {
+        await _lock.WaitAsync();
+        try
+        {
+            return _devices.Values.OrderBy(device => device.Imei).ToList();
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    public async Task<DTO.Device?> GetAsync(string imei)
+    {
+        await _lock.WaitAsync();
+        try
+        {
+            return _devices.GetValueOrDefault(imei);
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    // Добавляет или заменяет запись целиком
+    public async Task<DTO.Device> SaveAsync(DTO.Device device)
+    {
+        await _lock.WaitAsync();
+        try
+        {
+            var saved = device with { UpdatedAt = DateTimeOffset.UtcNow.ToUnixTimeSeconds() };
+            _devices[saved.Imei!] = saved;
+            await WriteAsync();
+            return saved;
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    public async Task<bool> DeleteAsync(string imei)
+    {
+        await _lock.WaitAsync();
+        try
+        {
+            if (!_devices.Remove(imei)) return false;
+            await WriteAsync();
+            return true;
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    private async Task WriteAsync()
+    {
+        var directory = Path.GetDirectoryName(Path.GetFullPath(_path));
+        if (!string.IsNullOrEmpty(directory)) Directory.CreateDirectory(directory);
+
+        var tempPath = _path + ".tmp";
+        var devices = _devices.Values.OrderBy(device => device.Imei).ToList();
+        await File.WriteAllTextAsync(tempPath, JsonSerializer.Serialize(devices, JsonOptions));
+        File.Move(tempPath, _path, overwrite: true);
+    }
+}
@@ -1,6 +1,12 @@
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.RateLimiting;
 using InfluxDB.Client;
 using System.Globalization;
+using System.Security.Claims;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using System.Threading.RateLimiting;
 using InfluxTelemetryApi.DTO;
 
 
@@ -15,6 +21,38 @@ var influxOrg = Environment.GetEnvironmentVariable("INFLUX_ORG") ?? "Kontrol Tec
 var influxBucket = Environment.GetEnvironmentVariable("INFLUX_BUCKET") ?? "t";
 var influxMeasurement = Environment.GetEnvironmentVariable("INFLUX_MEASUREMENT") ?? "telemetry";
 
+// Имя поля подставляется в Flux как строка, поэтому допускаем только безопасные символы
+var fieldNamePattern = new Regex(@"^[A-Za-z0-9_.\-]{1,100}$", RegexOptions.Compiled);
+// IMEI тоже попадает в текст Flux: только 15 цифр, никаких кавычек и скобок
+var imeiPattern = new Regex(@"^\d{15}$", RegexOptions.Compiled);
+var usernamePattern = new Regex(@"^[A-Za-z0-9_.@\-]{3,64}$", RegexOptions.Compiled);
+const int minPasswordLength = 8;
+// Значение ADMIN_PASSWORD из прежнего .env.example: с ним администратор не создаётся
+const string adminPasswordPlaceholder = "__SET_A_STRONG_PASSWORD__";
+// Верхняя граница меток времени: дальше DateTimeOffset.FromUnixTimeSeconds бросает исключение
+const long maxTimestamp = 253402300799;
+const int maxExtraFields = 20;
+
+// Окна агрегации, которые клиент может запросить явно (кэш догружает недостающие куски тем же окном)
+var allowedAggregationWindows = new HashSet<string> { "1m", "5m", "15m", "1h", "4h" };
+
+// Суточная сводка: не больше квартала за запрос; двигатель считается работающим, пока напряжение
+// бортсети выше порога зарядки (26,5 В для 24-вольтовой сети грузовиков, клиент может передать свой)
+const int maxDailyRangeDays = 93;
+const double defaultEngineOnVoltage = 26.5;
+
+// Реестр устройств: госномер, водитель, группа и заметки по IMEI
+var devicesFile = Environment.GetEnvironmentVariable("DEVICES_FILE") ?? "devices.json";
+const int maxDeviceTextLength = 200;
+const int maxDeviceNotesLength = 2000;
+
+// Пользователи и вход: локальный файл пользователей, токен сессии живёт SESSION_HOURS часов
+var usersFile = Environment.GetEnvironmentVariable("USERS_FILE") ?? "users.json";
+var sessionHours = int.TryParse(Environment.GetEnvironmentVariable("SESSION_HOURS"), out var hours) && hours > 0 ? hours : 12;
+// Фронтенды, которым разрешено обращаться к API из браузера, через запятую
+var corsOrigins = (Environment.GetEnvironmentVariable("CORS_ORIGINS") ?? "http://localhost:5173")
+    .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+
 // Конфигурация с увеличенным таймаутом
 var influxOptions = new InfluxDBClientOptions(influxUrl)
 {
@@ -22,18 +60,63 @@ var influxOptions = new InfluxDBClientOptions(influxUrl)
     Timeout = TimeSpan.FromSeconds(120)
 };
 builder.Services.AddSingleton(new InfluxDBClient(influxOptions));
+builder.Services.AddSingleton(new DeviceRegistry(devicesFile));
+builder.Services.AddSingleton(new UserStore(usersFile));
+builder.Services.AddSingleton(new SessionStore(TimeSpan.FromHours(sessionHours)));
 builder.Services.AddEndpointsApiExplorer();
 builder.Services.AddSwaggerGen();
 builder.Services.AddCors(options =>
 {
     options.AddDefaultPolicy(policy =>
     {
-        policy.AllowAnyOrigin().AllowAnyMethod().AllowAnyHeader();
+        policy.WithOrigins(corsOrigins)
+            .WithMethods("GET", "POST", "PUT", "DELETE")
+            .WithHeaders("Authorization", "Content-Type");
     });
 });
 
+// Все эндпоинты требуют токен, кроме явно помеченных AllowAnonymous; "admin" - управление пользователями и реестром
+builder.Services
+    .AddAuthentication(TokenAuthenticationHandler.SchemeName)
+    .AddScheme<Microsoft.AspNetCore.Authentication.AuthenticationSchemeOptions, TokenAuthenticationHandler>(TokenAuthenticationHandler.SchemeName, null);
+builder.Services.AddAuthorization(options =>
+{
+    options.FallbackPolicy = new AuthorizationPolicyBuilder().RequireAuthenticatedUser().Build();
+    options.AddPolicy("admin", policy => policy.RequireRole("admin"));
+});
+
+// Подбор паролей: не больше 10 попыток входа в минуту с одного адреса
+builder.Services.AddRateLimiter(options =>
+{
+    options.RejectionStatusCode = StatusCodes.Status429TooManyRequests;
+    options.AddPolicy("login", context => RateLimitPartition.GetFixedWindowLimiter(
+        context.Connection.RemoteIpAddress?.ToString() ?? "unknown",
+        _ => new FixedWindowRateLimiterOptions { PermitLimit = 10, Window = TimeSpan.FromMinutes(1) }));
+});
+
 var app = builder.Build();
 
+// Первый запуск: без пользователей в API не войти, поэтому администратор создаётся из ADMIN_PASSWORD
+var userStore = app.Services.GetRequiredService<UserStore>();
+if (userStore.IsEmpty)
+{
+    var adminPassword = Environment.GetEnvironmentVariable("ADMIN_PASSWORD");
+    if (adminPassword == adminPasswordPlaceholder)
+    {
+        app.Logger.LogError("ADMIN_PASSWORD is still the example placeholder: set a real password to create the first administrator");
+    }
+    else if (!string.IsNullOrEmpty(adminPassword))
+    {
+        var adminUsername = Environment.GetEnvironmentVariable("ADMIN_USERNAME") ?? "admin";
+        await userStore.SaveAsync(adminUsername, "admin", new List<string>(), adminPassword);
+        app.Logger.LogInformation("Created administrator {Username} from ADMIN_PASSWORD", adminUsername);
+    }
+    else
+    {
+        app.Logger.LogWarning("No users in {File}: set ADMIN_PASSWORD to create the first administrator", usersFile);
+    }
+}
+
 if (app.Environment.IsDevelopment())
 {
     app.UseSwagger();
@@ -41,9 +124,112 @@ if (app.Environment.IsDevelopment())
 }
 
 app.UseCors();
+app.UseAuthentication();
+app.UseAuthorization();
+app.UseRateLimiter();
+
+// Администратор видит все IMEI, остальные - только назначенные им
+bool CanAccess(ClaimsPrincipal user, string imei) =>
+    user.IsInRole("admin") || user.HasClaim(TokenAuthenticationHandler.ImeiClaim, imei);
+
+// Проверка IMEI из запроса: формат (он подставляется во Flux) и право пользователя на это ТС
+IResult? CheckImei(ClaimsPrincipal user, string? imei)
+{
+    if (string.IsNullOrEmpty(imei) || !imeiPattern.IsMatch(imei))
+    {
+        return Results.BadRequest(new { error = "Parameter imei must be 15 digits" });
+    }
+    return CanAccess(user, imei) ? null : Results.Forbid();
+}
+
+// Ответ 500 для всех эндпоинтов: подробности ошибки - только в логе сервера, клиенту не отдаются
+IResult InternalError() => Results.Problem("Internal server error");
+
+// Произвольные поля отдельными рядами: значения приводятся к float (ignition и т.п. -> 0/1)
+async Task<Dictionary<string, List<DTO.DataPoint>>> QueryFieldSeries(
+    InfluxDBClient client, string imei, List<string> fields, string startRFC3339, string endRFC3339, string aggregationStep)
+{
+    var fieldFilter = string.Join(" or ", fields.Select(field => $@"r[""_field""] == ""{field}"""));
+    var query = $@"
+        from(bucket: ""{influxBucket}"")
+          |> range(start: {startRFC3339}, stop: {endRFC3339})
+          |> filter(fn: (r) => r[""_measurement""] == ""{influxMeasurement}"")
+          |> filter(fn: (r) => r[""imei""] == ""{imei}"")
+          |> filter(fn: (r) => {fieldFilter})
+          |> group(columns: [""_field""])
+          |> toFloat()
+          {aggregationStep}
+          |> sort(columns: [""_time""])
+    ";
+
+    var tables = await client.GetQueryApi().QueryAsync(query, influxOrg);
+
+    var result = fields.ToDictionary(field => field, _ => new List<DTO.DataPoint>());
+    foreach (var table in tables)
+    {
+        foreach (var record in table.Records)
+        {
+            var influxTime = record.GetTime();
+            var value = record.GetValue();
+            if (!influxTime.HasValue || value == null) continue;
+
+            var unixTimestamp = new DateTimeOffset(influxTime.Value.ToDateTimeUtc()).ToUnixTimeSeconds();
+            result[record.GetField()].Add(new DTO.DataPoint
+            {
+                Time = unixTimestamp.ToString(),
+                Value = Math.Round(Convert.ToDouble(value), 3)
+            });
+        }
+    }
+
+    return result;
+}
+
+// POST /api/auth/login - вход по логину и паролю, в ответ токен для заголовка Authorization: Bearer
+app.MapPost("/api/auth/login", async (UserStore users, SessionStore sessions, [FromBody] DTO.LoginRequest body, ILogger<Program> logger) =>
+{
+    if (string.IsNullOrEmpty(body.Username) || string.IsNullOrEmpty(body.Password) || !usernamePattern.IsMatch(body.Username))
+    {
+        return Results.BadRequest(new { error = "Username and password are required" });
+    }
+
+    var user = await users.VerifyAsync(body.Username, body.Password);
+    if (user == null)
+    {
+        logger.LogWarning("Failed login for {Username}", body.Username);
+        return Results.Json(new { error = "Invalid username or password" }, statusCode: StatusCodes.Status401Unauthorized);
+    }
+
+    var (token, expiresAt) = sessions.Create(user.Username!);
+    logger.LogInformation("User {Username} logged in", user.Username);
+    return Results.Ok(new { token, expiresAt = expiresAt.ToUnixTimeSeconds(), user = UserStore.ToInfo(user) });
+})
+.AllowAnonymous()
+.RequireRateLimiting("login")
+.WithName("Login")
+.WithOpenApi();
+
+// POST /api/auth/logout - завершить текущую сессию
+app.MapPost("/api/auth/logout", (HttpContext context, SessionStore sessions) =>
+{
+    var token = TokenAuthenticationHandler.ReadToken(context.Request);
+    if (token != null) sessions.Remove(token);
+    return Results.NoContent();
+})
+.WithName("Logout")
+.WithOpenApi();
+
+// GET /api/auth/me - текущий пользователь (клиент проверяет сохранённый токен при открытии)
+app.MapGet("/api/auth/me", async (ClaimsPrincipal principal, UserStore users) =>
+{
+    var user = await users.GetAsync(principal.Identity!.Name!);
+    return user == null ? Results.Unauthorized() : Results.Ok(UserStore.ToInfo(user));
+})
+.WithName("GetCurrentUser")
+.WithOpenApi();
 
 // GET /api/imeis - список  IMEI
-app.MapGet("/api/imeis", async (InfluxDBClient client, ILogger<Program> logger) =>
+app.MapGet("/api/imeis", async (InfluxDBClient client, ClaimsPrincipal user, ILogger<Program> logger) =>
 {
     logger.LogInformation("Fetching IMEIs from InfluxDB");
     
@@ -78,7 +264,7 @@ app.MapGet("/api/imeis", async (InfluxDBClient client, ILogger<Program> logger)
                     imei = record.Values["imei"]?.ToString();
                 }
                 
-                if (!string.IsNullOrEmpty(imei))
+                if (!string.IsNullOrEmpty(imei) && CanAccess(user, imei))
                 {
                     logger.LogInformation("Found IMEI: {Imei}", imei);
                     imeis.Add(imei);
@@ -92,18 +278,112 @@ app.MapGet("/api/imeis", async (InfluxDBClient client, ILogger<Program> logger)
     catch (Exception ex)
     {
         logger.LogError(ex, "Error fetching IMEIs");
-        return Results.Problem($"Error: {ex.Message}");
+        return InternalError();
     }
 })
 .WithName("GetImeis")
 .WithOpenApi();
 
+// GET /api/fleet - последние известные положение, скорость, напряжение и топливо каждого IMEI.
+// Строки - все ТС реестра и назначенные пользователю IMEI плюс IMEI, найденные в данных:
+// ТС, которое давно молчит, остаётся в списке с lastSeen = null или старой отметкой («нет связи»)
+app.MapGet("/api/fleet", async (InfluxDBClient client, DeviceRegistry registry, ClaimsPrincipal user, ILogger<Program> logger) =>
+{
+    logger.LogInformation("Fetching fleet overview from InfluxDB");
+
+    // Диапазон не ограничен: last() берёт последнюю точку, как бы давно она ни пришла
+    var query = $@"
+        import ""strings""
+
+        from(bucket: ""{influxBucket}"")
+          |> range(start: 0)
+          |> filter(fn: (r) => r[""_measurement""] == ""{influxMeasurement}"")
+          |> filter(fn: (r) =>
+              r[""_field""] == ""speed"" or
+              r[""_field""] == ""main_power_voltage"" or
+              r[""_field""] == ""latitude"" or
+              r[""_field""] == ""longitude"" or
+              strings.hasPrefix(v: r[""_field""], prefix: ""fls485_level_"")
+          )
+          |> last()
+    ";
+
+    try
+    {
+        var queryApi = client.GetQueryApi();
+        var tables = await queryApi.QueryAsync(query, influxOrg);
+
+        // Если у ТС есть и другие теги, last() вернёт несколько таблиц на поле - берём самое свежее значение
+        var latest = new Dictionary<(string Imei, string Field), (long Time, double Value)>();
+        foreach (var table in tables)
+        {
+            foreach (var record in table.Records)
+            {
+                var imei = record.Values.ContainsKey("imei") ? record.Values["imei"]?.ToString() : null;
+                var influxTime = record.GetTime();
+                var value = record.GetValue();
+                if (string.IsNullOrEmpty(imei) || !CanAccess(user, imei) || !influxTime.HasValue || value == null) continue;
+
+                var unixTimestamp = new DateTimeOffset(influxTime.Value.ToDateTimeUtc()).ToUnixTimeSeconds();
+                var key = (imei, record.GetField());
+                if (!latest.TryGetValue(key, out var current) || current.Time < unixTimestamp)
+                {
+                    latest[key] = (unixTimestamp, Convert.ToDouble(value));
+                }
+            }
+        }
+
+        var knownImeis = (await registry.GetAllAsync())
+            .Select(device => device.Imei!)
+            .Concat(user.FindAll(TokenAuthenticationHandler.ImeiClaim).Select(claim => claim.Value))
+            .Where(imei => CanAccess(user, imei));
+        var valuesByImei = latest
+            .GroupBy(entry => entry.Key.Imei)
+            .ToDictionary(group => group.Key, group => group.ToDictionary(entry => entry.Key.Field, entry => entry.Value));
+
+        var vehicles = knownImeis
+            .Concat(valuesByImei.Keys)
+            .Distinct()
+            .Select(imei =>
+            {
+                var values = valuesByImei.GetValueOrDefault(imei) ?? new();
+                var fuelLevels = values.Where(entry => entry.Key.StartsWith("fls485_level_")).ToList();
+                var hasPosition = values.ContainsKey("latitude") && values.ContainsKey("longitude");
+                return new DTO.FleetVehicle
+                {
+                    Imei = imei,
+                    LastSeen = values.Count > 0 ? values.Values.Max(entry => entry.Time) : null,
+                    Lat = hasPosition ? values["latitude"].Value : null,
+                    Lon = hasPosition ? values["longitude"].Value : null,
+                    PositionTime = hasPosition ? Math.Min(values["latitude"].Time, values["longitude"].Time) : null,
+                    Speed = values.TryGetValue("speed", out var speed) ? Math.Round(speed.Value, 2) : null,
+                    Voltage = values.TryGetValue("main_power_voltage", out var voltage) ? Math.Round(voltage.Value / 1000.0, 2) : null,
+                    Fuel = fuelLevels.Count > 0 ? Math.Round(fuelLevels.Sum(entry => entry.Value.Value), 2) : null,
+                    FuelSensors = fuelLevels.ToDictionary(entry => entry.Key, entry => Math.Round(entry.Value.Value, 2))
+                };
+            })
+            .OrderBy(vehicle => vehicle.Imei)
+            .ToList();
+
+        logger.LogInformation("Fleet overview: {Count} vehicles", vehicles.Count);
+        return Results.Ok(new { vehicles, generatedAt = DateTimeOffset.UtcNow.ToUnixTimeSeconds() });
+    }
+    catch (Exception ex)
+    {
+        logger.LogError(ex, "Error fetching fleet overview");
+        return InternalError();
+    }
+})
+.WithName("GetFleet")
+.WithOpenApi();
+
 // GET /api/fields?imei=... - список полей для IMEI
-app.MapGet("/api/fields", async (InfluxDBClient client, [FromQuery] string imei, ILogger<Program> logger) =>
+app.MapGet("/api/fields", async (InfluxDBClient client, ClaimsPrincipal user, [FromQuery] string imei, ILogger<Program> logger) =>
 {
-    if (string.IsNullOrEmpty(imei))
+    var imeiError = CheckImei(user, imei);
+    if (imeiError != null)
     {
-        return Results.BadRequest(new { error = "IMEI parameter is required" });
+        return imeiError;
     }
 
     logger.LogInformation("Fetching fields for IMEI: {Imei}", imei);
@@ -157,7 +437,7 @@ app.MapGet("/api/fields", async (InfluxDBClient client, [FromQuery] string imei,
     catch (Exception ex)
     {
         logger.LogError(ex, "Error fetching fields for IMEI: {Imei}", imei);
-        return Results.Problem($"Error: {ex.Message}");
+        return InternalError();
     }
 })
 .WithName("GetFields")
@@ -165,9 +445,14 @@ app.MapGet("/api/fields", async (InfluxDBClient client, [FromQuery] string imei,
 
 app.MapGet("/api/telemetry", async (
     InfluxDBClient client, 
+    ClaimsPrincipal user,
     [FromQuery] string imei,
     [FromQuery] long startTimestamp,
     [FromQuery] long endTimestamp,
+    [FromQuery] long? afterTimestamp,
+    [FromQuery] string? fields,
+    [FromQuery] bool? fieldsOnly,
+    [FromQuery(Name = "aggregationWindow")] string? requestedWindow,
     ILogger<Program> logger) =>
 {
     if (string.IsNullOrEmpty(imei) || startTimestamp <= 0 || endTimestamp <= 0)
@@ -175,12 +460,58 @@ app.MapGet("/api/telemetry", async (
         return Results.BadRequest(new { error = "Parameters imei, startTimestamp, and endTimestamp are required" });
     }
 
+    var imeiError = CheckImei(user, imei);
+    if (imeiError != null)
+    {
+        return imeiError;
+    }
+
+    if (endTimestamp > maxTimestamp)
+    {
+        return Results.BadRequest(new { error = $"endTimestamp must not exceed {maxTimestamp}" });
+    }
+
     if (startTimestamp >= endTimestamp)
     {
         return Results.BadRequest(new { error = "startTimestamp must be less than endTimestamp" });
     }
 
-    var startDateTime = DateTimeOffset.FromUnixTimeSeconds(startTimestamp).UtcDateTime;
+    // Инкрементальный режим (Live): только сырые точки строго после afterTimestamp
+    var isIncremental = afterTimestamp.HasValue;
+    if (isIncremental && (afterTimestamp < startTimestamp || afterTimestamp >= endTimestamp))
+    {
+        return Results.BadRequest(new { error = "afterTimestamp must be within [startTimestamp, endTimestamp)" });
+    }
+
+    // Дополнительные поля (?fields=ignition,engine_hours) возвращаются в "fields";
+    // fieldsOnly=true - только они, без основного запроса (догрузка поля к уже открытому периоду)
+    var extraFields = (fields ?? "")
+        .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+        .Distinct()
+        .ToList();
+    var invalidField = extraFields.FirstOrDefault(field => !fieldNamePattern.IsMatch(field));
+    if (invalidField != null)
+    {
+        return Results.BadRequest(new { error = $"Invalid field name: {invalidField}" });
+    }
+
+    if (extraFields.Count > maxExtraFields)
+    {
+        return Results.BadRequest(new { error = $"No more than {maxExtraFields} fields per request" });
+    }
+
+    if (fieldsOnly == true && extraFields.Count == 0)
+    {
+        return Results.BadRequest(new { error = "Parameter fields is required when fieldsOnly is set" });
+    }
+
+    if (requestedWindow != null && !allowedAggregationWindows.Contains(requestedWindow))
+    {
+        return Results.BadRequest(new { error = $"aggregationWindow must be one of: {string.Join(", ", allowedAggregationWindows)}" });
+    }
+
+    var rangeStartTimestamp = isIncremental ? afterTimestamp!.Value + 1 : startTimestamp;
+    var startDateTime = DateTimeOffset.FromUnixTimeSeconds(rangeStartTimestamp).UtcDateTime;
     var endDateTime = DateTimeOffset.FromUnixTimeSeconds(endTimestamp).UtcDateTime;
     
     var startRFC3339 = startDateTime.ToString("yyyy-MM-ddTHH:mm:ssZ");
@@ -212,6 +543,20 @@ app.MapGet("/api/telemetry", async (
         aggregationWindow = "4h";  // Больше 3 месяцев - каждые 4 часа
     }
 
+    // Явно запрошенное окно: куски одного периода должны агрегироваться одинаково, какой бы длины они ни были
+    if (requestedWindow != null)
+    {
+        aggregationWindow = requestedWindow;
+    }
+
+    if (isIncremental)
+    {
+        aggregationWindow = "raw";
+    }
+    var aggregationStep = isIncremental
+        ? ""
+        : $@"|> aggregateWindow(every: {aggregationWindow}, fn: mean, createEmpty: false)";
+
     logger.LogInformation(
         "Fetching telemetry for IMEI: {Imei}, Start: {Start}, End: {End}, Range: {Range} days, Aggregation: {Agg}", 
         imei, startRFC3339, endRFC3339, Math.Round(rangeDays, 2), aggregationWindow
@@ -232,11 +577,36 @@ app.MapGet("/api/telemetry", async (
               r[""_field""] == ""event_time"" or
               strings.hasPrefix(v: r[""_field""], prefix: ""fls485_level_"")
           )
-          |> aggregateWindow(every: {aggregationWindow}, fn: mean, createEmpty: false)
+          {aggregationStep}
           |> pivot(rowKey: [""_time""], columnKey: [""_field""], valueColumn: ""_value"")
           |> sort(columns: [""_time""])
     ";
 
+    if (fieldsOnly == true)
+    {
+        logger.LogInformation("Fetching fields {Fields} for IMEI: {Imei}", string.Join(",", extraFields), imei);
+        try
+        {
+            var fieldSeries = await QueryFieldSeries(client, imei, extraFields, startRFC3339, endRFC3339, aggregationStep);
+            return Results.Ok(new
+            {
+                fields = fieldSeries,
+                metadata = new
+                {
+                    startTimestamp = startTimestamp,
+                    endTimestamp = endTimestamp,
+                    afterTimestamp = afterTimestamp,
+                    aggregationWindow = aggregationWindow
+                }
+            });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Error fetching fields for IMEI: {Imei}", imei);
+            return InternalError();
+        }
+    }
+
     logger.LogInformation("Executing optimized query with aggregation: {Aggregation}", aggregationWindow);
 
     try
@@ -361,6 +731,10 @@ app.MapGet("/api/telemetry", async (
             speedData.Count, voltageData.Count, trackData.Count, fuelSensorsRaw.Count, fuelSumData.Count
         );
 
+        var fieldSeries = extraFields.Count > 0
+            ? await QueryFieldSeries(client, imei, extraFields, startRFC3339, endRFC3339, aggregationStep)
+            : new Dictionary<string, List<DTO.DataPoint>>();
+
         var response = new
         {
             series = new Dictionary<string, object>
@@ -371,10 +745,12 @@ app.MapGet("/api/telemetry", async (
             },
             fuelSensors = fuelSensorsRaw,
             track = trackData,
+            fields = fieldSeries,
             metadata = new
             {
                 startTimestamp = startTimestamp,
                 endTimestamp = endTimestamp,
+                afterTimestamp = afterTimestamp,
                 totalRecords = trackData.Count,
                 availableFuelSensors = fuelSensorsRaw.Keys.OrderBy(k => k).ToList(),
                 aggregationWindow = aggregationWindow,
@@ -387,12 +763,367 @@ app.MapGet("/api/telemetry", async (
     catch (Exception ex)
     {
         logger.LogError(ex, "Error fetching telemetry for IMEI: {Imei}", imei);
-        return Results.Problem($"Error: {ex.Message}\nStack: {ex.StackTrace}");
+        return InternalError();
     }
 })
 .WithName("GetTelemetry")
 .WithOpenApi();
 
+// GET /api/daily?imei=...&startTimestamp=...&endTimestamp=...&timeZone=Asia/Almaty - итоги по суткам:
+// пробег, моточасы по напряжению, расход и заправки топлива, максимальная скорость
+app.MapGet("/api/daily", async (
+    InfluxDBClient client,
+    ClaimsPrincipal user,
+    [FromQuery] string imei,
+    [FromQuery] long startTimestamp,
+    [FromQuery] long endTimestamp,
+    [FromQuery] string? timeZone,
+    [FromQuery] double? engineOnVoltage,
+    [FromQuery] double? refuelThreshold,
+    [FromQuery] double? refuelWindowMinutes,
+    [FromQuery] double? refuelMaxSpeed,
+    [FromQuery] string? calibration,
+    ILogger<Program> logger) =>
+{
+    if (string.IsNullOrEmpty(imei) || startTimestamp <= 0 || endTimestamp <= 0)
+    {
+        return Results.BadRequest(new { error = "Parameters imei, startTimestamp, and endTimestamp are required" });
+    }
+
+    var imeiError = CheckImei(user, imei);
+    if (imeiError != null)
+    {
+        return imeiError;
+    }
+
+    if (startTimestamp >= endTimestamp || endTimestamp > maxTimestamp)
+    {
+        return Results.BadRequest(new { error = $"startTimestamp must be less than endTimestamp, endTimestamp must not exceed {maxTimestamp}" });
+    }
+
+    var rangeDays = (endTimestamp - startTimestamp) / (60.0 * 60.0 * 24.0);
+    if (rangeDays > maxDailyRangeDays)
+    {
+        return Results.BadRequest(new { error = $"Range must not exceed {maxDailyRangeDays} days" });
+    }
+
+    // Зона нужна только для границ суток в C#, во Flux она не попадает
+    var zoneId = timeZone ?? "UTC";
+    if (!TimeZoneInfo.TryFindSystemTimeZoneById(zoneId, out var zone))
+    {
+        return Results.BadRequest(new { error = $"Unknown timeZone: {zoneId}" });
+    }
+
+    var voltageThreshold = engineOnVoltage ?? defaultEngineOnVoltage;
+    if (voltageThreshold is < 5 or > 60)
+    {
+        return Results.BadRequest(new { error = "engineOnVoltage must be between 5 and 60 volts" });
+    }
+
+    var refuelOptions = new RefuelOptions(
+        refuelThreshold ?? RefuelOptions.Default.Threshold,
+        refuelWindowMinutes.HasValue ? (long)(refuelWindowMinutes.Value * 60) : RefuelOptions.Default.WindowSeconds,
+        refuelMaxSpeed ?? RefuelOptions.Default.MaxSpeed);
+    if (refuelOptions.Threshold <= 0 || refuelOptions.WindowSeconds is < 60 or > 24 * 3600 || refuelOptions.MaxSpeed < 0)
+    {
+        return Results.BadRequest(new { error = "refuelThreshold must be positive, refuelWindowMinutes between 1 and 1440, refuelMaxSpeed not negative" });
+    }
+
+    // Тарировка хранится в браузере и приходит в запросе: { "fls485_level_1": [[уровень, литры], ...] }.
+    // Тарированные датчики пересчитываются в литры до суммирования, как на дашборде
+    var calibrationTables = new Dictionary<string, double[][]>();
+    if (!string.IsNullOrEmpty(calibration))
+    {
+        try
+        {
+            calibrationTables = JsonSerializer.Deserialize<Dictionary<string, double[][]>>(calibration) ?? new();
+        }
+        catch (JsonException)
+        {
+            return Results.BadRequest(new { error = "calibration must be a JSON object of [level, liters] tables" });
+        }
+        foreach (var (sensorName, table) in calibrationTables.ToList())
+        {
+            if (!sensorName.StartsWith("fls485_level_") || table == null || table.Length < 2 ||
+                table.Any(row => row == null || row.Length != 2 || !double.IsFinite(row[0]) || !double.IsFinite(row[1])))
+            {
+                return Results.BadRequest(new { error = $"Invalid calibration table for {sensorName}" });
+            }
+            calibrationTables[sensorName] = table.OrderBy(row => row[0]).ToArray();
+        }
+    }
+
+    // Минутные точки, как у дашборда за сутки; за длинный период - пятиминутные, чтобы ответ Influx не раздувался
+    var aggregationWindow = rangeDays <= 31 ? "1m" : "5m";
+    var startRFC3339 = DateTimeOffset.FromUnixTimeSeconds(startTimestamp).UtcDateTime.ToString("yyyy-MM-ddTHH:mm:ssZ");
+    var endRFC3339 = DateTimeOffset.FromUnixTimeSeconds(endTimestamp).UtcDateTime.ToString("yyyy-MM-ddTHH:mm:ssZ");
+
+    logger.LogInformation(
+        "Fetching daily stats for IMEI: {Imei}, Start: {Start}, End: {End}, Zone: {Zone}, Aggregation: {Agg}",
+        imei, startRFC3339, endRFC3339, zoneId, aggregationWindow
+    );
+
+    var query = $@"
+        import ""strings""
+
+        from(bucket: ""{influxBucket}"")
+          |> range(start: {startRFC3339}, stop: {endRFC3339})
+          |> filter(fn: (r) => r[""_measurement""] == ""{influxMeasurement}"")
+          |> filter(fn: (r) => r[""imei""] == ""{imei}"")
+          |> filter(fn: (r) =>
+              r[""_field""] == ""speed"" or
+              r[""_field""] == ""main_power_voltage"" or
+              r[""_field""] == ""latitude"" or
+              r[""_field""] == ""longitude"" or
+              strings.hasPrefix(v: r[""_field""], prefix: ""fls485_level_"")
+          )
+          |> aggregateWindow(every: {aggregationWindow}, fn: mean, createEmpty: false)
+          |> pivot(rowKey: [""_time""], columnKey: [""_field""], valueColumn: ""_value"")
+          |> sort(columns: [""_time""])
+    ";
+
+    try
+    {
+        var queryApi = client.GetQueryApi();
+        var tables = await queryApi.QueryAsync(query, influxOrg);
+
+        double? ValueOf(InfluxDB.Client.Core.Flux.Domain.FluxRecord record, string field) =>
+            record.Values.TryGetValue(field, out var value) && value != null ? Convert.ToDouble(value) : null;
+
+        var samples = new List<DailySample>();
+        var calibratedFuelSensors = new SortedSet<string>();
+        foreach (var table in tables)
+        {
+            foreach (var record in table.Records)
+            {
+                var influxTime = record.GetTime();
+                if (!influxTime.HasValue) continue;
+
+                var fuelLevels = new List<double>();
+                foreach (var entry in record.Values.Where(entry => entry.Key.StartsWith("fls485_level_") && entry.Value != null))
+                {
+                    var level = Convert.ToDouble(entry.Value);
+                    if (calibrationTables.TryGetValue(entry.Key, out var calibrationTable))
+                    {
+                        calibratedFuelSensors.Add(entry.Key);
+                        fuelLevels.Add(DailyAggregator.LevelToLiters(calibrationTable, level));
+                    }
+                    else
+                    {
+                        fuelLevels.Add(level);
+                    }
+                }
+                samples.Add(new DailySample(
+                    new DateTimeOffset(influxTime.Value.ToDateTimeUtc()).ToUnixTimeSeconds(),
+                    ValueOf(record, "speed"),
+                    ValueOf(record, "main_power_voltage") / 1000.0,
+                    ValueOf(record, "latitude"),
+                    ValueOf(record, "longitude"),
+                    fuelLevels.Count > 0 ? fuelLevels.Sum() : null));
+            }
+        }
+
+        // Таблиц может быть несколько (другие теги ТС) - точки сводятся в одну ленту по времени
+        samples.Sort((a, b) => a.Time.CompareTo(b.Time));
+        var days = DailyAggregator.Aggregate(samples, zone, voltageThreshold, refuelOptions);
+
+        logger.LogInformation("Daily stats for IMEI {Imei}: {Samples} samples, {Days} days", imei, samples.Count, days.Count);
+        return Results.Ok(new
+        {
+            days,
+            metadata = new
+            {
+                startTimestamp,
+                endTimestamp,
+                timeZone = zoneId,
+                engineOnVoltage = voltageThreshold,
+                aggregationWindow,
+                // Непустой список - топливо в литрах (хотя бы часть датчиков), иначе в показаниях датчиков
+                calibratedFuelSensors
+            }
+        });
+    }
+    catch (Exception ex)
+    {
+        logger.LogError(ex, "Error fetching daily stats for IMEI: {Imei}", imei);
+        return InternalError();
+    }
+})
+.WithName("GetDailyStats")
+.WithOpenApi();
+
+// GET /api/devices - весь реестр устройств
+app.MapGet("/api/devices", async (DeviceRegistry registry, ClaimsPrincipal user) =>
+{
+    var devices = await registry.GetAllAsync();
+    return Results.Ok(new { devices = devices.Where(device => CanAccess(user, device.Imei!)).ToList() });
+})
+.WithName("GetDevices")
+.WithOpenApi();
+
+// GET /api/devices/{imei} - одна запись реестра
+app.MapGet("/api/devices/{imei}", async (DeviceRegistry registry, ClaimsPrincipal user, string imei) =>
+{
+    var imeiError = CheckImei(user, imei);
+    if (imeiError != null)
+    {
+        return imeiError;
+    }
+
+    var device = await registry.GetAsync(imei);
+    return device == null
+        ? Results.NotFound(new { error = $"Device {imei} is not registered" })
+        : Results.Ok(device);
+})
+.WithName("GetDevice")
+.WithOpenApi();
+
+// PUT /api/devices/{imei} - добавить устройство в реестр или изменить запись
+app.MapPut("/api/devices/{imei}", async (DeviceRegistry registry, string imei, [FromBody] DTO.Device body, ILogger<Program> logger) =>
+{
+    if (!imeiPattern.IsMatch(imei))
+    {
+        return Results.BadRequest(new { error = "IMEI must be 15 digits" });
+    }
+
+    string? clean(string? value) => string.IsNullOrWhiteSpace(value) ? null : value.Trim();
+    var device = new DTO.Device
+    {
+        Imei = imei,
+        Name = clean(body.Name),
+        Driver = clean(body.Driver),
+        Group = clean(body.Group),
+        FuelTanks = body.FuelTanks,
+        Notes = clean(body.Notes)
+    };
+
+    if (new[] { device.Name, device.Driver, device.Group }.Any(value => value?.Length > maxDeviceTextLength))
+    {
+        return Results.BadRequest(new { error = $"Name, driver and group must be at most {maxDeviceTextLength} characters" });
+    }
+    if (device.Notes?.Length > maxDeviceNotesLength)
+    {
+        return Results.BadRequest(new { error = $"Notes must be at most {maxDeviceNotesLength} characters" });
+    }
+    if (device.FuelTanks is < 0 or > 16)
+    {
+        return Results.BadRequest(new { error = "Fuel tank count must be between 0 and 16" });
+    }
+
+    logger.LogInformation("Saving device {Imei}", imei);
+    return Results.Ok(await registry.SaveAsync(device));
+})
+.RequireAuthorization("admin")
+.WithName("SaveDevice")
+.WithOpenApi();
+
+// DELETE /api/devices/{imei} - убрать устройство из реестра (данные в InfluxDB не трогаются)
+app.MapDelete("/api/devices/{imei}", async (DeviceRegistry registry, string imei, ILogger<Program> logger) =>
+{
+    if (!imeiPattern.IsMatch(imei))
+    {
+        return Results.BadRequest(new { error = "IMEI must be 15 digits" });
+    }
+
+    if (!await registry.DeleteAsync(imei))
+    {
+        return Results.NotFound(new { error = $"Device {imei} is not registered" });
+    }
+
+    logger.LogInformation("Deleted device {Imei}", imei);
+    return Results.NoContent();
+})
+.RequireAuthorization("admin")
+.WithName("DeleteDevice")
+.WithOpenApi();
+
+// GET /api/users - пользователи и их IMEI (только администратор)
+app.MapGet("/api/users", async (UserStore users) =>
+{
+    var all = await users.GetAllAsync();
+    return Results.Ok(new { users = all.Select(UserStore.ToInfo).ToList() });
+})
+.RequireAuthorization("admin")
+.WithName("GetUsers")
+.WithOpenApi();
+
+// PUT /api/users/{username} - создать пользователя или изменить роль, IMEI и пароль
+app.MapPut("/api/users/{username}", async (
+    UserStore users,
+    SessionStore sessions,
+    ClaimsPrincipal principal,
+    string username,
+    [FromBody] DTO.UserRequest body,
+    ILogger<Program> logger) =>
+{
+    if (!usernamePattern.IsMatch(username))
+    {
+        return Results.BadRequest(new { error = "Username must be 3-64 characters: letters, digits, _ . @ -" });
+    }
+    if (body.Role is not ("admin" or "user"))
+    {
+        return Results.BadRequest(new { error = "Role must be admin or user" });
+    }
+    // "imeis": null в JSON перезаписывает пустой список по умолчанию
+    if (body.Imeis == null || body.Imeis.Any(imei => imei == null))
+    {
+        return Results.BadRequest(new { error = "IMEIs must be a list of 15-digit strings" });
+    }
+    var invalidImei = body.Imeis.FirstOrDefault(imei => !imeiPattern.IsMatch(imei));
+    if (invalidImei != null)
+    {
+        return Results.BadRequest(new { error = $"Invalid IMEI: {invalidImei}" });
+    }
+
+    var existing = await users.GetAsync(username);
+    var password = string.IsNullOrEmpty(body.Password) ? null : body.Password;
+    if (existing == null && password == null)
+    {
+        return Results.BadRequest(new { error = "Password is required for a new user" });
+    }
+    if (password?.Length < minPasswordLength)
+    {
+        return Results.BadRequest(new { error = $"Password must be at least {minPasswordLength} characters" });
+    }
+    // Иначе можно случайно остаться без единого администратора
+    if (existing?.Role == "admin" && body.Role != "admin" && string.Equals(username, principal.Identity!.Name, StringComparison.OrdinalIgnoreCase))
+    {
+        return Results.BadRequest(new { error = "You cannot remove your own administrator role" });
+    }
+
+    var user = await users.SaveAsync(username, body.Role, body.Imeis.Distinct().OrderBy(imei => imei).ToList(), password);
+    if (existing != null && password != null)
+    {
+        sessions.RemoveUser(username);
+    }
+
+    logger.LogInformation("Saved user {Username} with role {Role}", user.Username, user.Role);
+    return Results.Ok(UserStore.ToInfo(user));
+})
+.RequireAuthorization("admin")
+.WithName("SaveUser")
+.WithOpenApi();
+
+// DELETE /api/users/{username} - удалить пользователя и закрыть его сессии
+app.MapDelete("/api/users/{username}", async (UserStore users, SessionStore sessions, ClaimsPrincipal principal, string username, ILogger<Program> logger) =>
+{
+    if (string.Equals(username, principal.Identity!.Name, StringComparison.OrdinalIgnoreCase))
+    {
+        return Results.BadRequest(new { error = "You cannot delete yourself" });
+    }
+    if (!await users.DeleteAsync(username))
+    {
+        return Results.NotFound(new { error = $"User {username} not found" });
+    }
+
+    sessions.RemoveUser(username);
+    logger.LogInformation("Deleted user {Username}", username);
+    return Results.NoContent();
+})
+.RequireAuthorization("admin")
+.WithName("DeleteUser")
+.WithOpenApi();
+
 // GET /api/debug/time?imei=...&date=... - Диагностика времени
 app.MapGet("/api/debug/time", async (
     InfluxDBClient client,
@@ -405,6 +1136,12 @@ app.MapGet("/api/debug/time", async (
         return Results.BadRequest(new { error = "Parameters imei and date are required" });
     }
 
+    // Дата тоже подставляется во Flux
+    if (!imeiPattern.IsMatch(imei) || !DateOnly.TryParseExact(date, "yyyy-MM-dd", CultureInfo.InvariantCulture, DateTimeStyles.None, out _))
+    {
+        return Results.BadRequest(new { error = "imei must be 15 digits and date must be yyyy-MM-dd" });
+    }
+
     logger.LogInformation("Debug time query for IMEI: {Imei}, Date: {Date}", imei, date);
 
     // Запрос на весь день
@@ -457,9 +1194,10 @@ app.MapGet("/api/debug/time", async (
     catch (Exception ex)
     {
         logger.LogError(ex, "Error in debug query");
-        return Results.Problem($"Error: {ex.Message}");
+        return InternalError();
     }
 })
+.RequireAuthorization("admin")
 .WithName("DebugTime")
 .WithOpenApi();
 
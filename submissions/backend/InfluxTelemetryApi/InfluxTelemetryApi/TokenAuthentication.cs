@@ -0,0 +1,100 @@
+using System.Collections.Concurrent;
+using System.Security.Claims;
+using System.Security.Cryptography;
+using System.Text.Encodings.Web;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.Extensions.Options;
+
+// Сессии входа в памяти процесса: токен -> логин и срок действия. После перезапуска API нужно войти заново
+public class SessionStore
+{
+    private readonly ConcurrentDictionary<string, (string Username, DateTimeOffset ExpiresAt)> _sessions = new();
+    private readonly TimeSpan _lifetime;
+
+    public SessionStore(TimeSpan lifetime)
+    {
+        _lifetime = lifetime;
+    }
+
+    public (string Token, DateTimeOffset ExpiresAt) Create(string username)
+    {
+        // Заодно убираем истёкшие сессии, чтобы словарь не рос бесконечно
+        var now = DateTimeOffset.UtcNow;
+        foreach (var expired in _sessions.Where(entry => entry.Value.ExpiresAt <= now).ToList())
+        {
+            _sessions.TryRemove(expired.Key, out _);
+        }
+
+        var token = Convert.ToBase64String(RandomNumberGenerator.GetBytes(32))
+            .TrimEnd('=').Replace('+', '-').Replace('/', '_');
+        var expiresAt = now.Add(_lifetime);
+        _sessions[token] = (username, expiresAt);
+        return (token, expiresAt);
+    }
+
+    public string? GetUsername(string token)
+    {
+        if (!_sessions.TryGetValue(token, out var session)) return null;
+        if (session.ExpiresAt > DateTimeOffset.UtcNow) return session.Username;
+        _sessions.TryRemove(token, out _);
+        return null;
+    }
+
+    public void Remove(string token) => _sessions.TryRemove(token, out _);
+
+    // Выход пользователя отовсюду: после удаления или смены пароля
+    public void RemoveUser(string username)
+    {
+        foreach (var entry in _sessions.Where(entry => string.Equals(entry.Value.Username, username, StringComparison.OrdinalIgnoreCase)).ToList())
+        {
+            _sessions.TryRemove(entry.Key, out _);
+        }
+    }
+}
+
+// Authorization: Bearer <токен>. Пользователь перечитывается на каждый запрос, поэтому новые права
+// и удаление пользователя действуют сразу. Доступные IMEI - клеймы "imei"
+public class TokenAuthenticationHandler : AuthenticationHandler<AuthenticationSchemeOptions>
+{
+    public const string SchemeName = "Token";
+    public const string ImeiClaim = "imei";
+
+    private readonly SessionStore _sessions;
+    private readonly UserStore _users;
+
+    public TokenAuthenticationHandler(
+        IOptionsMonitor<AuthenticationSchemeOptions> options,
+        ILoggerFactory logger,
+        UrlEncoder encoder,
+        SessionStore sessions,
+        UserStore users) : base(options, logger, encoder)
+    {
+        _sessions = sessions;
+        _users = users;
+    }
+
+    public static string? ReadToken(HttpRequest request)
+    {
+        var header = request.Headers.Authorization.ToString();
+        return header.StartsWith("Bearer ", StringComparison.OrdinalIgnoreCase) ? header["Bearer ".Length..].Trim() : null;
+    }
+
+    protected override async Task<AuthenticateResult> HandleAuthenticateAsync()
+    {
+        var token = ReadToken(Request);
+        if (string.IsNullOrEmpty(token)) return AuthenticateResult.NoResult();
+
+        var username = _sessions.GetUsername(token);
+        var user = username == null ? null : await _users.GetAsync(username);
+        if (user == null) return AuthenticateResult.Fail("Invalid or expired token");
+
+        var claims = new List<Claim>
+        {
+            new(ClaimTypes.Name, user.Username!),
+            new(ClaimTypes.Role, user.Role)
+        };
+        claims.AddRange(user.Imeis.Select(imei => new Claim(ImeiClaim, imei)));
+        var principal = new ClaimsPrincipal(new ClaimsIdentity(claims, SchemeName));
+        return AuthenticateResult.Success(new AuthenticationTicket(principal, SchemeName));
+    }
+}
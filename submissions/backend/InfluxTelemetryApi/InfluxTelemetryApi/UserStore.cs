@@ -0,0 +1,146 @@
+using System.Security.Cryptography;
+using System.Text.Json;
+using InfluxTelemetryApi.DTO;
+
+// Пользователи дашборда в JSON-файле, как и реестр устройств. Пароль хранится только как PBKDF2-SHA256 с солью,
+// сравнение хешей - за постоянное время, чтобы по времени ответа нельзя было подбирать пароль
+public class UserStore
+{
+    private const int SaltSize = 16;
+    private const int HashSize = 32;
+    private const int Iterations = 210_000;
+
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web) { WriteIndented = true };
+    // Хеш для несуществующего логина: проверка занимает столько же, сколько для настоящего
+    private static readonly string DummyHash = HashPassword("");
+
+    private readonly string _path;
+    private readonly SemaphoreSlim _lock = new(1, 1);
+    private readonly Dictionary<string, DTO.User> _users;
+
+    public UserStore(string path)
+    {
+        _path = path;
+        _users = new Dictionary<string, DTO.User>(StringComparer.OrdinalIgnoreCase);
+        if (!File.Exists(path)) return;
+
+        var users = JsonSerializer.Deserialize<List<DTO.User>>(File.ReadAllText(path), JsonOptions) ?? new();
+        foreach (var user in users.Where(user => !string.IsNullOrEmpty(user.Username)))
+        {
+            _users[user.Username!] = user;
+        }
+    }
+
+    public bool IsEmpty => _users.Count == 0;
+
+    public static DTO.UserInfo ToInfo(DTO.User user) => new()
+    {
+        Username = user.Username,
+        Role = user.Role,
+        Imeis = user.Imeis
+    };
+
+    public async Task<DTO.User?> GetAsync(string username)
+    {
+        await _lock.WaitAsync();
+        try
+        {
+            return _users.GetValueOrDefault(username);
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    public async Task<List<DTO.User>> GetAllAsync()
+    {
+        await _lock.WaitAsync();
+        try
+        {
+            return _users.Values.OrderBy(user => user.Username).ToList();
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    // Пользователь с таким логином и паролем или null. Для несуществующего логина хеш всё равно считается,
+    // чтобы по времени ответа нельзя было узнать, какие логины есть
+    public async Task<DTO.User?> VerifyAsync(string username, string password)
+    {
+        var user = await GetAsync(username);
+        var matches = VerifyPassword(password, user?.PasswordHash ?? DummyHash);
+        return user != null && matches ? user : null;
+    }
+
+    // Добавляет или изменяет пользователя; password == null сохраняет прежний пароль
+    public async Task<DTO.User> SaveAsync(string username, string role, List<string> imeis, string? password)
+    {
+        var passwordHash = password == null ? null : HashPassword(password);
+        await _lock.WaitAsync();
+        try
+        {
+            var existing = _users.GetValueOrDefault(username);
+            var user = new DTO.User
+            {
+                Username = existing?.Username ?? username,
+                PasswordHash = passwordHash ?? existing?.PasswordHash,
+                Role = role,
+                Imeis = imeis
+            };
+            _users[user.Username!] = user;
+            await WriteAsync();
+            return user;
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    public async Task<bool> DeleteAsync(string username)
+    {
+        await _lock.WaitAsync();
+        try
+        {
+            if (!_users.Remove(username)) return false;
+            await WriteAsync();
+            return true;
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    private static string HashPassword(string password)
+    {
+        var salt = RandomNumberGenerator.GetBytes(SaltSize);
+        var hash = Rfc2898DeriveBytes.Pbkdf2(password, salt, Iterations, HashAlgorithmName.SHA256, HashSize);
+        return $"{Iterations}.{Convert.ToBase64String(salt)}.{Convert.ToBase64String(hash)}";
+    }
+
+    private static bool VerifyPassword(string password, string passwordHash)
+    {
+        var parts = passwordHash.Split('.');
+        if (parts.Length != 3 || !int.TryParse(parts[0], out var iterations)) return false;
+
+        var salt = Convert.FromBase64String(parts[1]);
+        var expected = Convert.FromBase64String(parts[2]);
+        var actual = Rfc2898DeriveBytes.Pbkdf2(password, salt, iterations, HashAlgorithmName.SHA256, expected.Length);
+        return CryptographicOperations.FixedTimeEquals(actual, expected);
+    }
+
+    private async Task WriteAsync()
+    {
+        var directory = Path.GetDirectoryName(Path.GetFullPath(_path));
+        if (!string.IsNullOrEmpty(directory)) Directory.CreateDirectory(directory);
+
+        var tempPath = _path + ".tmp";
+        var users = _users.Values.OrderBy(user => user.Username).ToList();
+        await File.WriteAllTextAsync(tempPath, JsonSerializer.Serialize(users, JsonOptions));
+        File.Move(tempPath, _path, overwrite: true);
+    }
+}
@@ -0,0 +1,265 @@
+import React, { useState } from 'react';
+import { Plus, Pencil, Trash2, Save, X, Crosshair } from 'lucide-react';
+import OptionInput from './OptionInput';
+import { formatTimestampForDisplay, formatDuration, getTimeZoneName } from '../utils/time';
+import { ALERT_CONDITIONS, ALERT_COLORS, ALERT_RULE_PRESETS } from '../utils/alerts';
+import { formatNumber } from '../utils/i18n';
+import { useTimeZone } from '../context/TimeZoneContext';
+import { useVehicleName } from '../context/DevicesContext';
+import { useT } from '../context/LocaleContext';
+
+const describeRule = (rule, seriesByKey, t) => {
+    const series = seriesByKey.get(rule.series);
+    const parts = [
+        series?.label ?? rule.series,
+        t(`alerts.condition.${rule.condition}`),
+        `${formatNumber(rule.threshold)}${series?.unit ? ` ${series.unit}` : ''}`
+    ];
+    if (rule.condition === 'drop') {
+        parts.push(t('alerts.describe.window', { minutes: rule.minutes }));
+    } else if (rule.minutes > 0) {
+        parts.push(t('alerts.describe.longer', { minutes: rule.minutes }));
+    }
+    const text = parts.join(' ');
+    return rule.parkedOnly ? t('alerts.describe.parked', { rule: text }) : text;
+};
+
+// Редактор правил оповещений и найденные по ним инциденты.
+// seriesOptions: [{ key, label, unit }] - ряды, доступные для условий (основные и выбранные поля)
+const AlertRulesPanel = ({ rules, onChange, seriesOptions, incidents, showImei, selectedId, onSelect }) => {
+    const timeZone = useTimeZone();
+    const vehicleName = useVehicleName();
+    const t = useT();
+    // Правило в редакторе: новое (без id) или копия существующего
+    const [draft, setDraft] = useState(null);
+    const seriesByKey = new Map(seriesOptions.map(series => [series.key, series]));
+    const ruleById = new Map(rules.map(rule => [rule.id, rule]));
+    const nextColor = ALERT_COLORS[rules.length % ALERT_COLORS.length];
+
+    const startDraft = (preset = ALERT_RULE_PRESETS[0]) => {
+        const { key, ...rule } = preset;
+        setDraft({ ...rule, name: t(`alerts.preset.${key}`), enabled: true, color: nextColor });
+    };
+
+    const updateDraft = (key) => (value) => setDraft({ ...draft, [key]: value });
+
+    const saveDraft = () => {
+        const rule = { ...draft, name: draft.name.trim() || describeRule(draft, seriesByKey, t) };
+        onChange(rule.id
+            ? rules.map(item => item.id === rule.id ? rule : item)
+            : [...rules, { ...rule, id: `alert-${Date.now()}` }]);
+        setDraft(null);
+    };
+
+    const toggleRule = (rule) => {
+        onChange(rules.map(item => item.id === rule.id ? { ...item, enabled: !item.enabled } : item));
+    };
+
+    const removeRule = (rule) => {
+        onChange(rules.filter(item => item.id !== rule.id));
+        if (draft?.id === rule.id) setDraft(null);
+    };
+
+    const countByRule = new Map();
+    incidents.forEach(incident => countByRule.set(incident.ruleId, (countByRule.get(incident.ruleId) ?? 0) + 1));
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                {t('alerts.title', { count: incidents.length })}
+            </h2>
+
+            {rules.length > 0 && (
+                <ul className="mb-4 space-y-1">
+                    {rules.map(rule => (
+                        <li key={rule.id} className="flex items-center gap-2 text-sm text-gray-800">
+                            <input
+                                type="checkbox"
+                                checked={rule.enabled}
+                                onChange={() => toggleRule(rule)}
+                                className="accent-blue-600"
+                                title={rule.enabled ? t('alerts.disable') : t('alerts.enable')}
+                            />
+                            <span className="w-3 h-3 rounded-sm flex-shrink-0" style={{ backgroundColor: rule.color }} />
+                            <span className={`font-medium ${rule.enabled ? '' : 'text-gray-400'}`}>{rule.name}</span>
+                            <span className="flex-1 truncate text-xs text-gray-500">{describeRule(rule, seriesByKey, t)}</span>
+                            {rule.enabled && (
+                                <span className="text-xs text-gray-600">{countByRule.get(rule.id) ?? 0} {t('units.pieces')}</span>
+                            )}
+                            <button
+                                onClick={() => setDraft(rule)}
+                                className="p-1 bg-transparent text-gray-400 hover:text-gray-700 transition-colors"
+                                title={t('alerts.edit')}
+                            >
+                                <Pencil className="w-4 h-4" />
+                            </button>
+                            <button
+                                onClick={() => removeRule(rule)}
+                                className="p-1 bg-transparent text-gray-400 hover:text-red-600 transition-colors"
+                                title={t('alerts.remove')}
+                            >
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {draft ? (
+                <div className="border border-blue-200 bg-blue-50 rounded-lg p-3 mb-4">
+                    <div className="flex flex-wrap items-end gap-3 mb-3">
+                        <label className="flex flex-col text-xs font-medium text-gray-600">
+                            {t('alerts.name')}
+                            <input
+                                type="text"
+                                value={draft.name}
+                                onChange={(e) => updateDraft('name')(e.target.value)}
+                                className="mt-1 w-48 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                        </label>
+                        <label className="flex flex-col text-xs font-medium text-gray-600">
+                            {t('quality.series')}
+                            <select
+                                value={draft.series}
+                                onChange={(e) => updateDraft('series')(e.target.value)}
+                                className="mt-1 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                                {!seriesByKey.has(draft.series) && <option value={draft.series}>{draft.series}</option>}
+                                {seriesOptions.map(series => (
+                                    <option key={series.key} value={series.key}>{series.label}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className="flex flex-col text-xs font-medium text-gray-600">
+                            {t('alerts.condition')}
+                            <select
+                                value={draft.condition}
+                                onChange={(e) => updateDraft('condition')(e.target.value)}
+                                className="mt-1 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                                {ALERT_CONDITIONS.map(condition => (
+                                    <option key={condition} value={condition}>{t(`alerts.condition.${condition}`)}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <OptionInput
+                            label={seriesByKey.get(draft.series)?.unit
+                                ? t('alerts.thresholdUnit', { unit: seriesByKey.get(draft.series).unit })
+                                : t('alerts.threshold')}
+                            value={draft.threshold}
+                            onChange={updateDraft('threshold')}
+                            step={0.1}
+                        />
+                        <OptionInput
+                            label={t(`alerts.minutes.${draft.condition}`)}
+                            value={draft.minutes}
+                            onChange={updateDraft('minutes')}
+                        />
+                        <label className="flex items-center gap-2 text-sm text-gray-700 pb-1">
+                            <input
+                                type="checkbox"
+                                checked={draft.parkedOnly}
+                                onChange={(e) => updateDraft('parkedOnly')(e.target.checked)}
+                                className="accent-blue-600"
+                            />
+                            {t('alerts.parkedOnly')}
+                        </label>
+                    </div>
+                    <div className="flex gap-2">
+                        <button
+                            onClick={saveDraft}
+                            className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center gap-1 transition-colors"
+                        >
+                            <Save className="w-4 h-4" />
+                            {t('common.save')}
+                        </button>
+                        <button
+                            onClick={() => setDraft(null)}
+                            className="px-3 py-1 text-sm bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 flex items-center gap-1 transition-colors"
+                        >
+                            <X className="w-4 h-4" />
+                            {t('common.cancel')}
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <div className="flex flex-wrap gap-2 mb-4">
+                    <button
+                        onClick={() => startDraft()}
+                        className="px-3 py-1 text-sm bg-indigo-100 text-indigo-700 rounded-md hover:bg-indigo-200 flex items-center gap-1 transition-colors"
+                    >
+                        <Plus className="w-4 h-4" />
+                        {t('alerts.new')}
+                    </button>
+                    {rules.length === 0 && ALERT_RULE_PRESETS.map(preset => (
+                        <button
+                            key={preset.key}
+                            onClick={() => startDraft(preset)}
+                            className="px-3 py-1 text-sm bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                            title={describeRule(preset, seriesByKey, t)}
+                        >
+                            + {t(`alerts.preset.${preset.key}`)}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {incidents.length > 0 ? (
+                <div className="overflow-auto max-h-96">
+                    <table className="w-full text-sm text-left">
+                        <thead className="text-xs text-gray-600 uppercase bg-gray-50 sticky top-0">
+                            <tr>
+                                <th className="px-3 py-2">{t('alerts.rule')}</th>
+                                {showImei && <th className="px-3 py-2">{t('common.vehicle')}</th>}
+                                <th className="px-3 py-2">{t('table.start', { zone: getTimeZoneName(timeZone) })}</th>
+                                <th className="px-3 py-2">{t('table.duration')}</th>
+                                <th className="px-3 py-2 text-right">{t('alerts.value')}</th>
+                                <th className="px-3 py-2" />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {incidents.map(incident => {
+                                const rule = ruleById.get(incident.ruleId);
+                                const unit = seriesByKey.get(rule.series)?.unit;
+                                return (
+                                    <tr
+                                        key={incident.id}
+                                        className={`border-t border-gray-100 transition-colors ${
+                                            incident.id === selectedId ? 'bg-blue-50 text-blue-900' : 'text-gray-800'
+                                        }`}
+                                    >
+                                        <td className="px-3 py-2">
+                                            <span className="inline-block w-2 h-2 rounded-sm mr-2" style={{ backgroundColor: rule.color }} />
+                                            {rule.name}
+                                        </td>
+                                        {showImei && <td className="px-3 py-2">{vehicleName(incident.imei)}</td>}
+                                        <td className="px-3 py-2 whitespace-nowrap">{formatTimestampForDisplay(incident.startTime, timeZone)}</td>
+                                        <td className="px-3 py-2">{incident.duration > 0 ? formatDuration(incident.duration) : t('overspeed.singlePoint')}</td>
+                                        <td className="px-3 py-2 text-right font-semibold" style={{ color: rule.color }}>
+                                            {rule.condition === 'drop' ? '−' : ''}{formatNumber(incident.value)}{unit ? ` ${unit}` : ''}
+                                        </td>
+                                        <td className="px-3 py-2 text-right">
+                                            <button
+                                                onClick={() => onSelect(incident.id === selectedId ? null : incident)}
+                                                className="p-0 bg-transparent text-xs font-semibold text-blue-700 hover:text-blue-900 inline-flex items-center gap-1"
+                                            >
+                                                <Crosshair className="w-3 h-3" />
+                                                {incident.id === selectedId ? t('quality.wholePeriod') : t('quality.show')}
+                                            </button>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            ) : (
+                <p className="text-gray-500 text-center py-8">
+                    {rules.some(rule => rule.enabled) ? t('alerts.noIncidents') : t('alerts.empty')}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default AlertRulesPanel;
@@ -0,0 +1,336 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { RefreshCw, AlertCircle, Download, Route, Clock, Fuel, Gauge } from 'lucide-react';
+import ImeiSelector from './ImeiSelector';
+import OptionInput from './OptionInput';
+import { apiFetch, checkResponse } from '../utils/api';
+import { loadCalibrations } from '../utils/calibration';
+import { formatDuration, getTimeZoneLabel } from '../utils/time';
+import {
+    DEFAULT_DAILY_OPTIONS, DAILY_METRICS, getMetricUnit, getWeekdayNames, getCurrentMonth, shiftMonth, getMonthsRange, getMonthTitle, formatDay,
+    fetchDailyStats, getHeatColor, isDarkHeatColor, buildCalendarMonth, listMonths, summarizeDays, summarizeByMonth
+} from '../utils/daily';
+import { formatNumber, translate } from '../utils/i18n';
+import { useTimeZone } from '../context/TimeZoneContext';
+import { useVehicleName } from '../context/DevicesContext';
+import { useT } from '../context/LocaleContext';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const formatMetric = (value, metric, fuelInLiters) => {
+    if (value === null || value === undefined) return '—';
+    if (metric === 'engineHours') return formatDuration(value * 3600);
+    return `${formatNumber(value)} ${translate(getMetricUnit(metric, fuelInLiters))}`;
+};
+
+// Столбец графика: '2025-09-10' - сутки, '2025-09' - месяц
+const formatChartLabel = (key) => key.length === 7 ? getMonthTitle(key) : formatDay(key);
+
+const describeDay = (date, stats, fuelInLiters) => [
+    formatDay(date, true),
+    ...Object.keys(DAILY_METRICS).map(metric => `${translate(`daily.metric.${metric}`)}: ${formatMetric(stats[metric], metric, fuelInLiters)}`),
+    translate('daily.refuelsCount', { count: stats.refuels })
+].join('\n');
+
+// Параметры страницы в ссылке: ?view=daily&imei=...&from=2025-08&to=2025-09
+const readDailyUrl = () => {
+    const params = new URLSearchParams(window.location.search);
+    return { imei: params.get('imei') || '', fromMonth: params.get('from') || '', toMonth: params.get('to') || '' };
+};
+
+const ChartTooltip = ({ active, payload, metric, fuelInLiters }) => {
+    const t = useT();
+    if (!active || !payload?.length) return null;
+    const row = payload[0].payload;
+    return (
+        <div className="bg-white p-3 border border-gray-300 rounded-lg shadow-lg text-sm">
+            <p className="font-semibold text-gray-800 mb-1">{formatChartLabel(row.key)}</p>
+            <p style={{ color: DAILY_METRICS[metric].color }}>
+                {t(`daily.metric.${metric}`)}: {formatMetric(row[metric], metric, fuelInLiters)}
+            </p>
+            {row.date && <p className="text-xs text-gray-500 mt-1">{t('daily.clickToOpen')}</p>}
+        </div>
+    );
+};
+
+const CalendarMonth = ({ month, metric, max, fuelInLiters, onOpenDay }) => (
+    <div>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">{getMonthTitle(month.month)}</h3>
+        <table className="border-separate border-spacing-1 text-xs">
+            <thead>
+                <tr>
+                    {getWeekdayNames().map(name => (
+                        <th key={name} className="w-9 font-medium text-gray-500">{name}</th>
+                    ))}
+                </tr>
+            </thead>
+            <tbody>
+                {month.weeks.map((week, weekIndex) => (
+                    <tr key={weekIndex}>
+                        {week.map((cell, dayIndex) => {
+                            if (!cell) return <td key={dayIndex} />;
+                            const color = cell.stats ? getHeatColor(cell.stats[metric], max) : null;
+                            return (
+                                <td key={dayIndex}>
+                                    <button
+                                        onClick={() => onOpenDay(cell.date)}
+                                        disabled={!cell.stats}
+                                        title={cell.stats ? describeDay(cell.date, cell.stats, fuelInLiters) : translate('common.noData')}
+                                        style={color ? { backgroundColor: color } : undefined}
+                                        className={`w-9 h-9 p-0 rounded-md text-xs font-medium transition-shadow ${
+                                            cell.stats
+                                                ? `${isDarkHeatColor(color) ? 'text-white' : 'text-blue-950'} hover:ring-2 hover:ring-blue-500`
+                                                : 'bg-gray-50 text-gray-300 cursor-default'
+                                        }`}
+                                    >
+                                        {cell.day}
+                                    </button>
+                                </td>
+                            );
+                        })}
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    </div>
+);
+
+// Суточная сводка одного ТС за 1-3 месяца: календарь-тепловая карта и столбцы по дням или месяцам.
+// Клик по дню открывает эти сутки в дашборде телеметрии
+const DailyStats = ({ onOpenDay }) => {
+    const timeZone = useTimeZone();
+    const vehicleName = useVehicleName();
+    const t = useT();
+    const [initialUrl] = useState(readDailyUrl);
+    const [imeis, setImeis] = useState([]);
+    const [imei, setImei] = useState(initialUrl.imei);
+    const [fromMonth, setFromMonth] = useState(() => initialUrl.fromMonth || shiftMonth(getCurrentMonth(timeZone), -1));
+    const [toMonth, setToMonth] = useState(() => initialUrl.toMonth || getCurrentMonth(timeZone));
+    const [options, setOptions] = useState(DEFAULT_DAILY_OPTIONS);
+    const [metric, setMetric] = useState('mileageKm');
+    const [groupBy, setGroupBy] = useState('day');
+    // Загруженная сводка вместе с запросом: календарь не перестраивается, пока поля формы правят
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [calibrations] = useState(loadCalibrations);
+    const setOption = (key) => (value) => setOptions({ ...options, [key]: value });
+
+    const range = getMonthsRange(fromMonth, toMonth, timeZone);
+
+    const loadStats = async () => {
+        if (!imei || range.error) return;
+        setLoading(true);
+        try {
+            const data = await fetchDailyStats(imei, range, timeZone, options, calibrations[imei]);
+            setResult({ ...data, imei, fromMonth, toMonth });
+            setError(null);
+            window.history.replaceState(null, '', `${window.location.pathname}?view=daily&imei=${imei}&from=${fromMonth}&to=${toMonth}`);
+        } catch (err) {
+            setError(t('daily.loadError', { message: err.message }));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const loadStatsRef = useRef(loadStats);
+    loadStatsRef.current = loadStats;
+
+    useEffect(() => {
+        apiFetch('/api/imeis')
+            .then(checkResponse)
+            .then(response => response.json())
+            .then(data => setImeis(data.imeis || []))
+            .catch(err => setError(translate('common.imeiLoadError', { message: err.message })));
+        // Открыли по ссылке с IMEI - сводка грузится сразу
+        if (initialUrl.imei) loadStatsRef.current();
+    }, [initialUrl]);
+
+    const days = useMemo(() => result?.days || [], [result]);
+    const statsByDate = useMemo(() => new Map(days.map(day => [day.date, day])), [days]);
+    const months = useMemo(
+        () => result ? listMonths(result.fromMonth, result.toMonth).map(month => buildCalendarMonth(month, statsByDate)) : [],
+        [result, statsByDate]
+    );
+    const total = useMemo(() => summarizeDays(days), [days]);
+    const maxValue = useMemo(() => Math.max(0, ...days.map(day => day[metric] ?? 0)), [days, metric]);
+    const chartData = useMemo(
+        () => groupBy === 'month'
+            ? summarizeByMonth(days).map(row => ({ ...row, key: row.month }))
+            : days.map(day => ({ ...day, key: day.date })),
+        [days, groupBy]
+    );
+    const fuelInLiters = result?.metadata?.calibratedFuelSensors?.length > 0;
+
+    const openDay = (date) => onOpenDay(result.imei, date, timeZone);
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-6">
+            <div className="max-w-7xl mx-auto">
+                <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+                    <h1 className="text-3xl font-bold text-gray-800 mb-4">
+                        {t('daily.title')}{result && `: ${vehicleName(result.imei)}`}
+                    </h1>
+
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">{t('fleet.column.name')}</label>
+                            {/* Сводка строится по одному ТС: остаётся последнее отмеченное */}
+                            <ImeiSelector
+                                imeis={imeis}
+                                selected={imei ? [imei] : []}
+                                onChange={(selected) => setImei(selected[selected.length - 1] || '')}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">{t('daily.fromMonth')}</label>
+                            <input type="month" value={fromMonth} onChange={(e) => setFromMonth(e.target.value)} className={inputClass} />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">{t('daily.toMonth')}</label>
+                            <input type="month" value={toMonth} onChange={(e) => setToMonth(e.target.value)} className={inputClass} />
+                        </div>
+                        <div className="flex items-end">
+                            <button
+                                onClick={loadStats}
+                                disabled={loading || !imei || Boolean(range.error)}
+                                className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center justify-center gap-2 transition-colors"
+                            >
+                                {loading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                                {loading ? t('common.loading') : t('daily.show')}
+                            </button>
+                        </div>
+                    </div>
+
+                    <div className="flex flex-wrap items-end gap-4">
+                        <OptionInput
+                            label={t('daily.engineOnVoltage')}
+                            value={options.engineOnVoltage}
+                            onChange={setOption('engineOnVoltage')}
+                            step={0.1}
+                        />
+                        <p className="text-xs text-gray-500 pb-1">
+                            {t('daily.hint', { zone: getTimeZoneLabel(timeZone) })}
+                        </p>
+                    </div>
+
+                    {range.error && <p className="mt-3 text-sm text-red-700">{range.error}</p>}
+                </div>
+
+                {error && (
+                    <div className="mb-6 bg-red-50 border border-red-200 rounded-md p-4 flex items-start gap-2">
+                        <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+                        <p className="text-red-700">{error}</p>
+                    </div>
+                )}
+
+                {result && (
+                    <>
+                        <div className="bg-gradient-to-r from-blue-50 to-indigo-50 border-2 border-blue-200 rounded-lg p-4 mb-6">
+                            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                                {[
+                                    { icon: Route, color: 'bg-sky-600', label: t('daily.totalMileage', { days: total.days }), value: formatMetric(total.mileageKm, 'mileageKm') },
+                                    { icon: Clock, color: 'bg-amber-500', label: t('daily.metric.engineHours'), value: formatMetric(total.engineHours, 'engineHours') },
+                                    {
+                                        icon: Fuel,
+                                        color: 'bg-green-600',
+                                        label: t('daily.fuelTotals'),
+                                        value: `${formatMetric(total.fuelConsumed, 'fuelConsumed', fuelInLiters)} / ${formatMetric(total.fuelRefueled, 'fuelRefueled', fuelInLiters)} (${total.refuels})`
+                                    },
+                                    { icon: Gauge, color: 'bg-purple-600', label: t('daily.metric.maxSpeed'), value: formatMetric(total.maxSpeed, 'maxSpeed') }
+                                ].map(({ icon, color, label, value }) => {
+                                    const Icon = icon;
+                                    return (
+                                        <div key={color} className="flex items-center gap-3">
+                                            <div className={`${color} p-3 rounded-lg`}>
+                                                <Icon className="w-6 h-6 text-white" />
+                                            </div>
+                                            <div>
+                                                <p className="text-xs text-gray-600 font-medium">{label}</p>
+                                                <p className="text-sm font-bold text-gray-800">{value}</p>
+                                            </div>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                            {fuelInLiters && (
+                                <p className="mt-3 text-xs text-gray-600">
+                                    {t('daily.calibrationNote')}
+                                </p>
+                            )}
+                        </div>
+
+                        <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+                            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                                <h2 className="text-xl font-semibold text-gray-800 flex items-center gap-2">
+                                    {t('daily.calendar')}
+                                </h2>
+                                <select
+                                    value={metric}
+                                    onChange={(e) => setMetric(e.target.value)}
+                                    className="px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                >
+                                    {Object.keys(DAILY_METRICS).map(key => (
+                                        <option key={key} value={key}>{t(`daily.metric.${key}`)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            {days.length > 0 ? (
+                                <div className="flex flex-wrap gap-8">
+                                    {months.map(month => (
+                                        <CalendarMonth key={month.month} month={month} metric={metric} max={maxValue} fuelInLiters={fuelInLiters} onOpenDay={openDay} />
+                                    ))}
+                                </div>
+                            ) : (
+                                <p className="text-gray-500 text-center py-8">{t('daily.empty')}</p>
+                            )}
+                        </div>
+
+                        {days.length > 0 && (
+                            <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+                                <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                                    <h2 className="text-xl font-semibold text-gray-800 flex items-center gap-2">
+                                        📊 {t(groupBy === 'month' ? 'daily.chartByMonth' : 'daily.chartByDay', { metric: t(`daily.metric.${metric}`) })}
+                                    </h2>
+                                    <div className="flex gap-1">
+                                        {[['day', t('nav.daily')], ['month', t('daily.byMonth')]].map(([value, label]) => (
+                                            <button
+                                                key={value}
+                                                onClick={() => setGroupBy(value)}
+                                                className={`px-3 py-1 rounded-md text-sm transition-colors ${
+                                                    groupBy === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
+                                                }`}
+                                            >
+                                                {label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                                <ResponsiveContainer width="100%" height={300}>
+                                    <BarChart data={chartData} margin={{ top: 5, right: 20, bottom: 5, left: 0 }}>
+                                        <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                                        <XAxis dataKey="key" tickFormatter={formatChartLabel} stroke="#6b7280" fontSize={12} />
+                                        <YAxis
+                                            label={{ value: t(getMetricUnit(metric, fuelInLiters)), angle: -90, position: 'insideLeft' }}
+                                            stroke="#6b7280"
+                                        />
+                                        <Tooltip content={<ChartTooltip metric={metric} fuelInLiters={fuelInLiters} />} cursor={{ fill: '#f3f4f6' }} />
+                                        <Bar
+                                            dataKey={metric}
+                                            fill={DAILY_METRICS[metric].color}
+                                            isAnimationActive={false}
+                                            cursor={groupBy === 'day' ? 'pointer' : 'default'}
+                                            onClick={(entry) => entry.payload?.date && openDay(entry.payload.date)}
+                                        />
+                                    </BarChart>
+                                </ResponsiveContainer>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default DailyStats;
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { GripVertical, ChevronUp, ChevronDown, Copy, EyeOff, X } from 'lucide-react';
+import { PANEL_TYPES, PANEL_WIDTHS, PANEL_HEIGHTS, updateItem, moveItemBy, moveItemTo, duplicateItem, removeItem, isCopy } from '../utils/layout';
+import { useT } from '../context/LocaleContext';
+
+// Свой тип данных перетаскивания: файлы, брошенные на панель, уходят импорту дашборда
+const PANEL_DRAG_TYPE = 'application/x-telemetry-panel';
+
+const selectClassName = 'px-2 py-0.5 bg-white border border-gray-300 rounded-md text-xs text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500';
+const iconButtonClassName = 'p-1 bg-transparent text-gray-500 hover:text-gray-900 disabled:text-gray-300 transition-colors';
+
+// Ячейка сетки дашборда. В режиме настройки над содержимым - управление панелью:
+// перетаскивание за ручку, сдвиг стрелками, ширина, высота, копия и скрытие
+const DashboardPanel = ({ item, items, editing, onItemsChange, children }) => {
+    const t = useT();
+    const [dropTarget, setDropTarget] = useState(false);
+    const type = PANEL_TYPES[item.panel];
+    const widthClassName = PANEL_WIDTHS[item.width];
+
+    if (!editing) {
+        return children ? <div className={widthClassName}>{children}</div> : null;
+    }
+
+    const change = (changes) => onItemsChange(updateItem(items, item.id, changes));
+    const visible = items.filter(other => !other.hidden);
+    const position = visible.findIndex(other => other.id === item.id);
+
+    const handleDragOver = (e) => {
+        if (!e.dataTransfer.types.includes(PANEL_DRAG_TYPE)) return;
+        e.preventDefault();
+        setDropTarget(true);
+    };
+
+    const handleDragLeave = (e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(false);
+    };
+
+    const handleDrop = (e) => {
+        const id = e.dataTransfer.getData(PANEL_DRAG_TYPE);
+        if (!id) return;
+        e.preventDefault();
+        e.stopPropagation();
+        setDropTarget(false);
+        if (id !== item.id) onItemsChange(moveItemTo(items, id, item.id));
+    };
+
+    return (
+        <div
+            className={`${widthClassName} rounded-lg border-2 border-dashed ${dropTarget ? 'border-blue-500' : 'border-gray-300'}`}
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}
+        >
+            <div className="flex flex-wrap items-center gap-2 px-3 py-2 bg-gray-100 rounded-t-md text-sm text-gray-700">
+                <span
+                    draggable
+                    onDragStart={(e) => e.dataTransfer.setData(PANEL_DRAG_TYPE, item.id)}
+                    className="cursor-move text-gray-400 hover:text-gray-700"
+                    title={t('layout.drag')}
+                >
+                    <GripVertical className="w-4 h-4" />
+                </span>
+                <span className="flex-1 min-w-0 truncate font-medium">
+                    {type.icon} {t(`layout.panel.${item.panel}`)}
+                    {isCopy(item) && <span className="font-normal text-gray-500"> ({t('layout.copy')})</span>}
+                </span>
+                <button
+                    type="button"
+                    onClick={() => onItemsChange(moveItemBy(items, item.id, -1))}
+                    disabled={position === 0}
+                    className={iconButtonClassName}
+                    title={t('layout.moveUp')}
+                >
+                    <ChevronUp className="w-4 h-4" />
+                </button>
+                <button
+                    type="button"
+                    onClick={() => onItemsChange(moveItemBy(items, item.id, 1))}
+                    disabled={position === visible.length - 1}
+                    className={iconButtonClassName}
+                    title={t('layout.moveDown')}
+                >
+                    <ChevronDown className="w-4 h-4" />
+                </button>
+                <select
+                    value={item.width}
+                    onChange={(e) => change({ width: e.target.value })}
+                    className={selectClassName}
+                    title={t('layout.width')}
+                >
+                    {Object.keys(PANEL_WIDTHS).map(width => (
+                        <option key={width} value={width}>{t(`layout.width.${width}`)}</option>
+                    ))}
+                </select>
+                {type.resizable && (
+                    <select
+                        value={item.height}
+                        onChange={(e) => change({ height: e.target.value })}
+                        className={selectClassName}
+                        title={t('layout.height')}
+                    >
+                        {Object.keys(PANEL_HEIGHTS).map(height => (
+                            <option key={height} value={height}>{t(`layout.height.${height}`)}</option>
+                        ))}
+                    </select>
+                )}
+                {type.duplicable && (
+                    <button
+                        type="button"
+                        onClick={() => onItemsChange(duplicateItem(items, item.id))}
+                        className={iconButtonClassName}
+                        title={t('layout.duplicate')}
+                    >
+                        <Copy className="w-4 h-4" />
+                    </button>
+                )}
+                {isCopy(item) ? (
+                    <button
+                        type="button"
+                        onClick={() => onItemsChange(removeItem(items, item.id))}
+                        className="p-1 bg-transparent text-gray-500 hover:text-red-600 transition-colors"
+                        title={t('layout.removeCopy')}
+                    >
+                        <X className="w-4 h-4" />
+                    </button>
+                ) : (
+                    <button
+                        type="button"
+                        onClick={() => change({ hidden: true })}
+                        className={iconButtonClassName}
+                        title={t('layout.hide')}
+                    >
+                        <EyeOff className="w-4 h-4" />
+                    </button>
+                )}
+            </div>
+            {children ?? <p className="text-gray-500 text-center py-8">{t('layout.emptyPanel')}</p>}
+        </div>
+    );
+};
+
+export default DashboardPanel;
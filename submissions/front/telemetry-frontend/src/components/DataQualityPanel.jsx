@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { Crosshair } from 'lucide-react';
+import OptionInput from './OptionInput';
+import { formatTimestampForDisplay, formatDuration, getTimeZoneName } from '../utils/time';
+import { QUALITY_ISSUE_TYPES, getQualitySeriesLabel, formatIssueDetail } from '../utils/dataQuality';
+import { formatDay } from '../utils/daily';
+import { formatNumber } from '../utils/i18n';
+import { useTimeZone } from '../context/TimeZoneContext';
+import { useVehicleName } from '../context/DevicesContext';
+import { useT } from '../context/LocaleContext';
+
+// Больше строк таблица не рисует: у сломанного датчика за квартал бывают тысячи пропусков
+const MAX_ISSUE_ROWS = 500;
+
+const formatPercent = (value) => formatNumber(value, { style: 'percent', maximumFractionDigits: 1 });
+
+const coverageColor = (value) => value >= 0.95 ? '#16a34a' : value >= 0.8 ? '#d97706' : '#dc2626';
+
+// Разрывы связи, сбои GPS и датчиков и полнота данных по суткам.
+// reports: [{ imei, report }] - результат analyzeDataQuality по каждому загруженному ТС,
+// issues - сбои всех ТС одним списком по времени, с IMEI
+const DataQualityPanel = ({ reports, issues, showImei, options, onOptionsChange, selectedId, onSelect }) => {
+    const timeZone = useTimeZone();
+    const vehicleName = useVehicleName();
+    const t = useT();
+    const [hiddenTypes, setHiddenTypes] = useState([]);
+    const setOption = (key) => (value) => onOptionsChange({ ...options, [key]: value });
+
+    const countByType = new Map();
+    issues.forEach(issue => countByType.set(issue.type, (countByType.get(issue.type) ?? 0) + 1));
+    const shownIssues = issues.filter(issue => !hiddenTypes.includes(issue.type));
+
+    const toggleType = (type) => {
+        setHiddenTypes(prev => prev.includes(type) ? prev.filter(item => item !== type) : [...prev, type]);
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                {t('quality.title', { count: issues.length })}
+            </h2>
+
+            <div className="flex flex-wrap items-end gap-4 mb-4">
+                <OptionInput label={t('quality.gapMinutes')} value={options.gapMinutes} onChange={setOption('gapMinutes')} min={1} />
+                <OptionInput label={t('quality.maxSpeed')} value={options.maxSpeedKmh} onChange={setOption('maxSpeedKmh')} min={1} />
+                <OptionInput label={t('quality.flatlineMinutes')} value={options.flatlineMinutes} onChange={setOption('flatlineMinutes')} min={1} />
+                <label className="flex items-center gap-2 text-sm text-gray-700 pb-1">
+                    <input
+                        type="checkbox"
+                        checked={options.dropBadPoints}
+                        onChange={(e) => setOption('dropBadPoints')(e.target.checked)}
+                        className="accent-blue-600"
+                    />
+                    {t('quality.dropBadPoints')}
+                </label>
+            </div>
+
+            {reports.map(({ imei, report }) => (
+                <div key={imei} className="mb-4">
+                    <p className="text-sm text-gray-700 mb-2">
+                        {showImei && <span className="font-semibold">{vehicleName(imei)}: </span>}
+                        {t('quality.coverage')}{' '}
+                        <span className="font-semibold" style={{ color: coverageColor(report.coverage) }}>
+                            {formatPercent(report.coverage)}
+                        </span>
+                        {report.gaps.length > 0 && (
+                            <span className="text-gray-500">
+                                {' '}· {t('quality.gapsTotal', {
+                                    count: report.gaps.length,
+                                    duration: formatDuration(report.gaps.reduce((sum, gap) => sum + gap.endTime - gap.startTime, 0))
+                                })}
+                            </span>
+                        )}
+                        <span className="text-gray-500"> · {t('quality.gapThreshold', { duration: formatDuration(report.gapSeconds) })}</span>
+                    </p>
+                    {report.days.length > 1 && (
+                        <div className="overflow-auto max-h-64">
+                            <table className="w-full text-sm text-left">
+                                <thead className="text-xs text-gray-600 uppercase bg-gray-50 sticky top-0">
+                                    <tr>
+                                        <th className="px-3 py-2">{t('quality.day')}</th>
+                                        <th className="px-3 py-2 w-1/2">{t('quality.dayCoverage')}</th>
+                                        <th className="px-3 py-2 text-right">{t('quality.points')}</th>
+                                        <th className="px-3 py-2 text-right">{t('quality.issues')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {report.days.map(day => (
+                                        <tr key={day.day} className="border-t border-gray-100 text-gray-800">
+                                            <td className="px-3 py-1 whitespace-nowrap">{formatDay(day.day, true)}</td>
+                                            <td className="px-3 py-1">
+                                                <div className="flex items-center gap-2">
+                                                    <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                                                        <div
+                                                            className="h-full rounded-full"
+                                                            style={{ width: formatPercent(day.coverage), backgroundColor: coverageColor(day.coverage) }}
+                                                        />
+                                                    </div>
+                                                    <span className="w-14 text-right text-xs">{formatPercent(day.coverage)}</span>
+                                                </div>
+                                            </td>
+                                            <td className="px-3 py-1 text-right">{formatNumber(day.points)}</td>
+                                            <td className={`px-3 py-1 text-right ${day.issues > 0 ? 'text-red-600 font-semibold' : ''}`}>{day.issues}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            ))}
+
+            {issues.length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-4">
+                    {Object.entries(QUALITY_ISSUE_TYPES).filter(([type]) => countByType.has(type)).map(([type, { color, icon }]) => (
+                        <button
+                            key={type}
+                            onClick={() => toggleType(type)}
+                            className={`px-3 py-1 rounded-full text-sm font-medium border bg-white transition-opacity ${hiddenTypes.includes(type) ? 'opacity-40' : ''}`}
+                            style={{ color, borderColor: color }}
+                            title={hiddenTypes.includes(type) ? t('quality.showType') : t('quality.hideType')}
+                        >
+                            {icon} {t(`quality.type.${type}`)}: {countByType.get(type)}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {shownIssues.length > 0 ? (
+                <div className="overflow-auto max-h-96">
+                    <table className="w-full text-sm text-left">
+                        <thead className="text-xs text-gray-600 uppercase bg-gray-50 sticky top-0">
+                            <tr>
+                                <th className="px-3 py-2">{t('quality.issue')}</th>
+                                {showImei && <th className="px-3 py-2">{t('common.vehicle')}</th>}
+                                <th className="px-3 py-2">{t('quality.series')}</th>
+                                <th className="px-3 py-2">{t('table.start', { zone: getTimeZoneName(timeZone) })}</th>
+                                <th className="px-3 py-2">{t('table.duration')}</th>
+                                <th className="px-3 py-2">{t('quality.detail')}</th>
+                                <th className="px-3 py-2" />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {shownIssues.slice(0, MAX_ISSUE_ROWS).map(issue => {
+                                const type = QUALITY_ISSUE_TYPES[issue.type];
+                                return (
+                                    <tr
+                                        key={issue.id}
+                                        className={`border-t border-gray-100 transition-colors ${
+                                            issue.id === selectedId ? 'bg-blue-50 text-blue-900' : 'text-gray-800'
+                                        }`}
+                                    >
+                                        <td className="px-3 py-2 whitespace-nowrap" style={{ color: type.color }}>{type.icon} {t(`quality.type.${issue.type}`)}</td>
+                                        {showImei && <td className="px-3 py-2">{vehicleName(issue.imei)}</td>}
+                                        <td className="px-3 py-2">{issue.series ? getQualitySeriesLabel(issue.series) : t('quality.series.track')}</td>
+                                        <td className="px-3 py-2 whitespace-nowrap">{formatTimestampForDisplay(issue.startTime, timeZone)}</td>
+                                        <td className="px-3 py-2">{issue.duration > 0 ? formatDuration(issue.duration) : t('overspeed.singlePoint')}</td>
+                                        <td className="px-3 py-2 text-gray-600">{formatIssueDetail(issue.detail)}</td>
+                                        <td className="px-3 py-2 text-right">
+                                            <button
+                                                onClick={() => onSelect(issue.id === selectedId ? null : issue)}
+                                                className="p-0 bg-transparent text-xs font-semibold text-blue-700 hover:text-blue-900 inline-flex items-center gap-1"
+                                            >
+                                                <Crosshair className="w-3 h-3" />
+                                                {issue.id === selectedId ? t('quality.wholePeriod') : t('quality.show')}
+                                            </button>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                    {shownIssues.length > MAX_ISSUE_ROWS && (
+                        <p className="text-xs text-gray-500 text-center py-2">
+                            {t('quality.truncated', { count: MAX_ISSUE_ROWS, total: formatNumber(shownIssues.length) })}
+                        </p>
+                    )}
+                </div>
+            ) : (
+                <p className="text-gray-500 text-center py-8">
+                    {issues.length > 0 ? t('quality.allHidden') : t('quality.empty')}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default DataQualityPanel;
@@ -0,0 +1,310 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { RefreshCw, AlertCircle, Plus, Pencil, Trash2, Save, X, ExternalLink } from 'lucide-react';
+import { EMPTY_DEVICE, IMEI_PATTERN, saveDevice, deleteDevice } from '../utils/devices';
+import { formatTimestampForDisplay } from '../utils/time';
+import { compareText } from '../utils/i18n';
+import { useTimeZone } from '../context/TimeZoneContext';
+import { useDevices } from '../context/DevicesContext';
+import { useT } from '../context/LocaleContext';
+import { apiFetch } from '../utils/api';
+
+// Подписи и подсказки - devices.field.<key>, devices.placeholder.<key>
+const TEXT_FIELDS = ['name', 'driver', 'group'];
+
+const inputClass = 'mt-1 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Форма записи реестра: новый IMEI вводится вручную, у существующей записи IMEI не меняется
+const DeviceForm = ({ draft, groups, saving, onChange, onSave, onCancel }) => {
+    const t = useT();
+    const setField = (key) => (e) => onChange({ ...draft, values: { ...draft.values, [key]: e.target.value } });
+    return (
+        <div className="border border-blue-200 bg-blue-50 rounded-lg p-4 mb-4">
+            <div className="flex flex-wrap gap-4 mb-3">
+                <label className="flex flex-col text-xs font-medium text-gray-600">
+                    IMEI
+                    <input
+                        type="text"
+                        value={draft.imei}
+                        onChange={(e) => onChange({ ...draft, imei: e.target.value.trim() })}
+                        disabled={!draft.isNew}
+                        placeholder={t('devices.imeiPlaceholder')}
+                        className={`${inputClass} w-44 disabled:bg-gray-100`}
+                    />
+                </label>
+                {TEXT_FIELDS.map(field => (
+                    <label key={field} className="flex flex-col text-xs font-medium text-gray-600">
+                        {t(`devices.field.${field}`)}
+                        <input
+                            type="text"
+                            value={draft.values[field]}
+                            onChange={setField(field)}
+                            placeholder={t(`devices.placeholder.${field}`)}
+                            list={field === 'group' ? 'device-groups' : undefined}
+                            className={`${inputClass} w-48`}
+                        />
+                    </label>
+                ))}
+                <datalist id="device-groups">
+                    {groups.map(group => <option key={group} value={group} />)}
+                </datalist>
+                <label className="flex flex-col text-xs font-medium text-gray-600">
+                    {t('devices.fuelTanks')}
+                    <input
+                        type="number"
+                        min={0}
+                        max={16}
+                        value={draft.values.fuelTanks}
+                        onChange={setField('fuelTanks')}
+                        className={`${inputClass} w-20`}
+                    />
+                </label>
+            </div>
+            <label className="flex flex-col text-xs font-medium text-gray-600 mb-3">
+                {t('devices.notes')}
+                <textarea
+                    value={draft.values.notes}
+                    onChange={setField('notes')}
+                    rows={2}
+                    className={inputClass}
+                />
+            </label>
+            <div className="flex gap-2">
+                <button
+                    onClick={onSave}
+                    disabled={saving || !IMEI_PATTERN.test(draft.imei)}
+                    className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-1 transition-colors"
+                >
+                    {saving ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                    {t('common.save')}
+                </button>
+                <button
+                    onClick={onCancel}
+                    className="px-3 py-1 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 flex items-center gap-1 transition-colors"
+                >
+                    <X className="w-4 h-4" />
+                    {t('common.cancel')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const toFormValues = (device) => Object.fromEntries(Object.keys(EMPTY_DEVICE).map(key => [key, device?.[key] ?? '']));
+
+// Реестр устройств: чей это IMEI, какая группа и сколько баков; IMEI из данных без записи - отдельным списком
+const DeviceRegistry = ({ onOpenVehicle }) => {
+    const timeZone = useTimeZone();
+    const { devices, reloadDevices } = useDevices();
+    const t = useT();
+    const [imeis, setImeis] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    // Открытая форма: { imei, isNew, values }
+    const [draft, setDraft] = useState(null);
+
+    const refresh = async () => {
+        setLoading(true);
+        try {
+            const response = await apiFetch('/api/imeis');
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(t('common.httpError', { status: response.status, text: errorText }));
+            }
+            const data = await response.json();
+            setImeis(data.imeis || []);
+            await reloadDevices();
+            setError(null);
+        } catch (err) {
+            setError(t('devices.loadError', { message: err.message }));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const refreshRef = useRef(refresh);
+    refreshRef.current = refresh;
+
+    useEffect(() => {
+        refreshRef.current();
+    }, []);
+
+    // Как в выборе ТС: группы по алфавиту, записи без группы - после них
+    const registered = useMemo(() => Object.values(devices).sort((a, b) =>
+        (!a.group) - (!b.group) || compareText(a.group || '', b.group || '')
+        || compareText(a.name || a.imei, b.name || b.imei)
+    ), [devices]);
+    const unregistered = useMemo(() => imeis.filter(imei => !devices[imei]), [imeis, devices]);
+    const groups = useMemo(() => [...new Set(registered.map(device => device.group).filter(Boolean))], [registered]);
+    const seenImeis = useMemo(() => new Set(imeis), [imeis]);
+
+    const openForm = (imei, isNew) => setDraft({ imei, isNew, values: toFormValues(devices[imei]) });
+
+    const submit = async () => {
+        if (draft.isNew && devices[draft.imei]) {
+            setError(t('devices.duplicate', { imei: draft.imei }));
+            return;
+        }
+        setSaving(true);
+        try {
+            await saveDevice(draft.imei, draft.values);
+            await reloadDevices();
+            setDraft(null);
+            setError(null);
+        } catch (err) {
+            setError(t('devices.saveError', { message: err.message }));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const remove = async (device) => {
+        if (!window.confirm(t('devices.deleteConfirm', { name: device.name || device.imei }))) return;
+        try {
+            await deleteDevice(device.imei);
+            await reloadDevices();
+            if (draft?.imei === device.imei) setDraft(null);
+        } catch (err) {
+            setError(t('devices.deleteError', { message: err.message }));
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-6">
+            <div className="max-w-7xl mx-auto">
+                <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+                    <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+                        <h1 className="text-3xl font-bold text-gray-800">
+                            {t('devices.title', { count: registered.length })}
+                        </h1>
+                        <div className="flex gap-2">
+                            <button
+                                onClick={() => openForm('', true)}
+                                className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 flex items-center gap-2 transition-colors"
+                            >
+                                <Plus className="w-4 h-4" />
+                                {t('common.add')}
+                            </button>
+                            <button
+                                onClick={refresh}
+                                disabled={loading}
+                                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2 transition-colors"
+                            >
+                                <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                                {t('common.refresh')}
+                            </button>
+                        </div>
+                    </div>
+
+                    {error && (
+                        <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-4 flex items-start gap-2">
+                            <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+                            <p className="text-red-700">{error}</p>
+                        </div>
+                    )}
+
+                    {draft && (
+                        <DeviceForm
+                            draft={draft}
+                            groups={groups}
+                            saving={saving}
+                            onChange={setDraft}
+                            onSave={submit}
+                            onCancel={() => setDraft(null)}
+                        />
+                    )}
+
+                    {registered.length > 0 ? (
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm text-left">
+                                <thead className="text-xs text-gray-600 uppercase bg-gray-50">
+                                    <tr>
+                                        <th className="px-3 py-2">{t('devices.field.name')}</th>
+                                        <th className="px-3 py-2">IMEI</th>
+                                        <th className="px-3 py-2">{t('devices.field.driver')}</th>
+                                        <th className="px-3 py-2">{t('devices.group')}</th>
+                                        <th className="px-3 py-2 text-right">{t('devices.fuelTanks')}</th>
+                                        <th className="px-3 py-2">{t('devices.notes')}</th>
+                                        <th className="px-3 py-2"></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {registered.map(device => (
+                                        <tr key={device.imei} className="border-t border-gray-100 text-gray-800">
+                                            <td className="px-3 py-2 font-medium">{device.name || '—'}</td>
+                                            <td className="px-3 py-2 whitespace-nowrap">
+                                                {device.imei}
+                                                {imeis.length > 0 && !seenImeis.has(device.imei) && (
+                                                    <span className="ml-1 text-xs text-gray-400" title={t('devices.noRecentDataHint')}>{t('devices.noRecentData')}</span>
+                                                )}
+                                            </td>
+                                            <td className="px-3 py-2">{device.driver || '—'}</td>
+                                            <td className="px-3 py-2">{device.group || '—'}</td>
+                                            <td className="px-3 py-2 text-right">{device.fuelTanks ?? '—'}</td>
+                                            <td className="px-3 py-2 text-gray-600 max-w-xs truncate" title={device.notes || ''}>{device.notes || ''}</td>
+                                            <td className="px-3 py-2">
+                                                <div className="flex justify-end gap-1">
+                                                    <button
+                                                        onClick={() => onOpenVehicle(device.imei)}
+                                                        className="p-1 bg-transparent text-gray-500 hover:text-blue-700"
+                                                        title={t('devices.openTelemetry')}
+                                                    >
+                                                        <ExternalLink className="w-4 h-4" />
+                                                    </button>
+                                                    <button
+                                                        onClick={() => openForm(device.imei, false)}
+                                                        className="p-1 bg-transparent text-gray-500 hover:text-blue-700"
+                                                        title={device.updatedAt ? t('devices.updatedAt', { time: formatTimestampForDisplay(device.updatedAt, timeZone) }) : t('common.edit')}
+                                                    >
+                                                        <Pencil className="w-4 h-4" />
+                                                    </button>
+                                                    <button
+                                                        onClick={() => remove(device)}
+                                                        className="p-1 bg-transparent text-gray-500 hover:text-red-600"
+                                                        title={t('devices.remove')}
+                                                    >
+                                                        <Trash2 className="w-4 h-4" />
+                                                    </button>
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    ) : (
+                        <p className="text-gray-500 text-center py-8">
+                            {loading ? t('common.loading') : t('devices.empty')}
+                        </p>
+                    )}
+                </div>
+
+                <div className="bg-white rounded-lg shadow-lg p-6">
+                    <h2 className="text-xl font-semibold text-gray-800 mb-1 flex items-center gap-2">
+                        ⚠️ {t('devices.unregistered')} ({unregistered.length})
+                    </h2>
+                    <p className="text-sm text-gray-600 mb-4">{t('devices.unregisteredHint')}</p>
+                    {unregistered.length > 0 ? (
+                        <div className="flex flex-wrap gap-2">
+                            {unregistered.map(imei => (
+                                <button
+                                    key={imei}
+                                    onClick={() => openForm(imei, true)}
+                                    className="px-3 py-1 text-sm rounded-full border border-amber-300 bg-amber-50 text-amber-800 hover:bg-amber-100 flex items-center gap-1 transition-colors"
+                                    title={t('devices.register')}
+                                >
+                                    <Plus className="w-3 h-3" />
+                                    {imei}
+                                </button>
+                            ))}
+                        </div>
+                    ) : (
+                        <p className="text-sm text-gray-500">{loading ? t('common.loading') : t('devices.allRegistered')}</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DeviceRegistry;
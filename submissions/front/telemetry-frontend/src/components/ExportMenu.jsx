@@ -0,0 +1,78 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FileDown, ChevronDown } from 'lucide-react';
+import { EXPORT_FORMATS, downloadFile } from '../utils/exporters';
+import { getTimeZoneName } from '../utils/time';
+import { useTimeZone } from '../context/TimeZoneContext';
+import { useVehicleName } from '../context/DevicesContext';
+import { useT } from '../context/LocaleContext';
+
+const ExportMenu = ({ vehicles, fileBaseName, disabled }) => {
+    const [open, setOpen] = useState(false);
+    const displayTimeZone = useTimeZone();
+    const vehicleName = useVehicleName();
+    const t = useT();
+    const [timeZone, setTimeZone] = useState(null);
+    const containerRef = useRef(null);
+
+    useEffect(() => {
+        if (!open) return undefined;
+        const handleClickOutside = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) {
+                setOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, [open]);
+
+    const exportAs = (format) => {
+        const named = vehicles.map(vehicle => ({ ...vehicle, name: vehicleName(vehicle.imei) }));
+        const content = format.build(named, timeZone || displayTimeZone);
+        downloadFile(content, `${fileBaseName}.${format.extension}`, format.mime);
+        setOpen(false);
+    };
+
+    return (
+        <div ref={containerRef} className="relative">
+            <button
+                onClick={() => setOpen(!open)}
+                disabled={disabled}
+                className="h-full px-3 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:text-gray-400 disabled:bg-gray-100 flex items-center gap-1 transition-colors"
+                title={t('export.title')}
+            >
+                <FileDown className="w-4 h-4" />
+                <ChevronDown className="w-3 h-3" />
+            </button>
+
+            {open && (
+                <div className="absolute right-0 z-[1100] mt-1 w-56 bg-white border border-gray-300 rounded-md shadow-lg p-2">
+                    <p className="px-2 pt-1 pb-2 text-xs font-medium text-gray-500">{t('export.fileTimeZone')}</p>
+                    <div className="flex gap-1 px-2 pb-2 border-b border-gray-100">
+                        {[...new Set(['UTC', displayTimeZone])].map(zone => (
+                            <button
+                                key={zone}
+                                onClick={() => setTimeZone(zone)}
+                                className={`flex-1 px-2 py-1 text-xs rounded-md transition-colors ${
+                                    (timeZone || displayTimeZone) === zone ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                }`}
+                            >
+                                {getTimeZoneName(zone)}
+                            </button>
+                        ))}
+                    </div>
+                    {EXPORT_FORMATS.map(format => (
+                        <button
+                            key={format.key}
+                            onClick={() => exportAs(format)}
+                            className="w-full px-2 py-2 text-left text-sm bg-white text-gray-800 rounded-md hover:bg-gray-50"
+                        >
+                            {format.name}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ExportMenu;
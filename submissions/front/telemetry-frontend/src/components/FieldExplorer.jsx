@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { Plus, X, RefreshCw } from 'lucide-react';
+import { FIELD_PLACEMENTS, MAX_CUSTOM_FIELDS } from '../utils/fields';
+import { useT } from '../context/LocaleContext';
+
+// Выбор произвольных полей ТС из /api/fields: отдельным графиком или второй осью на существующем
+const FieldExplorer = ({ fields, selected, loading, onAdd, onRemove, onPlacementChange }) => {
+    const t = useT();
+    const [search, setSearch] = useState('');
+    const [field, setField] = useState('');
+    const [placement, setPlacement] = useState('chart');
+
+    const selectedNames = selected.map(item => item.field);
+    const options = fields.filter(name =>
+        !selectedNames.includes(name) && name.toLowerCase().includes(search.trim().toLowerCase())
+    );
+    const fieldToAdd = options.includes(field) ? field : options[0] ?? '';
+    const limitReached = selected.length >= MAX_CUSTOM_FIELDS;
+
+    const addField = () => {
+        if (!fieldToAdd || limitReached) return;
+        onAdd(fieldToAdd, placement);
+        setField('');
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                {t('fields.title')}
+                {loading && <RefreshCw className="w-4 h-4 text-gray-400 animate-spin" />}
+            </h2>
+
+            {fields.length > 0 ? (
+                <div className="flex flex-wrap items-end gap-3 mb-4">
+                    <label className="flex flex-col text-xs font-medium text-gray-600">
+                        {t('fields.search')}
+                        <input
+                            type="text"
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            placeholder="ignition, temp..."
+                            className="mt-1 w-44 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                    </label>
+                    <label className="flex flex-col text-xs font-medium text-gray-600">
+                        {t('fields.field', { count: options.length })}
+                        <select
+                            value={fieldToAdd}
+                            onChange={(e) => setField(e.target.value)}
+                            disabled={options.length === 0}
+                            className="mt-1 w-56 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                            {options.map(name => (
+                                <option key={name} value={name}>{name}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="flex flex-col text-xs font-medium text-gray-600">
+                        {t('fields.placement')}
+                        <select
+                            value={placement}
+                            onChange={(e) => setPlacement(e.target.value)}
+                            className="mt-1 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                            {FIELD_PLACEMENTS.map(key => (
+                                <option key={key} value={key}>{t(`fields.placement.${key}`)}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <button
+                        onClick={addField}
+                        disabled={!fieldToAdd || limitReached}
+                        className="px-3 py-1.5 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-1 transition-colors"
+                        title={limitReached ? t('fields.limit', { count: MAX_CUSTOM_FIELDS }) : undefined}
+                    >
+                        <Plus className="w-4 h-4" />
+                        {t('common.add')}
+                    </button>
+                </div>
+            ) : (
+                <p className="text-gray-500 text-sm mb-4">
+                    {loading ? t('fields.loading') : t('fields.empty')}
+                </p>
+            )}
+
+            {selected.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                    {selected.map(item => (
+                        <div key={item.field} className="pl-3 pr-1 py-1 text-sm rounded-full border border-gray-300 flex items-center gap-2">
+                            <span className="w-3 h-3 rounded-full" style={{ backgroundColor: item.color }} />
+                            <span className="font-medium text-gray-800">{item.field}</span>
+                            <select
+                                value={item.placement}
+                                onChange={(e) => onPlacementChange(item.field, e.target.value)}
+                                className="text-xs text-gray-600 bg-transparent focus:outline-none"
+                            >
+                                {FIELD_PLACEMENTS.map(key => (
+                                    <option key={key} value={key}>{t(`fields.placement.${key}`)}</option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={() => onRemove(item.field)}
+                                className="p-1 bg-transparent text-gray-400 hover:text-gray-700 transition-colors"
+                                title={t('fields.remove')}
+                            >
+                                <X className="w-4 h-4" />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FieldExplorer;
@@ -0,0 +1,280 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import { RefreshCw, AlertCircle, ArrowUp, ArrowDown, ExternalLink } from 'lucide-react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import OptionInput from './OptionInput';
+import { formatTimestampForDisplay, formatTimeAgo } from '../utils/time';
+import { getTrackBounds } from '../utils/downsample';
+import { loadCalibrations } from '../utils/calibration';
+import { DEFAULT_FLEET_OPTIONS, FLEET_STATUSES, getVehicleStatus, getFleetFuel, sortFleet } from '../utils/fleet';
+import { useTimeZone } from '../context/TimeZoneContext';
+import { useDevices } from '../context/DevicesContext';
+import { getVehicleName } from '../utils/devices';
+import { apiFetch } from '../utils/api';
+import { formatNumber } from '../utils/i18n';
+import { useT } from '../context/LocaleContext';
+
+const FLEET_REFRESH_MS = 60000;
+
+const createStatusIcon = (status) => L.divIcon({
+    className: '',
+    html: `<div style="background:${FLEET_STATUSES[status].color};color:#fff;border:2px solid #fff;border-radius:50%;width:30px;height:30px;display:flex;align-items:center;justify-content:center;font-size:15px;box-shadow:0 1px 4px rgba(0,0,0,.4)">${FLEET_STATUSES[status].icon}</div>`,
+    iconSize: [30, 30],
+    iconAnchor: [15, 15]
+});
+
+const STATUS_ICONS = Object.fromEntries(Object.keys(FLEET_STATUSES).map(status => [status, createStatusIcon(status)]));
+
+// Заголовки - fleet.column.<key>
+const COLUMNS = [
+    { key: 'name' },
+    { key: 'group' },
+    { key: 'status' },
+    { key: 'lastSeen' },
+    { key: 'speed', numeric: true },
+    { key: 'voltage', numeric: true },
+    { key: 'fuel', numeric: true }
+];
+
+// Карта подгоняется под автопарк один раз: ежеминутное обновление не должно сбивать выбранный вид
+const FitFleetOnce = ({ bounds }) => {
+    const map = useMap();
+    const fittedRef = useRef(false);
+    useEffect(() => {
+        if (bounds && !fittedRef.current) {
+            fittedRef.current = true;
+            map.fitBounds(bounds, { padding: [50, 50], maxZoom: 14 });
+        }
+    }, [bounds, map]);
+    return null;
+};
+
+const formatValue = (value) => value !== null && value !== undefined ? formatNumber(value) : '—';
+
+// Обзор автопарка: последнее известное состояние каждого IMEI на карте и в таблице
+const FleetOverview = ({ onOpenVehicle }) => {
+    const timeZone = useTimeZone();
+    const { devices } = useDevices();
+    const t = useT();
+    const [fleet, setFleet] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [options, setOptions] = useState(DEFAULT_FLEET_OPTIONS);
+    const [sort, setSort] = useState({ key: 'status', direction: 'asc' });
+    const [calibrations] = useState(loadCalibrations);
+    const setOption = (key) => (value) => setOptions({ ...options, [key]: value });
+
+    const fetchFleet = async () => {
+        setLoading(true);
+        try {
+            const response = await apiFetch('/api/fleet');
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(t('common.httpError', { status: response.status, text: errorText }));
+            }
+            setFleet(await response.json());
+            setError(null);
+        } catch (err) {
+            setError(t('fleet.loadError', { message: err.message }));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchFleetRef = useRef(fetchFleet);
+    fetchFleetRef.current = fetchFleet;
+
+    useEffect(() => {
+        fetchFleetRef.current();
+        const timer = setInterval(() => fetchFleetRef.current(), FLEET_REFRESH_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    // Статус считается от времени ответа сервера, а не часов браузера
+    const rows = useMemo(() => (fleet?.vehicles || []).map(vehicle => ({
+        ...vehicle,
+        ...getFleetFuel(vehicle, calibrations[vehicle.imei]),
+        name: getVehicleName(vehicle.imei, devices),
+        group: devices[vehicle.imei]?.group || null,
+        registered: Boolean(devices[vehicle.imei]),
+        status: getVehicleStatus(vehicle, fleet.generatedAt, options)
+    })), [fleet, calibrations, options, devices]);
+
+    const sortedRows = useMemo(() => sortFleet(rows, sort), [rows, sort]);
+
+    const statusCounts = useMemo(() => {
+        const counts = Object.fromEntries(Object.keys(FLEET_STATUSES).map(status => [status, 0]));
+        rows.forEach(row => counts[row.status]++);
+        return counts;
+    }, [rows]);
+
+    const positioned = useMemo(() => rows.filter(row => row.lat !== null && row.lon !== null), [rows]);
+    const bounds = useMemo(() => getTrackBounds(positioned), [positioned]);
+
+    const toggleSort = (key) => {
+        setSort(prev => prev.key === key
+            ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+            : { key, direction: 'asc' });
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-6">
+            <div className="max-w-7xl mx-auto">
+                <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+                    <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+                        <h1 className="text-3xl font-bold text-gray-800">
+                            {t('fleet.title', { count: rows.length })}
+                        </h1>
+                        <div className="flex items-center gap-3 text-sm text-gray-600">
+                            {fleet && (
+                                <span>{t('fleet.updated')} <span className="font-semibold">{formatTimestampForDisplay(fleet.generatedAt, timeZone)}</span></span>
+                            )}
+                            <button
+                                onClick={fetchFleet}
+                                disabled={loading}
+                                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2 transition-colors"
+                            >
+                                <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                                {t('common.refresh')}
+                            </button>
+                        </div>
+                    </div>
+
+                    <div className="flex flex-wrap items-end gap-4 mb-4">
+                        <OptionInput label={t('fleet.option.movingSpeed')} value={options.movingSpeed} onChange={setOption('movingSpeed')} />
+                        <OptionInput label={t('fleet.option.noSignalHours')} value={options.noSignalHours} onChange={setOption('noSignalHours')} min={1} />
+                        <OptionInput label={t('fleet.option.lowVoltage')} value={options.lowVoltage} onChange={setOption('lowVoltage')} step={0.1} />
+                    </div>
+
+                    <div className="flex flex-wrap gap-3">
+                        {Object.entries(FLEET_STATUSES).map(([status, { color, icon }]) => (
+                            <span
+                                key={status}
+                                className="px-3 py-1 rounded-full text-sm font-medium border"
+                                style={{ color, borderColor: color }}
+                            >
+                                {icon} {t(`fleet.status.${status}`)}: {statusCounts[status]}
+                            </span>
+                        ))}
+                    </div>
+
+                    {error && (
+                        <div className="mt-4 bg-red-50 border border-red-200 rounded-md p-4 flex items-start gap-2">
+                            <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+                            <p className="text-red-700">{error}</p>
+                        </div>
+                    )}
+                </div>
+
+                <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+                    <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                        {t('fleet.map', { count: positioned.length })}
+                    </h2>
+                    <div className="h-[32rem] rounded-lg overflow-hidden border-2 border-gray-300">
+                        <MapContainer center={[43.2220, 76.8512]} zoom={11} style={{ height: '100%', width: '100%' }} scrollWheelZoom={true}>
+                            <TileLayer
+                                url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                                attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+                            />
+                            <FitFleetOnce bounds={bounds} />
+                            {positioned.map(row => (
+                                <Marker key={row.imei} position={[row.lat, row.lon]} icon={STATUS_ICONS[row.status]}>
+                                    <Popup>
+                                        <div className="font-medium">
+                                            <strong style={{ color: FLEET_STATUSES[row.status].color }}>
+                                                {FLEET_STATUSES[row.status].icon} {t(`fleet.status.${row.status}`)}
+                                            </strong><br/>
+                                            {row.name}{row.name !== row.imei && ` (${row.imei})`}<br/>
+                                            {formatTimestampForDisplay(row.positionTime, timeZone)}
+                                            {' '}({formatTimeAgo(Math.max(0, fleet.generatedAt - row.positionTime))})<br/>
+                                            {row.speed !== null && <>{formatNumber(row.speed)} {t('units.kmh')}<br/></>}
+                                            <button
+                                                onClick={() => onOpenVehicle(row.imei)}
+                                                className="mt-1 p-0 bg-transparent text-blue-700 hover:text-blue-900 inline-flex items-center gap-1"
+                                            >
+                                                <ExternalLink className="w-3 h-3" />
+                                                {t('devices.openTelemetry')}
+                                            </button>
+                                        </div>
+                                    </Popup>
+                                </Marker>
+                            ))}
+                        </MapContainer>
+                    </div>
+                </div>
+
+                <div className="bg-white rounded-lg shadow-lg p-6">
+                    <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                        {t('fleet.table')}
+                    </h2>
+                    {sortedRows.length > 0 ? (
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm text-left">
+                                <thead className="text-xs text-gray-600 uppercase bg-gray-50">
+                                    <tr>
+                                        {COLUMNS.map(column => (
+                                            <th key={column.key} className={`px-3 py-2 ${column.numeric ? 'text-right' : ''}`}>
+                                                <button
+                                                    onClick={() => toggleSort(column.key)}
+                                                    className="p-0 bg-transparent text-xs font-semibold uppercase text-gray-600 hover:text-gray-900 inline-flex items-center gap-1"
+                                                >
+                                                    {t(`fleet.column.${column.key}`)}
+                                                    {sort.key === column.key && (sort.direction === 'asc'
+                                                        ? <ArrowUp className="w-3 h-3" />
+                                                        : <ArrowDown className="w-3 h-3" />)}
+                                                </button>
+                                            </th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {sortedRows.map(row => (
+                                        <tr
+                                            key={row.imei}
+                                            onClick={() => onOpenVehicle(row.imei)}
+                                            className="border-t border-gray-100 cursor-pointer text-gray-800 hover:bg-gray-50 transition-colors"
+                                            title={t('fleet.openVehicle')}
+                                        >
+                                            <td className="px-3 py-2">
+                                                <span className="font-medium">{row.name}</span>
+                                                {row.name !== row.imei && <span className="block text-xs text-gray-500">{row.imei}</span>}
+                                                {!row.registered && (
+                                                    <span className="block text-xs text-amber-600" title={t('fleet.unregisteredHint')}>{t('fleet.unregistered')}</span>
+                                                )}
+                                            </td>
+                                            <td className="px-3 py-2">{row.group || '—'}</td>
+                                            <td className="px-3 py-2 whitespace-nowrap" style={{ color: FLEET_STATUSES[row.status].color }}>
+                                                {FLEET_STATUSES[row.status].icon} {t(`fleet.status.${row.status}`)}
+                                            </td>
+                                            {row.lastSeen !== null ? (
+                                                <td className="px-3 py-2 whitespace-nowrap" title={formatTimestampForDisplay(row.lastSeen, timeZone)}>
+                                                    {formatTimeAgo(Math.max(0, fleet.generatedAt - row.lastSeen))}
+                                                </td>
+                                            ) : (
+                                                <td className="px-3 py-2 whitespace-nowrap text-gray-500">{t('fleet.neverSeen')}</td>
+                                            )}
+                                            <td className="px-3 py-2 text-right">{formatValue(row.speed)}</td>
+                                            <td className={`px-3 py-2 text-right ${row.voltage !== null && row.voltage < options.lowVoltage ? 'text-red-600 font-semibold' : ''}`}>
+                                                {formatValue(row.voltage)}
+                                            </td>
+                                            <td className="px-3 py-2 text-right whitespace-nowrap">
+                                                {formatValue(row.fuel)}{row.fuel !== null && ` ${row.fuelInLiters ? t('units.liters') : t('units.level')}`}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    ) : (
+                        <p className="text-gray-500 text-center py-8">
+                            {loading ? t('common.loading') : t('fleet.empty')}
+                        </p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default FleetOverview;
@@ -0,0 +1,231 @@
+import React, { useState } from 'react';
+import { Plus, X, Upload, Save, Trash2 } from 'lucide-react';
+import { normalizeCalibrationTable, parseCalibrationCsv } from '../utils/calibration';
+import { formatNumber } from '../utils/i18n';
+import { useT } from '../context/LocaleContext';
+
+const sensorLabel = (sensorName, t) => t('quality.series.sensor', { number: sensorName.replace('fls485_level_', '') });
+
+// Редактор тарировок: таблица «уровень -> литры» на каждый датчик каждого ТС
+const FuelCalibrationPanel = ({ vehicles, calibrations, onChange }) => {
+    const t = useT();
+    const [imei, setImei] = useState(null);
+    const [sensor, setSensor] = useState(null);
+    // Несохранённые правки выбранного датчика: [{ level, liters }] строками, как в полях ввода
+    const [draft, setDraft] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    const activeImei = vehicles.some(vehicle => vehicle.imei === imei) ? imei : vehicles[0]?.imei;
+    const vehicle = vehicles.find(item => item.imei === activeImei);
+    const sensors = [...new Set([
+        ...(vehicle?.data.metadata?.availableFuelSensors || []),
+        ...Object.keys(calibrations[activeImei] || {})
+    ])].sort();
+    const activeSensor = sensors.includes(sensor) ? sensor : sensors[0];
+    const saved = calibrations[activeImei]?.[activeSensor];
+    const rows = draft ?? (saved || []).map(([level, liters]) => ({ level: String(level), liters: String(liters) }));
+
+    const select = (nextImei, nextSensor) => {
+        setImei(nextImei);
+        setSensor(nextSensor);
+        setDraft(null);
+        setMessage(null);
+    };
+
+    const updateRow = (index, key, value) => {
+        setDraft(rows.map((row, rowIndex) => rowIndex === index ? { ...row, [key]: value } : row));
+    };
+
+    const importCsv = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const table = parseCalibrationCsv(await file.text());
+            setDraft(table.map(([level, liters]) => ({ level: String(level), liters: String(liters) })));
+            setMessage({ type: 'info', text: t('calibration.imported', { count: table.length }) });
+        } catch (err) {
+            setMessage({ type: 'error', text: `${file.name}: ${err.message}` });
+        }
+    };
+
+    const save = () => {
+        try {
+            const table = normalizeCalibrationTable(rows.map(row => [
+                Number(row.level.replace(',', '.')),
+                Number(row.liters.replace(',', '.'))
+            ]));
+            onChange({
+                ...calibrations,
+                [activeImei]: { ...calibrations[activeImei], [activeSensor]: table }
+            });
+            setDraft(null);
+            setMessage({ type: 'info', text: t('calibration.saved') });
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message });
+        }
+    };
+
+    const remove = () => {
+        const { [activeSensor]: _removed, ...rest } = calibrations[activeImei] || {};
+        const next = { ...calibrations };
+        if (Object.keys(rest).length > 0) {
+            next[activeImei] = rest;
+        } else {
+            delete next[activeImei];
+        }
+        onChange(next);
+        setDraft(null);
+        setMessage({ type: 'info', text: t('calibration.removed') });
+    };
+
+    if (!vehicle) return null;
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                {t('calibration.title')}
+            </h2>
+
+            <div className="flex flex-wrap items-end gap-3 mb-4">
+                {vehicles.length > 1 && (
+                    <label className="flex flex-col text-xs font-medium text-gray-600">
+                        {t('common.vehicle')}
+                        <select
+                            value={activeImei}
+                            onChange={(e) => select(e.target.value, null)}
+                            className="mt-1 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                            {vehicles.map(item => (
+                                <option key={item.imei} value={item.imei}>{item.imei}</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+                {sensors.length > 0 && (
+                    <label className="flex flex-col text-xs font-medium text-gray-600">
+                        {t('calibration.sensor')}
+                        <select
+                            value={activeSensor}
+                            onChange={(e) => select(activeImei, e.target.value)}
+                            className="mt-1 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                            {sensors.map(sensorName => (
+                                <option key={sensorName} value={sensorName}>
+                                    {sensorLabel(sensorName, t)}{calibrations[activeImei]?.[sensorName] ? ' ✓' : ''}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+                {activeSensor && (
+                    <label className="px-3 py-1.5 bg-white text-gray-700 text-sm border border-gray-300 rounded-md hover:bg-gray-50 flex items-center gap-1 cursor-pointer transition-colors">
+                        <Upload className="w-4 h-4" />
+                        {t('calibration.importCsv')}
+                        <input type="file" accept=".csv,.txt" onChange={importCsv} className="hidden" />
+                    </label>
+                )}
+            </div>
+
+            {sensors.length === 0 ? (
+                <p className="text-gray-500 text-center py-8">{t('calibration.noSensors')}</p>
+            ) : (
+                <>
+                    <p className="text-sm text-gray-600 mb-3">
+                        {saved
+                            ? t('calibration.summary', {
+                                count: saved.length,
+                                from: formatNumber(saved[0][0]),
+                                to: formatNumber(saved[saved.length - 1][0])
+                            })
+                            : t('calibration.none')}
+                        {draft && <span className="ml-2 text-amber-600 font-medium">{t('calibration.unsaved')}</span>}
+                    </p>
+
+                    {rows.length > 0 && (
+                        <div className="max-h-72 overflow-y-auto mb-3">
+                            <table className="text-sm text-left">
+                                <thead className="text-xs text-gray-600 uppercase bg-gray-50 sticky top-0">
+                                    <tr>
+                                        <th className="px-3 py-2">{t('calibration.level')}</th>
+                                        <th className="px-3 py-2">{t('fuelEvents.liters')}</th>
+                                        <th className="px-3 py-2" />
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {rows.map((row, index) => (
+                                        <tr key={index} className="border-t border-gray-100">
+                                            {['level', 'liters'].map(key => (
+                                                <td key={key} className="px-3 py-1">
+                                                    <input
+                                                        type="text"
+                                                        inputMode="decimal"
+                                                        value={row[key]}
+                                                        onChange={(e) => updateRow(index, key, e.target.value)}
+                                                        className="w-28 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                                    />
+                                                </td>
+                                            ))}
+                                            <td className="px-3 py-1">
+                                                <button
+                                                    onClick={() => setDraft(rows.filter((_, rowIndex) => rowIndex !== index))}
+                                                    className="p-1 bg-transparent text-gray-400 hover:text-gray-700 transition-colors"
+                                                    title={t('calibration.removePoint')}
+                                                >
+                                                    <X className="w-4 h-4" />
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    <div className="flex flex-wrap gap-2">
+                        <button
+                            onClick={() => setDraft([...rows, { level: '', liters: '' }])}
+                            className="px-3 py-1.5 bg-white text-gray-700 text-sm border border-gray-300 rounded-md hover:bg-gray-50 flex items-center gap-1 transition-colors"
+                        >
+                            <Plus className="w-4 h-4" />
+                            {t('calibration.addPoint')}
+                        </button>
+                        <button
+                            onClick={save}
+                            disabled={!draft}
+                            className="px-3 py-1.5 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-1 transition-colors"
+                        >
+                            <Save className="w-4 h-4" />
+                            {t('common.save')}
+                        </button>
+                        {draft && (
+                            <button
+                                onClick={() => select(activeImei, activeSensor)}
+                                className="px-3 py-1.5 bg-white text-gray-700 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                            >
+                                {t('calibration.discard')}
+                            </button>
+                        )}
+                        {saved && (
+                            <button
+                                onClick={remove}
+                                className="px-3 py-1.5 bg-white text-red-600 text-sm border border-red-200 rounded-md hover:bg-red-50 flex items-center gap-1 transition-colors"
+                            >
+                                <Trash2 className="w-4 h-4" />
+                                {t('calibration.remove')}
+                            </button>
+                        )}
+                    </div>
+
+                    {message && (
+                        <p className={`mt-3 text-sm ${message.type === 'error' ? 'text-red-600' : 'text-gray-600'}`}>
+                            {message.text}
+                        </p>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default FuelCalibrationPanel;
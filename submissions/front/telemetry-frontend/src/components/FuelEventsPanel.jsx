@@ -0,0 +1,87 @@
+import React from 'react';
+import OptionInput from './OptionInput';
+import { formatTimestampForDisplay, getTimeZoneName } from '../utils/time';
+import { formatNumber } from '../utils/i18n';
+import { useTimeZone } from '../context/TimeZoneContext';
+import { useT } from '../context/LocaleContext';
+import { useVehicleName } from '../context/DevicesContext';
+
+// Подписи типов - в словаре под fuelEvents.type.<type>
+const EVENT_CLASSES = {
+    refuel: 'bg-green-100 text-green-700',
+    drain: 'bg-red-100 text-red-700'
+};
+
+const FuelEventsPanel = ({ imei, events, options, onOptionsChange, source, sources, onSourceChange }) => {
+    const timeZone = useTimeZone();
+    const t = useT();
+    const vehicleName = useVehicleName();
+    const setOption = (key) => (value) => onOptionsChange({ ...options, [key]: value });
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                {t('fuelEvents.title', { count: events.length })}{imei && ` — ${vehicleName(imei)}`}
+            </h2>
+
+            <div className="flex flex-wrap items-end gap-4 mb-4">
+                <label className="flex flex-col text-xs font-medium text-gray-600">
+                    {t('fuelEvents.source')}
+                    <select
+                        value={source}
+                        onChange={(e) => onSourceChange(e.target.value)}
+                        className="mt-1 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        {sources.map(item => (
+                            <option key={item.key} value={item.key}>{item.name}</option>
+                        ))}
+                    </select>
+                </label>
+                <OptionInput label={t('fuelEvents.threshold')} value={options.thresholdLiters} onChange={setOption('thresholdLiters')} min={1} />
+                <OptionInput label={t('fuelEvents.window')} value={options.windowMinutes} onChange={setOption('windowMinutes')} min={1} />
+                <OptionInput label={t('fuelEvents.maxSpeed')} value={options.maxSpeed} onChange={setOption('maxSpeed')} />
+            </div>
+
+            {events.length > 0 ? (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left">
+                        <thead className="text-xs text-gray-600 uppercase bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2">{t('fuelEvents.type')}</th>
+                                <th className="px-3 py-2 text-right">{t('fuelEvents.liters')}</th>
+                                <th className="px-3 py-2">{t('table.start', { zone: getTimeZoneName(timeZone) })}</th>
+                                <th className="px-3 py-2">{t('table.end', { zone: getTimeZoneName(timeZone) })}</th>
+                                <th className="px-3 py-2">{t('table.place')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {events.map(event => (
+                                <tr key={event.id} className="border-t border-gray-100 text-gray-800">
+                                    <td className="px-3 py-2">
+                                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${EVENT_CLASSES[event.type]}`}>
+                                            {t(`fuelEvents.type.${event.type}`)}
+                                        </span>
+                                    </td>
+                                    <td className="px-3 py-2 text-right font-semibold">
+                                        {event.liters > 0 ? '+' : ''}{formatNumber(event.liters)}
+                                    </td>
+                                    <td className="px-3 py-2">{formatTimestampForDisplay(event.startTime, timeZone)}</td>
+                                    <td className="px-3 py-2">{formatTimestampForDisplay(event.endTime, timeZone)}</td>
+                                    <td className="px-3 py-2 text-gray-600">
+                                        {event.position
+                                            ? `${event.position[0].toFixed(5)}, ${event.position[1].toFixed(5)}`
+                                            : '—'}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            ) : (
+                <p className="text-gray-500 text-center py-8">{t('fuelEvents.empty')}</p>
+            )}
+        </div>
+    );
+};
+
+export default FuelEventsPanel;
@@ -0,0 +1,73 @@
+import React, { useEffect } from 'react';
+import { Polygon, Polyline, Circle, CircleMarker, Tooltip, useMap, useMapEvents } from 'react-leaflet';
+
+// Зоны на карте и рисование новой: draft = { type: 'polygon', points } или { type: 'circle', center, radius }.
+// Многоугольник - щелчок на каждую вершину; круг - щелчок в центр, затем на край.
+const GeofenceLayer = ({ geofences, draft, onDraftChange }) => {
+    const map = useMap();
+
+    useEffect(() => {
+        if (!draft) return undefined;
+        const container = map.getContainer();
+        container.style.cursor = 'crosshair';
+        return () => {
+            container.style.cursor = '';
+        };
+    }, [draft, map]);
+
+    useMapEvents({
+        click: (e) => {
+            if (!draft) return;
+            const point = [e.latlng.lat, e.latlng.lng];
+            if (draft.type === 'polygon') {
+                onDraftChange({ ...draft, points: [...draft.points, point] });
+            } else if (!draft.center) {
+                onDraftChange({ ...draft, center: point, radius: 0 });
+            } else {
+                onDraftChange({ ...draft, radius: Math.round(map.distance(draft.center, e.latlng)) });
+            }
+        }
+    });
+
+    return (
+        <>
+            {geofences.map(geofence => {
+                const pathOptions = { color: geofence.color, weight: 2, fillOpacity: 0.15 };
+                const tooltip = <Tooltip sticky>{geofence.name}</Tooltip>;
+                return geofence.type === 'circle' ? (
+                    <Circle key={geofence.id} center={geofence.center} radius={geofence.radius} pathOptions={pathOptions}>
+                        {tooltip}
+                    </Circle>
+                ) : (
+                    <Polygon key={geofence.id} positions={geofence.points} pathOptions={pathOptions}>
+                        {tooltip}
+                    </Polygon>
+                );
+            })}
+
+            {draft?.type === 'polygon' && (
+                <>
+                    {draft.points.length >= 3 ? (
+                        <Polygon positions={draft.points} pathOptions={{ color: draft.color, dashArray: '6 4', fillOpacity: 0.1 }} />
+                    ) : (
+                        <Polyline positions={draft.points} pathOptions={{ color: draft.color, dashArray: '6 4' }} />
+                    )}
+                    {draft.points.map((point, index) => (
+                        <CircleMarker key={index} center={point} radius={4} pathOptions={{ color: draft.color, fillOpacity: 1 }} />
+                    ))}
+                </>
+            )}
+
+            {draft?.type === 'circle' && draft.center && (
+                <>
+                    <CircleMarker center={draft.center} radius={4} pathOptions={{ color: draft.color, fillOpacity: 1 }} />
+                    {draft.radius > 0 && (
+                        <Circle center={draft.center} radius={draft.radius} pathOptions={{ color: draft.color, dashArray: '6 4', fillOpacity: 0.1 }} />
+                    )}
+                </>
+            )}
+        </>
+    );
+};
+
+export default GeofenceLayer;
@@ -0,0 +1,163 @@
+import React from 'react';
+import { Pentagon, Circle as CircleIcon, Save, X, Trash2 } from 'lucide-react';
+import { formatTimestampForDisplay, formatDuration, getTimeZoneName } from '../utils/time';
+import { formatNumber } from '../utils/i18n';
+import { useTimeZone } from '../context/TimeZoneContext';
+import { useVehicleName } from '../context/DevicesContext';
+import { useT } from '../context/LocaleContext';
+
+const isDraftComplete = (draft) => draft.type === 'polygon'
+    ? draft.points.length >= 3
+    : Boolean(draft.center) && draft.radius > 0;
+
+const draftHint = (draft, t) => {
+    if (draft.type === 'polygon') {
+        return draft.points.length < 3
+            ? t('geofences.hint.addVertices', { count: draft.points.length })
+            : t('geofences.hint.vertices', { count: draft.points.length });
+    }
+    if (!draft.center) return t('geofences.hint.center');
+    return draft.radius > 0
+        ? t('geofences.hint.radius', { radius: formatNumber(draft.radius) })
+        : t('geofences.hint.edge');
+};
+
+// Список геозон, рисование новой и визиты ТС в зоны за период
+const GeofencePanel = ({
+    geofences, draft, onStartDraft, onDraftChange, onSaveDraft, onCancelDraft, onRemove,
+    visits, showImei, selectedVisitId, onSelectVisit
+}) => {
+    const timeZone = useTimeZone();
+    const vehicleName = useVehicleName();
+    const t = useT();
+    const geofenceById = new Map(geofences.map(geofence => [geofence.id, geofence]));
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6 flex flex-col">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                {t('geofences.title', { count: geofences.length })}
+            </h2>
+
+            {draft ? (
+                <div className="border border-blue-200 bg-blue-50 rounded-lg p-3 mb-4 text-sm">
+                    <p className="text-blue-900 mb-2">{draftHint(draft, t)}</p>
+                    <input
+                        type="text"
+                        value={draft.name}
+                        onChange={(e) => onDraftChange({ ...draft, name: e.target.value })}
+                        placeholder={t('geofences.namePlaceholder')}
+                        className="w-full px-2 py-1 mb-2 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <div className="flex gap-2">
+                        <button
+                            onClick={onSaveDraft}
+                            disabled={!isDraftComplete(draft) || !draft.name.trim()}
+                            className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-1 transition-colors"
+                        >
+                            <Save className="w-4 h-4" />
+                            {t('common.save')}
+                        </button>
+                        <button
+                            onClick={onCancelDraft}
+                            className="px-3 py-1 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 flex items-center gap-1 transition-colors"
+                        >
+                            <X className="w-4 h-4" />
+                            {t('common.cancel')}
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <div className="flex gap-2 mb-4">
+                    <button
+                        onClick={() => onStartDraft('polygon')}
+                        className="px-3 py-1 text-sm bg-indigo-100 text-indigo-700 rounded-md hover:bg-indigo-200 flex items-center gap-1 transition-colors"
+                    >
+                        <Pentagon className="w-4 h-4" />
+                        {t('geofences.polygon')}
+                    </button>
+                    <button
+                        onClick={() => onStartDraft('circle')}
+                        className="px-3 py-1 text-sm bg-indigo-100 text-indigo-700 rounded-md hover:bg-indigo-200 flex items-center gap-1 transition-colors"
+                    >
+                        <CircleIcon className="w-4 h-4" />
+                        {t('geofences.circle')}
+                    </button>
+                </div>
+            )}
+
+            {geofences.length > 0 && (
+                <ul className="mb-4 space-y-1">
+                    {geofences.map(geofence => (
+                        <li key={geofence.id} className="flex items-center gap-2 text-sm text-gray-800">
+                            <span className="w-3 h-3 rounded-sm flex-shrink-0" style={{ backgroundColor: geofence.color }} />
+                            <span className="flex-1 truncate">{geofence.name}</span>
+                            <span className="text-xs text-gray-500">
+                                {geofence.type === 'circle'
+                                    ? t('geofences.circleRadius', { radius: formatNumber(geofence.radius) })
+                                    : t('geofences.polygonVertices', { count: geofence.points.length })}
+                            </span>
+                            <button
+                                onClick={() => onRemove(geofence.id)}
+                                className="p-1 bg-transparent text-gray-400 hover:text-red-600 transition-colors"
+                                title={t('geofences.remove')}
+                            >
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">{t('geofences.visits', { count: visits.length })}</h3>
+            {visits.length > 0 ? (
+                <div className="overflow-auto max-h-80">
+                    <table className="w-full text-xs text-left">
+                        <thead className="text-gray-600 uppercase bg-gray-50 sticky top-0">
+                            <tr>
+                                <th className="px-2 py-2">{t('geofences.zone')}</th>
+                                {showImei && <th className="px-2 py-2">{t('common.vehicle')}</th>}
+                                <th className="px-2 py-2">{t('geofences.enter', { zone: getTimeZoneName(timeZone) })}</th>
+                                <th className="px-2 py-2">{t('geofences.exit')}</th>
+                                <th className="px-2 py-2">{t('geofences.inside')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {visits.map(visit => {
+                                const geofence = geofenceById.get(visit.geofenceId);
+                                return (
+                                    <tr
+                                        key={visit.id}
+                                        onClick={() => onSelectVisit(visit.id === selectedVisitId ? null : visit)}
+                                        className={`border-t border-gray-100 cursor-pointer transition-colors ${
+                                            visit.id === selectedVisitId ? 'bg-blue-50 text-blue-900' : 'text-gray-800 hover:bg-gray-50'
+                                        }`}
+                                    >
+                                        <td className="px-2 py-1">
+                                            <span className="inline-block w-2 h-2 rounded-sm mr-1" style={{ backgroundColor: geofence?.color }} />
+                                            {geofence?.name}
+                                        </td>
+                                        {showImei && <td className="px-2 py-1">{vehicleName(visit.imei)}</td>}
+                                        <td className="px-2 py-1 whitespace-nowrap">
+                                            {visit.enteredBefore && <span title={t('geofences.enteredBefore')}>≤ </span>}
+                                            {formatTimestampForDisplay(visit.enterTime, timeZone)}
+                                        </td>
+                                        <td className="px-2 py-1 whitespace-nowrap">
+                                            {visit.exitTime !== null ? formatTimestampForDisplay(visit.exitTime, timeZone) : t('geofences.stillInside')}
+                                        </td>
+                                        <td className="px-2 py-1 whitespace-nowrap">{formatDuration(visit.duration)}</td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            ) : (
+                <p className="text-gray-500 text-sm text-center py-4">
+                    {geofences.length > 0 ? t('geofences.noVisits') : t('geofences.empty')}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default GeofencePanel;
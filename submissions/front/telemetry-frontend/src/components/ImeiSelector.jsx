@@ -0,0 +1,108 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { ChevronDown, Search } from 'lucide-react';
+import { groupImeis } from '../utils/devices';
+import { useDevices, useVehicleName } from '../context/DevicesContext';
+import { useT } from '../context/LocaleContext';
+
+const ImeiSelector = ({ imeis, selected, onChange }) => {
+    const [open, setOpen] = useState(false);
+    const [search, setSearch] = useState('');
+    const containerRef = useRef(null);
+    const { devices } = useDevices();
+    const vehicleName = useVehicleName();
+    const t = useT();
+
+    const groups = useMemo(() => groupImeis(imeis, devices, search), [imeis, devices, search]);
+
+    useEffect(() => {
+        if (!open) return undefined;
+        const handleClickOutside = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) {
+                setOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, [open]);
+
+    // Порядок выбора сохраняется: первый выбранный IMEI - основной
+    const toggleImei = (imei) => {
+        onChange(selected.includes(imei)
+            ? selected.filter(item => item !== imei)
+            : [...selected, imei]);
+    };
+
+    const summary = selected.length === 0
+        ? t('imeiSelector.none')
+        : selected.length === 1
+            ? vehicleName(selected[0])
+            : `${vehicleName(selected[0])} (+${selected.length - 1})`;
+
+    return (
+        <div ref={containerRef} className="relative">
+            <button
+                type="button"
+                onClick={() => setOpen(!open)}
+                className="w-full px-3 py-2 bg-white text-left text-gray-800 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 flex items-center justify-between"
+            >
+                <span className="truncate">{summary}</span>
+                <ChevronDown className="w-4 h-4 text-gray-500 flex-shrink-0" />
+            </button>
+
+            {open && (
+                <div className="absolute z-[1100] mt-1 w-full min-w-72 bg-white border border-gray-300 rounded-md shadow-lg">
+                    <div className="p-2 border-b border-gray-100 flex items-center gap-2">
+                        <Search className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                        <input
+                            type="text"
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            placeholder={t('imeiSelector.search')}
+                            autoFocus
+                            className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                    </div>
+                    <div className="max-h-72 overflow-y-auto">
+                        {imeis.length === 0 && (
+                            <p className="px-3 py-2 text-sm text-gray-500">{t('imeiSelector.empty')}</p>
+                        )}
+                        {imeis.length > 0 && groups.length === 0 && (
+                            <p className="px-3 py-2 text-sm text-gray-500">{t('imeiSelector.notFound')}</p>
+                        )}
+                        {groups.map(group => (
+                            <div key={group.registered ? `group:${group.label}` : 'unregistered'}>
+                                <p className={`px-3 pt-2 pb-1 text-xs font-semibold uppercase ${group.registered ? 'text-gray-500' : 'text-amber-600'}`}>
+                                    {group.registered ? group.label || t('devices.ungrouped') : `⚠️ ${t('devices.unregistered')}`} ({group.imeis.length})
+                                </p>
+                                {group.imeis.map(imei => (
+                                    <label
+                                        key={imei}
+                                        className="flex items-center gap-2 px-3 py-2 text-sm text-gray-800 hover:bg-gray-50 cursor-pointer"
+                                        title={group.registered ? imei : t('imeiSelector.unregisteredHint')}
+                                    >
+                                        <input
+                                            type="checkbox"
+                                            checked={selected.includes(imei)}
+                                            onChange={() => toggleImei(imei)}
+                                            className="accent-blue-600"
+                                        />
+                                        <span className="min-w-0">
+                                            <span className="block truncate">{vehicleName(imei)}</span>
+                                            {devices[imei] && (
+                                                <span className="block truncate text-xs text-gray-500">
+                                                    {[devices[imei].name && imei, devices[imei].driver].filter(Boolean).join(' · ')}
+                                                </span>
+                                            )}
+                                        </span>
+                                    </label>
+                                ))}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ImeiSelector;
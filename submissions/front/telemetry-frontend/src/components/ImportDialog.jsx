@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { Upload, X, AlertCircle } from 'lucide-react';
+import { IMPORT_TARGETS, guessColumnMapping, validateColumnMapping, buildImportedTelemetry } from '../utils/fileImport';
+import { getTimeZoneLabel } from '../utils/time';
+import { formatNumber } from '../utils/i18n';
+import { useTimeZone } from '../context/TimeZoneContext';
+import { useT } from '../context/LocaleContext';
+
+const SAMPLE_ROWS = 3;
+
+// Сопоставление столбцов файла с рядами дашборда перед импортом.
+// table: { headers, rows } из parseImportFile; onImport получает { vehicles, skipped } из buildImportedTelemetry
+const ImportDialog = ({ fileName, table, onImport, onCancel }) => {
+    const timeZone = useTimeZone();
+    const t = useT();
+    const [mapping, setMapping] = useState(() => guessColumnMapping(table.headers));
+    const [imei, setImei] = useState(() => fileName.replace(/\.[^.]+$/, ''));
+    const [error, setError] = useState(null);
+
+    const errors = validateColumnMapping(mapping);
+    const messages = error ? [...errors, error] : errors;
+    const hasImeiColumn = mapping.includes('imei');
+
+    const changeTarget = (index, target) => {
+        setMapping(mapping.map((item, itemIndex) => itemIndex === index ? target : item));
+        setError(null);
+    };
+
+    const importFile = () => {
+        try {
+            onImport(buildImportedTelemetry(table, mapping, {
+                timeZone,
+                defaultImei: imei.trim() || fileName,
+                fileName
+            }));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-[2000] bg-black/40 flex items-center justify-center p-6">
+            <div className="bg-white rounded-lg shadow-lg p-6 w-full max-w-3xl max-h-full overflow-auto text-gray-800">
+                <h2 className="text-xl font-semibold mb-1 flex items-center gap-2">
+                    {t('import.title', { fileName })}
+                </h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    {t('import.hint', { rows: formatNumber(table.rows.length), zone: getTimeZoneLabel(timeZone) })}
+                </p>
+
+                <div className="overflow-x-auto mb-4">
+                    <table className="w-full text-sm text-left">
+                        <thead className="text-xs text-gray-600 uppercase bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2">{t('import.column')}</th>
+                                <th className="px-3 py-2">{t('import.samples')}</th>
+                                <th className="px-3 py-2">{t('import.target')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {table.headers.map((header, index) => (
+                                <tr key={index} className="border-t border-gray-100">
+                                    <td className="px-3 py-2 font-medium whitespace-nowrap">{header || `#${index + 1}`}</td>
+                                    <td className="px-3 py-2 text-gray-500 max-w-xs truncate">
+                                        {table.rows.slice(0, SAMPLE_ROWS).map(row => row[index] ?? '').join(' · ')}
+                                    </td>
+                                    <td className="px-3 py-2">
+                                        <select
+                                            value={mapping[index]}
+                                            onChange={(e) => changeTarget(index, e.target.value)}
+                                            className="px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        >
+                                            {IMPORT_TARGETS.map(target => (
+                                                <option key={target} value={target}>{t(`import.target.${target}`)}</option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                <label className="flex flex-col text-xs font-medium text-gray-600 mb-4">
+                    {t('import.imei')}
+                    <input
+                        type="text"
+                        value={hasImeiColumn ? '' : imei}
+                        onChange={(e) => setImei(e.target.value)}
+                        disabled={hasImeiColumn}
+                        placeholder={hasImeiColumn ? t('import.imeiFromColumn') : ''}
+                        className="mt-1 w-64 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800 disabled:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                </label>
+
+                {messages.length > 0 && (
+                    <div className="bg-red-50 border border-red-200 rounded-md p-3 mb-4 flex items-start gap-2">
+                        <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+                        <ul className="text-sm text-red-700">
+                            {messages.map(message => <li key={message}>{message}</li>)}
+                        </ul>
+                    </div>
+                )}
+
+                <div className="flex gap-2">
+                    <button
+                        onClick={importFile}
+                        disabled={errors.length > 0}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2 transition-colors"
+                    >
+                        <Upload className="w-4 h-4" />
+                        {t('import.submit')}
+                    </button>
+                    <button
+                        onClick={onCancel}
+                        className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 flex items-center gap-2 transition-colors"
+                    >
+                        <X className="w-4 h-4" />
+                        {t('common.cancel')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ImportDialog;
@@ -0,0 +1,121 @@
+import React from 'react';
+import { LayoutGrid, Save, Trash2, RotateCcw, Check, Plus } from 'lucide-react';
+import { BUILTIN_PRESETS, DEFAULT_PRESET_ID, PANEL_TYPES, getPresetItems, updateItem } from '../utils/layout';
+import { compareText } from '../utils/i18n';
+import { useT } from '../context/LocaleContext';
+
+// Выбор и сохранение раскладок дашборда; в режиме настройки - ещё и скрытые панели, которые можно вернуть.
+// layouts: { presetId, items, modified, presets } из utils/layout
+const LayoutToolbar = ({ layouts, onChange, editing, onEditingChange }) => {
+    const t = useT();
+    const userPreset = layouts.presetId.startsWith('user:') ? layouts.presetId.slice('user:'.length) : null;
+    const hiddenItems = layouts.items.filter(item => item.hidden);
+
+    const selectPreset = (presetId) => {
+        onChange({ ...layouts, presetId, items: getPresetItems(presetId, layouts.presets), modified: false });
+    };
+
+    const savePreset = () => {
+        const name = window.prompt(t('layout.savePrompt'), userPreset ?? '')?.trim();
+        if (!name) return;
+        if (name !== userPreset && layouts.presets[name] && !window.confirm(t('layout.overwriteConfirm', { name }))) return;
+        onChange({
+            ...layouts,
+            presetId: `user:${name}`,
+            modified: false,
+            presets: { ...layouts.presets, [name]: layouts.items }
+        });
+    };
+
+    // Удаление не меняет панели на экране: они остаются несохранёнными изменениями стандартной раскладки
+    const deletePreset = () => {
+        if (!window.confirm(t('layout.deleteConfirm', { name: userPreset }))) return;
+        const { [userPreset]: _removed, ...presets } = layouts.presets;
+        onChange({ ...layouts, presetId: DEFAULT_PRESET_ID, modified: true, presets });
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 mb-6 text-sm">
+            <LayoutGrid className="w-4 h-4 text-gray-500" />
+            <select
+                value={layouts.presetId}
+                onChange={(e) => selectPreset(e.target.value)}
+                className="px-2 py-1 bg-white border border-gray-300 rounded-md text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                title={t('layout.preset')}
+            >
+                <optgroup label={t('layout.builtinPresets')}>
+                    {Object.keys(BUILTIN_PRESETS).map(id => (
+                        <option key={id} value={`builtin:${id}`}>{t(`layout.preset.${id}`)}</option>
+                    ))}
+                </optgroup>
+                {Object.keys(layouts.presets).length > 0 && (
+                    <optgroup label={t('layout.userPresets')}>
+                        {Object.keys(layouts.presets).sort(compareText).map(name => (
+                            <option key={name} value={`user:${name}`}>{name}</option>
+                        ))}
+                    </optgroup>
+                )}
+            </select>
+            {layouts.modified && (
+                <>
+                    <span className="text-xs text-amber-600">{t('layout.modified')}</span>
+                    <button
+                        type="button"
+                        onClick={() => selectPreset(layouts.presetId)}
+                        className="p-1 bg-transparent text-gray-500 hover:text-gray-900 transition-colors"
+                        title={t('layout.revert')}
+                    >
+                        <RotateCcw className="w-4 h-4" />
+                    </button>
+                </>
+            )}
+            <button
+                type="button"
+                onClick={savePreset}
+                className="px-3 py-1 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 flex items-center gap-1 transition-colors"
+            >
+                <Save className="w-4 h-4" />
+                {t('layout.save')}
+            </button>
+            {userPreset && (
+                <button
+                    type="button"
+                    onClick={deletePreset}
+                    className="p-1 bg-transparent text-gray-400 hover:text-red-600 transition-colors"
+                    title={t('layout.deletePreset')}
+                >
+                    <Trash2 className="w-4 h-4" />
+                </button>
+            )}
+            <button
+                type="button"
+                onClick={() => onEditingChange(!editing)}
+                className={`px-3 py-1 rounded-md flex items-center gap-1 transition-colors ${
+                    editing ? 'bg-blue-600 text-white hover:bg-blue-700' : 'bg-indigo-100 text-indigo-700 hover:bg-indigo-200'
+                }`}
+            >
+                {editing ? <Check className="w-4 h-4" /> : <LayoutGrid className="w-4 h-4" />}
+                {editing ? t('layout.done') : t('layout.customize')}
+            </button>
+
+            {editing && hiddenItems.length > 0 && (
+                <div className="basis-full flex flex-wrap items-center gap-2 mt-1">
+                    <span className="text-xs text-gray-600">{t('layout.hidden')}</span>
+                    {hiddenItems.map(item => (
+                        <button
+                            key={item.id}
+                            type="button"
+                            onClick={() => onChange({ ...layouts, items: updateItem(layouts.items, item.id, { hidden: false }), modified: true })}
+                            className="px-2 py-0.5 text-xs bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 flex items-center gap-1 transition-colors"
+                        >
+                            <Plus className="w-3 h-3" />
+                            {PANEL_TYPES[item.panel].icon} {t(`layout.panel.${item.panel}`)}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LayoutToolbar;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { formatTimestampForDisplay, formatTimeAgo } from '../utils/time';
+import { pointTime } from '../utils/track';
+import { useTimeZone } from '../context/TimeZoneContext';
+import { useVehicleName } from '../context/DevicesContext';
+import { useT } from '../context/LocaleContext';
+
+// Без связи дольше этого времени ТС подсвечивается как «молчащее»
+const LIVE_STALE_SECONDS = 10 * 60;
+
+const LiveStatus = ({ vehicles, now, lastPollTime, error }) => {
+    const timeZone = useTimeZone();
+    const vehicleName = useVehicleName();
+    const t = useT();
+
+    return (
+        <div className="bg-red-50 border border-red-200 rounded-lg px-4 py-2 mb-6 flex flex-wrap items-center gap-x-6 gap-y-2 text-sm text-gray-800">
+            <span className="flex items-center gap-2 font-semibold text-red-700">
+                <span className="w-2 h-2 rounded-full bg-red-600 animate-pulse" />
+                Live
+            </span>
+            <span className="text-gray-600">
+                {lastPollTime !== null
+                    ? <>{t('live.updated')} <span className="font-semibold">{formatTimestampForDisplay(lastPollTime, timeZone)}</span></>
+                    : t('live.updating')}
+            </span>
+            {error && (
+                <span className="font-semibold text-red-700">{t('live.error', { message: error })}</span>
+            )}
+            {vehicles.map(vehicle => {
+                const track = vehicle.data.track;
+                const lastSeen = track.length > 0 ? pointTime(track[track.length - 1]) : null;
+                const stale = lastSeen === null || now - lastSeen > LIVE_STALE_SECONDS;
+                return (
+                    <span key={vehicle.imei} className="flex items-center gap-2">
+                        <span className="w-3 h-3 rounded-full" style={{ backgroundColor: vehicle.color }} />
+                        {vehicleName(vehicle.imei)}:
+                        <span
+                            className={`font-semibold ${stale ? 'text-amber-600' : 'text-green-700'}`}
+                            title={lastSeen !== null ? formatTimestampForDisplay(lastSeen, timeZone) : undefined}
+                        >
+                            {lastSeen !== null ? t('live.lastPoint', { ago: formatTimeAgo(Math.max(0, now - lastSeen)) }) : t('live.noCoordinates')}
+                        </span>
+                    </span>
+                );
+            })}
+        </div>
+    );
+};
+
+export default LiveStatus;
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { LogIn, RefreshCw, AlertCircle } from 'lucide-react';
+import { login } from '../utils/api';
+import { useT } from '../context/LocaleContext';
+
+const inputClass = 'mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Вход в дашборд; onLogin получает сессию { token, expiresAt, user }. preferences - выбор языка и темы
+const LoginPage = ({ onLogin, preferences }) => {
+    const t = useT();
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const submit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        try {
+            onLogin(await login(username.trim(), password));
+        } catch (err) {
+            setError(err.message);
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-6 flex items-center justify-center">
+            <form onSubmit={submit} className="bg-white rounded-lg shadow-lg p-6 w-full max-w-sm">
+                <div className="flex items-start justify-between gap-2 mb-6">
+                    <h1 className="text-2xl font-bold text-gray-800">{t('login.title')}</h1>
+                    {preferences}
+                </div>
+                <label className="block text-sm font-medium text-gray-700 mb-4">
+                    {t('login.username')}
+                    <input
+                        type="text"
+                        value={username}
+                        onChange={(e) => setUsername(e.target.value)}
+                        autoComplete="username"
+                        autoFocus
+                        required
+                        className={inputClass}
+                    />
+                </label>
+                <label className="block text-sm font-medium text-gray-700 mb-4">
+                    {t('login.password')}
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        autoComplete="current-password"
+                        required
+                        className={inputClass}
+                    />
+                </label>
+                {error && (
+                    <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-3 flex items-start gap-2">
+                        <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0" />
+                        <p className="text-sm text-red-700">{error}</p>
+                    </div>
+                )}
+                <button
+                    type="submit"
+                    disabled={loading || !username.trim() || !password}
+                    className="w-full px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center justify-center gap-2 transition-colors"
+                >
+                    {loading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <LogIn className="w-4 h-4" />}
+                    {t('login.submit')}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default LoginPage;
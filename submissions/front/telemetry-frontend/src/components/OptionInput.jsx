@@ -0,0 +1,33 @@
+import React, { useState } from 'react';
+
+// Числовое поле настройки с подписью для панелей анализа.
+// Пустое, нечисловое или меньшее min значение в настройки не уходит: пока поле в фокусе, виден набранный
+// текст, после ухода с поля - последнее корректное значение
+const OptionInput = ({ label, value, onChange, min = 0, step = 1 }) => {
+    const [text, setText] = useState(null);
+
+    const handleChange = (e) => {
+        setText(e.target.value);
+        const number = Number(e.target.value);
+        if (e.target.value.trim() !== '' && Number.isFinite(number) && number >= min) {
+            onChange(number);
+        }
+    };
+
+    return (
+        <label className="flex flex-col text-xs font-medium text-gray-600">
+            {label}
+            <input
+                type="number"
+                min={min}
+                step={step}
+                value={text ?? value}
+                onChange={handleChange}
+                onBlur={() => setText(null)}
+                className="mt-1 w-28 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+        </label>
+    );
+};
+
+export default OptionInput;
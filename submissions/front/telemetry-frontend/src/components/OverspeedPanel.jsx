@@ -0,0 +1,69 @@
+import React from 'react';
+import OptionInput from './OptionInput';
+import { formatTimestampForDisplay, formatDuration, getTimeZoneName } from '../utils/time';
+import { useTimeZone } from '../context/TimeZoneContext';
+import { useT } from '../context/LocaleContext';
+import { useVehicleName } from '../context/DevicesContext';
+
+const OverspeedPanel = ({ imei, episodes, speedLimit, onSpeedLimitChange, selectedId, onSelect }) => {
+    const timeZone = useTimeZone();
+    const t = useT();
+    const vehicleName = useVehicleName();
+    const totalSeconds = episodes.reduce((sum, episode) => sum + episode.duration, 0);
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                {t('overspeed.title', { count: episodes.length })}{imei && ` — ${vehicleName(imei)}`}
+            </h2>
+
+            <div className="flex flex-wrap items-end gap-4 mb-4">
+                <OptionInput label={t('overspeed.limit')} value={speedLimit} onChange={onSpeedLimitChange} min={1} />
+                {episodes.length > 0 && (
+                    <p className="text-sm text-gray-600 pb-1">
+                        {t('overspeed.total')} <span className="font-semibold text-gray-800">{formatDuration(totalSeconds)}</span>
+                    </p>
+                )}
+            </div>
+
+            {episodes.length > 0 ? (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left">
+                        <thead className="text-xs text-gray-600 uppercase bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2">{t('table.start', { zone: getTimeZoneName(timeZone) })}</th>
+                                <th className="px-3 py-2">{t('table.duration')}</th>
+                                <th className="px-3 py-2 text-right">{t('overspeed.peak')}</th>
+                                <th className="px-3 py-2">{t('table.place')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {episodes.map(episode => (
+                                <tr
+                                    key={episode.id}
+                                    onClick={() => onSelect(episode.id === selectedId ? null : episode)}
+                                    className={`border-t border-gray-100 cursor-pointer transition-colors ${
+                                        episode.id === selectedId ? 'bg-red-50 text-red-900' : 'text-gray-800 hover:bg-gray-50'
+                                    }`}
+                                >
+                                    <td className="px-3 py-2">{formatTimestampForDisplay(episode.startTime, timeZone)}</td>
+                                    <td className="px-3 py-2">{episode.duration > 0 ? formatDuration(episode.duration) : t('overspeed.singlePoint')}</td>
+                                    <td className="px-3 py-2 text-right font-semibold text-red-600">{episode.peakSpeed}</td>
+                                    <td className="px-3 py-2 text-gray-600">
+                                        {episode.position
+                                            ? `${episode.position[0].toFixed(5)}, ${episode.position[1].toFixed(5)}`
+                                            : '—'}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            ) : (
+                <p className="text-gray-500 text-center py-8">{t('overspeed.empty')}</p>
+            )}
+        </div>
+    );
+};
+
+export default OverspeedPanel;
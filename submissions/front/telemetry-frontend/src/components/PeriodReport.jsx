@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid } from 'recharts';
+import { Printer, X, RefreshCw } from 'lucide-react';
+import { formatTimestampForDisplay, formatTimestampShort, formatDuration, getTimeZoneLabel } from '../utils/time';
+import { downsampleChartLines, simplifyMapTracks } from '../utils/downsample';
+import { detectFuelEvents, FUEL_EVENT_COLORS } from '../utils/fuelEvents';
+import { summarizeFuel } from '../utils/report';
+import { renderStaticMap } from '../utils/staticMap';
+import { formatNumber } from '../utils/i18n';
+import { useTimeZone } from '../context/TimeZoneContext';
+import { useVehicleName } from '../context/DevicesContext';
+import { useT } from '../context/LocaleContext';
+
+// Ширина содержимого A4 с полями: графики и карта рисуются в ней, без подгонки под окно
+const REPORT_WIDTH = 680;
+const REPORT_CHART_POINTS = 400;
+// Приближение, под которое упрощается трек для картинки: подробнее на листе не разглядеть
+const REPORT_TRACK_ZOOM = 15;
+
+// Заголовки - в словаре под report.chart.<key>, unit - ключ единицы (у топлива зависит от тарировки)
+const REPORT_CHARTS = [
+    { key: 'speed', unit: 'units.kmh', color: '#3b82f6' },
+    { key: 'fuel_total', color: '#10b981' },
+    { key: 'main_power_voltage', unit: 'units.volts', color: '#f59e0b' }
+];
+
+// Неинтерактивный график для печати: без анимации, подсказок и выделения
+const ReportChart = ({ points, color, unit }) => {
+    const timeZone = useTimeZone();
+    const [line] = useMemo(
+        () => downsampleChartLines([{ key: 'value', data: points }], null, REPORT_CHART_POINTS),
+        [points]
+    );
+    return (
+        <LineChart width={REPORT_WIDTH} height={220} data={line.data} margin={{ top: 5, right: 10, bottom: 5, left: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis
+                dataKey="timestamp"
+                type="number"
+                domain={['dataMin', 'dataMax']}
+                tickFormatter={(timestamp) => formatTimestampShort(timestamp, timeZone)}
+                fontSize={9}
+                stroke="#6b7280"
+            />
+            <YAxis label={{ value: unit, angle: -90, position: 'insideLeft', fontSize: 10 }} fontSize={9} stroke="#6b7280" />
+            <Line dataKey="value" stroke={color} dot={false} strokeWidth={1.5} isAnimationActive={false} />
+        </LineChart>
+    );
+};
+
+const SummaryRow = ({ label, children }) => (
+    <tr className="border-t border-gray-200">
+        <td className="py-1 pr-4 text-gray-600">{label}</td>
+        <td className="py-1 font-semibold text-gray-900">{children}</td>
+    </tr>
+);
+
+// Отчёт за загруженный период по одному ТС: открывается поверх дашборда, печатается только он сам
+// (см. .period-report в index.css). PDF - через «Сохранить как PDF» в диалоге печати браузера.
+const PeriodReport = ({ vehicle, tripSummary, fuelEventOptions, fuelInLiters, gapSeconds, onClose }) => {
+    const timeZone = useTimeZone();
+    const vehicleName = useVehicleName();
+    const t = useT();
+    const { data } = vehicle;
+    const [mapImage, setMapImage] = useState(null);
+    const [mapLoading, setMapLoading] = useState(true);
+    const [generatedAt] = useState(() => Math.floor(Date.now() / 1000));
+
+    const fuelEvents = useMemo(
+        () => detectFuelEvents(data.series.fuel_total, data.series.speed, data.track, fuelEventOptions),
+        [data, fuelEventOptions]
+    );
+    const fuel = useMemo(() => summarizeFuel(data.series.fuel_total, fuelEvents), [data, fuelEvents]);
+    const fuelUnit = t(fuelInLiters ? 'units.liters' : 'units.sensorUnits');
+
+    useEffect(() => {
+        let cancelled = false;
+        const [{ positions }] = simplifyMapTracks([{ imei: vehicle.imei, track: data.track, speed: null, gapSeconds }], REPORT_TRACK_ZOOM);
+        renderStaticMap(positions, { width: REPORT_WIDTH, height: 420 })
+            .catch(err => {
+                console.error('Ошибка построения карты отчёта:', err);
+                return null;
+            })
+            .then(image => {
+                if (cancelled) return;
+                setMapImage(image);
+                setMapLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [vehicle.imei, data.track, gapSeconds]);
+
+    const metadata = data.metadata || {};
+    const sensors = metadata.availableFuelSensors || [];
+
+    return createPortal(
+        <div className="period-report fixed inset-0 z-[2000] overflow-auto bg-gray-100 text-gray-900">
+            <div className="sticky top-0 z-10 bg-white border-b border-gray-200 px-6 py-3 flex items-center justify-between print:hidden">
+                <span className="text-sm text-gray-600">
+                    {mapLoading ? t('report.preparingMap') : t('report.ready')}
+                </span>
+                <div className="flex gap-2">
+                    <button
+                        onClick={() => window.print()}
+                        disabled={mapLoading}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2 transition-colors"
+                    >
+                        {mapLoading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Printer className="w-4 h-4" />}
+                        {t('report.print')}
+                    </button>
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 flex items-center gap-2 transition-colors"
+                    >
+                        <X className="w-4 h-4" />
+                        {t('report.close')}
+                    </button>
+                </div>
+            </div>
+
+            <div className="period-report-page mx-auto my-6 bg-white shadow-lg p-8" style={{ width: REPORT_WIDTH + 64 }}>
+                <h1 className="text-2xl font-bold mb-1">
+                    {t('report.title', { vehicle: vehicleName(vehicle.imei) })}
+                    {vehicleName(vehicle.imei) !== vehicle.imei && <span className="text-base font-normal text-gray-600"> (IMEI {vehicle.imei})</span>}
+                </h1>
+                <p className="text-sm text-gray-600 mb-6">
+                    {formatTimestampForDisplay(metadata.startTimestamp, timeZone)} — {formatTimestampForDisplay(metadata.endTimestamp, timeZone)}
+                    {' '}· {t('report.meta', { zone: getTimeZoneLabel(timeZone), generatedAt: formatTimestampForDisplay(generatedAt, timeZone) })}
+                </p>
+
+                <h2 className="text-lg font-semibold mb-2">{t('report.summary')}</h2>
+                <table className="w-full text-sm mb-6">
+                    <tbody>
+                        <SummaryRow label={t('report.period')}>{t('report.days', { count: metadata.rangeDays })}</SummaryRow>
+                        <SummaryRow label={t('report.records')}>
+                            {t('report.recordsValue', { count: formatNumber(metadata.totalRecords ?? 0), window: metadata.aggregationWindow })}
+                        </SummaryRow>
+                        <SummaryRow label={t('report.fuelSensors')}>
+                            {sensors.length} {t('units.pieces')}{sensors.length > 0 && ` (${sensors.map(s => s.replace('fls485_level_', '#')).join(', ')})`}
+                        </SummaryRow>
+                        <SummaryRow label={t('report.mileage')}>
+                            {t('report.mileageValue', { distance: formatNumber(tripSummary.distanceKm), trips: tripSummary.trips })}
+                        </SummaryRow>
+                        <SummaryRow label={t('report.driving')}>{formatDuration(tripSummary.drivingSeconds)}</SummaryRow>
+                        <SummaryRow label={t('report.stopped')}>
+                            {t('report.stoppedValue', { duration: formatDuration(tripSummary.stopSeconds), stops: tripSummary.stops })}
+                        </SummaryRow>
+                        {fuel && (
+                            <>
+                                <SummaryRow label={t('report.fuelStartEnd')}>
+                                    {formatNumber(fuel.start)} / {formatNumber(fuel.end)} {fuelUnit}
+                                </SummaryRow>
+                                <SummaryRow label={t('report.consumed')}>{formatNumber(fuel.consumed)} {fuelUnit}</SummaryRow>
+                                <SummaryRow label={t('report.refueled')}>
+                                    {t('report.refueledValue', { amount: formatNumber(fuel.refueled), unit: fuelUnit, count: fuel.refuels })}
+                                </SummaryRow>
+                                {fuel.drains > 0 && (
+                                    <SummaryRow label={t('report.drains')}>
+                                        {t('report.drainsValue', { amount: formatNumber(fuel.drained), unit: fuelUnit, count: fuel.drains })}
+                                    </SummaryRow>
+                                )}
+                            </>
+                        )}
+                    </tbody>
+                </table>
+
+                {REPORT_CHARTS.map(chart => (
+                    <div key={chart.key} className="period-report-block mb-6">
+                        <h2 className="text-lg font-semibold mb-2">{t(`report.chart.${chart.key}`)}</h2>
+                        {data.series[chart.key]?.length > 0 ? (
+                            <ReportChart
+                                points={data.series[chart.key]}
+                                color={chart.color}
+                                unit={t(chart.unit ?? (fuelInLiters ? 'units.liters' : 'units.level'))}
+                            />
+                        ) : (
+                            <p className="text-sm text-gray-500">{t('common.noData')}</p>
+                        )}
+                    </div>
+                ))}
+
+                <div className="period-report-block mb-6">
+                    <h2 className="text-lg font-semibold mb-2">{t('report.track')}</h2>
+                    {mapImage ? (
+                        <img src={mapImage} alt={t('report.trackAlt', { vehicle: vehicleName(vehicle.imei) })} width={REPORT_WIDTH} className="border border-gray-300" />
+                    ) : (
+                        <p className="text-sm text-gray-500">
+                            {mapLoading ? t('report.mapLoading') : data.track.length > 0 ? t('report.mapError') : t('report.noGps')}
+                        </p>
+                    )}
+                </div>
+
+                {fuelEvents.length > 0 && (
+                    <div className="period-report-block">
+                        <h2 className="text-lg font-semibold mb-2">{t('report.fuelEvents')}</h2>
+                        <table className="w-full text-sm text-left">
+                            <thead className="text-xs text-gray-600 uppercase border-b border-gray-300">
+                                <tr>
+                                    <th className="py-1">{t('report.event')}</th>
+                                    <th className="py-1">{t('report.start')}</th>
+                                    <th className="py-1">{t('report.end')}</th>
+                                    <th className="py-1 text-right">{t('report.volume', { unit: fuelUnit })}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {fuelEvents.map(event => (
+                                    <tr key={event.id} className="border-t border-gray-200">
+                                        <td className="py-1" style={{ color: FUEL_EVENT_COLORS[event.type] }}>
+                                            {t(`fuelEvents.type.${event.type}`)}
+                                        </td>
+                                        <td className="py-1">{formatTimestampForDisplay(event.startTime, timeZone)}</td>
+                                        <td className="py-1">{formatTimestampForDisplay(event.endTime, timeZone)}</td>
+                                        <td className="py-1 text-right font-semibold">{event.liters > 0 ? '+' : ''}{formatNumber(event.liters)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>,
+        document.body
+    );
+};
+
+export default PeriodReport;
@@ -0,0 +1,68 @@
+import React from 'react';
+import { Play, Pause, X } from 'lucide-react';
+import { PLAYBACK_SPEEDS } from '../hooks/usePlayback';
+import { formatTimestampForDisplay } from '../utils/time';
+import { formatNumber } from '../utils/i18n';
+import { useTimeZone } from '../context/TimeZoneContext';
+import { useT } from '../context/LocaleContext';
+
+const PlaybackControls = ({ playback, currentSpeed }) => {
+    const timeZone = useTimeZone();
+    const t = useT();
+    const { isPlaying, play, pause, speed, setSpeed, currentTime, seek, startTime, endTime, toggleEnabled } = playback;
+
+    if (startTime === null) return null;
+
+    return (
+        <div className="sticky top-0 z-[1000] bg-white rounded-lg shadow-lg p-4 mb-6 flex flex-wrap items-center gap-4">
+            <button
+                onClick={isPlaying ? pause : play}
+                className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center gap-2 transition-colors"
+                title={isPlaying ? t('playback.pause') : t('playback.play')}
+            >
+                {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+            </button>
+
+            <select
+                value={speed}
+                onChange={(e) => setSpeed(Number(e.target.value))}
+                className="px-2 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                title={t('playback.speed')}
+            >
+                {PLAYBACK_SPEEDS.map(value => (
+                    <option key={value} value={value}>×{value}</option>
+                ))}
+            </select>
+
+            <input
+                type="range"
+                min={startTime}
+                max={endTime}
+                step={1}
+                value={currentTime ?? startTime}
+                onChange={(e) => seek(Number(e.target.value))}
+                className="flex-1 min-w-[200px] accent-blue-600"
+            />
+
+            <div className="text-sm text-gray-700 whitespace-nowrap">
+                🕒 <span className="font-semibold">{formatTimestampForDisplay(currentTime ?? startTime, timeZone)}</span>
+                {currentSpeed !== null && (
+                    <>
+                        {' | '}
+                        🏎️ <span className="font-semibold">{formatNumber(currentSpeed, { maximumFractionDigits: 1 })} {t('units.kmh')}</span>
+                    </>
+                )}
+            </div>
+
+            <button
+                onClick={toggleEnabled}
+                className="p-2 text-gray-500 hover:text-gray-800 transition-colors"
+                title={t('playback.exit')}
+            >
+                <X className="w-4 h-4" />
+            </button>
+        </div>
+    );
+};
+
+export default PlaybackControls;
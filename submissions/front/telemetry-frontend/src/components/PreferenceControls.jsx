@@ -0,0 +1,34 @@
+import React from 'react';
+import { Moon, Sun } from 'lucide-react';
+import { LOCALES } from '../utils/i18n';
+import { useLocale } from '../context/LocaleContext';
+
+// Язык и тема интерфейса: общие для всех пользователей этого браузера
+const PreferenceControls = ({ theme, onThemeChange }) => {
+    const { locale, changeLocale, t } = useLocale();
+    const dark = theme === 'dark';
+    return (
+        <div className="flex items-center gap-2">
+            <select
+                value={locale}
+                onChange={(e) => changeLocale(e.target.value)}
+                className="px-2 py-1 bg-white border border-gray-300 rounded-md text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                title={t('preferences.language')}
+            >
+                {Object.entries(LOCALES).map(([id, { label }]) => (
+                    <option key={id} value={id}>{label}</option>
+                ))}
+            </select>
+            <button
+                type="button"
+                onClick={() => onThemeChange(dark ? 'light' : 'dark')}
+                className="p-1.5 bg-transparent text-gray-600 hover:text-gray-900"
+                title={dark ? t('preferences.lightTheme') : t('preferences.darkTheme')}
+            >
+                {dark ? <Sun className="w-4 h-4" /> : <Moon className="w-4 h-4" />}
+            </button>
+        </div>
+    );
+};
+
+export default PreferenceControls;
@@ -0,0 +1,139 @@
+import React, { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, ReferenceArea } from 'recharts';
+import { formatTimestampForDisplay } from '../utils/time';
+import { formatNumber } from '../utils/i18n';
+import { useTimeZone } from '../context/TimeZoneContext';
+import useRenderTask from '../hooks/useRenderTask';
+
+// Все графики дашборда делят перекрестие подсказки: оно ставится на ту же метку времени
+const CHART_SYNC_ID = 'telemetry';
+
+// Более узкое выделение считается случайным щелчком
+const MIN_SELECTION_SECONDS = 60;
+
+// Кастомный Tooltip с полной информацией
+const CustomTooltip = ({ active, payload, label }) => {
+    const timeZone = useTimeZone();
+    if (active && payload && payload.length) {
+        return (
+            <div className="bg-white border-2 border-gray-300 rounded-lg shadow-lg p-3">
+                <p className="font-semibold text-gray-800 mb-2">{formatTimestampForDisplay(label, timeZone)}</p>
+                {payload.map((entry, index) => (
+                    <p key={index} style={{ color: entry.color }} className="text-sm font-medium">
+                        {entry.name}: <span className="font-bold">{typeof entry.value === 'number' ? formatNumber(entry.value) : entry.value}</span>
+                    </p>
+                ))}
+            </div>
+        );
+    }
+    return null;
+};
+
+// lines: [{ key, name, color, data: [{ time, value }], axis?, axisLabel? }] - сырые точки ряда; в воркере
+// они обрезаются до domain и прореживаются LTTB до MAX_CHART_POINTS. children - дополнительные слои (ReferenceArea, ReferenceDot)
+// axis: 'right' - линия на второй оси справа (пунктиром), axisLabel - её подпись
+// domain - [start, end] для приближения к интервалу, иначе весь период
+// onRangeSelect({ start, end }) - выделение интервала протягиванием мышью; height - высота в пикселях
+const TelemetryChart = ({ lines, unit, cursorTime, domain, onRangeSelect, height = 350, children }) => {
+    const timeZone = useTimeZone();
+    const [selection, setSelection] = useState(null);
+    // domain приходит новым массивом на каждом рендере - пересчёт только при смене границ
+    const domainStart = domain?.[0];
+    const domainEnd = domain?.[1];
+    const sampledDomain = useMemo(
+        () => domainStart !== undefined ? [domainStart, domainEnd] : null,
+        [domainStart, domainEnd]
+    );
+    const sampledLines = useRenderTask('chartLines', lines, sampledDomain) ?? [];
+    // Ось справа - по отрисованным линиям: пока воркер считает, на графике ещё прежний набор
+    const rightLines = sampledLines.filter(line => line.axis === 'right');
+    const rightUnit = [...new Set(rightLines.map(line => line.axisLabel))].join(', ');
+    return (
+        <ResponsiveContainer width="100%" height={height}>
+            <LineChart
+                syncId={CHART_SYNC_ID}
+                syncMethod="value"
+                onMouseDown={(state) => {
+                    if (onRangeSelect && state?.activeLabel !== undefined) {
+                        setSelection({ start: Number(state.activeLabel), end: Number(state.activeLabel) });
+                    }
+                }}
+                onMouseMove={(state) => {
+                    if (selection && state?.activeLabel !== undefined) {
+                        setSelection({ ...selection, end: Number(state.activeLabel) });
+                    }
+                }}
+                onMouseUp={() => {
+                    if (!selection) return;
+                    const start = Math.min(selection.start, selection.end);
+                    const end = Math.max(selection.start, selection.end);
+                    setSelection(null);
+                    if (end - start >= MIN_SELECTION_SECONDS) {
+                        onRangeSelect({ start, end });
+                    }
+                }}
+                onMouseLeave={() => setSelection(null)}
+            >
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis
+                    dataKey="timestamp"
+                    type="number"
+                    domain={domain || ['dataMin', 'dataMax']}
+                    allowDataOverflow={Boolean(domain)}
+                    tickFormatter={(timestamp) => formatTimestampForDisplay(timestamp, timeZone)}
+                    angle={-45}
+                    textAnchor="end"
+                    height={100}
+                    fontSize={11}
+                    stroke="#6b7280"
+                    allowDuplicatedCategory={false}
+                />
+                <YAxis
+                    label={{ value: unit, angle: -90, position: 'insideLeft' }}
+                    stroke="#6b7280"
+                />
+                {rightLines.length > 0 && (
+                    <YAxis
+                        yAxisId="right"
+                        orientation="right"
+                        label={{ value: rightUnit, angle: 90, position: 'insideRight' }}
+                        stroke="#6b7280"
+                    />
+                )}
+                <Tooltip content={<CustomTooltip />} />
+                <Legend wrapperStyle={{ paddingTop: '20px' }} />
+                {sampledLines.map(line => (
+                    <Line
+                        key={line.key}
+                        yAxisId={line.axis === 'right' ? 'right' : 0}
+                        data={line.data}
+                        type="monotone"
+                        dataKey="value"
+                        stroke={line.color}
+                        name={line.name}
+                        dot={false}
+                        strokeWidth={2}
+                        strokeDasharray={line.axis === 'right' ? '6 3' : undefined}
+                    />
+                ))}
+                {cursorTime !== null && cursorTime !== undefined && (
+                    <ReferenceLine x={cursorTime} stroke="#ef4444" strokeWidth={2} ifOverflow="hidden" />
+                )}
+                {children}
+                {selection && selection.start !== selection.end && (
+                    <ReferenceArea
+                        x1={selection.start}
+                        x2={selection.end}
+                        fill="#3b82f6"
+                        fillOpacity={0.15}
+                        stroke="#3b82f6"
+                        strokeOpacity={0.5}
+                        ifOverflow="hidden"
+                    />
+                )}
+            </LineChart>
+        </ResponsiveContainer>
+    );
+};
+
+export default TelemetryChart;
@@ -0,0 +1,1748 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { ReferenceArea, ReferenceLine } from 'recharts';
+import { MapContainer, TileLayer, Polyline, Marker, Popup, CircleMarker, useMap, useMapEvents } from 'react-leaflet';
+import { Calendar, Download, RefreshCw, AlertCircle, Fuel, Zap, Play, Route, Clock, ZoomOut, Link, Radio, Trash2, FileText, Upload } from 'lucide-react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import TelemetryChart from './TelemetryChart';
+import PlaybackControls from './PlaybackControls';
+import FuelEventsPanel from './FuelEventsPanel';
+import ImeiSelector from './ImeiSelector';
+import VehicleLegend from './VehicleLegend';
+import TripsTable from './TripsTable';
+import ExportMenu from './ExportMenu';
+import LiveStatus from './LiveStatus';
+import FieldExplorer from './FieldExplorer';
+import FuelCalibrationPanel from './FuelCalibrationPanel';
+import GeofenceLayer from './GeofenceLayer';
+import GeofencePanel from './GeofencePanel';
+import OverspeedPanel from './OverspeedPanel';
+import AlertRulesPanel from './AlertRulesPanel';
+import DataQualityPanel from './DataQualityPanel';
+import PeriodReport from './PeriodReport';
+import ImportDialog from './ImportDialog';
+import LayoutToolbar from './LayoutToolbar';
+import DashboardPanel from './DashboardPanel';
+import usePlayback from '../hooks/usePlayback';
+import useLiveFollow from '../hooks/useLiveFollow';
+import useRenderTask from '../hooks/useRenderTask';
+import { zonedToUnixTimestamp, unixTimestampToZoned, formatTimestampForDisplay, formatDuration, formatTimeAgo, getTimeZoneLabel, loadTimeZone, saveTimeZone, TIME_ZONES } from '../utils/time';
+import { pointTime, getSeriesValueAt, interpolatePosition } from '../utils/track';
+import { DEFAULT_FUEL_EVENT_OPTIONS, FUEL_EVENT_COLORS } from '../utils/fuelEvents';
+import { summarizeTrips, DEFAULT_TRIP_OPTIONS } from '../utils/trips';
+import { getLastTimestamp, appendTelemetry } from '../utils/liveUpdates';
+import { getExplorableFields, FIELD_COLORS } from '../utils/fields';
+import { isFinerWindow } from '../utils/aggregation';
+import { fetchTelemetryCached, getTelemetryCacheSize, clearTelemetryCache } from '../utils/telemetryCache';
+import { loadCalibrations, saveCalibrations, calibrateVehicle } from '../utils/calibration';
+import { DEFAULT_SPEED_LIMIT, SPEED_BANDS } from '../utils/speed';
+import { getTrackBounds } from '../utils/downsample';
+import { loadAlertRules, saveAlertRules, ALERT_SERIES } from '../utils/alerts';
+import { removeBadTrackPoints, getGapSeconds, getQualitySeriesLabel, formatIssueDetail, DEFAULT_QUALITY_OPTIONS, QUALITY_ISSUE_TYPES } from '../utils/dataQuality';
+import { loadGeofences, saveGeofences, GEOFENCE_COLORS } from '../utils/geofences';
+import { parseImportFile } from '../utils/fileImport';
+import { readUrlState, buildUrlSearch, writeUrlState, isSameQuery } from '../utils/urlState';
+import { loadUserLayouts, saveUserLayouts, isCopy, PANEL_HEIGHTS } from '../utils/layout';
+import { TimeZoneContext } from '../context/TimeZoneContext';
+import { useVehicleName } from '../context/DevicesContext';
+import { useT } from '../context/LocaleContext';
+import { apiFetch, checkResponse } from '../utils/api';
+import { translate, formatNumber } from '../utils/i18n';
+
+delete L.Icon.Default.prototype._getIconUrl;
+L.Icon.Default.mergeOptions({
+    iconRetinaUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon-2x.png',
+    iconUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon.png',
+    shadowUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png',
+});
+
+// Пауза перед перезапросом детализации, пока пользователь подбирает интервал
+const DETAIL_DEBOUNCE_MS = 400;
+
+// Зона из ссылки важнее сохранённой: даты в ссылке записаны именно в ней
+const getInitialTimeZone = () => readUrlState().timeZone || loadTimeZone();
+
+const createFuelEventIcon = (type) => L.divIcon({
+    className: '',
+    html: `<div style="background:${FUEL_EVENT_COLORS[type]};color:#fff;border:2px solid #fff;border-radius:50%;width:28px;height:28px;display:flex;align-items:center;justify-content:center;box-shadow:0 1px 4px rgba(0,0,0,.4)">${type === 'refuel' ? '⛽' : '⚠'}</div>`,
+    iconSize: [28, 28],
+    iconAnchor: [14, 14]
+});
+
+// Пока воркер не вернул первый результат анализа - пустые списки, один массив на все рендеры
+const NO_RESULTS = [];
+
+// На каком графике рисуются основные ряды - туда ставятся отметки инцидентов и пропусков датчиков
+const ALERT_CHART_BY_SERIES = {
+    speed: 'speed',
+    main_power_voltage: 'voltage',
+    fuel_total: 'fuel'
+};
+
+// Цвета ТС в режиме сравнения, по порядку выбора IMEI
+const VEHICLE_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+
+const FUEL_EVENT_ICONS = {
+    refuel: createFuelEventIcon('refuel'),
+    drain: createFuelEventIcon('drain')
+};
+
+const MapBounds = ({ bounds }) => {
+    const map = useMap();
+    useEffect(() => {
+        if (bounds && bounds.length === 2) {
+            map.fitBounds(bounds, { padding: [50, 50] });
+        }
+    }, [bounds, map]);
+    return null;
+};
+
+// Восстанавливает вид карты из ссылки и сообщает о каждом перемещении
+const MapViewportSync = ({ viewport, onChange }) => {
+    const map = useMap();
+    useEffect(() => {
+        if (viewport) {
+            map.setView([viewport.lat, viewport.lon], viewport.zoom);
+        }
+    }, [viewport, map]);
+    useMapEvents({
+        moveend: () => {
+            const center = map.getCenter();
+            onChange({
+                lat: Number(center.lat.toFixed(5)),
+                lon: Number(center.lng.toFixed(5)),
+                zoom: map.getZoom()
+            });
+        }
+    });
+    return null;
+};
+
+// В режиме сравнения каждое ТС - отдельная линия своего цвета, иначе одна линия ряда.
+// Точки передаются как есть: TelemetryChart сам прореживает их в воркере
+const buildSeriesLines = (vehicles, seriesKey, name, color, vehicleName) => {
+    if (vehicles.length === 1) {
+        return [{ key: seriesKey, name, color, data: vehicles[0].data.series[seriesKey] || [] }];
+    }
+    return vehicles.map(vehicle => ({
+        key: `${vehicle.imei}-${seriesKey}`,
+        name: vehicleName(vehicle.imei),
+        color: vehicle.color,
+        data: vehicle.data.series[seriesKey] || []
+    }));
+};
+
+// Дополнительное поле: в режиме сравнения по линии на ТС, подписанной именем ТС
+const buildFieldLines = (vehicles, { field, color }, vehicleName) => vehicles.map(vehicle => ({
+    key: `${vehicle.imei}-field-${field}`,
+    name: vehicles.length === 1 ? field : `${vehicleName(vehicle.imei)}: ${field}`,
+    color: vehicles.length === 1 ? color : vehicle.color,
+    data: vehicle.data.fields?.[field] || []
+}));
+
+// afterTimestamp - инкрементальный запрос: только сырые точки новее этой метки;
+// fields - дополнительные поля, fieldsOnly - только они, без основных рядов и трека;
+// aggregationWindow - окно явно, иначе сервер выберет его по длине периода
+const fetchVehicleTelemetry = async (imei, startTimestamp, endTimestamp, { afterTimestamp = null, fields = [], fieldsOnly = false, aggregationWindow = null } = {}) => {
+    const params = new URLSearchParams({ imei, startTimestamp, endTimestamp });
+    if (afterTimestamp !== null) params.set('afterTimestamp', afterTimestamp);
+    if (aggregationWindow !== null) params.set('aggregationWindow', aggregationWindow);
+    if (fields.length > 0) params.set('fields', fields.join(','));
+    if (fieldsOnly) params.set('fieldsOnly', 'true');
+    const response = await apiFetch(`/api/telemetry?${params}`);
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(translate('common.httpError', { status: response.status, text: errorText }));
+    }
+
+    return response.json();
+};
+
+// Есть ли доступ к ТС: /api/devices/{imei} проверяет права (403) и отвечает 404 для IMEI не из реестра
+const checkVehicleAccess = async (imei) => {
+    const response = await apiFetch(`/api/devices/${imei}`);
+    if (response.status === 403) return false;
+    if (response.status !== 404) await checkResponse(response);
+    return true;
+};
+
+// Загрузка периода через кэш IndexedDB: с сервера запрашиваются только недостающие куски
+const fetchVehicleTelemetryCached = (imei, startTimestamp, endTimestamp, fields) => fetchTelemetryCached(imei, startTimestamp, endTimestamp, {
+    fields,
+    fetchRange: (start, end, aggregationWindow) => fetchVehicleTelemetry(imei, start, end, { fields, aggregationWindow }),
+    checkAccess: () => checkVehicleAccess(imei)
+});
+
+const TelemetryDashboard = ({ username }) => {
+    const [imeis, setImeis] = useState([]);
+    const [selectedImeis, setSelectedImeis] = useState([]);
+    const [startDate, setStartDate] = useState('');
+    const [endDate, setEndDate] = useState('');
+    // Зона IANA, в которой вводится период и показывается всё время
+    const [timeZone, setTimeZone] = useState(getInitialTimeZone);
+    const vehicleName = useVehicleName();
+    const t = useT();
+    // Данные ТС как пришли с сервера; тарировки применяются поверх, в vehicles
+    const [rawVehicles, setRawVehicles] = useState([]);
+    const [calibrations, setCalibrations] = useState(loadCalibrations);
+    const [hiddenImeis, setHiddenImeis] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [showIndividualSensors, setShowIndividualSensors] = useState(false);
+    const [fuelEventOptions, setFuelEventOptions] = useState(DEFAULT_FUEL_EVENT_OPTIONS);
+    const [fuelEventSource, setFuelEventSource] = useState('fuel_total');
+    const [tripOptions, setTripOptions] = useState(DEFAULT_TRIP_OPTIONS);
+    const [selectedSegmentId, setSelectedSegmentId] = useState(null);
+    const [geofences, setGeofences] = useState(loadGeofences);
+    // Зона, которая сейчас рисуется на карте; null - карта в обычном режиме
+    const [geofenceDraft, setGeofenceDraft] = useState(null);
+    const [selectedVisitId, setSelectedVisitId] = useState(null);
+    const [speedLimit, setSpeedLimit] = useState(DEFAULT_SPEED_LIMIT);
+    const [selectedEpisodeId, setSelectedEpisodeId] = useState(null);
+    const [alertRules, setAlertRules] = useState(() => loadAlertRules(username));
+    const [selectedIncidentId, setSelectedIncidentId] = useState(null);
+    const [qualityOptions, setQualityOptions] = useState(DEFAULT_QUALITY_OPTIONS);
+    const [selectedQualityIssueId, setSelectedQualityIssueId] = useState(null);
+    // Видимый интервал графиков и карты { start, end } в UNIX-секундах; null - весь период
+    const [viewRange, setViewRange] = useState(null);
+    // Запрос, данные которого показаны (или загружаются) - именно он попадает в ссылку
+    const [activeQuery, setActiveQuery] = useState(null);
+    const [mapViewport, setMapViewport] = useState(null);
+    // Вид карты из ссылки: пока задан, карта не подгоняется под трек
+    const [urlViewport, setUrlViewport] = useState(null);
+    const [linkCopied, setLinkCopied] = useState(false);
+    // Поля, выбранные в обозревателе: [{ field, placement, color }]
+    const [customFields, setCustomFields] = useState([]);
+    const [availableFields, setAvailableFields] = useState([]);
+    const [fieldsLoading, setFieldsLoading] = useState(false);
+    // Приближенный интервал, перезапрошенный с более мелким окном агрегации: { range, key, vehicles }
+    const [detail, setDetail] = useState(null);
+    const [detailLoading, setDetailLoading] = useState(false);
+    // Объём кэша телеметрии в IndexedDB, байт; null - ещё не известен
+    const [cacheSize, setCacheSize] = useState(null);
+    const [reportOpen, setReportOpen] = useState(false);
+    // Разобранный файл, ожидающий сопоставления столбцов: { fileName, table }
+    const [importTable, setImportTable] = useState(null);
+    // Имя файла, из которого показаны данные; null - данные с сервера
+    const [importedFile, setImportedFile] = useState(null);
+    const [dragActive, setDragActive] = useState(false);
+    // Раскладка панелей хранится отдельно для каждого пользователя
+    const [layouts, setLayouts] = useState(() => loadUserLayouts(username));
+    const [layoutEditing, setLayoutEditing] = useState(false);
+    const importInputRef = useRef(null);
+
+    // Список IMEI, доступных пользователю, - один раз при открытии страницы
+    useEffect(() => {
+        const fetchImeis = async () => {
+            try {
+                const response = await apiFetch('/api/imeis');
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(translate('common.httpError', { status: response.status, text: errorText }));
+                }
+                const data = await response.json();
+                setImeis(data.imeis || []);
+                if (data.imeis && data.imeis.length > 0) {
+                    setSelectedImeis(prev => prev.length > 0 ? prev : [data.imeis[0]]);
+                }
+            } catch (err) {
+                setError(translate('common.imeiLoadError', { message: err.message }));
+            }
+        };
+        fetchImeis();
+    }, []);
+
+    useEffect(() => {
+        const urlState = readUrlState();
+        if (urlState.imeis.length > 0 && urlState.startDate && urlState.endDate) {
+            applyUrlInputs(urlState);
+            fetchTelemetryRef.current(urlState, { pushHistory: false, viewRange: urlState.viewRange, mapViewport: urlState.mapViewport });
+            return;
+        }
+        const nowTimestamp = Math.floor(Date.now() / 1000);
+        const yesterdayTimestamp = nowTimestamp - (24 * 60 * 60);
+        const initialZone = getInitialTimeZone();
+        const initialEnd = unixTimestampToZoned(nowTimestamp, initialZone);
+        const initialStart = unixTimestampToZoned(yesterdayTimestamp, initialZone);
+        setEndDate(initialEnd);
+        setStartDate(initialStart);
+        // Ссылка только с IMEI (переход из обзора автопарка) - сразу последние сутки этих ТС
+        if (urlState.imeis.length > 0) {
+            setSelectedImeis(urlState.imeis);
+            fetchTelemetryRef.current(
+                { imeis: urlState.imeis, startDate: initialStart, endDate: initialEnd, timeZone: initialZone },
+                { pushHistory: false }
+            );
+        }
+    }, []);
+
+    // Назад/вперёд в браузере: восстанавливаем поля и перезагружаем данные, если сменился запрос
+    useEffect(() => {
+        const handlePopState = () => {
+            const urlState = readUrlState();
+            applyUrlInputs(urlState);
+            if (urlState.imeis.length === 0 || !urlState.startDate || !urlState.endDate) return;
+            if (isSameQuery(urlState, activeQuery)) {
+                setViewRange(urlState.viewRange);
+                setSelectedSegmentId(null);
+                setSelectedVisitId(null);
+                setSelectedIncidentId(null);
+                setSelectedQualityIssueId(null);
+                setUrlViewport(urlState.mapViewport);
+            } else {
+                fetchTelemetry(urlState, { pushHistory: false, viewRange: urlState.viewRange, mapViewport: urlState.mapViewport });
+            }
+        };
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    });
+
+    // Масштаб, вид карты и режим датчиков меняют текущую запись истории, а не добавляют новую
+    useEffect(() => {
+        if (!activeQuery) return;
+        writeUrlState({ ...activeQuery, showIndividualSensors, viewRange, mapViewport });
+    }, [activeQuery, showIndividualSensors, viewRange, mapViewport]);
+
+    const copyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            setLinkCopied(true);
+            setTimeout(() => setLinkCopied(false), 2000);
+        } catch (err) {
+            setError(t('dashboard.error.copyLink', { message: err.message }));
+        }
+    };
+
+    const applyUrlInputs = (urlState) => {
+        if (urlState.imeis.length > 0) setSelectedImeis(urlState.imeis);
+        if (urlState.startDate) setStartDate(urlState.startDate);
+        if (urlState.endDate) setEndDate(urlState.endDate);
+        if (urlState.timeZone) setTimeZone(urlState.timeZone);
+        setShowIndividualSensors(urlState.showIndividualSensors);
+    };
+
+    // Смена зоны сохраняет те же моменты времени: поля периода переписываются в новой зоне
+    const changeTimeZone = (nextZone) => {
+        const convert = (dateStr, fromZone) => {
+            const timestamp = zonedToUnixTimestamp(dateStr, fromZone);
+            return timestamp === null ? dateStr : unixTimestampToZoned(timestamp, nextZone);
+        };
+        setStartDate(convert(startDate, timeZone));
+        setEndDate(convert(endDate, timeZone));
+        setActiveQuery(prev => prev && {
+            ...prev,
+            startDate: convert(prev.startDate, prev.timeZone),
+            endDate: convert(prev.endDate, prev.timeZone),
+            timeZone: nextZone
+        });
+        setTimeZone(nextZone);
+        saveTimeZone(nextZone);
+    };
+
+    // Литры вместо сырых уровней - до суммирования в fuel_total и до любых графиков и расчётов
+    const calibratedVehicles = useMemo(
+        () => rawVehicles.map(vehicle => calibrateVehicle(vehicle, calibrations)),
+        [rawVehicles, calibrations]
+    );
+
+    // Качество проверяется по данным как есть, до чистки трека. Этот и остальные разборы периода
+    // (поездки, события, визиты, превышения, оповещения) считаются в воркере
+    const qualityTaskOptions = useMemo(() => ({ options: qualityOptions, timeZone }), [qualityOptions, timeZone]);
+    const qualityReports = useRenderTask('dataQuality', calibratedVehicles, qualityTaskOptions) ?? NO_RESULTS;
+
+    // Выбросы GPS убираются до поездок, событий и карты, иначе один скачок даёт ложную поездку на сотни км
+    const { dropBadPoints, maxSpeedKmh, gapMinutes } = qualityOptions;
+    const vehicles = useMemo(() => dropBadPoints
+        ? calibratedVehicles.map(vehicle => ({ ...vehicle, data: removeBadTrackPoints(vehicle.data, { maxSpeedKmh }) }))
+        : calibratedVehicles, [calibratedVehicles, dropBadPoints, maxSpeedKmh]);
+
+    const changeCalibrations = (next) => {
+        setCalibrations(next);
+        saveCalibrations(next);
+    };
+
+    const changeLayouts = (next) => {
+        setLayouts(next);
+        saveUserLayouts(username, next);
+    };
+
+    const fetchTelemetry = async (
+        query = { imeis: selectedImeis, startDate, endDate, timeZone },
+        { pushHistory = true, viewRange: initialViewRange = null, mapViewport: initialViewport = null } = {}
+    ) => {
+        const { imeis: queryImeis, startDate: queryStart, endDate: queryEnd } = query;
+        if (queryImeis.length === 0 || !queryStart || !queryEnd) {
+            setError(t('dashboard.error.fillAll'));
+            return;
+        }
+
+        const queryZone = query.timeZone || timeZone;
+        const startTimestamp = zonedToUnixTimestamp(queryStart, queryZone);
+        const endTimestamp = zonedToUnixTimestamp(queryEnd, queryZone);
+        if (startTimestamp === null || endTimestamp === null) {
+            setError(t('dashboard.error.badDates'));
+            return;
+        }
+
+        const nextQuery = { imeis: queryImeis, startDate: queryStart, endDate: queryEnd, timeZone: queryZone };
+        if (pushHistory) {
+            window.history.pushState(null, '', `${window.location.pathname}${buildUrlSearch({ ...nextQuery, showIndividualSensors })}`);
+        }
+        setActiveQuery(nextQuery);
+        setImportedFile(null);
+        setViewRange(initialViewRange);
+        setSelectedSegmentId(null);
+        setSelectedVisitId(null);
+        setSelectedIncidentId(null);
+        setSelectedQualityIssueId(null);
+        setUrlViewport(initialViewport);
+        setMapViewport(initialViewport);
+        setLoading(true);
+        setError(null);
+
+        try {
+            console.log('Запрос данных:', {
+                imeis: queryImeis,
+                startDate: queryStart,
+                endDate: queryEnd,
+                timeZone: queryZone,
+                startTimestamp,
+                endTimestamp,
+                startUTC: new Date(startTimestamp * 1000).toISOString(),
+                endUTC: new Date(endTimestamp * 1000).toISOString()
+            });
+
+            const results = await Promise.allSettled(
+                queryImeis.map(imei => fetchVehicleTelemetryCached(imei, startTimestamp, endTimestamp, customFields.map(item => item.field)))
+            );
+
+            const loaded = [];
+            const failed = [];
+            results.forEach((result, index) => {
+                const imei = queryImeis[index];
+                if (result.status === 'fulfilled') {
+                    loaded.push({ imei, color: VEHICLE_COLORS[index % VEHICLE_COLORS.length], data: result.value });
+                } else {
+                    failed.push(`${imei}: ${result.reason.message}`);
+                }
+            });
+            console.log('Получены данные:', loaded);
+
+            if (loaded.length === 0) {
+                throw new Error(failed.join('; '));
+            }
+
+            setRawVehicles(loaded);
+            setHiddenImeis([]);
+            if (failed.length > 0) {
+                setError(t('dashboard.error.partial', { message: failed.join('; ') }));
+            }
+        } catch (err) {
+            console.error('Ошибка запроса:', err);
+            setError(t('dashboard.error.load', { message: err.message }));
+        } finally {
+            setLoading(false);
+            refreshCacheSize();
+        }
+    };
+
+    const refreshCacheSize = () => {
+        getTelemetryCacheSize().then(setCacheSize).catch(() => setCacheSize(null));
+    };
+
+    const clearCache = async () => {
+        try {
+            await clearTelemetryCache();
+            setCacheSize(0);
+        } catch (err) {
+            setError(t('dashboard.error.clearCache', { message: err.message }));
+        }
+    };
+
+    const openImportFile = async (file) => {
+        if (!file) return;
+        try {
+            setImportTable({ fileName: file.name, table: await parseImportFile(file) });
+        } catch (err) {
+            setError(t('dashboard.error.readFile', { fileName: file.name, message: err.message }));
+        }
+    };
+
+    // Данные из файла показываются как ответ /api/telemetry, но без запроса: ссылка, Live
+    // и догрузка с сервера к ним неприменимы
+    const applyImport = ({ vehicles: imported, skipped }) => {
+        if (liveFollow.enabled) liveFollow.toggleEnabled();
+        window.history.pushState(null, '', window.location.pathname);
+        setActiveQuery(null);
+        setRawVehicles(imported.map((vehicle, index) => ({ ...vehicle, color: VEHICLE_COLORS[index % VEHICLE_COLORS.length] })));
+        setHiddenImeis([]);
+        setImportedFile(importTable.fileName);
+        setImportTable(null);
+        setViewRange(null);
+        setSelectedSegmentId(null);
+        setSelectedVisitId(null);
+        setSelectedIncidentId(null);
+        setSelectedQualityIssueId(null);
+        setUrlViewport(null);
+        setMapViewport(null);
+        setError(skipped > 0 ? t('dashboard.error.skippedRows', { count: skipped }) : null);
+    };
+
+    const handleDragOver = (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        setDragActive(true);
+    };
+
+    const handleDragLeave = (e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setDragActive(false);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setDragActive(false);
+        openImportFile(e.dataTransfer.files[0]);
+    };
+
+    // Эффект открытия страницы выполняется один раз, но должен вызвать актуальную версию загрузки
+    const fetchTelemetryRef = useRef(fetchTelemetry);
+    fetchTelemetryRef.current = fetchTelemetry;
+
+    // Live: дописываем в загруженные ТС точки после последней полученной, конец периода держим на «сейчас»
+    const pollLiveUpdates = async () => {
+        if (loading || vehicles.length === 0) return;
+        const nowTimestamp = Math.floor(Date.now() / 1000);
+        const requests = vehicles
+            .map(vehicle => ({
+                imei: vehicle.imei,
+                startTimestamp: vehicle.data.metadata.startTimestamp,
+                afterTimestamp: getLastTimestamp(vehicle.data) ?? vehicle.data.metadata.startTimestamp
+            }))
+            .filter(request => request.afterTimestamp < nowTimestamp);
+
+        const results = await Promise.allSettled(requests.map(request =>
+            fetchVehicleTelemetry(request.imei, request.startTimestamp, nowTimestamp, {
+                afterTimestamp: request.afterTimestamp,
+                fields: customFields.map(item => item.field)
+            })
+        ));
+
+        const updates = new Map();
+        const failed = [];
+        results.forEach((result, index) => {
+            const { imei } = requests[index];
+            if (result.status === 'fulfilled') {
+                updates.set(imei, result.value);
+            } else {
+                failed.push(`${imei}: ${result.reason.message}`);
+            }
+        });
+
+        // Пока шёл запрос, могли загрузить другие ТС - дописываем только совпавшим по IMEI
+        setRawVehicles(prev => {
+            let changed = false;
+            const next = prev.map(vehicle => {
+                const update = updates.get(vehicle.imei);
+                if (!update) return vehicle;
+                const data = appendTelemetry(vehicle.data, update);
+                if (data === vehicle.data) return vehicle;
+                changed = true;
+                return { ...vehicle, data };
+            });
+            return changed ? next : prev;
+        });
+
+        const nextEndDate = unixTimestampToZoned(nowTimestamp, timeZone);
+        setEndDate(nextEndDate);
+        setActiveQuery(prev => prev && { ...prev, endDate: nextEndDate });
+        if (failed.length > 0) {
+            setError(t('dashboard.error.live', { message: failed.join('; ') }));
+        }
+    };
+
+    const liveFollow = useLiveFollow(pollLiveUpdates);
+
+    // Список полей для обозревателя - объединение полей всех загруженных ТС
+    const loadedImeisKey = vehicles.map(vehicle => vehicle.imei).join(',');
+    useEffect(() => {
+        if (!loadedImeisKey || importedFile) return undefined;
+        let cancelled = false;
+        const loadFields = async () => {
+            setFieldsLoading(true);
+            const results = await Promise.allSettled(loadedImeisKey.split(',').map(async imei => {
+                const response = await apiFetch(`/api/fields?imei=${imei}`);
+                if (!response.ok) throw new Error(translate('common.httpStatus', { status: response.status }));
+                return (await response.json()).fields || [];
+            }));
+            if (cancelled) return;
+            setAvailableFields(getExplorableFields(
+                results.flatMap(result => result.status === 'fulfilled' ? result.value : [])
+            ));
+            setFieldsLoading(false);
+        };
+        loadFields();
+        return () => {
+            cancelled = true;
+        };
+    }, [loadedImeisKey, importedFile]);
+
+    // Новое поле догружается к уже открытому периоду, без перезапроса основных рядов
+    const addCustomField = async (field, placement) => {
+        const usedColors = customFields.map(item => item.color);
+        const color = FIELD_COLORS.find(item => !usedColors.includes(item)) ?? FIELD_COLORS[customFields.length % FIELD_COLORS.length];
+        setCustomFields(prev => [...prev, { field, placement, color }]);
+
+        const missing = vehicles.filter(vehicle => !vehicle.data.fields?.[field]);
+        if (missing.length === 0) return;
+
+        setFieldsLoading(true);
+        const results = await Promise.allSettled(missing.map(vehicle => fetchVehicleTelemetry(
+            vehicle.imei,
+            vehicle.data.metadata.startTimestamp,
+            vehicle.data.metadata.endTimestamp,
+            { fields: [field], fieldsOnly: true }
+        )));
+
+        const loaded = new Map();
+        const failed = [];
+        results.forEach((result, index) => {
+            const { imei } = missing[index];
+            if (result.status === 'fulfilled') {
+                loaded.set(imei, result.value);
+            } else {
+                failed.push(`${imei}: ${result.reason.message}`);
+            }
+        });
+
+        // Пока шёл запрос, мог загрузиться другой период - тогда ответ уже не к месту
+        setRawVehicles(prev => prev.map(vehicle => {
+            const response = loaded.get(vehicle.imei);
+            if (!response || response.metadata.startTimestamp !== vehicle.data.metadata.startTimestamp) return vehicle;
+            return { ...vehicle, data: { ...vehicle.data, fields: { ...vehicle.data.fields, ...response.fields } } };
+        }));
+        setFieldsLoading(false);
+        if (failed.length > 0) {
+            setError(t('dashboard.error.field', { field, message: failed.join('; ') }));
+        }
+    };
+
+    const removeCustomField = (field) => {
+        setCustomFields(prev => prev.filter(item => item.field !== field));
+    };
+
+    const changeCustomFieldPlacement = (field, placement) => {
+        setCustomFields(prev => prev.map(item => item.field === field ? { ...item, placement } : item));
+    };
+
+    const customFieldsKey = customFields.map(item => item.field).join(',');
+    const detailKey = `${loadedImeisKey}|${customFieldsKey}`;
+    const loadedWindow = vehicles[0]?.data.metadata?.aggregationWindow;
+
+    const fetchDetail = async (range, isCancelled) => {
+        setDetailLoading(true);
+        const results = await Promise.allSettled(rawVehicles.map(vehicle => fetchVehicleTelemetryCached(
+            vehicle.imei, range.start, range.end, customFields.map(item => item.field)
+        )));
+        if (isCancelled()) return;
+        // Для ТС, по которым запрос не удался, остаются данные всего периода
+        setDetail({
+            range,
+            key: detailKey,
+            vehicles: rawVehicles.map((vehicle, index) =>
+                results[index].status === 'fulfilled' ? { ...vehicle, data: results[index].value } : vehicle
+            )
+        });
+        setDetailLoading(false);
+    };
+
+    const fetchDetailRef = useRef(fetchDetail);
+    fetchDetailRef.current = fetchDetail;
+
+    useEffect(() => {
+        if (!viewRange || !isFinerWindow(viewRange.end - viewRange.start, loadedWindow)) return undefined;
+        let cancelled = false;
+        const timeoutId = setTimeout(() => fetchDetailRef.current(viewRange, () => cancelled), DETAIL_DEBOUNCE_MS);
+        return () => {
+            cancelled = true;
+            clearTimeout(timeoutId);
+            setDetailLoading(false);
+        };
+    }, [viewRange, loadedWindow, detailKey]);
+
+    // Детализация действует, только пока показан именно тот интервал, для которого она загружена
+    const rawDetailVehicles = detail && viewRange && detail.key === detailKey &&
+        detail.range.start === viewRange.start && detail.range.end === viewRange.end
+        ? detail.vehicles
+        : null;
+    const detailVehicles = useMemo(() => rawDetailVehicles && rawDetailVehicles.map(vehicle => {
+        const calibrated = calibrateVehicle(vehicle, calibrations);
+        return dropBadPoints ? { ...calibrated, data: removeBadTrackPoints(calibrated.data, { maxSpeedKmh }) } : calibrated;
+    }), [rawDetailVehicles, calibrations, dropBadPoints, maxSpeedKmh]);
+    // Графики и карта рисуются по детализации, анализ (поездки, события, воспроизведение) - по всему периоду
+    const chartVehicles = detailVehicles ?? vehicles;
+
+    // Основное ТС - первое из выбранных: по нему считаются события, воспроизведение и сводка
+    const telemetryData = vehicles[0]?.data ?? null;
+    const isComparison = vehicles.length > 1;
+
+    const toggleVehicle = (imei) => {
+        setHiddenImeis(prev => prev.includes(imei) ? prev.filter(item => item !== imei) : [...prev, imei]);
+    };
+
+    const visibleVehicles = useMemo(
+        () => chartVehicles.filter(vehicle => !hiddenImeis.includes(vehicle.imei)),
+        [chartVehicles, hiddenImeis]
+    );
+
+    // Дополнительные поля по размещению: отдельные графики (chart) и линии второй оси основных графиков
+    const fieldLines = useMemo(() => {
+        const byPlacement = { chart: [], speed: [], fuel: [], voltage: [] };
+        customFields.forEach(item => {
+            const lines = buildFieldLines(visibleVehicles, item, vehicleName);
+            if (item.placement === 'chart') {
+                byPlacement.chart.push({ ...item, lines });
+            } else {
+                byPlacement[item.placement].push(...lines.map(line => ({ ...line, axis: 'right', axisLabel: item.field })));
+            }
+        });
+        return byPlacement;
+    }, [visibleVehicles, customFields, vehicleName]);
+
+    const speedLines = useMemo(
+        () => [...buildSeriesLines(visibleVehicles, 'speed', t('dashboard.series.speed'), '#3b82f6', vehicleName), ...fieldLines.speed],
+        [visibleVehicles, fieldLines, vehicleName, t]
+    );
+
+    const fuelLines = useMemo(() => {
+        if (!telemetryData) return [];
+        if (isComparison || !showIndividualSensors) {
+            return [...buildSeriesLines(visibleVehicles, 'fuel_total', t('dashboard.series.fuelTotal'), '#10b981', vehicleName), ...fieldLines.fuel];
+        }
+        const colors = ['#10b981', '#3b82f6', '#f59e0b', '#ef4444'];
+        const sensorLines = Object.entries(chartVehicles[0].data.fuelSensors || {}).map(([sensorName, sensorData], index) => ({
+            key: sensorName,
+            name: getQualitySeriesLabel(sensorName),
+            color: colors[index % colors.length],
+            data: sensorData
+        }));
+        return [...sensorLines, ...fieldLines.fuel];
+    }, [telemetryData, isComparison, chartVehicles, visibleVehicles, showIndividualSensors, fieldLines, vehicleName, t]);
+
+    // Без тарировки датчики отдают уровень в своих единицах, а не литры
+    const fuelInLiters = visibleVehicles.some(vehicle => vehicle.data.metadata?.calibratedFuelSensors?.length > 0);
+
+    const voltageLines = useMemo(
+        () => [...buildSeriesLines(visibleVehicles, 'main_power_voltage', t('dashboard.series.voltage'), '#f59e0b', vehicleName), ...fieldLines.voltage],
+        [visibleVehicles, fieldLines, vehicleName, t]
+    );
+
+    const fuelEventSources = useMemo(() => [
+        { key: 'fuel_total', name: t('dashboard.series.fuelTotal') },
+        ...Object.keys(telemetryData?.fuelSensors || {}).sort().map(sensorName => ({
+            key: sensorName,
+            name: getQualitySeriesLabel(sensorName)
+        }))
+    ], [telemetryData, t]);
+
+    const fuelEventTaskOptions = useMemo(
+        () => ({ source: fuelEventSource, options: fuelEventOptions }),
+        [fuelEventSource, fuelEventOptions]
+    );
+    const fuelEvents = useRenderTask('fuelEvents', vehicles, fuelEventTaskOptions) ?? NO_RESULTS;
+
+    const tripSegments = useRenderTask('trips', vehicles, tripOptions) ?? NO_RESULTS;
+    const tripSummary = useMemo(() => summarizeTrips(tripSegments), [tripSegments]);
+
+    const selectSegment = (segment) => {
+        setSelectedSegmentId(segment ? segment.id : null);
+        setSelectedVisitId(null);
+        setSelectedIncidentId(null);
+        setSelectedQualityIssueId(null);
+        setViewRange(segment ? { start: segment.startTime, end: segment.endTime } : null);
+        setUrlViewport(null);
+    };
+
+    const changeGeofences = (next) => {
+        setGeofences(next);
+        saveGeofences(next);
+    };
+
+    const startGeofenceDraft = (type) => {
+        setGeofenceDraft({
+            type,
+            points: [],
+            center: null,
+            radius: 0,
+            name: '',
+            color: GEOFENCE_COLORS[geofences.length % GEOFENCE_COLORS.length]
+        });
+    };
+
+    const saveGeofenceDraft = () => {
+        const { type, points, center, radius, name, color } = geofenceDraft;
+        const base = { id: `geofence-${Date.now()}`, name: name.trim(), color, type };
+        changeGeofences([...geofences, type === 'circle' ? { ...base, center, radius } : { ...base, points }]);
+        setGeofenceDraft(null);
+    };
+
+    const removeGeofence = (id) => {
+        changeGeofences(geofences.filter(geofence => geofence.id !== id));
+    };
+
+    // Визиты считаются по всему периоду всех загруженных ТС, независимо от приближения
+    const geofenceVisits = useRenderTask('geofenceVisits', vehicles, geofences) ?? NO_RESULTS;
+
+    // Приближение к визиту: графики и карта показывают время в зоне с запасом в минуту
+    const selectVisit = (visit) => {
+        setSelectedSegmentId(null);
+        setSelectedVisitId(visit ? visit.id : null);
+        setSelectedIncidentId(null);
+        setSelectedQualityIssueId(null);
+        setViewRange(visit ? { start: visit.enterTime - 60, end: visit.enterTime + visit.duration + 60 } : null);
+        setUrlViewport(null);
+    };
+
+    const changeAlertRules = (next) => {
+        setAlertRules(next);
+        saveAlertRules(username, next);
+    };
+
+    // Условия можно ставить на основные ряды и на поля, выбранные в обозревателе
+    const alertSeriesOptions = useMemo(() => [
+        ...Object.entries(ALERT_SERIES).map(([key, unit]) => ({ key, label: t(`alerts.series.${key}`), unit: t(unit) })),
+        ...customFields.map(item => ({ key: item.field, label: item.field, unit: '' }))
+    ], [customFields, t]);
+
+    // Правила проверяются по всему загруженному периоду всех ТС, в Live - вместе с новыми точками
+    const alertIncidents = useRenderTask('alerts', vehicles, alertRules) ?? NO_RESULTS;
+
+    const selectIncident = (incident) => {
+        setSelectedSegmentId(null);
+        setSelectedVisitId(null);
+        setSelectedIncidentId(incident ? incident.id : null);
+        setViewRange(incident ? { start: incident.startTime - 60, end: incident.endTime + 60 } : null);
+        setUrlViewport(null);
+    };
+
+    // Отметки инцидентов на графике, где нарисован ряд правила; у скрытых в сравнении ТС не показываются
+    const alertChartOf = (series) => {
+        if (ALERT_CHART_BY_SERIES[series]) return ALERT_CHART_BY_SERIES[series];
+        const placement = customFields.find(item => item.field === series)?.placement;
+        return placement === 'chart' ? `field:${series}` : placement;
+    };
+
+    const renderIncidentAreas = (chart) => {
+        const ruleById = new Map(alertRules.map(rule => [rule.id, rule]));
+        return alertIncidents
+            .filter(incident => !hiddenImeis.includes(incident.imei) && alertChartOf(ruleById.get(incident.ruleId).series) === chart)
+            .map(incident => {
+                const color = ruleById.get(incident.ruleId).color;
+                return (
+                    <ReferenceArea
+                        key={incident.id}
+                        x1={incident.startTime}
+                        x2={Math.max(incident.endTime, incident.startTime + 60)}
+                        fill={color}
+                        fillOpacity={incident.id === selectedIncidentId ? 0.35 : 0.15}
+                        stroke={color}
+                        strokeOpacity={0.6}
+                        ifOverflow="hidden"
+                    />
+                );
+            });
+    };
+
+    const qualityIssues = useMemo(() => qualityReports
+        .flatMap(({ imei, report }) => report.issues.map(issue => ({ ...issue, id: `${imei}-${issue.id}`, imei })))
+        .sort((a, b) => a.startTime - b.startTime), [qualityReports]);
+    const selectedQualityIssue = qualityIssues.find(issue => issue.id === selectedQualityIssueId) ?? null;
+
+    const selectQualityIssue = (issue) => {
+        setSelectedSegmentId(null);
+        setSelectedVisitId(null);
+        setSelectedIncidentId(null);
+        setSelectedQualityIssueId(issue ? issue.id : null);
+        setViewRange(issue ? { start: issue.startTime - 60, end: issue.endTime + 60 } : null);
+        setUrlViewport(null);
+    };
+
+    // Разрывы связи затеняются на всех графиках, пропуски датчика - на графике его ряда
+    const renderQualityAreas = (chart) => qualityReports
+        .filter(({ imei }) => !hiddenImeis.includes(imei))
+        .flatMap(({ imei, report }) => [
+            ...report.gaps.map(gap => ({ ...gap, type: 'gap' })),
+            ...report.dropouts.filter(dropout => ALERT_CHART_BY_SERIES[dropout.series] === chart).map(dropout => ({ ...dropout, type: 'dropout' }))
+        ].map(range => (
+            <ReferenceArea
+                key={`${imei}-${range.type}-${range.series ?? ''}-${range.startTime}`}
+                x1={range.startTime}
+                x2={range.endTime}
+                fill={QUALITY_ISSUE_TYPES[range.type].color}
+                fillOpacity={range.type === 'gap' ? 0.15 : 0.1}
+                ifOverflow="hidden"
+            />
+        )));
+
+    // Выделение на любом графике приближает все графики и карту
+    const zoomToRange = (range) => {
+        setSelectedSegmentId(null);
+        setSelectedVisitId(null);
+        setSelectedIncidentId(null);
+        setSelectedQualityIssueId(null);
+        setViewRange(range);
+        setUrlViewport(null);
+    };
+
+    const resetViewRange = () => {
+        setSelectedSegmentId(null);
+        setSelectedVisitId(null);
+        setSelectedIncidentId(null);
+        setSelectedQualityIssueId(null);
+        setViewRange(null);
+        setUrlViewport(null);
+    };
+
+    const exportFileBaseName = activeQuery
+        ? `telemetry_${vehicles.map(vehicle => vehicle.imei).join('-')}_${activeQuery.startDate}_${activeQuery.endDate}`.replace(/:/g, '')
+        : 'telemetry';
+
+    const chartDomain = viewRange ? [viewRange.start, viewRange.end] : null;
+
+    const playback = usePlayback(telemetryData?.track);
+    const playbackPosition = playback.cursorTime !== null
+        ? interpolatePosition(telemetryData.track, playback.cursorTime)
+        : null;
+    const playbackSpeed = playback.cursorTime !== null
+        ? getSeriesValueAt(telemetryData.series.speed, playback.cursorTime)
+        : null;
+
+    const getMapCenter = () => {
+        const withTrack = vehicles.find(vehicle => vehicle.data.track.length > 0);
+        if (!withTrack) {
+            return [43.2220, 76.8512];
+        }
+        const firstPoint = withTrack.data.track[0];
+        return [firstPoint.lat, firstPoint.lon];
+    };
+
+    // Границы пересчитываются только при смене треков, иначе карта прыгает на каждом кадре воспроизведения
+    const mapBounds = useMemo(() => {
+        let points = visibleVehicles.flatMap(vehicle => vehicle.data.track);
+        if (viewRange) {
+            points = points.filter(p => pointTime(p) >= viewRange.start && pointTime(p) <= viewRange.end);
+        }
+        return getTrackBounds(points);
+    }, [visibleVehicles, viewRange]);
+
+    // Линии треков упрощаются в воркере под текущее приближение карты; полный трек остаётся
+    // для маркеров, воспроизведения и расчётов. Одно ТС - трек раскрашен по скорости,
+    // в сравнении цвет линии обозначает ТС
+    const mapZoom = mapViewport?.zoom ?? urlViewport?.zoom ?? 13;
+    const mapTracks = useMemo(() => visibleVehicles.length > 0 ? visibleVehicles.map(vehicle => ({
+        imei: vehicle.imei,
+        track: vehicle.data.track,
+        speed: isComparison ? null : vehicle.data.series.speed,
+        gapSeconds: getGapSeconds(vehicle.data.metadata, { gapMinutes })
+    })) : null, [visibleVehicles, isComparison, gapMinutes]);
+    const simplifiedTracks = useRenderTask('mapTracks', mapTracks, mapZoom);
+
+    const vehicleTracks = useMemo(() => visibleVehicles.map(vehicle => {
+        const simplified = simplifiedTracks?.find(item => item.imei === vehicle.imei);
+        return {
+            imei: vehicle.imei,
+            color: isComparison ? vehicle.color : '#3b82f6',
+            track: vehicle.data.track,
+            positions: simplified?.positions ?? [],
+            speedRuns: isComparison ? null : simplified?.speedRuns ?? [],
+            gapLinks: simplified?.gapLinks ?? []
+        };
+    }), [visibleVehicles, isComparison, simplifiedTracks]);
+
+    const overspeedEpisodes = useRenderTask('overspeed', vehicles, speedLimit) ?? NO_RESULTS;
+    const selectedEpisode = overspeedEpisodes.find(episode => episode.id === selectedEpisodeId) ?? null;
+    const selectedEpisodePositions = useMemo(() => {
+        if (!selectedEpisode || !telemetryData) return null;
+        const positions = telemetryData.track
+            .filter(p => pointTime(p) >= selectedEpisode.startTime && pointTime(p) <= selectedEpisode.endTime)
+            .map(p => [p.lat, p.lon]);
+        return positions.length > 1 ? positions : null;
+    }, [selectedEpisode, telemetryData]);
+
+    const totalTrackPoints = vehicleTracks.reduce((sum, vehicle) => sum + vehicle.track.length, 0);
+    const drawnTrackPoints = vehicleTracks.reduce(
+        (sum, vehicle) => sum + vehicle.positions.reduce((count, piece) => count + piece.length, 0),
+        0
+    );
+
+    // Содержимое панели раскладки; null - панели нечего показать для загруженных данных
+    const renderPanel = (item) => {
+        const { chart: chartHeight, map: mapHeight } = PANEL_HEIGHTS[item.height];
+        switch (item.panel) {
+            case 'speed':
+                return (
+                    <div className="bg-white rounded-lg shadow-lg p-6">
+                        <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                            🏎️ {t('dashboard.chart.speed')}
+                        </h2>
+                        {speedLines.some(line => line.data.length > 0) ? (
+                            <TelemetryChart lines={speedLines} unit={t('units.kmh')} cursorTime={playback.cursorTime} domain={chartDomain} height={chartHeight} onRangeSelect={zoomToRange}>
+                                {renderQualityAreas('speed')}
+                                <ReferenceLine y={speedLimit} stroke="#dc2626" strokeDasharray="6 3" ifOverflow="extendDomain" />
+                                {renderIncidentAreas('speed')}
+                                {selectedEpisode && (
+                                    <ReferenceArea
+                                        x1={selectedEpisode.startTime}
+                                        x2={Math.max(selectedEpisode.endTime, selectedEpisode.startTime + 60)}
+                                        fill="#dc2626"
+                                        fillOpacity={0.25}
+                                        ifOverflow="hidden"
+                                    />
+                                )}
+                            </TelemetryChart>
+                        ) : (
+                            <p className="text-gray-500 text-center py-8">{t('dashboard.noSpeed')}</p>
+                        )}
+                    </div>
+                );
+            case 'fuel':
+                return (
+                    <div className="bg-white rounded-lg shadow-lg p-6">
+                        <div className="flex items-center justify-between mb-4">
+                            <h2 className="text-xl font-semibold text-gray-800 flex items-center gap-2">
+                                ⛽ {t(fuelInLiters ? 'dashboard.chart.fuelLiters' : 'dashboard.chart.fuelRaw')}
+                            </h2>
+                            {!isComparison && telemetryData.metadata?.availableFuelSensors?.length > 1 && (
+                                <button
+                                    onClick={() => setShowIndividualSensors(!showIndividualSensors)}
+                                    className="px-3 py-1 text-sm bg-indigo-100 text-indigo-700 rounded-md hover:bg-indigo-200 transition-colors"
+                                >
+                                    {showIndividualSensors ? t('dashboard.showTotal') : t('dashboard.showSeparate')}
+                                </button>
+                            )}
+                        </div>
+
+                        {fuelLines.some(line => line.data.length > 0) ? (
+                            <TelemetryChart lines={fuelLines} unit={t(fuelInLiters ? 'units.liters' : 'units.level')} cursorTime={playback.cursorTime} domain={chartDomain} height={chartHeight} onRangeSelect={zoomToRange}>
+                                {renderQualityAreas('fuel')}
+                                {fuelEvents.map(event => (
+                                    <ReferenceArea
+                                        key={event.id}
+                                        x1={event.startTime}
+                                        x2={event.endTime}
+                                        fill={FUEL_EVENT_COLORS[event.type]}
+                                        fillOpacity={0.2}
+                                        stroke={FUEL_EVENT_COLORS[event.type]}
+                                        ifOverflow="hidden"
+                                        label={{
+                                            value: `${event.liters > 0 ? '+' : ''}${formatNumber(event.liters)} ${t('units.liters')}`,
+                                            position: 'insideTop',
+                                            fill: FUEL_EVENT_COLORS[event.type],
+                                            fontSize: 11
+                                        }}
+                                    />
+                                ))}
+                                {renderIncidentAreas('fuel')}
+                            </TelemetryChart>
+                        ) : (
+                            <p className="text-gray-500 text-center py-8">{t('dashboard.noFuel')}</p>
+                        )}
+                    </div>
+                );
+            case 'voltage':
+                return (
+                    <div className="bg-white rounded-lg shadow-lg p-6">
+                        <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                            🔋 {t('dashboard.chart.voltage')}
+                        </h2>
+                        {voltageLines.some(line => line.data.length > 0) ? (
+                            <TelemetryChart lines={voltageLines} unit={t('units.volts')} cursorTime={playback.cursorTime} domain={chartDomain} height={chartHeight} onRangeSelect={zoomToRange}>
+                                {renderQualityAreas('voltage')}
+                                {renderIncidentAreas('voltage')}
+                            </TelemetryChart>
+                        ) : (
+                            <p className="text-gray-500 text-center py-8">{t('dashboard.noVoltage')}</p>
+                        )}
+                    </div>
+                );
+            case 'fieldCharts':
+                if (fieldLines.chart.length === 0) return null;
+                return (
+                    <div className="grid grid-cols-1 gap-6">
+                        {fieldLines.chart.map(chart => (
+                            <div key={chart.field} className="bg-white rounded-lg shadow-lg p-6">
+                                <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                                    📈 {chart.field}
+                                </h2>
+                                {chart.lines.some(line => line.data.length > 0) ? (
+                                    <TelemetryChart lines={chart.lines} unit={chart.field} cursorTime={playback.cursorTime} domain={chartDomain} height={chartHeight} onRangeSelect={zoomToRange}>
+                                        {renderQualityAreas(`field:${chart.field}`)}
+                                        {renderIncidentAreas(`field:${chart.field}`)}
+                                    </TelemetryChart>
+                                ) : (
+                                    <p className="text-gray-500 text-center py-8">
+                                        {fieldsLoading ? t('common.loading') : t('dashboard.noFieldData')}
+                                    </p>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                );
+            case 'fields':
+                if (importedFile) return null;
+                return (
+                    <FieldExplorer
+                        fields={availableFields}
+                        selected={customFields}
+                        loading={fieldsLoading}
+                        onAdd={addCustomField}
+                        onRemove={removeCustomField}
+                        onPlacementChange={changeCustomFieldPlacement}
+                    />
+                );
+            case 'map':
+                return (
+                    <div className="bg-white rounded-lg shadow-lg p-6">
+                        <div className="flex items-center justify-between mb-4">
+                            <h2 className="text-xl font-semibold text-gray-800 flex items-center gap-2">
+                                🗺️ {t('dashboard.mapTitle', { count: formatNumber(totalTrackPoints) })}
+                                {drawnTrackPoints > 0 && drawnTrackPoints < totalTrackPoints && (
+                                    <span className="text-sm font-normal text-gray-500">
+                                        {t('dashboard.drawnPoints', { count: formatNumber(drawnTrackPoints) })}
+                                    </span>
+                                )}
+                            </h2>
+                            {telemetryData.track.length > 1 && !playback.enabled && (
+                                <button
+                                    onClick={playback.toggleEnabled}
+                                    className="px-3 py-1 text-sm bg-indigo-100 text-indigo-700 rounded-md hover:bg-indigo-200 flex items-center gap-1 transition-colors"
+                                >
+                                    <Play className="w-4 h-4" />
+                                    {t('dashboard.playTrip')}
+                                </button>
+                            )}
+                        </div>
+                        {totalTrackPoints > 0 ? (
+                            <div className="rounded-lg overflow-hidden border-2 border-gray-300" style={{ height: mapHeight }}>
+                                <MapContainer
+                                    center={urlViewport ? [urlViewport.lat, urlViewport.lon] : getMapCenter()}
+                                    zoom={urlViewport ? urlViewport.zoom : 13}
+                                    style={{ height: '100%', width: '100%' }}
+                                    scrollWheelZoom={true}
+                                >
+                                    <TileLayer
+                                        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                                        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+                                    />
+                                    {/* В режиме Live новые точки не должны сбивать вид карты, который выбрал диспетчер */}
+                                    <MapBounds bounds={urlViewport || (liveFollow.enabled && !viewRange) ? null : mapBounds} />
+                                    {/* Вид в ссылке и приближение для упрощения трека берутся с основной карты, копии их не трогают */}
+                                    {!isCopy(item) && <MapViewportSync viewport={urlViewport} onChange={setMapViewport} />}
+                                    <GeofenceLayer geofences={geofences} draft={geofenceDraft} onDraftChange={setGeofenceDraft} />
+                                    {vehicleTracks.filter(vehicle => vehicle.track.length > 0).map(vehicle => {
+                                        const first = vehicle.track[0];
+                                        const last = vehicle.track[vehicle.track.length - 1];
+                                        return (
+                                            <React.Fragment key={vehicle.imei}>
+                                                {vehicle.speedRuns ? vehicle.speedRuns.map((run, index) => (
+                                                    <Polyline
+                                                        key={index}
+                                                        positions={run.positions}
+                                                        color={run.color}
+                                                        weight={4}
+                                                        opacity={0.85}
+                                                    />
+                                                )) : (
+                                                    <Polyline
+                                                        positions={vehicle.positions}
+                                                        color={vehicle.color}
+                                                        weight={3}
+                                                        opacity={0.7}
+                                                    />
+                                                )}
+                                                {vehicle.gapLinks.length > 0 && (
+                                                    <Polyline
+                                                        positions={vehicle.gapLinks}
+                                                        color={QUALITY_ISSUE_TYPES.gap.color}
+                                                        weight={2}
+                                                        opacity={0.7}
+                                                        dashArray="4 8"
+                                                    />
+                                                )}
+                                                <Marker position={[first.lat, first.lon]}>
+                                                    <Popup>
+                                                        <div className="font-medium">
+                                                            <strong className="text-green-600">🟢 {t('dashboard.routeStart')}</strong><br/>
+                                                            {vehicleName(vehicle.imei)}<br/>
+                                                            {formatTimestampForDisplay(first.time, timeZone)}
+                                                        </div>
+                                                    </Popup>
+                                                </Marker>
+                                                {liveFollow.enabled ? (
+                                                    <>
+                                                        <CircleMarker
+                                                            center={[last.lat, last.lon]}
+                                                            radius={16}
+                                                            interactive={false}
+                                                            pathOptions={{ stroke: false, fillColor: vehicle.color, fillOpacity: 0.25 }}
+                                                        />
+                                                        <CircleMarker
+                                                            center={[last.lat, last.lon]}
+                                                            radius={8}
+                                                            pathOptions={{ color: '#ffffff', weight: 3, fillColor: vehicle.color, fillOpacity: 1 }}
+                                                        >
+                                                            <Popup>
+                                                                <div className="font-medium">
+                                                                    <strong>📡 {t('dashboard.lastPoint')}</strong><br/>
+                                                                    {vehicleName(vehicle.imei)}<br/>
+                                                                    {formatTimestampForDisplay(last.time, timeZone)}<br/>
+                                                                    {formatTimeAgo(Math.max(0, liveFollow.now - pointTime(last)))}
+                                                                </div>
+                                                            </Popup>
+                                                        </CircleMarker>
+                                                    </>
+                                                ) : (
+                                                    <Marker position={[last.lat, last.lon]}>
+                                                        <Popup>
+                                                            <div className="font-medium">
+                                                                <strong className="text-red-600">🔴 {t('dashboard.routeEnd')}</strong><br/>
+                                                                {vehicleName(vehicle.imei)}<br/>
+                                                                {formatTimestampForDisplay(last.time, timeZone)}
+                                                            </div>
+                                                        </Popup>
+                                                    </Marker>
+                                                )}
+                                            </React.Fragment>
+                                        );
+                                    })}
+                                    {fuelEvents.filter(event => event.position).map(event => (
+                                        <Marker key={event.id} position={event.position} icon={FUEL_EVENT_ICONS[event.type]}>
+                                            <Popup>
+                                                <div className="font-medium">
+                                                    <strong style={{ color: FUEL_EVENT_COLORS[event.type] }}>
+                                                        {event.type === 'refuel' ? '⛽' : '⚠️'} {t(`fuelEvents.type.${event.type}`)}: {event.liters > 0 ? '+' : ''}{formatNumber(event.liters)} {t('units.liters')}
+                                                    </strong><br/>
+                                                    {formatTimestampForDisplay(event.startTime, timeZone)} — {formatTimestampForDisplay(event.endTime, timeZone)}
+                                                </div>
+                                            </Popup>
+                                        </Marker>
+                                    ))}
+                                    {selectedEpisodePositions && (
+                                        <Polyline positions={selectedEpisodePositions} color="#dc2626" weight={8} opacity={0.5} />
+                                    )}
+                                    {selectedEpisode?.position && (
+                                        <Popup key={selectedEpisode.id} position={selectedEpisode.position}>
+                                            <div className="font-medium">
+                                                <strong className="text-red-600">🚨 {t('dashboard.overspeed', { speed: formatNumber(selectedEpisode.peakSpeed) })}</strong><br/>
+                                                {formatTimestampForDisplay(selectedEpisode.startTime, timeZone)} — {formatTimestampForDisplay(selectedEpisode.endTime, timeZone)}<br/>
+                                                {t('dashboard.speedLimit', { limit: speedLimit, duration: formatDuration(selectedEpisode.duration) })}
+                                            </div>
+                                        </Popup>
+                                    )}
+                                    {selectedQualityIssue?.from && (
+                                        <>
+                                            <Polyline
+                                                positions={[selectedQualityIssue.from, selectedQualityIssue.to]}
+                                                color={QUALITY_ISSUE_TYPES.jump.color}
+                                                weight={4}
+                                                dashArray="6 6"
+                                            />
+                                            <CircleMarker
+                                                center={selectedQualityIssue.to}
+                                                radius={7}
+                                                pathOptions={{ color: '#ffffff', weight: 2, fillColor: QUALITY_ISSUE_TYPES.jump.color, fillOpacity: 1 }}
+                                            >
+                                                <Popup>
+                                                    <div className="font-medium">
+                                                        <strong style={{ color: QUALITY_ISSUE_TYPES.jump.color }}>⚡ {t('quality.type.jump')}</strong><br/>
+                                                        {formatTimestampForDisplay(selectedQualityIssue.endTime, timeZone)}<br/>
+                                                        {formatIssueDetail(selectedQualityIssue.detail)}
+                                                    </div>
+                                                </Popup>
+                                            </CircleMarker>
+                                        </>
+                                    )}
+                                    {playbackPosition && (
+                                        <CircleMarker
+                                            center={playbackPosition}
+                                            radius={8}
+                                            pathOptions={{ color: '#ffffff', weight: 2, fillColor: '#ef4444', fillOpacity: 1 }}
+                                        >
+                                            <Popup>
+                                                <div className="font-medium">
+                                                    <strong>🚚 {t('dashboard.currentPosition')}</strong><br/>
+                                                    {formatTimestampForDisplay(playback.cursorTime, timeZone)}
+                                                    {playbackSpeed !== null && <><br/>{formatNumber(playbackSpeed)} {t('units.kmh')}</>}
+                                                </div>
+                                            </Popup>
+                                        </CircleMarker>
+                                    )}
+                                </MapContainer>
+                            </div>
+                        ) : (
+                            <p className="text-gray-500 text-center py-8">{t('dashboard.noGps')}</p>
+                        )}
+                        {!isComparison && totalTrackPoints > 0 && (
+                            <div className="flex flex-wrap items-center gap-3 mt-3 text-xs text-gray-600">
+                                {t('dashboard.speedLegend')}
+                                {SPEED_BANDS.map(band => (
+                                    <span key={band.id} className="flex items-center gap-1">
+                                        <span className="w-4 h-1.5 rounded-full" style={{ backgroundColor: band.color }} />
+                                        {t(`speed.band.${band.id}`)}
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                );
+            case 'geofences':
+                return (
+                    <GeofencePanel
+                        geofences={geofences}
+                        draft={geofenceDraft}
+                        onStartDraft={startGeofenceDraft}
+                        onDraftChange={setGeofenceDraft}
+                        onSaveDraft={saveGeofenceDraft}
+                        onCancelDraft={() => setGeofenceDraft(null)}
+                        onRemove={removeGeofence}
+                        visits={geofenceVisits}
+                        showImei={isComparison}
+                        selectedVisitId={selectedVisitId}
+                        onSelectVisit={selectVisit}
+                    />
+                );
+            case 'quality':
+                return (
+                    <DataQualityPanel
+                        reports={qualityReports}
+                        issues={qualityIssues}
+                        showImei={isComparison}
+                        options={qualityOptions}
+                        onOptionsChange={setQualityOptions}
+                        selectedId={selectedQualityIssueId}
+                        onSelect={selectQualityIssue}
+                    />
+                );
+            case 'alerts':
+                return (
+                    <AlertRulesPanel
+                        rules={alertRules}
+                        onChange={changeAlertRules}
+                        seriesOptions={alertSeriesOptions}
+                        incidents={alertIncidents}
+                        showImei={isComparison}
+                        selectedId={selectedIncidentId}
+                        onSelect={selectIncident}
+                    />
+                );
+            case 'trips':
+                return (
+                    <TripsTable
+                        segments={tripSegments}
+                        options={tripOptions}
+                        onOptionsChange={setTripOptions}
+                        selectedId={selectedSegmentId}
+                        onSelect={selectSegment}
+                    />
+                );
+            case 'overspeed':
+                return (
+                    <OverspeedPanel
+                        imei={isComparison ? vehicles[0].imei : null}
+                        episodes={overspeedEpisodes}
+                        speedLimit={speedLimit}
+                        onSpeedLimitChange={setSpeedLimit}
+                        selectedId={selectedEpisodeId}
+                        onSelect={(episode) => setSelectedEpisodeId(episode ? episode.id : null)}
+                    />
+                );
+            case 'fuelEvents':
+                return (
+                    <FuelEventsPanel
+                        imei={isComparison ? vehicles[0].imei : null}
+                        events={fuelEvents}
+                        options={fuelEventOptions}
+                        onOptionsChange={setFuelEventOptions}
+                        source={fuelEventSource}
+                        sources={fuelEventSources}
+                        onSourceChange={setFuelEventSource}
+                    />
+                );
+            case 'calibration':
+                return (
+                    <FuelCalibrationPanel
+                        vehicles={vehicles}
+                        calibrations={calibrations}
+                        onChange={changeCalibrations}
+                    />
+                );
+            default:
+                return null;
+        }
+    };
+
+    return (
+        <TimeZoneContext.Provider value={timeZone}>
+            <div
+                className="min-h-screen bg-gray-50 p-6"
+                onDragOver={handleDragOver}
+                onDragLeave={handleDragLeave}
+                onDrop={handleDrop}
+            >
+                {dragActive && (
+                    <div className="fixed inset-4 z-[2000] border-4 border-dashed border-blue-400 bg-blue-50/80 rounded-lg flex items-center justify-center pointer-events-none">
+                        <p className="text-xl font-semibold text-blue-800">{t('dashboard.dropFile')}</p>
+                    </div>
+                )}
+                <div className="max-w-7xl mx-auto">
+                    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+                        <div className="flex flex-wrap items-start justify-between gap-4 mb-6">
+                            <h1 className="text-3xl font-bold text-gray-800">
+                                {t('dashboard.title')}
+                            </h1>
+                            <label className="flex items-center gap-2 text-sm text-gray-700">
+                                {t('dashboard.timeZone')}
+                                <select
+                                    value={timeZone}
+                                    onChange={(e) => changeTimeZone(e.target.value)}
+                                    className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                >
+                                    {!TIME_ZONES.includes(timeZone) && (
+                                        <option value={timeZone}>{getTimeZoneLabel(timeZone)}</option>
+                                    )}
+                                    {TIME_ZONES.map(zone => (
+                                        <option key={zone} value={zone}>{getTimeZoneLabel(zone)}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        </div>
+
+                        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    IMEI
+                                </label>
+                                <ImeiSelector imeis={imeis} selected={selectedImeis} onChange={setSelectedImeis} />
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    {t('table.start', { zone: getTimeZoneLabel(timeZone) })}
+                                </label>
+                                <input
+                                    type="datetime-local"
+                                    value={startDate}
+                                    onChange={(e) => setStartDate(e.target.value)}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    {t('table.end', { zone: getTimeZoneLabel(timeZone) })}
+                                </label>
+                                <input
+                                    type="datetime-local"
+                                    value={endDate}
+                                    onChange={(e) => setEndDate(e.target.value)}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+
+                            <div className="flex items-end gap-2">
+                                <button
+                                    onClick={() => fetchTelemetry()}
+                                    disabled={loading}
+                                    className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center justify-center gap-2 transition-colors"
+                                >
+                                    {loading ? (
+                                        <>
+                                            <RefreshCw className="w-4 h-4 animate-spin" />
+                                            {t('common.loading')}
+                                        </>
+                                    ) : (
+                                        <>
+                                            <Download className="w-4 h-4" />
+                                            {t('dashboard.load')}
+                                        </>
+                                    )}
+                                </button>
+                                <button
+                                    onClick={liveFollow.toggleEnabled}
+                                    disabled={vehicles.length === 0 || importedFile !== null}
+                                    className={`px-3 py-2 rounded-md flex items-center gap-2 transition-colors disabled:bg-gray-200 disabled:text-gray-400 ${
+                                        liveFollow.enabled ? 'bg-red-600 text-white hover:bg-red-700' : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
+                                    }`}
+                                    title={liveFollow.enabled ? t('dashboard.liveStop') : t('dashboard.liveStart')}
+                                >
+                                    <Radio className={`w-4 h-4 ${liveFollow.enabled ? 'animate-pulse' : ''}`} />
+                                    Live
+                                </button>
+                                <ExportMenu
+                                    vehicles={vehicles}
+                                    fileBaseName={exportFileBaseName}
+                                    disabled={loading || vehicles.length === 0}
+                                />
+                                <button
+                                    onClick={() => setReportOpen(true)}
+                                    disabled={loading || vehicles.length === 0}
+                                    className="px-3 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:text-gray-400 disabled:bg-gray-100 flex items-center gap-1 transition-colors"
+                                    title={isComparison ? t('dashboard.reportFor', { vehicle: vehicleName(vehicles[0].imei) }) : t('dashboard.report')}
+                                >
+                                    <FileText className="w-4 h-4" />
+                                </button>
+                                <button
+                                    onClick={() => importInputRef.current.click()}
+                                    className="px-3 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 flex items-center gap-1 transition-colors"
+                                    title={t('dashboard.openFile')}
+                                >
+                                    <Upload className="w-4 h-4" />
+                                </button>
+                                <input
+                                    ref={importInputRef}
+                                    type="file"
+                                    accept=".csv,.txt,.gpx"
+                                    className="hidden"
+                                    onChange={(e) => {
+                                        openImportFile(e.target.files[0]);
+                                        e.target.value = '';
+                                    }}
+                                />
+                            </div>
+                        </div>
+
+                        {error && (
+                            <div className="bg-red-50 border border-red-200 rounded-md p-4 flex items-start gap-2">
+                                <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+                                <p className="text-red-700">{error}</p>
+                            </div>
+                        )}
+                    </div>
+
+                    {telemetryData && (
+                        <div>
+                            {isComparison && (
+                                <VehicleLegend vehicles={vehicles} hiddenImeis={hiddenImeis} onToggle={toggleVehicle} />
+                            )}
+
+                            <div className="bg-gradient-to-r from-blue-50 to-indigo-50 border-2 border-blue-200 rounded-lg p-4 mb-6">
+                                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                                    <div className="flex items-center gap-3">
+                                        <div className="bg-blue-600 p-3 rounded-lg">
+                                            <Calendar className="w-6 h-6 text-white" />
+                                        </div>
+                                        <div>
+                                            <p className="text-xs text-gray-600 font-medium">{t('report.period')}</p>
+                                            <p className="text-sm font-bold text-gray-800">
+                                                {t('report.days', { count: telemetryData.metadata?.rangeDays })}
+                                            </p>
+                                        </div>
+                                    </div>
+
+                                    <div className="flex items-center gap-3">
+                                        <div className="bg-green-600 p-3 rounded-lg">
+                                            <Zap className="w-6 h-6 text-white" />
+                                        </div>
+                                        <div>
+                                            <p className="text-xs text-gray-600 font-medium">{t('report.records')}</p>
+                                            <p className="text-sm font-bold text-gray-800">
+                                                {formatNumber(telemetryData.metadata?.totalRecords ?? 0)} {t('units.pieces')}
+                                            </p>
+                                        </div>
+                                    </div>
+
+                                    <div className="flex items-center gap-3">
+                                        <div className="bg-purple-600 p-3 rounded-lg">
+                                            <Fuel className="w-6 h-6 text-white" />
+                                        </div>
+                                        <div>
+                                            <p className="text-xs text-gray-600 font-medium">{t('report.fuelSensors')}</p>
+                                            <p className="text-sm font-bold text-gray-800">
+                                                {telemetryData.metadata?.availableFuelSensors?.length || 0} {t('units.pieces')}
+                                                {telemetryData.metadata?.availableFuelSensors?.length > 0 &&
+                                                    ` (${telemetryData.metadata.availableFuelSensors.map(s => s.replace('fls485_level_', '#')).join(', ')})`
+                                                }
+                                            </p>
+                                        </div>
+                                    </div>
+
+                                    <div className="flex items-center gap-3">
+                                        <div className="bg-sky-600 p-3 rounded-lg">
+                                            <Route className="w-6 h-6 text-white" />
+                                        </div>
+                                        <div>
+                                            <p className="text-xs text-gray-600 font-medium">{t('report.mileage')}</p>
+                                            <p className="text-sm font-bold text-gray-800">
+                                                {formatNumber(tripSummary.distanceKm)} {t('units.km')}
+                                            </p>
+                                        </div>
+                                    </div>
+
+                                    <div className="flex items-center gap-3">
+                                        <div className="bg-orange-500 p-3 rounded-lg">
+                                            <Clock className="w-6 h-6 text-white" />
+                                        </div>
+                                        <div>
+                                            <p className="text-xs text-gray-600 font-medium">{t('dashboard.drivingStopped')}</p>
+                                            <p className="text-sm font-bold text-gray-800">
+                                                {formatDuration(tripSummary.drivingSeconds)} / {formatDuration(tripSummary.stopSeconds)}
+                                            </p>
+                                        </div>
+                                    </div>
+
+                                    <div className="flex items-center gap-3">
+                                        <div className="bg-teal-600 p-3 rounded-lg">
+                                            <Route className="w-6 h-6 text-white" />
+                                        </div>
+                                        <div>
+                                            <p className="text-xs text-gray-600 font-medium">{t('dashboard.tripsStops')}</p>
+                                            <p className="text-sm font-bold text-gray-800">
+                                                {tripSummary.trips} / {tripSummary.stops}
+                                            </p>
+                                        </div>
+                                    </div>
+                                </div>
+
+                                <div className="mt-3 pt-3 border-t border-blue-200">
+                                    <p className="text-xs text-gray-600">
+                                        {importedFile && (
+                                            <>
+                                                {t('dashboard.fromFile')} <span className="font-semibold text-gray-800">{importedFile}</span>
+                                                {' | '}
+                                            </>
+                                        )}
+                                        {t('dashboard.aggregation')} <span className="font-semibold text-gray-800">{telemetryData.metadata?.aggregationWindow}</span>
+                                        {telemetryData.metadata?.cache === 'full' && ` ${t('dashboard.cacheFull')}`}
+                                        {telemetryData.metadata?.cache === 'partial' && ` ${t('dashboard.cachePartial')}`}
+                                        {' | '}
+                                        {t('dashboard.from')} <span className="font-semibold text-gray-800">{formatTimestampForDisplay(telemetryData.metadata?.startTimestamp, timeZone)}</span>
+                                        {' | '}
+                                        {t('dashboard.to')} <span className="font-semibold text-gray-800">{formatTimestampForDisplay(telemetryData.metadata?.endTimestamp, timeZone)}</span>
+                                        {' | '}
+                                        🚚 {isComparison ? t('dashboard.summaryFor') : t('common.vehicle')}: <span className="font-semibold text-gray-800" title={vehicles[0].imei}>{vehicleName(vehicles[0].imei)}</span>
+                                        {' | '}
+                                        <button
+                                            onClick={copyLink}
+                                            className="inline-flex items-center gap-1 p-0 bg-transparent text-xs font-semibold text-blue-700 hover:text-blue-900"
+                                        >
+                                            <Link className="w-3 h-3" />
+                                            {linkCopied ? t('dashboard.linkCopied') : t('dashboard.copyLink')}
+                                        </button>
+                                        {cacheSize !== null && (
+                                            <>
+                                                {' | '}
+                                                {t('dashboard.cache')} <span className="font-semibold text-gray-800">
+                                                    {t('dashboard.megabytes', { size: formatNumber(cacheSize / 1024 / 1024, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) })}
+                                                </span>
+                                                {' '}
+                                                <button
+                                                    onClick={clearCache}
+                                                    disabled={cacheSize === 0}
+                                                    className="inline-flex items-center gap-1 p-0 bg-transparent text-xs font-semibold text-blue-700 hover:text-blue-900 disabled:text-gray-400"
+                                                >
+                                                    <Trash2 className="w-3 h-3" />
+                                                    {t('dashboard.clearCache')}
+                                                </button>
+                                            </>
+                                        )}
+                                    </p>
+                                </div>
+                            </div>
+
+                            {playback.enabled && (
+                                <PlaybackControls playback={playback} currentSpeed={playbackSpeed} />
+                            )}
+
+                            {liveFollow.enabled && (
+                                <LiveStatus vehicles={visibleVehicles} now={liveFollow.now} lastPollTime={liveFollow.lastPollTime} error={liveFollow.error} />
+                            )}
+
+                            {viewRange && (
+                                <div className="bg-blue-50 border border-blue-200 rounded-lg px-4 py-2 mb-6 flex items-center justify-between text-sm text-blue-900">
+                                    <span>
+                                        {t('dashboard.shownRange')} <span className="font-semibold">{formatTimestampForDisplay(viewRange.start, timeZone)}</span>
+                                        {' — '}
+                                        <span className="font-semibold">{formatTimestampForDisplay(viewRange.end, timeZone)}</span>
+                                        {detailLoading && (
+                                            <span className="ml-3 inline-flex items-center gap-1 text-blue-700">
+                                                <RefreshCw className="w-3 h-3 animate-spin" />
+                                                {t('dashboard.detailLoading')}
+                                            </span>
+                                        )}
+                                        {!detailLoading && detailVehicles && (
+                                            <span className="ml-3 text-blue-700">
+                                                {t('dashboard.detail', { window: detailVehicles[0].data.metadata?.aggregationWindow, loadedWindow })}
+                                            </span>
+                                        )}
+                                    </span>
+                                    <button
+                                        onClick={resetViewRange}
+                                        className="px-3 py-1 bg-white text-blue-700 border border-blue-200 rounded-md hover:bg-blue-100 flex items-center gap-1 transition-colors"
+                                    >
+                                        <ZoomOut className="w-4 h-4" />
+                                        {t('quality.wholePeriod')}
+                                    </button>
+                                </div>
+                            )}
+
+                            <LayoutToolbar
+                                layouts={layouts}
+                                onChange={changeLayouts}
+                                editing={layoutEditing}
+                                onEditingChange={setLayoutEditing}
+                            />
+
+                            <div className="grid grid-cols-1 xl:grid-cols-6 gap-6">
+                                {layouts.items.filter(item => !item.hidden).map(item => (
+                                    <DashboardPanel
+                                        key={item.id}
+                                        item={item}
+                                        editing={layoutEditing}
+                                        items={layouts.items}
+                                        onItemsChange={(items) => changeLayouts({ ...layouts, items, modified: true })}
+                                    >
+                                        {renderPanel(item)}
+                                    </DashboardPanel>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {importTable && (
+                        <ImportDialog
+                            fileName={importTable.fileName}
+                            table={importTable.table}
+                            onImport={applyImport}
+                            onCancel={() => setImportTable(null)}
+                        />
+                    )}
+
+                    {reportOpen && telemetryData && (
+                        <PeriodReport
+                            vehicle={vehicles[0]}
+                            tripSummary={tripSummary}
+                            fuelEventOptions={fuelEventOptions}
+                            fuelInLiters={telemetryData.metadata?.calibratedFuelSensors?.length > 0}
+                            gapSeconds={getGapSeconds(telemetryData.metadata, { gapMinutes })}
+                            onClose={() => setReportOpen(false)}
+                        />
+                    )}
+
+                    {!telemetryData && !loading && !error && (
+                        <div className="bg-white rounded-lg shadow-lg p-12 text-center">
+                            <Calendar className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+                            <p className="text-gray-600 text-lg mb-2">
+                                {t('dashboard.emptyHint')}
+                            </p>
+                            <p className="text-gray-500 text-sm">
+                                {t('dashboard.emptyAggregation')}
+                            </p>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </TimeZoneContext.Provider>
+    );
+};
+
+export default TelemetryDashboard;
\ No newline at end of file
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import OptionInput from './OptionInput';
+import { formatTimestampForDisplay, formatDuration, getTimeZoneName } from '../utils/time';
+import { formatNumber } from '../utils/i18n';
+import { useTimeZone } from '../context/TimeZoneContext';
+import { useT } from '../context/LocaleContext';
+
+const TripsTable = ({ segments, options, onOptionsChange, selectedId, onSelect }) => {
+    const timeZone = useTimeZone();
+    const t = useT();
+    const [showStops, setShowStops] = useState(false);
+    const setOption = (key) => (value) => onOptionsChange({ ...options, [key]: value });
+
+    const rows = showStops ? segments : segments.filter(segment => segment.type === 'trip');
+    const tripNumbers = new Map(
+        segments.filter(segment => segment.type === 'trip').map((segment, index) => [segment.id, index + 1])
+    );
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                {t('trips.title', { count: tripNumbers.size })}
+            </h2>
+
+            <div className="flex flex-wrap items-end gap-4 mb-4">
+                <OptionInput label={t('trips.stationarySpeed')} value={options.stationarySpeed} onChange={setOption('stationarySpeed')} />
+                <OptionInput label={t('trips.minStop')} value={options.minStopMinutes} onChange={setOption('minStopMinutes')} min={1} />
+                <label className="flex items-center gap-2 text-sm text-gray-700 pb-1">
+                    <input
+                        type="checkbox"
+                        checked={showStops}
+                        onChange={(e) => setShowStops(e.target.checked)}
+                        className="accent-blue-600"
+                    />
+                    {t('trips.showStops')}
+                </label>
+            </div>
+
+            {rows.length > 0 ? (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left">
+                        <thead className="text-xs text-gray-600 uppercase bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2">#</th>
+                                <th className="px-3 py-2">{t('table.start', { zone: getTimeZoneName(timeZone) })}</th>
+                                <th className="px-3 py-2">{t('table.end', { zone: getTimeZoneName(timeZone) })}</th>
+                                <th className="px-3 py-2">{t('table.duration')}</th>
+                                <th className="px-3 py-2 text-right">{t('trips.distance')}</th>
+                                <th className="px-3 py-2 text-right">{t('trips.maxSpeed')}</th>
+                                <th className="px-3 py-2 text-right">{t('trips.avgSpeed')}</th>
+                                <th className="px-3 py-2 text-right">{t('trips.fuel')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(segment => (
+                                <tr
+                                    key={segment.id}
+                                    onClick={() => onSelect(segment.id === selectedId ? null : segment)}
+                                    className={`border-t border-gray-100 cursor-pointer transition-colors ${
+                                        segment.id === selectedId
+                                            ? 'bg-blue-50 text-blue-900'
+                                            : segment.type === 'stop' ? 'text-gray-500 hover:bg-gray-50' : 'text-gray-800 hover:bg-gray-50'
+                                    }`}
+                                >
+                                    <td className="px-3 py-2 font-semibold">
+                                        {segment.type === 'trip' ? tripNumbers.get(segment.id) : '🅿️'}
+                                    </td>
+                                    <td className="px-3 py-2">{formatTimestampForDisplay(segment.startTime, timeZone)}</td>
+                                    <td className="px-3 py-2">{formatTimestampForDisplay(segment.endTime, timeZone)}</td>
+                                    <td className="px-3 py-2">{formatDuration(segment.duration)}</td>
+                                    {segment.type === 'trip' ? (
+                                        <>
+                                            <td className="px-3 py-2 text-right">{formatNumber(segment.distanceKm)}</td>
+                                            <td className="px-3 py-2 text-right">{segment.maxSpeed ?? '—'}</td>
+                                            <td className="px-3 py-2 text-right">{formatNumber(segment.avgSpeed)}</td>
+                                            <td className="px-3 py-2 text-right">{segment.fuelUsed !== null ? formatNumber(segment.fuelUsed) : '—'}</td>
+                                        </>
+                                    ) : (
+                                        <td className="px-3 py-2 text-gray-500" colSpan={4}>{t('trips.stop')}</td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            ) : (
+                <p className="text-gray-500 text-center py-8">{t('trips.empty')}</p>
+            )}
+        </div>
+    );
+};
+
+export default TripsTable;
@@ -0,0 +1,247 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { RefreshCw, AlertCircle, Plus, Pencil, Trash2, Save, X } from 'lucide-react';
+import ImeiSelector from './ImeiSelector';
+import { USER_ROLES, USERNAME_PATTERN, MIN_PASSWORD_LENGTH, fetchUsers, saveUser, deleteUser } from '../utils/users';
+import { apiFetch, checkResponse } from '../utils/api';
+import { useVehicleName } from '../context/DevicesContext';
+import { useT } from '../context/LocaleContext';
+
+const inputClass = 'mt-1 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Что мешает сохранить форму; null - можно сохранять
+const getDraftError = (draft, t) => {
+    if (draft.isNew && !USERNAME_PATTERN.test(draft.username)) return t('users.usernameRule');
+    if (draft.isNew && !draft.password) return t('users.passwordRequired');
+    if (draft.password && draft.password.length < MIN_PASSWORD_LENGTH) return t('users.passwordTooShort', { length: MIN_PASSWORD_LENGTH });
+    return null;
+};
+
+// Пользователи и их ТС: клиент получает логин, видящий только свои IMEI (только для администратора)
+const UserManagement = ({ currentUsername }) => {
+    const vehicleName = useVehicleName();
+    const t = useT();
+    const [users, setUsers] = useState([]);
+    const [imeis, setImeis] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    // Открытая форма: { username, isNew, password, role, imeis }
+    const [draft, setDraft] = useState(null);
+
+    const refresh = async () => {
+        setLoading(true);
+        try {
+            const response = await checkResponse(await apiFetch('/api/imeis'));
+            const data = await response.json();
+            setImeis(data.imeis || []);
+            setUsers(await fetchUsers());
+            setError(null);
+        } catch (err) {
+            setError(t('users.loadError', { message: err.message }));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const refreshRef = useRef(refresh);
+    refreshRef.current = refresh;
+
+    useEffect(() => {
+        refreshRef.current();
+    }, []);
+
+    const openForm = (user) => setDraft(user
+        ? { username: user.username, isNew: false, password: '', role: user.role, imeis: user.imeis }
+        : { username: '', isNew: true, password: '', role: 'user', imeis: [] });
+
+    const submit = async () => {
+        setSaving(true);
+        try {
+            await saveUser(draft.username, draft);
+            setUsers(await fetchUsers());
+            setDraft(null);
+            setError(null);
+        } catch (err) {
+            setError(t('users.saveError', { message: err.message }));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const remove = async (user) => {
+        if (!window.confirm(t('users.deleteConfirm', { username: user.username }))) return;
+        try {
+            await deleteUser(user.username);
+            setUsers(await fetchUsers());
+        } catch (err) {
+            setError(t('users.deleteError', { message: err.message }));
+        }
+    };
+
+    const draftError = draft && getDraftError(draft, t);
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-6">
+            <div className="max-w-7xl mx-auto">
+                <div className="bg-white rounded-lg shadow-lg p-6">
+                    <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+                        <h1 className="text-3xl font-bold text-gray-800">
+                            {t('users.title', { count: users.length })}
+                        </h1>
+                        <div className="flex gap-2">
+                            <button
+                                onClick={() => openForm(null)}
+                                className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 flex items-center gap-2 transition-colors"
+                            >
+                                <Plus className="w-4 h-4" />
+                                {t('common.add')}
+                            </button>
+                            <button
+                                onClick={refresh}
+                                disabled={loading}
+                                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2 transition-colors"
+                            >
+                                <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                                {t('common.refresh')}
+                            </button>
+                        </div>
+                    </div>
+
+                    {error && (
+                        <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-4 flex items-start gap-2">
+                            <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+                            <p className="text-red-700">{error}</p>
+                        </div>
+                    )}
+
+                    {draft && (
+                        <div className="border border-blue-200 bg-blue-50 rounded-lg p-4 mb-4">
+                            <div className="flex flex-wrap gap-4 mb-3">
+                                <label className="flex flex-col text-xs font-medium text-gray-600">
+                                    {t('login.username')}
+                                    <input
+                                        type="text"
+                                        value={draft.username}
+                                        onChange={(e) => setDraft({ ...draft, username: e.target.value.trim() })}
+                                        disabled={!draft.isNew}
+                                        autoComplete="off"
+                                        className={`${inputClass} w-48 disabled:bg-gray-100`}
+                                    />
+                                </label>
+                                <label className="flex flex-col text-xs font-medium text-gray-600">
+                                    {draft.isNew ? t('login.password') : t('users.newPassword')}
+                                    <input
+                                        type="password"
+                                        value={draft.password}
+                                        onChange={(e) => setDraft({ ...draft, password: e.target.value })}
+                                        autoComplete="new-password"
+                                        className={`${inputClass} w-48`}
+                                    />
+                                </label>
+                                <label className="flex flex-col text-xs font-medium text-gray-600">
+                                    {t('users.role')}
+                                    <select
+                                        value={draft.role}
+                                        onChange={(e) => setDraft({ ...draft, role: e.target.value })}
+                                        disabled={draft.username === currentUsername}
+                                        className={`${inputClass} w-48 disabled:bg-gray-100`}
+                                    >
+                                        {USER_ROLES.map(role => (
+                                            <option key={role} value={role}>{t(`users.role.${role}`)}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                {draft.role === 'user' && (
+                                    <div className="flex flex-col text-xs font-medium text-gray-600 w-72">
+                                        {t('users.vehicles')}
+                                        <div className="mt-1">
+                                            <ImeiSelector
+                                                imeis={imeis}
+                                                selected={draft.imeis}
+                                                onChange={(selected) => setDraft({ ...draft, imeis: selected })}
+                                            />
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+                            <p className="text-xs text-gray-600 mb-3">{t(`users.roleHint.${draft.role}`)}</p>
+                            {draftError && <p className="text-sm text-red-700 mb-3">{draftError}</p>}
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={submit}
+                                    disabled={saving || draftError !== null}
+                                    className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-1 transition-colors"
+                                >
+                                    {saving ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                                    {t('common.save')}
+                                </button>
+                                <button
+                                    onClick={() => setDraft(null)}
+                                    className="px-3 py-1 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 flex items-center gap-1 transition-colors"
+                                >
+                                    <X className="w-4 h-4" />
+                                    {t('common.cancel')}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {users.length > 0 ? (
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm text-left">
+                                <thead className="text-xs text-gray-600 uppercase bg-gray-50">
+                                    <tr>
+                                        <th className="px-3 py-2">{t('login.username')}</th>
+                                        <th className="px-3 py-2">{t('users.role')}</th>
+                                        <th className="px-3 py-2">{t('common.vehicles')}</th>
+                                        <th className="px-3 py-2"></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {users.map(user => (
+                                        <tr key={user.username} className="border-t border-gray-100 text-gray-800">
+                                            <td className="px-3 py-2 font-medium">
+                                                {user.username}
+                                                {user.username === currentUsername && <span className="ml-1 text-xs text-gray-500">{t('users.you')}</span>}
+                                            </td>
+                                            <td className="px-3 py-2">{USER_ROLES.includes(user.role) ? t(`users.role.${user.role}`) : user.role}</td>
+                                            <td className="px-3 py-2 text-gray-600">
+                                                {user.role === 'admin'
+                                                    ? t('users.allVehicles')
+                                                    : user.imeis.length > 0 ? user.imeis.map(vehicleName).join(', ') : '—'}
+                                            </td>
+                                            <td className="px-3 py-2">
+                                                <div className="flex justify-end gap-1">
+                                                    <button
+                                                        onClick={() => openForm(user)}
+                                                        className="p-1 bg-transparent text-gray-500 hover:text-blue-700"
+                                                        title={t('common.edit')}
+                                                    >
+                                                        <Pencil className="w-4 h-4" />
+                                                    </button>
+                                                    {user.username !== currentUsername && (
+                                                        <button
+                                                            onClick={() => remove(user)}
+                                                            className="p-1 bg-transparent text-gray-500 hover:text-red-600"
+                                                            title={t('common.delete')}
+                                                        >
+                                                            <Trash2 className="w-4 h-4" />
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    ) : (
+                        <p className="text-gray-500 text-center py-8">{loading ? t('common.loading') : t('users.empty')}</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default UserManagement;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Eye, EyeOff } from 'lucide-react';
+import { useVehicleName } from '../context/DevicesContext';
+import { useT } from '../context/LocaleContext';
+
+const VehicleLegend = ({ vehicles, hiddenImeis, onToggle }) => {
+    const vehicleName = useVehicleName();
+    const t = useT();
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-4 mb-6 flex flex-wrap items-center gap-3">
+            <span className="text-sm font-medium text-gray-600">{t('legend.title')}</span>
+            {vehicles.map((vehicle, index) => {
+                const hidden = hiddenImeis.includes(vehicle.imei);
+                return (
+                    <button
+                        key={vehicle.imei}
+                        onClick={() => onToggle(vehicle.imei)}
+                        className={`px-3 py-1 text-sm rounded-full border flex items-center gap-2 transition-colors ${
+                            hidden ? 'bg-gray-50 border-gray-200 text-gray-400' : 'bg-white border-gray-300 text-gray-800 hover:bg-gray-50'
+                        }`}
+                        title={`${vehicle.imei}: ${hidden ? t('legend.show') : t('legend.hide')}`}
+                    >
+                        <span
+                            className="w-3 h-3 rounded-full"
+                            style={{ backgroundColor: vehicle.color, opacity: hidden ? 0.3 : 1 }}
+                        />
+                        {vehicleName(vehicle.imei)}
+                        {index === 0 && <span className="text-xs text-gray-500">{t('legend.primary')}</span>}
+                        {hidden ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                    </button>
+                );
+            })}
+        </div>
+    );
+};
+
+export default VehicleLegend;
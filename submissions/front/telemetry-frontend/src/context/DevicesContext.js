@@ -0,0 +1,13 @@
+import { createContext, useContext, useCallback } from 'react';
+import { getVehicleName } from '../utils/devices';
+
+// Реестр устройств { [imei]: device } и его перезагрузка после правок на странице «Устройства»
+export const DevicesContext = createContext({ devices: {}, reloadDevices: () => {} });
+
+export const useDevices = () => useContext(DevicesContext);
+
+// Имя ТС для подписей по IMEI
+export const useVehicleName = () => {
+    const { devices } = useContext(DevicesContext);
+    return useCallback((imei) => getVehicleName(imei, devices), [devices]);
+};
@@ -0,0 +1,9 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_LOCALE, translate } from '../utils/i18n';
+
+// Язык интерфейса и его смена. t пересоздаётся при смене языка, поэтому годится в зависимости useMemo
+export const LocaleContext = createContext({ locale: DEFAULT_LOCALE, changeLocale: () => {}, t: translate });
+
+export const useLocale = () => useContext(LocaleContext);
+
+export const useT = () => useContext(LocaleContext).t;
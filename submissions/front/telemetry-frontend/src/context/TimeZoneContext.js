@@ -0,0 +1,7 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_TIME_ZONE } from '../utils/time';
+
+// Выбранная в шапке зона IANA, в которой показывается всё время в интерфейсе
+export const TimeZoneContext = createContext(DEFAULT_TIME_ZONE);
+
+export const useTimeZone = () => useContext(TimeZoneContext);
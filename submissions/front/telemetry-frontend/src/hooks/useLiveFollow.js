@@ -0,0 +1,64 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+const LIVE_POLL_INTERVAL_MS = 30000;
+const LIVE_CLOCK_TICK_MS = 10000;
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// Режим Live: пока включён, раз в LIVE_POLL_INTERVAL_MS вызывает poll и ведёт часы для «N мин назад».
+// poll может меняться на каждом рендере - вызывается его последняя версия.
+// Ошибка опроса не выключает Live: она попадает в error до следующего удачного опроса
+const useLiveFollow = (poll) => {
+    const [enabled, setEnabled] = useState(false);
+    const [now, setNow] = useState(nowSeconds);
+    const [lastPollTime, setLastPollTime] = useState(null);
+    const [error, setError] = useState(null);
+    const pollRef = useRef(poll);
+    pollRef.current = poll;
+
+    useEffect(() => {
+        if (!enabled) return undefined;
+        let inFlight = false;
+        const tick = async () => {
+            // Медленный ответ не должен накладываться на следующий опрос
+            if (inFlight) return;
+            inFlight = true;
+            try {
+                await pollRef.current();
+                setLastPollTime(nowSeconds());
+                setError(null);
+            } catch (err) {
+                console.error('Ошибка обновления Live:', err);
+                setError(err.message);
+            } finally {
+                inFlight = false;
+                setNow(nowSeconds());
+            }
+        };
+        tick();
+        const intervalId = setInterval(tick, LIVE_POLL_INTERVAL_MS);
+        return () => clearInterval(intervalId);
+    }, [enabled]);
+
+    useEffect(() => {
+        if (!enabled) return undefined;
+        const intervalId = setInterval(() => setNow(nowSeconds()), LIVE_CLOCK_TICK_MS);
+        return () => clearInterval(intervalId);
+    }, [enabled]);
+
+    const toggleEnabled = useCallback(() => {
+        setLastPollTime(null);
+        setError(null);
+        setEnabled(prev => !prev);
+    }, []);
+
+    return {
+        enabled,
+        toggleEnabled,
+        now,
+        lastPollTime,
+        error
+    };
+};
+
+export default useLiveFollow;
@@ -0,0 +1,74 @@
+import { useState, useEffect, useCallback } from 'react';
+import { pointTime } from '../utils/track';
+
+const PLAYBACK_TICK_MS = 200;
+
+export const PLAYBACK_SPEEDS = [1, 10, 30, 60, 300, 900, 3600];
+
+const usePlayback = (track) => {
+    const [enabled, setEnabled] = useState(false);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [speed, setSpeed] = useState(60);
+    const [currentTime, setCurrentTime] = useState(null);
+
+    const startTime = track?.length > 0 ? pointTime(track[0]) : null;
+    const endTime = track?.length > 0 ? pointTime(track[track.length - 1]) : null;
+
+    // Новый трек - курсор в начало; дописанные в режиме Live точки начало не меняют и воспроизведение не сбрасывают
+    useEffect(() => {
+        setIsPlaying(false);
+        setCurrentTime(startTime);
+    }, [startTime]);
+
+    useEffect(() => {
+        if (!isPlaying) return undefined;
+        const intervalId = setInterval(() => {
+            setCurrentTime(prev => Math.min(prev + speed * PLAYBACK_TICK_MS / 1000, endTime));
+        }, PLAYBACK_TICK_MS);
+        return () => clearInterval(intervalId);
+    }, [isPlaying, speed, endTime]);
+
+    useEffect(() => {
+        if (isPlaying && currentTime >= endTime) {
+            setIsPlaying(false);
+        }
+    }, [isPlaying, currentTime, endTime]);
+
+    const play = useCallback(() => {
+        if (startTime === null) return;
+        if (currentTime === null || currentTime >= endTime) {
+            setCurrentTime(startTime);
+        }
+        setEnabled(true);
+        setIsPlaying(true);
+    }, [currentTime, startTime, endTime]);
+
+    const pause = useCallback(() => setIsPlaying(false), []);
+
+    const seek = useCallback((timestamp) => {
+        if (startTime === null) return;
+        setCurrentTime(Math.max(startTime, Math.min(timestamp, endTime)));
+    }, [startTime, endTime]);
+
+    const toggleEnabled = useCallback(() => {
+        setIsPlaying(false);
+        setEnabled(prev => !prev);
+    }, []);
+
+    return {
+        enabled,
+        toggleEnabled,
+        isPlaying,
+        play,
+        pause,
+        speed,
+        setSpeed,
+        currentTime,
+        seek,
+        startTime,
+        endTime,
+        cursorTime: enabled ? currentTime : null
+    };
+};
+
+export default usePlayback;
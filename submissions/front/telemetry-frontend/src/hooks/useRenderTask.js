@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import { RENDER_TASKS } from '../utils/renderTasks';
+
+// Один воркер на всю страницу, создаётся при первой задаче
+let worker = null;
+// Воркер не загрузился или упал - дальше задачи считаются в основном потоке
+let workerFailed = false;
+let nextTaskId = 0;
+const pendingTasks = new Map();
+
+// Данные задач: объект получает ключ и копируется в воркер один раз, следующие задачи ссылаются на ключ.
+// refCounts - сколько подключённых useRenderTask используют данные; без них данные удаляются и из воркера
+const dataKeys = new WeakMap();
+let nextDataKey = 0;
+const refCounts = new Map();
+const sharedKeys = new Set();
+
+const getDataKey = (data) => {
+    if (!dataKeys.has(data)) dataKeys.set(data, nextDataKey++);
+    return dataKeys.get(data);
+};
+
+const retainData = (data) => {
+    const key = getDataKey(data);
+    refCounts.set(key, (refCounts.get(key) ?? 0) + 1);
+    return key;
+};
+
+const releaseData = (key) => {
+    const count = refCounts.get(key) - 1;
+    if (count > 0) {
+        refCounts.set(key, count);
+        return;
+    }
+    refCounts.delete(key);
+    if (sharedKeys.delete(key) && worker) {
+        worker.postMessage({ kind: 'release', key });
+    }
+};
+
+// Ждущие ответа задачи отклоняются, runRenderTask пересчитает их без воркера
+const dropWorker = (reason) => {
+    console.error('Воркер обработки недоступен, расчёт идёт в основном потоке:', reason);
+    worker.terminate();
+    worker = null;
+    workerFailed = true;
+    sharedKeys.clear();
+    const error = new Error('Render worker failed');
+    pendingTasks.forEach(task => task.reject(error));
+    pendingTasks.clear();
+};
+
+const getWorker = () => {
+    if (!worker && !workerFailed && typeof Worker !== 'undefined') {
+        worker = new Worker(new URL('../workers/render.worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = ({ data: { id, result, error } }) => {
+            const task = pendingTasks.get(id);
+            if (!task) return;
+            pendingTasks.delete(id);
+            if (error) {
+                task.reject(new Error(error));
+            } else {
+                task.resolve(result);
+            }
+        };
+        worker.onerror = (event) => dropWorker(event.message || event);
+        worker.onmessageerror = (event) => dropWorker(event);
+    }
+    return worker;
+};
+
+const runRenderTask = (type, data, options) => {
+    const renderWorker = getWorker();
+    if (!renderWorker) {
+        return Promise.resolve().then(() => RENDER_TASKS[type](data, options));
+    }
+    const key = getDataKey(data);
+    if (!sharedKeys.has(key)) {
+        renderWorker.postMessage({ kind: 'share', key, data });
+        sharedKeys.add(key);
+    }
+    const id = nextTaskId++;
+    return new Promise((resolve, reject) => {
+        pendingTasks.set(id, { resolve, reject });
+        renderWorker.postMessage({ kind: 'task', id, type, key, options });
+    }).catch(err => {
+        if (!workerFailed) throw err;
+        return RENDER_TASKS[type](data, options);
+    });
+};
+
+// Результат задачи воркера над data с параметрами options (оба мемоизированы или примитивы).
+// Смена options не копирует data в воркер заново - при приближении уходят только новые границы.
+// Пока считается новый, возвращается предыдущий результат - при приближении график не мигает;
+// до первого результата и без data - null.
+const useRenderTask = (type, data, options) => {
+    const [result, setResult] = useState(null);
+
+    useEffect(() => {
+        if (!data) return undefined;
+        const key = retainData(data);
+        return () => releaseData(key);
+    }, [data]);
+
+    useEffect(() => {
+        if (!data) return undefined;
+        let cancelled = false;
+        runRenderTask(type, data, options)
+            .then(next => {
+                if (!cancelled) setResult(next);
+            })
+            .catch(err => console.error('Ошибка обработки в воркере:', err));
+        return () => {
+            cancelled = true;
+        };
+    }, [type, data, options]);
+
+    return data ? result : null;
+};
+
+export default useRenderTask;
@@ -0,0 +1,578 @@
+// English
+export default {
+    // Дата и время
+    'time.dateTime': '{day}/{month}/{year} {hour}:{minute}:{second}',
+    'time.dateTimeShort': '{day}/{month}/{year} {hour}:{minute}',
+    'time.minutes': '{minutes} min',
+    'time.hoursMinutes': '{hours} h {minutes} min',
+    'time.justNow': 'just now',
+    'time.ago': '{duration} ago',
+    'time.date': '{day}/{month}/{year}',
+    'time.dayMonth': '{day}/{month}',
+    'weekday.1': 'Mo',
+    'weekday.2': 'Tu',
+    'weekday.3': 'We',
+    'weekday.4': 'Th',
+    'weekday.5': 'Fr',
+    'weekday.6': 'Sa',
+    'weekday.7': 'Su',
+    'month.1': 'January',
+    'month.2': 'February',
+    'month.3': 'March',
+    'month.4': 'April',
+    'month.5': 'May',
+    'month.6': 'June',
+    'month.7': 'July',
+    'month.8': 'August',
+    'month.9': 'September',
+    'month.10': 'October',
+    'month.11': 'November',
+    'month.12': 'December',
+
+    // Часовые пояса
+    'tz.Asia/Almaty': 'Almaty',
+    'tz.Asia/Qostanay': 'Kostanay',
+    'tz.Asia/Qyzylorda': 'Kyzylorda',
+    'tz.Asia/Aqtobe': 'Aktobe',
+    'tz.Asia/Aqtau': 'Aktau',
+    'tz.Asia/Atyrau': 'Atyrau',
+    'tz.Asia/Oral': 'Oral',
+    'tz.Europe/Kaliningrad': 'Kaliningrad',
+    'tz.Europe/Moscow': 'Moscow',
+    'tz.Europe/Samara': 'Samara',
+    'tz.Asia/Yekaterinburg': 'Yekaterinburg',
+    'tz.Asia/Omsk': 'Omsk',
+    'tz.Asia/Novosibirsk': 'Novosibirsk',
+    'tz.Asia/Krasnoyarsk': 'Krasnoyarsk',
+    'tz.Asia/Irkutsk': 'Irkutsk',
+    'tz.Asia/Yakutsk': 'Yakutsk',
+    'tz.Asia/Vladivostok': 'Vladivostok',
+    'tz.Asia/Magadan': 'Magadan',
+    'tz.Asia/Kamchatka': 'Kamchatka',
+    'tz.UTC': 'UTC',
+
+    // Общее
+    'common.httpError': 'Error {status}: {text}',
+    'common.save': 'Save',
+    'common.add': 'Add',
+    'common.refresh': 'Refresh',
+    'common.cancel': 'Cancel',
+    'common.edit': 'Edit',
+    'common.delete': 'Delete',
+    'common.loading': 'Loading...',
+    'common.vehicles': 'Vehicles',
+    'common.noData': 'No data',
+    'common.imeiLoadError': 'Failed to load the IMEI list: {message}',
+    'common.httpStatus': 'Error {status}',
+    'common.vehicle': 'Vehicle',
+
+    // Вход
+    'login.invalidCredentials': 'Invalid username or password',
+    'login.tooManyAttempts': 'Too many login attempts, please wait a minute',
+    'login.title': '🚚 Fleet telemetry',
+    'login.username': 'Username',
+    'login.password': 'Password',
+    'login.submit': 'Sign in',
+
+    // Навигация
+    'nav.fleet': 'Fleet',
+    'nav.dashboard': 'Telemetry',
+    'nav.daily': 'Daily',
+    'nav.devices': 'Devices',
+    'nav.users': 'Users',
+    'nav.logout': 'Sign out',
+    'preferences.language': 'Interface language',
+    'preferences.darkTheme': 'Dark theme',
+    'preferences.lightTheme': 'Light theme',
+
+    // Пользователи
+    'users.title': '👥 Users ({count})',
+    'users.usernameRule': 'Username: 3-64 characters, Latin letters, digits, _ . @ -',
+    'users.passwordRequired': 'Set a password',
+    'users.passwordTooShort': 'Password must be at least {length} characters',
+    'users.loadError': 'Failed to load users: {message}',
+    'users.saveError': 'Failed to save the user: {message}',
+    'users.deleteConfirm': 'Delete user {username}? Their sessions will be closed.',
+    'users.deleteError': 'Failed to delete the user: {message}',
+    'users.newPassword': 'New password (leave empty to keep)',
+    'users.role': 'Role',
+    'users.role.admin': 'Administrator',
+    'users.role.user': 'User',
+    'users.roleHint.admin': 'all vehicles, users and the device registry',
+    'users.roleHint.user': 'assigned vehicles only',
+    'users.vehicles': 'User\'s vehicles',
+    'users.you': '(you)',
+    'users.allVehicles': 'All',
+    'users.empty': 'No users',
+
+    // Выбор ТС
+    'imeiSelector.none': 'Nothing selected',
+    'imeiSelector.search': 'Plate number, driver, group, IMEI',
+    'imeiSelector.empty': 'The IMEI list is empty',
+    'imeiSelector.notFound': 'Nothing found',
+    'imeiSelector.unregisteredHint': 'The IMEI appears in the data but is not in the device registry',
+
+    // Устройства
+    'devices.ungrouped': 'No group',
+    'devices.unregistered': 'Not registered',
+    'devices.title': '🏷️ Devices ({count})',
+    'devices.field.name': 'Plate number / name',
+    'devices.field.driver': 'Driver',
+    'devices.field.group': 'Group / department',
+    'devices.placeholder.name': '123 ABC 02',
+    'devices.placeholder.driver': 'Surname N.',
+    'devices.placeholder.group': 'Quarry, Delivery...',
+    'devices.imeiPlaceholder': '15 digits',
+    'devices.group': 'Group',
+    'devices.fuelTanks': 'Tanks',
+    'devices.notes': 'Notes',
+    'devices.loadError': 'Failed to load devices: {message}',
+    'devices.duplicate': 'IMEI {imei} is already in the registry',
+    'devices.saveError': 'Failed to save the device: {message}',
+    'devices.deleteConfirm': 'Remove {name} from the registry? Telemetry data will be kept.',
+    'devices.deleteError': 'Failed to delete the device: {message}',
+    'devices.noRecentData': '(no data)',
+    'devices.noRecentDataHint': 'No data in the last 30 days',
+    'devices.openTelemetry': 'Open telemetry',
+    'devices.updatedAt': 'Modified {time}',
+    'devices.remove': 'Remove from the registry',
+    'devices.empty': 'The registry is empty: add devices from the list below or manually',
+    'devices.unregisteredHint': 'IMEIs that sent data in the last 30 days but are not in the registry',
+    'devices.register': 'Add to the registry',
+    'devices.allRegistered': 'All IMEIs from the data are in the registry',
+
+    // Единицы измерения
+    'units.kmh': 'km/h',
+    'units.km': 'km',
+    'units.volts': 'V',
+    'units.liters': 'L',
+    'units.level': 'lvl',
+    'units.hours': 'h',
+    'units.pieces': 'pcs',
+    'units.sensorUnits': 'units',
+
+    // Автопарк
+    'fleet.title': '🚚 Fleet ({count})',
+    'fleet.loadError': 'Failed to load the fleet: {message}',
+    'fleet.updated': 'Updated:',
+    'fleet.option.movingSpeed': 'Moving above, km/h',
+    'fleet.option.noSignalHours': 'No signal for over, h',
+    'fleet.option.lowVoltage': 'Low voltage, V',
+    'fleet.status.noSignal': 'No signal',
+    'fleet.status.lowVoltage': 'Low voltage',
+    'fleet.status.moving': 'Moving',
+    'fleet.status.parked': 'Parked',
+    'fleet.map': '🗺️ Vehicle positions ({count})',
+    'fleet.table': '📋 Vehicle status',
+    'fleet.column.name': 'Vehicle',
+    'fleet.column.group': 'Group',
+    'fleet.column.status': 'Status',
+    'fleet.column.lastSeen': 'Last data',
+    'fleet.column.speed': 'Speed, km/h',
+    'fleet.column.voltage': 'Voltage, V',
+    'fleet.column.fuel': 'Fuel',
+    'fleet.openVehicle': 'Open vehicle telemetry',
+    'fleet.unregistered': '⚠️ not in the registry',
+    'fleet.unregisteredHint': 'Add the IMEI on the “Devices” page',
+    'fleet.empty': 'No vehicles available',
+    'fleet.neverSeen': 'no data',
+
+    // Сводка по дням
+    'daily.title': '📅 Daily summary',
+    'daily.monthTitle': '{month} {year}',
+    'daily.metric.mileageKm': 'Mileage',
+    'daily.metric.engineHours': 'Engine hours',
+    'daily.metric.fuelConsumed': 'Fuel consumed',
+    'daily.metric.fuelRefueled': 'Refuelled',
+    'daily.metric.maxSpeed': 'Max speed',
+    'daily.refuelsCount': 'Refuels: {count}',
+    'daily.clickToOpen': 'Click to open the day',
+    'daily.loadError': 'Failed to load the daily summary: {message}',
+    'daily.fromMonth': 'First month',
+    'daily.toMonth': 'Last month',
+    'daily.show': 'Show',
+    'daily.engineOnVoltage': 'Engine running above, V',
+    'daily.hint': 'Days are counted in the {zone} time zone. Engine hours are the time the on-board voltage is above the charging threshold.',
+    'daily.totalMileage': 'Mileage over {days} days',
+    'daily.fuelTotals': 'Consumed / refuelled',
+    'daily.calibrationNote': 'Fuel is in liters, using the sensor calibration stored in this browser.',
+    'daily.calendar': '🗓️ Calendar',
+    'daily.empty': 'No data for the selected months',
+    'daily.chartByDay': '{metric} by day',
+    'daily.chartByMonth': '{metric} by month',
+    'daily.byMonth': 'Monthly',
+    'daily.error.noMonths': 'Select the first and last months',
+    'daily.error.startAfterEnd': 'The start is after the end',
+    'daily.error.tooManyMonths': 'No more than {count} months at a time',
+    'daily.error.notStarted': 'The period has not started yet',
+
+    // Прочее
+    'export.title': 'Export the loaded period',
+    'export.fileTimeZone': 'Time in the file',
+    'live.updated': 'Updated:',
+    'live.updating': 'Updating...',
+    'live.lastPoint': 'last point {ago}',
+    'live.noCoordinates': 'no coordinates',
+    'live.error': 'Update failed: {message}',
+    'legend.title': 'Vehicle comparison:',
+    'legend.show': 'show',
+    'legend.hide': 'hide',
+    'legend.primary': '(primary)',
+    'playback.pause': 'Pause',
+    'playback.play': 'Play',
+    'playback.speed': 'Playback speed',
+    'playback.exit': 'Exit playback mode',
+    'fields.title': '🧩 Additional fields',
+    'fields.search': 'Search',
+    'fields.field': 'Field ({count})',
+    'fields.placement': 'Where',
+    'fields.placement.chart': 'Separate chart',
+    'fields.placement.speed': 'Right axis: speed',
+    'fields.placement.fuel': 'Right axis: fuel',
+    'fields.placement.voltage': 'Right axis: voltage',
+    'fields.limit': 'No more than {count} fields',
+    'fields.loading': 'Loading the field list...',
+    'fields.empty': 'The selected vehicles have no other fields',
+    'fields.remove': 'Remove the field',
+    'calibration.error.notNumbers': 'Level and volume must be numbers',
+    'calibration.error.tooFewPoints': 'At least two calibration points are needed',
+    'report.error.tile': 'Tile {tile} failed to load',
+    'cache.unavailable': 'IndexedDB is unavailable',
+    'cache.accessDenied': 'No access to vehicle {imei}: cached data has been removed',
+
+    // Таблицы
+    'table.start': 'Start ({zone})',
+    'table.end': 'End ({zone})',
+    'table.duration': 'Duration',
+    'table.place': 'Location',
+
+    // Поездки
+    'trips.title': '🛣️ Trips ({count})',
+    'trips.stationarySpeed': 'Stationary below, km/h',
+    'trips.minStop': 'Min. stop, min',
+    'trips.showStops': 'Show stops',
+    'trips.distance': 'Distance, km',
+    'trips.maxSpeed': 'Max, km/h',
+    'trips.avgSpeed': 'Average, km/h',
+    'trips.fuel': 'Fuel, l',
+    'trips.stop': 'Stop',
+    'trips.empty': 'No trips found for the period',
+
+    // Превышения скорости
+    'overspeed.title': '🚨 Speeding ({count})',
+    'overspeed.limit': 'Limit, km/h',
+    'overspeed.total': 'Total above the limit:',
+    'overspeed.peak': 'Peak, km/h',
+    'overspeed.singlePoint': 'single point',
+    'overspeed.empty': 'No speeding found',
+    'speed.band.stop': 'under 5',
+    'speed.band.slow': '5–30',
+    'speed.band.town': '30–60',
+    'speed.band.road': '60–90',
+    'speed.band.fast': '90–110',
+    'speed.band.excess': 'over 110',
+
+    // Заправки и сливы
+    'fuelEvents.title': '⛽ Refuels and drains ({count})',
+    'fuelEvents.source': 'Source',
+    'fuelEvents.threshold': 'Threshold, l',
+    'fuelEvents.window': 'Window, min',
+    'fuelEvents.maxSpeed': 'Max speed, km/h',
+    'fuelEvents.type': 'Type',
+    'fuelEvents.liters': 'Litres',
+    'fuelEvents.type.refuel': 'Refuel',
+    'fuelEvents.type.drain': 'Drain',
+    'fuelEvents.empty': 'No refuels or drains found',
+
+    // Геозоны
+    'geofences.title': '📍 Geofences ({count})',
+    'geofences.hint.addVertices': 'Click the map to place vertices ({count} of at least 3)',
+    'geofences.hint.vertices': 'Vertices: {count}. Add more or save',
+    'geofences.hint.center': 'Click the map at the centre of the zone',
+    'geofences.hint.radius': 'Radius {radius} m. Click again to change it',
+    'geofences.hint.edge': 'Click the map at the edge of the zone',
+    'geofences.namePlaceholder': 'Name: warehouse, fuel station, site...',
+    'geofences.polygon': 'Polygon',
+    'geofences.circle': 'Circle',
+    'geofences.circleRadius': 'circle {radius} m',
+    'geofences.polygonVertices': '{count} vertices',
+    'geofences.remove': 'Delete the geofence',
+    'geofences.visits': 'Entries and exits ({count})',
+    'geofences.zone': 'Zone',
+    'geofences.enter': 'Entry ({zone})',
+    'geofences.exit': 'Exit',
+    'geofences.inside': 'Inside',
+    'geofences.enteredBefore': 'The vehicle was already inside at the start of the period',
+    'geofences.stillInside': 'inside',
+    'geofences.noVisits': 'No geofence visits in the period',
+    'geofences.empty': 'Draw a zone on the map',
+
+    // Качество данных
+    'quality.title': '🩺 Data quality ({count})',
+    'quality.gapMinutes': 'Connection gap from, min',
+    'quality.maxSpeed': 'GPS jump from, km/h',
+    'quality.flatlineMinutes': 'Stuck from, min',
+    'quality.dropBadPoints': 'Drop (0, 0) and GPS spikes from the track and calculations',
+    'quality.coverage': 'Coverage over the period:',
+    'quality.gapsTotal': 'offline {count} times, {duration} in total',
+    'quality.gapThreshold': 'a gap counts from {duration}',
+    'quality.day': 'Day',
+    'quality.dayCoverage': 'Coverage',
+    'quality.points': 'Points',
+    'quality.issues': 'Issues',
+    'quality.showType': 'Show in the table',
+    'quality.hideType': 'Hide from the table',
+    'quality.issue': 'Issue',
+    'quality.series': 'Series',
+    'quality.detail': 'Details',
+    'quality.wholePeriod': 'Whole period',
+    'quality.show': 'Show',
+    'quality.truncated': 'Showing the first {count} of {total}',
+    'quality.allHidden': 'All issue types are hidden',
+    'quality.empty': 'No data issues found',
+    'quality.type.gap': 'No connection',
+    'quality.type.dropout': 'Sensor dropout',
+    'quality.type.jump': 'GPS jump',
+    'quality.type.zero': 'Coordinates (0, 0)',
+    'quality.type.flatline': 'Stuck value',
+    'quality.type.range': 'Out of range',
+    'quality.series.fuel_total': 'Fuel',
+    'quality.series.main_power_voltage': 'Voltage',
+    'quality.series.sensor': 'Sensor #{number}',
+    'quality.series.track': 'Track',
+    'quality.detail.gap': 'No points at all',
+    'quality.detail.dropout': 'Series is empty while other data arrives',
+    'quality.detail.zero': '{count} points without coordinates',
+    'quality.detail.jump': '{distance} km, {speed} km/h',
+    'quality.detail.jumpSpike': '{distance} km, {speed} km/h, spike',
+    'quality.detail.jumpInstant': '{distance} km, instantly',
+    'quality.detail.jumpInstantSpike': '{distance} km, instantly, spike',
+    'quality.detail.flatline': 'Stays at {value}',
+    'quality.detail.range': 'Up to {worst}, allowed 0–{max}',
+
+    // Оповещения
+    'alerts.title': '🔔 Alerts ({count})',
+    'alerts.series.speed': 'Speed',
+    'alerts.series.main_power_voltage': 'Voltage',
+    'alerts.series.fuel_total': 'Fuel',
+    'alerts.condition': 'Condition',
+    'alerts.condition.above': 'above',
+    'alerts.condition.below': 'below',
+    'alerts.condition.drop': 'drops by more than',
+    'alerts.minutes.above': 'Longer than, min',
+    'alerts.minutes.below': 'Longer than, min',
+    'alerts.minutes.drop': 'Within, min',
+    'alerts.preset.lowVoltage': 'Low voltage',
+    'alerts.preset.overspeed': 'Speeding',
+    'alerts.preset.parkedDrain': 'Drain while parked',
+    'alerts.describe.window': 'within {minutes} min',
+    'alerts.describe.longer': 'for over {minutes} min',
+    'alerts.describe.parked': '{rule}, while parked',
+    'alerts.enable': 'Enable the rule',
+    'alerts.disable': 'Disable the rule',
+    'alerts.edit': 'Edit the rule',
+    'alerts.remove': 'Delete the rule',
+    'alerts.name': 'Name',
+    'alerts.threshold': 'Threshold',
+    'alerts.thresholdUnit': 'Threshold, {unit}',
+    'alerts.parkedOnly': 'Only while parked',
+    'alerts.new': 'New rule',
+    'alerts.rule': 'Rule',
+    'alerts.value': 'Value',
+    'alerts.noIncidents': 'No rules fired in the period',
+    'alerts.empty': 'Add a rule to look for violations',
+
+    // Импорт файлов
+    'import.title': '📄 Import: {fileName}',
+    'import.hint': 'Rows: {rows}. Times without a time zone are read as {zone}.',
+    'import.column': 'Column',
+    'import.samples': 'Sample values',
+    'import.target': 'Meaning',
+    'import.target.ignore': '— ignore',
+    'import.target.time': 'Time',
+    'import.target.lat': 'Latitude',
+    'import.target.lon': 'Longitude',
+    'import.target.speed': 'Speed, km/h',
+    'import.target.main_power_voltage': 'Voltage, V',
+    'import.target.main_power_voltage_mv': 'Voltage, mV',
+    'import.target.fuel': 'Fuel sensor',
+    'import.target.imei': 'IMEI',
+    'import.imei': 'IMEI or vehicle name',
+    'import.imeiFromColumn': 'Taken from the IMEI column',
+    'import.submit': 'Import',
+    'import.error.badGpx': 'The GPX file is corrupted or not XML',
+    'import.error.noRows': 'The file has no data rows',
+    'import.error.noTime': 'Choose the time column',
+    'import.error.duplicate': '“{target}” is chosen for several columns',
+    'import.error.latLon': 'A track needs both latitude and longitude',
+    'import.error.voltageTwice': 'Voltage is chosen twice',
+    'import.error.noData': 'Choose at least one data column',
+    'import.error.noTimeParsed': 'Could not parse the time in any row',
+
+    // Тарировка
+    'calibration.title': '📏 Fuel sensor calibration',
+    'calibration.sensor': 'Sensor',
+    'calibration.importCsv': 'Import CSV',
+    'calibration.imported': 'Points loaded: {count}. Check them and save.',
+    'calibration.saved': 'Calibration saved',
+    'calibration.removed': 'Calibration deleted, raw values are shown',
+    'calibration.noSensors': 'The vehicle has no fuel level sensors',
+    'calibration.summary': 'Calibration set: {count} points, level {from}–{to}',
+    'calibration.none': 'No calibration - charts show raw sensor readings',
+    'calibration.unsaved': '(unsaved changes)',
+    'calibration.level': 'Level',
+    'calibration.removePoint': 'Delete the point',
+    'calibration.addPoint': 'Add a point',
+    'calibration.discard': 'Discard',
+    'calibration.remove': 'Delete the calibration',
+
+    // Отчёт за период
+    'report.preparingMap': 'Preparing the track map...',
+    'report.ready': 'The report is ready to print. For a PDF choose “Save as PDF” in the print dialog',
+    'report.print': 'Print / PDF',
+    'report.close': 'Close',
+    'report.title': 'Vehicle report: {vehicle}',
+    'report.meta': 'time: {zone} · generated {generatedAt}',
+    'report.summary': 'Summary',
+    'report.period': 'Period',
+    'report.days': '{count} days',
+    'report.records': 'Records',
+    'report.recordsValue': '{count}, aggregation {window}',
+    'report.fuelSensors': 'Fuel sensors',
+    'report.mileage': 'Mileage',
+    'report.mileageValue': '{distance} km, trips: {trips}',
+    'report.driving': 'Driving',
+    'report.stopped': 'Stopped',
+    'report.stoppedValue': '{duration}, stops: {stops}',
+    'report.fuelStartEnd': 'Fuel at start / end',
+    'report.consumed': 'Consumed',
+    'report.refueled': 'Refuelled',
+    'report.refueledValue': '{amount} {unit}, refuels: {count}',
+    'report.drains': 'Suspicious drains',
+    'report.drainsValue': '{amount} {unit}, cases: {count}',
+    'report.chart.speed': '🏎️ Speed',
+    'report.chart.fuel_total': '⛽ Fuel level',
+    'report.chart.main_power_voltage': '🔋 Supply voltage',
+    'report.track': '🗺️ Track',
+    'report.trackAlt': 'Track of {vehicle}',
+    'report.mapLoading': 'Loading the map...',
+    'report.mapError': 'Could not render the map',
+    'report.noGps': 'No GPS data',
+    'report.fuelEvents': '⛽ Refuels and drains',
+    'report.event': 'Event',
+    'report.start': 'Start',
+    'report.end': 'End',
+    'report.volume': 'Volume, {unit}',
+
+    // Дашборд
+    'dashboard.title': '🚗 InfluxDB Telemetry Monitoring',
+    'dashboard.timeZone': '🌐 Time zone',
+    'dashboard.load': 'Load data',
+    'dashboard.liveStop': 'Stop following',
+    'dashboard.liveStart': 'Follow new data',
+    'dashboard.report': 'Printable period report',
+    'dashboard.reportFor': 'Printable period report for {vehicle}',
+    'dashboard.openFile': 'Open a CSV or GPX file (you can also drop it onto the page)',
+    'dashboard.dropFile': '📄 Drop a CSV or GPX file to open it in the dashboard',
+    'dashboard.drivingStopped': 'Driving / stopped',
+    'dashboard.tripsStops': 'Trips / stops',
+    'dashboard.fromFile': '📄 From file:',
+    'dashboard.aggregation': '⚙️ Aggregation:',
+    'dashboard.cacheFull': '(from cache)',
+    'dashboard.cachePartial': '(partly from cache)',
+    'dashboard.from': '📅 From:',
+    'dashboard.to': '📅 To:',
+    'dashboard.summaryFor': 'Summary for',
+    'dashboard.linkCopied': 'Link copied',
+    'dashboard.copyLink': 'Copy link',
+    'dashboard.cache': '🗄️ Cache:',
+    'dashboard.megabytes': '{size} MB',
+    'dashboard.clearCache': 'Clear',
+    'dashboard.shownRange': '🔍 Showing range:',
+    'dashboard.detailLoading': 'Refining data...',
+    'dashboard.detail': '🔬 Detail: {window} window instead of {loadedWindow}',
+    'dashboard.series.speed': 'Speed',
+    'dashboard.series.fuelTotal': 'Total fuel volume',
+    'dashboard.series.voltage': 'Voltage',
+    'dashboard.chart.speed': 'Speed (km/h)',
+    'dashboard.chart.fuelLiters': 'Fuel level (L)',
+    'dashboard.chart.fuelRaw': 'Fuel level (raw readings)',
+    'dashboard.chart.voltage': 'Supply voltage (V)',
+    'dashboard.showTotal': 'Show total',
+    'dashboard.showSeparate': 'Show separately',
+    'dashboard.noSpeed': 'No speed data',
+    'dashboard.noFuel': 'No fuel data',
+    'dashboard.noVoltage': 'No voltage data',
+    'dashboard.noFieldData': 'No data for the period',
+    'dashboard.mapTitle': 'Map track ({count} points)',
+    'dashboard.drawnPoints': '{count} drawn',
+    'dashboard.playTrip': 'Play back the trip',
+    'dashboard.routeStart': 'Route start',
+    'dashboard.routeEnd': 'Route end',
+    'dashboard.lastPoint': 'Last point',
+    'dashboard.overspeed': 'Speeding: {speed} km/h',
+    'dashboard.speedLimit': 'Limit {limit} km/h, {duration}',
+    'dashboard.currentPosition': 'Current position',
+    'dashboard.noGps': 'No GPS data',
+    'dashboard.speedLegend': 'Speed, km/h:',
+    'dashboard.emptyHint': 'Select an IMEI and a period, then click "Load data"',
+    'dashboard.emptyAggregation': 'The optimal data aggregation is applied automatically',
+    'dashboard.error.copyLink': 'Could not copy the link: {message}',
+    'dashboard.error.fillAll': 'Please fill in all fields',
+    'dashboard.error.badDates': 'Invalid period start or end date',
+    'dashboard.error.partial': 'Some vehicles failed to load: {message}',
+    'dashboard.error.load': 'Telemetry loading error: {message}',
+    'dashboard.error.clearCache': 'Could not clear the cache: {message}',
+    'dashboard.error.readFile': 'Could not read file {fileName}: {message}',
+    'dashboard.error.skippedRows': 'Rows skipped because of an unrecognized time: {count}',
+    'dashboard.error.live': 'Live: could not update {message}',
+    'dashboard.error.field': 'Could not load field {field}: {message}',
+
+    // Раскладка панелей
+    'layout.preset': 'Panel layout',
+    'layout.builtinPresets': 'Built-in',
+    'layout.userPresets': 'My layouts',
+    'layout.preset.standard': 'Standard',
+    'layout.preset.fuel': 'Fuel control',
+    'layout.preset.dispatcher': 'Dispatcher',
+    'layout.modified': 'modified',
+    'layout.revert': 'Revert layout changes',
+    'layout.save': 'Save layout',
+    'layout.savePrompt': 'Layout name',
+    'layout.overwriteConfirm': 'Layout "{name}" already exists. Replace it?',
+    'layout.deletePreset': 'Delete layout',
+    'layout.deleteConfirm': 'Delete layout "{name}"?',
+    'layout.customize': 'Customize panels',
+    'layout.done': 'Done',
+    'layout.hidden': 'Hidden panels:',
+    'layout.drag': 'Drag to move',
+    'layout.moveUp': 'Move up',
+    'layout.moveDown': 'Move down',
+    'layout.width': 'Width',
+    'layout.width.full': 'Full width',
+    'layout.width.twoThirds': '2/3 width',
+    'layout.width.half': '1/2 width',
+    'layout.width.third': '1/3 width',
+    'layout.height': 'Height',
+    'layout.height.S': 'Short',
+    'layout.height.M': 'Medium',
+    'layout.height.L': 'Tall',
+    'layout.duplicate': 'Duplicate panel',
+    'layout.copy': 'copy',
+    'layout.removeCopy': 'Remove copy',
+    'layout.hide': 'Hide panel',
+    'layout.emptyPanel': 'Nothing to show in this panel for the loaded data',
+    'layout.panel.speed': 'Speed',
+    'layout.panel.fuel': 'Fuel level',
+    'layout.panel.voltage': 'Supply voltage',
+    'layout.panel.fieldCharts': 'Field charts',
+    'layout.panel.fields': 'Additional fields',
+    'layout.panel.map': 'Map',
+    'layout.panel.geofences': 'Geofences',
+    'layout.panel.quality': 'Data quality',
+    'layout.panel.alerts': 'Alerts',
+    'layout.panel.trips': 'Trips',
+    'layout.panel.overspeed': 'Speeding',
+    'layout.panel.fuelEvents': 'Refuels and drains',
+    'layout.panel.calibration': 'Calibration'
+};
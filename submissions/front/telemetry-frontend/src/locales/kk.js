@@ -0,0 +1,578 @@
+// Қазақша
+export default {
+    // Дата и время
+    'time.dateTime': '{day}.{month}.{year} {hour}:{minute}:{second}',
+    'time.dateTimeShort': '{day}.{month}.{year} {hour}:{minute}',
+    'time.minutes': '{minutes} мин',
+    'time.hoursMinutes': '{hours} сағ {minutes} мин',
+    'time.justNow': 'жаңа ғана',
+    'time.ago': '{duration} бұрын',
+    'time.date': '{day}.{month}.{year}',
+    'time.dayMonth': '{day}.{month}',
+    'weekday.1': 'Дс',
+    'weekday.2': 'Сс',
+    'weekday.3': 'Ср',
+    'weekday.4': 'Бс',
+    'weekday.5': 'Жм',
+    'weekday.6': 'Сб',
+    'weekday.7': 'Жс',
+    'month.1': 'Қаңтар',
+    'month.2': 'Ақпан',
+    'month.3': 'Наурыз',
+    'month.4': 'Сәуір',
+    'month.5': 'Мамыр',
+    'month.6': 'Маусым',
+    'month.7': 'Шілде',
+    'month.8': 'Тамыз',
+    'month.9': 'Қыркүйек',
+    'month.10': 'Қазан',
+    'month.11': 'Қараша',
+    'month.12': 'Желтоқсан',
+
+    // Часовые пояса
+    'tz.Asia/Almaty': 'Алматы',
+    'tz.Asia/Qostanay': 'Қостанай',
+    'tz.Asia/Qyzylorda': 'Қызылорда',
+    'tz.Asia/Aqtobe': 'Ақтөбе',
+    'tz.Asia/Aqtau': 'Ақтау',
+    'tz.Asia/Atyrau': 'Атырау',
+    'tz.Asia/Oral': 'Орал',
+    'tz.Europe/Kaliningrad': 'Калининград',
+    'tz.Europe/Moscow': 'Мәскеу',
+    'tz.Europe/Samara': 'Самара',
+    'tz.Asia/Yekaterinburg': 'Екатеринбург',
+    'tz.Asia/Omsk': 'Омбы',
+    'tz.Asia/Novosibirsk': 'Новосібір',
+    'tz.Asia/Krasnoyarsk': 'Красноярск',
+    'tz.Asia/Irkutsk': 'Иркутск',
+    'tz.Asia/Yakutsk': 'Якутск',
+    'tz.Asia/Vladivostok': 'Владивосток',
+    'tz.Asia/Magadan': 'Магадан',
+    'tz.Asia/Kamchatka': 'Камчатка',
+    'tz.UTC': 'UTC',
+
+    // Общее
+    'common.httpError': 'Қате {status}: {text}',
+    'common.save': 'Сақтау',
+    'common.add': 'Қосу',
+    'common.refresh': 'Жаңарту',
+    'common.cancel': 'Болдырмау',
+    'common.edit': 'Өзгерту',
+    'common.delete': 'Жою',
+    'common.loading': 'Жүктелуде...',
+    'common.vehicles': 'Көліктер',
+    'common.noData': 'Деректер жоқ',
+    'common.imeiLoadError': 'IMEI тізімін жүктеу қатесі: {message}',
+    'common.httpStatus': 'Қате {status}',
+    'common.vehicle': 'Көлік',
+
+    // Вход
+    'login.invalidCredentials': 'Логин немесе құпиясөз қате',
+    'login.tooManyAttempts': 'Кіру әрекеттері тым көп, бір минут күтіңіз',
+    'login.title': '🚚 Автопарк телеметриясы',
+    'login.username': 'Логин',
+    'login.password': 'Құпиясөз',
+    'login.submit': 'Кіру',
+
+    // Навигация
+    'nav.fleet': 'Автопарк',
+    'nav.dashboard': 'Телеметрия',
+    'nav.daily': 'Күндер бойынша',
+    'nav.devices': 'Құрылғылар',
+    'nav.users': 'Пайдаланушылар',
+    'nav.logout': 'Шығу',
+    'preferences.language': 'Интерфейс тілі',
+    'preferences.darkTheme': 'Қараңғы тақырып',
+    'preferences.lightTheme': 'Жарық тақырып',
+
+    // Пользователи
+    'users.title': '👥 Пайдаланушылар ({count})',
+    'users.usernameRule': 'Логин: 3-64 таңба, латын әріптері, цифрлар, _ . @ -',
+    'users.passwordRequired': 'Құпиясөзді орнатыңыз',
+    'users.passwordTooShort': 'Құпиясөз кемінде {length} таңба болуы керек',
+    'users.loadError': 'Пайдаланушыларды жүктеу қатесі: {message}',
+    'users.saveError': 'Пайдаланушыны сақтау мүмкін болмады: {message}',
+    'users.deleteConfirm': '{username} пайдаланушысын жою керек пе? Оның сессиялары жабылады.',
+    'users.deleteError': 'Пайдаланушыны жою мүмкін болмады: {message}',
+    'users.newPassword': 'Жаңа құпиясөз (бос болса - өзгертпеу)',
+    'users.role': 'Рөл',
+    'users.role.admin': 'Әкімші',
+    'users.role.user': 'Пайдаланушы',
+    'users.roleHint.admin': 'барлық көліктер, пайдаланушылар және құрылғылар тізілімі',
+    'users.roleHint.user': 'тек тағайындалған көліктер',
+    'users.vehicles': 'Пайдаланушының көліктері',
+    'users.you': '(сіз)',
+    'users.allVehicles': 'Барлығы',
+    'users.empty': 'Пайдаланушылар жоқ',
+
+    // Выбор ТС
+    'imeiSelector.none': 'Таңдалмаған',
+    'imeiSelector.search': 'Мемлекеттік нөмір, жүргізуші, топ, IMEI',
+    'imeiSelector.empty': 'IMEI тізімі бос',
+    'imeiSelector.notFound': 'Ештеңе табылмады',
+    'imeiSelector.unregisteredHint': 'IMEI деректерде бар, бірақ құрылғылар тізіліміне енгізілмеген',
+
+    // Устройства
+    'devices.ungrouped': 'Топсыз',
+    'devices.unregistered': 'Тіркелмегендер',
+    'devices.title': '🏷️ Құрылғылар ({count})',
+    'devices.field.name': 'Мемлекеттік нөмір / атауы',
+    'devices.field.driver': 'Жүргізуші',
+    'devices.field.group': 'Топ / бөлімше',
+    'devices.placeholder.name': '123 ABC 02',
+    'devices.placeholder.driver': 'Тегі А. Ә.',
+    'devices.placeholder.group': 'Карьер, Жеткізу...',
+    'devices.imeiPlaceholder': '15 цифр',
+    'devices.group': 'Топ',
+    'devices.fuelTanks': 'Бактар',
+    'devices.notes': 'Ескертпелер',
+    'devices.loadError': 'Құрылғыларды жүктеу қатесі: {message}',
+    'devices.duplicate': 'IMEI {imei} тізілімде бар',
+    'devices.saveError': 'Құрылғыны сақтау мүмкін болмады: {message}',
+    'devices.deleteConfirm': '{name} тізілімнен жойылсын ба? Телеметрия деректері сақталады.',
+    'devices.deleteError': 'Құрылғыны жою мүмкін болмады: {message}',
+    'devices.noRecentData': '(деректер жоқ)',
+    'devices.noRecentDataHint': 'Соңғы 30 күнде деректер жоқ',
+    'devices.openTelemetry': 'Телеметрияны ашу',
+    'devices.updatedAt': 'Өзгертілді {time}',
+    'devices.remove': 'Тізілімнен жою',
+    'devices.empty': 'Тізілім бос: құрылғыларды төмендегі тізімнен немесе қолмен қосыңыз',
+    'devices.unregisteredHint': 'Соңғы 30 күнде деректер жіберген, бірақ тізілімде жоқ IMEI',
+    'devices.register': 'Тізілімге енгізу',
+    'devices.allRegistered': 'Деректердегі барлық IMEI тізілімге енгізілген',
+
+    // Единицы измерения
+    'units.kmh': 'км/сағ',
+    'units.km': 'км',
+    'units.volts': 'В',
+    'units.liters': 'л',
+    'units.level': 'дең.',
+    'units.hours': 'сағ',
+    'units.pieces': 'дана',
+    'units.sensorUnits': 'бірл.',
+
+    // Автопарк
+    'fleet.title': '🚚 Автопарк ({count})',
+    'fleet.loadError': 'Автопаркті жүктеу қатесі: {message}',
+    'fleet.updated': 'Жаңартылды:',
+    'fleet.option.movingSpeed': 'Қозғалыс, км/сағ бастап',
+    'fleet.option.noSignalHours': 'Байланыс жоқ, сағ астам',
+    'fleet.option.lowVoltage': 'Төмен кернеу, В',
+    'fleet.status.noSignal': 'Байланыс жоқ',
+    'fleet.status.lowVoltage': 'Төмен кернеу',
+    'fleet.status.moving': 'Қозғалыста',
+    'fleet.status.parked': 'Тұрақ',
+    'fleet.map': '🗺️ Көліктердің орны ({count})',
+    'fleet.table': '📋 Көліктердің күйі',
+    'fleet.column.name': 'Көлік',
+    'fleet.column.group': 'Топ',
+    'fleet.column.status': 'Күйі',
+    'fleet.column.lastSeen': 'Соңғы деректер',
+    'fleet.column.speed': 'Жылдамдық, км/сағ',
+    'fleet.column.voltage': 'Кернеу, В',
+    'fleet.column.fuel': 'Отын',
+    'fleet.openVehicle': 'Көлік телеметриясын ашу',
+    'fleet.unregistered': '⚠️ тізілімде жоқ',
+    'fleet.unregisteredHint': 'IMEI-ді «Құрылғылар» бетінде енгізіңіз',
+    'fleet.empty': 'Қолжетімді көліктер жоқ',
+    'fleet.neverSeen': 'деректер жоқ',
+
+    // Сводка по дням
+    'daily.title': '📅 Күндер бойынша жиынтық',
+    'daily.monthTitle': '{year} ж. {month}',
+    'daily.metric.mileageKm': 'Жүріс',
+    'daily.metric.engineHours': 'Мотосағаттар',
+    'daily.metric.fuelConsumed': 'Отын шығыны',
+    'daily.metric.fuelRefueled': 'Құйылды',
+    'daily.metric.maxSpeed': 'Макс. жылдамдық',
+    'daily.refuelsCount': 'Құю саны: {count}',
+    'daily.clickToOpen': 'Күнді ашу үшін басыңыз',
+    'daily.loadError': 'Тәуліктік жиынтықты жүктеу қатесі: {message}',
+    'daily.fromMonth': 'Бірінші ай',
+    'daily.toMonth': 'Соңғы ай',
+    'daily.show': 'Көрсету',
+    'daily.engineOnVoltage': 'Қозғалтқыш жұмыс істейді, В бастап',
+    'daily.hint': 'Тәуліктер {zone} белдеуі бойынша есептеледі. Мотосағаттар - борттық желі кернеуі зарядтау шегінен жоғары болған уақыт.',
+    'daily.totalMileage': '{days} күндегі жүріс',
+    'daily.fuelTotals': 'Шығын / құйылды',
+    'daily.calibrationNote': 'Отын осы браузерде сақталған датчик тарировкасы бойынша литрмен берілген.',
+    'daily.calendar': '🗓️ Күнтізбе',
+    'daily.empty': 'Таңдалған айларда деректер жоқ',
+    'daily.chartByDay': '{metric} күндер бойынша',
+    'daily.chartByMonth': '{metric} айлар бойынша',
+    'daily.byMonth': 'Айлар бойынша',
+    'daily.error.noMonths': 'Бастапқы және соңғы айларды таңдаңыз',
+    'daily.error.startAfterEnd': 'Басы соңынан кейін',
+    'daily.error.tooManyMonths': 'Бір уақытта {count} айдан артық емес',
+    'daily.error.notStarted': 'Кезең әлі басталған жоқ',
+
+    // Прочее
+    'export.title': 'Жүктелген кезеңді экспорттау',
+    'export.fileTimeZone': 'Файлдағы уақыт',
+    'live.updated': 'Жаңартылды:',
+    'live.updating': 'Жаңартылуда...',
+    'live.lastPoint': 'соңғы нүкте {ago}',
+    'live.noCoordinates': 'координаттар жоқ',
+    'live.error': 'Жаңарту мүмкін болмады: {message}',
+    'legend.title': 'Көліктерді салыстыру:',
+    'legend.show': 'көрсету',
+    'legend.hide': 'жасыру',
+    'legend.primary': '(негізгі)',
+    'playback.pause': 'Үзіліс',
+    'playback.play': 'Ойнату',
+    'playback.speed': 'Ойнату жылдамдығы',
+    'playback.exit': 'Ойнату режимінен шығу',
+    'fields.title': '🧩 Қосымша өрістер',
+    'fields.search': 'Іздеу',
+    'fields.field': 'Өріс ({count})',
+    'fields.placement': 'Қайда',
+    'fields.placement.chart': 'Жеке график',
+    'fields.placement.speed': 'Оң жақ ось: жылдамдық',
+    'fields.placement.fuel': 'Оң жақ ось: отын',
+    'fields.placement.voltage': 'Оң жақ ось: кернеу',
+    'fields.limit': '{count} өрістен артық емес',
+    'fields.loading': 'Өрістер тізімі жүктелуде...',
+    'fields.empty': 'Таңдалған көліктерде басқа өрістер табылмады',
+    'fields.remove': 'Өрісті алып тастау',
+    'calibration.error.notNumbers': 'Деңгей мен көлем сан болуы керек',
+    'calibration.error.tooFewPoints': 'Кемінде екі тарировка нүктесі қажет',
+    'report.error.tile': '{tile} тайлы жүктелмеді',
+    'cache.unavailable': 'IndexedDB қолжетімсіз',
+    'cache.accessDenied': '{imei} көлігіне рұқсат жоқ: сақталған деректер жойылды',
+
+    // Таблицы
+    'table.start': 'Басы ({zone})',
+    'table.end': 'Соңы ({zone})',
+    'table.duration': 'Ұзақтығы',
+    'table.place': 'Орны',
+
+    // Поездки
+    'trips.title': '🛣️ Сапарлар ({count})',
+    'trips.stationarySpeed': 'Тұрған деп есептеу жылдамдығы, км/сағ дейін',
+    'trips.minStop': 'Ең аз тұрақ, мин',
+    'trips.showStops': 'Тұрақтарды көрсету',
+    'trips.distance': 'Қашықтық, км',
+    'trips.maxSpeed': 'Макс., км/сағ',
+    'trips.avgSpeed': 'Орташа, км/сағ',
+    'trips.fuel': 'Отын, л',
+    'trips.stop': 'Тұрақ',
+    'trips.empty': 'Кезеңде сапарлар табылмады',
+
+    // Превышения скорости
+    'overspeed.title': '🚨 Жылдамдықты асыру ({count})',
+    'overspeed.limit': 'Шектеу, км/сағ',
+    'overspeed.total': 'Шектеуден жоғары барлығы:',
+    'overspeed.peak': 'Шың, км/сағ',
+    'overspeed.singlePoint': 'бір нүкте',
+    'overspeed.empty': 'Жылдамдықты асыру табылмады',
+    'speed.band.stop': '5-ке дейін',
+    'speed.band.slow': '5–30',
+    'speed.band.town': '30–60',
+    'speed.band.road': '60–90',
+    'speed.band.fast': '90–110',
+    'speed.band.excess': '110-нан жоғары',
+
+    // Заправки и сливы
+    'fuelEvents.title': '⛽ Құю және төгу ({count})',
+    'fuelEvents.source': 'Көзі',
+    'fuelEvents.threshold': 'Шегі, л',
+    'fuelEvents.window': 'Терезе, мин',
+    'fuelEvents.maxSpeed': 'Макс. жылдамдық, км/сағ',
+    'fuelEvents.type': 'Түрі',
+    'fuelEvents.liters': 'Литр',
+    'fuelEvents.type.refuel': 'Құю',
+    'fuelEvents.type.drain': 'Төгу',
+    'fuelEvents.empty': 'Құю және төгу табылмады',
+
+    // Геозоны
+    'geofences.title': '📍 Геоаймақтар ({count})',
+    'geofences.hint.addVertices': 'Төбелерді қою үшін картаны басыңыз (кемінде 3, қазір {count})',
+    'geofences.hint.vertices': 'Төбелер: {count}. Тағы қосуға немесе сақтауға болады',
+    'geofences.hint.center': 'Аймақтың ортасын картада басыңыз',
+    'geofences.hint.radius': 'Радиусы {radius} м. Өзгерту үшін тағы басыңыз',
+    'geofences.hint.edge': 'Аймақ шекарасын картада басыңыз',
+    'geofences.namePlaceholder': 'Атауы: қойма, ЖҚС, нысан...',
+    'geofences.polygon': 'Көпбұрыш',
+    'geofences.circle': 'Шеңбер',
+    'geofences.circleRadius': 'шеңбер {radius} м',
+    'geofences.polygonVertices': '{count} төбе',
+    'geofences.remove': 'Геоаймақты жою',
+    'geofences.visits': 'Кіру және шығу ({count})',
+    'geofences.zone': 'Аймақ',
+    'geofences.enter': 'Кіру ({zone})',
+    'geofences.exit': 'Шығу',
+    'geofences.inside': 'Аймақта',
+    'geofences.enteredBefore': 'Кезең басында көлік аймақта болған',
+    'geofences.stillInside': 'аймақта',
+    'geofences.noVisits': 'Кезеңде көлік геоаймақтарға кірмеген',
+    'geofences.empty': 'Картада аймақ салыңыз',
+
+    // Качество данных
+    'quality.title': '🩺 Деректер сапасы ({count})',
+    'quality.gapMinutes': 'Байланыс үзілісі, мин бастап',
+    'quality.maxSpeed': 'GPS секірісі, км/сағ бастап',
+    'quality.flatlineMinutes': 'Қатып қалу, мин бастап',
+    'quality.dropBadPoints': '(0, 0) және GPS шығарындыларын трек пен есептеулерден алып тастау',
+    'quality.coverage': 'Кезеңдегі толықтық:',
+    'quality.gapsTotal': 'байланыссыз {count} рет, барлығы {duration}',
+    'quality.gapThreshold': 'үзіліс {duration} бастап есептеледі',
+    'quality.day': 'Тәулік',
+    'quality.dayCoverage': 'Толықтық',
+    'quality.points': 'Нүктелер',
+    'quality.issues': 'Ақаулар',
+    'quality.showType': 'Кестеде көрсету',
+    'quality.hideType': 'Кестеден жасыру',
+    'quality.issue': 'Ақау',
+    'quality.series': 'Қатар',
+    'quality.detail': 'Толығырақ',
+    'quality.wholePeriod': 'Бүкіл кезең',
+    'quality.show': 'Көрсету',
+    'quality.truncated': '{total} ішінен алғашқы {count} көрсетілген',
+    'quality.allHidden': 'Ақаулардың барлық түрлері жасырылған',
+    'quality.empty': 'Деректерде ақау табылмады',
+    'quality.type.gap': 'Байланыс жоқ',
+    'quality.type.dropout': 'Датчик үзілісі',
+    'quality.type.jump': 'GPS секірісі',
+    'quality.type.zero': 'Координаттар (0, 0)',
+    'quality.type.flatline': 'Қатып қалу',
+    'quality.type.range': 'Ауқымнан тыс',
+    'quality.series.fuel_total': 'Отын',
+    'quality.series.main_power_voltage': 'Кернеу',
+    'quality.series.sensor': 'Датчик #{number}',
+    'quality.series.track': 'Трек',
+    'quality.detail.gap': 'Бірде-бір нүкте жоқ',
+    'quality.detail.dropout': 'Қатар бос, басқа деректер келіп жатыр',
+    'quality.detail.zero': 'Координатсыз {count} нүкте',
+    'quality.detail.jump': '{distance} км, {speed} км/сағ',
+    'quality.detail.jumpSpike': '{distance} км, {speed} км/сағ, шығарынды',
+    'quality.detail.jumpInstant': '{distance} км, лезде',
+    'quality.detail.jumpInstantSpike': '{distance} км, лезде, шығарынды',
+    'quality.detail.flatline': '{value} деңгейінде тұр',
+    'quality.detail.range': '{worst} дейін, рұқсат 0–{max}',
+
+    // Оповещения
+    'alerts.title': '🔔 Хабарландырулар ({count})',
+    'alerts.series.speed': 'Жылдамдық',
+    'alerts.series.main_power_voltage': 'Кернеу',
+    'alerts.series.fuel_total': 'Отын',
+    'alerts.condition': 'Шарт',
+    'alerts.condition.above': 'жоғары',
+    'alerts.condition.below': 'төмен',
+    'alerts.condition.drop': 'артық төмендейді',
+    'alerts.minutes.above': 'Ұзағырақ, мин',
+    'alerts.minutes.below': 'Ұзағырақ, мин',
+    'alerts.minutes.drop': 'Терезе ішінде, мин',
+    'alerts.preset.lowVoltage': 'Төмен кернеу',
+    'alerts.preset.overspeed': 'Жылдамдықты асыру',
+    'alerts.preset.parkedDrain': 'Тұрақта төгу',
+    'alerts.describe.window': '{minutes} мин ішінде',
+    'alerts.describe.longer': '{minutes} минуттан ұзақ',
+    'alerts.describe.parked': '{rule}, тұрақта',
+    'alerts.enable': 'Ережені қосу',
+    'alerts.disable': 'Ережені өшіру',
+    'alerts.edit': 'Ережені өзгерту',
+    'alerts.remove': 'Ережені жою',
+    'alerts.name': 'Атауы',
+    'alerts.threshold': 'Шегі',
+    'alerts.thresholdUnit': 'Шегі, {unit}',
+    'alerts.parkedOnly': 'Тек тұрақта',
+    'alerts.new': 'Жаңа ереже',
+    'alerts.rule': 'Ереже',
+    'alerts.value': 'Мәні',
+    'alerts.noIncidents': 'Кезеңде ережелер іске қосылмады',
+    'alerts.empty': 'Бұзушылықтарды іздеу үшін ереже қосыңыз',
+
+    // Импорт файлов
+    'import.title': '📄 Импорт: {fileName}',
+    'import.hint': 'Жолдар: {rows}. Белдеусіз уақыт {zone} белдеуінде есептеледі.',
+    'import.column': 'Баған',
+    'import.samples': 'Мән үлгілері',
+    'import.target': 'Мағынасы',
+    'import.target.ignore': '— пайдаланбау',
+    'import.target.time': 'Уақыт',
+    'import.target.lat': 'Ендік',
+    'import.target.lon': 'Бойлық',
+    'import.target.speed': 'Жылдамдық, км/сағ',
+    'import.target.main_power_voltage': 'Кернеу, В',
+    'import.target.main_power_voltage_mv': 'Кернеу, мВ',
+    'import.target.fuel': 'Отын датчигі',
+    'import.target.imei': 'IMEI',
+    'import.imei': 'IMEI немесе көлік атауы',
+    'import.imeiFromColumn': 'IMEI бағанынан алынады',
+    'import.submit': 'Импорттау',
+    'import.error.badGpx': 'GPX файлы бүлінген немесе XML емес',
+    'import.error.noRows': 'Файлда деректер жолдары жоқ',
+    'import.error.noTime': 'Уақыт бағанын көрсетіңіз',
+    'import.error.duplicate': '«{target}» бірнеше бағанға таңдалған',
+    'import.error.latLon': 'Трек үшін ендік те, бойлық та қажет',
+    'import.error.voltageTwice': 'Кернеу екі рет таңдалған',
+    'import.error.noData': 'Кемінде бір деректер бағанын таңдаңыз',
+    'import.error.noTimeParsed': 'Бірде-бір жолда уақыт танылмады',
+
+    // Тарировка
+    'calibration.title': '📏 Отын датчиктерін тарировкалау',
+    'calibration.sensor': 'Датчик',
+    'calibration.importCsv': 'CSV импорттау',
+    'calibration.imported': 'Жүктелген нүктелер: {count}. Тексеріп, сақтаңыз.',
+    'calibration.saved': 'Тарировка сақталды',
+    'calibration.removed': 'Тарировка жойылды, шикі мәндер көрсетіледі',
+    'calibration.noSensors': 'Көлікте отын деңгейі датчиктері жоқ',
+    'calibration.summary': 'Тарировка берілген: {count} нүкте, деңгейі {from}–{to}',
+    'calibration.none': 'Тарировка жоқ - графиктерде датчиктің шикі көрсеткіштері',
+    'calibration.unsaved': '(сақталмаған өзгерістер бар)',
+    'calibration.level': 'Деңгей',
+    'calibration.removePoint': 'Нүктені жою',
+    'calibration.addPoint': 'Нүкте қосу',
+    'calibration.discard': 'Болдырмау',
+    'calibration.remove': 'Тарировканы жою',
+
+    // Отчёт за период
+    'report.preparingMap': 'Трек картасы дайындалуда...',
+    'report.ready': 'Есеп басып шығаруға дайын. PDF - басып шығару терезесінде «PDF ретінде сақтау»',
+    'report.print': 'Басып шығару / PDF',
+    'report.close': 'Жабу',
+    'report.title': '{vehicle} көлігі бойынша есеп',
+    'report.meta': 'уақыт: {zone} · құрылған {generatedAt}',
+    'report.summary': 'Жиынтық',
+    'report.period': 'Кезең',
+    'report.days': '{count} күн',
+    'report.records': 'Жазбалар',
+    'report.recordsValue': '{count} дана, агрегация {window}',
+    'report.fuelSensors': 'Отын датчиктері',
+    'report.mileage': 'Жүріс',
+    'report.mileageValue': '{distance} км, сапарлар: {trips}',
+    'report.driving': 'Қозғалыста',
+    'report.stopped': 'Тұрақтарда',
+    'report.stoppedValue': '{duration}, тұрақтар: {stops}',
+    'report.fuelStartEnd': 'Басындағы / соңындағы отын',
+    'report.consumed': 'Жұмсалды',
+    'report.refueled': 'Құйылды',
+    'report.refueledValue': '{amount} {unit}, құю саны: {count}',
+    'report.drains': 'Күдікті төгулер',
+    'report.drainsValue': '{amount} {unit}, жағдайлар: {count}',
+    'report.chart.speed': '🏎️ Жылдамдық',
+    'report.chart.fuel_total': '⛽ Отын деңгейі',
+    'report.chart.main_power_voltage': '🔋 Қоректену кернеуі',
+    'report.track': '🗺️ Трек',
+    'report.trackAlt': '{vehicle} көлігінің трегі',
+    'report.mapLoading': 'Карта жүктелуде...',
+    'report.mapError': 'Картаны құру мүмкін болмады',
+    'report.noGps': 'GPS деректері жоқ',
+    'report.fuelEvents': '⛽ Құю және төгу',
+    'report.event': 'Оқиға',
+    'report.start': 'Басы',
+    'report.end': 'Соңы',
+    'report.volume': 'Көлемі, {unit}',
+
+    // Дашборд
+    'dashboard.title': '🚗 InfluxDB телеметрия мониторингі',
+    'dashboard.timeZone': '🌐 Уақыт белдеуі',
+    'dashboard.load': 'Деректерді жүктеу',
+    'dashboard.liveStop': 'Бақылауды тоқтату',
+    'dashboard.liveStart': 'Жаңа деректерді бақылау',
+    'dashboard.report': 'Басып шығаруға арналған кезең есебі',
+    'dashboard.reportFor': '{vehicle} бойынша басып шығаруға арналған кезең есебі',
+    'dashboard.openFile': 'CSV немесе GPX ашу (файлды бетке сүйреп әкелуге болады)',
+    'dashboard.dropFile': '📄 Дашбордта ашу үшін CSV немесе GPX файлын осында тастаңыз',
+    'dashboard.drivingStopped': 'Қозғалыста / тұрақта',
+    'dashboard.tripsStops': 'Сапарлар / тұрақтар',
+    'dashboard.fromFile': '📄 Файлдан:',
+    'dashboard.aggregation': '⚙️ Агрегация:',
+    'dashboard.cacheFull': '(кэштен)',
+    'dashboard.cachePartial': '(ішінара кэштен)',
+    'dashboard.from': '📅 Бастап:',
+    'dashboard.to': '📅 Дейін:',
+    'dashboard.summaryFor': 'Жиынтық',
+    'dashboard.linkCopied': 'Сілтеме көшірілді',
+    'dashboard.copyLink': 'Сілтемені көшіру',
+    'dashboard.cache': '🗄️ Кэш:',
+    'dashboard.megabytes': '{size} МБ',
+    'dashboard.clearCache': 'Тазалау',
+    'dashboard.shownRange': '🔍 Көрсетілген аралық:',
+    'dashboard.detailLoading': 'Деректер нақтылануда...',
+    'dashboard.detail': '🔬 Егжей-тегжей: {loadedWindow} орнына {window} терезе',
+    'dashboard.series.speed': 'Жылдамдық',
+    'dashboard.series.fuelTotal': 'Отынның жалпы көлемі',
+    'dashboard.series.voltage': 'Кернеу',
+    'dashboard.chart.speed': 'Жылдамдық (км/сағ)',
+    'dashboard.chart.fuelLiters': 'Отын деңгейі (л)',
+    'dashboard.chart.fuelRaw': 'Отын деңгейі (өңделмеген көрсеткіштер)',
+    'dashboard.chart.voltage': 'Қоректену кернеуі (В)',
+    'dashboard.showTotal': 'Қосындыны көрсету',
+    'dashboard.showSeparate': 'Бөлек көрсету',
+    'dashboard.noSpeed': 'Жылдамдық туралы деректер жоқ',
+    'dashboard.noFuel': 'Отын туралы деректер жоқ',
+    'dashboard.noVoltage': 'Кернеу туралы деректер жоқ',
+    'dashboard.noFieldData': 'Кезеңде деректер жоқ',
+    'dashboard.mapTitle': 'Картадағы трек ({count} нүкте)',
+    'dashboard.drawnPoints': 'картада {count}',
+    'dashboard.playTrip': 'Сапарды ойнату',
+    'dashboard.routeStart': 'Маршрут басы',
+    'dashboard.routeEnd': 'Маршрут соңы',
+    'dashboard.lastPoint': 'Соңғы нүкте',
+    'dashboard.overspeed': 'Асып кету: {speed} км/сағ',
+    'dashboard.speedLimit': 'Шектеу {limit} км/сағ, {duration}',
+    'dashboard.currentPosition': 'Ағымдағы орны',
+    'dashboard.noGps': 'GPS деректері жоқ',
+    'dashboard.speedLegend': 'Жылдамдық, км/сағ:',
+    'dashboard.emptyHint': 'IMEI мен кезеңді таңдап, «Деректерді жүктеу» түймесін басыңыз',
+    'dashboard.emptyAggregation': 'Жүйе деректердің оңтайлы агрегациясын автоматты түрде қолданады',
+    'dashboard.error.copyLink': 'Сілтемені көшіру мүмкін болмады: {message}',
+    'dashboard.error.fillAll': 'Барлық өрістерді толтырыңыз',
+    'dashboard.error.badDates': 'Кезеңнің басталу немесе аяқталу күні қате',
+    'dashboard.error.partial': 'Кейбір көліктерді жүктеу мүмкін болмады: {message}',
+    'dashboard.error.load': 'Телеметрияны жүктеу қатесі: {message}',
+    'dashboard.error.clearCache': 'Кэшті тазалау мүмкін болмады: {message}',
+    'dashboard.error.readFile': '{fileName} файлын оқу мүмкін болмады: {message}',
+    'dashboard.error.skippedRows': 'Уақыты танылмаған өткізілген жолдар: {count}',
+    'dashboard.error.live': 'Live: жаңарту мүмкін болмады {message}',
+    'dashboard.error.field': '{field} өрісін жүктеу мүмкін болмады: {message}',
+
+    // Раскладка панелей
+    'layout.preset': 'Панельдер орналасуы',
+    'layout.builtinPresets': 'Стандартты',
+    'layout.userPresets': 'Менің орналасуларым',
+    'layout.preset.standard': 'Стандартты',
+    'layout.preset.fuel': 'Отын бақылауы',
+    'layout.preset.dispatcher': 'Диспетчер',
+    'layout.modified': 'өзгертілді',
+    'layout.revert': 'Орналасуды бұрынғы күйге қайтару',
+    'layout.save': 'Орналасуды сақтау',
+    'layout.savePrompt': 'Орналасу атауы',
+    'layout.overwriteConfirm': '«{name}» орналасуы бар. Оны ауыстыру керек пе?',
+    'layout.deletePreset': 'Орналасуды жою',
+    'layout.deleteConfirm': '«{name}» орналасуын жою керек пе?',
+    'layout.customize': 'Панельдерді баптау',
+    'layout.done': 'Дайын',
+    'layout.hidden': 'Жасырын панельдер:',
+    'layout.drag': 'Жылжыту үшін сүйреңіз',
+    'layout.moveUp': 'Жоғары',
+    'layout.moveDown': 'Төмен',
+    'layout.width': 'Ені',
+    'layout.width.full': 'Толық ен',
+    'layout.width.twoThirds': 'Еннің 2/3',
+    'layout.width.half': 'Еннің 1/2',
+    'layout.width.third': 'Еннің 1/3',
+    'layout.height': 'Биіктігі',
+    'layout.height.S': 'Төмен',
+    'layout.height.M': 'Орташа',
+    'layout.height.L': 'Биік',
+    'layout.duplicate': 'Панель көшірмесін көрсету',
+    'layout.copy': 'көшірме',
+    'layout.removeCopy': 'Көшірмені алып тастау',
+    'layout.hide': 'Панельді жасыру',
+    'layout.emptyPanel': 'Жүктелген деректер үшін панель бос',
+    'layout.panel.speed': 'Жылдамдық',
+    'layout.panel.fuel': 'Отын деңгейі',
+    'layout.panel.voltage': 'Қоректену кернеуі',
+    'layout.panel.fieldCharts': 'Өріс графиктері',
+    'layout.panel.fields': 'Қосымша өрістер',
+    'layout.panel.map': 'Карта',
+    'layout.panel.geofences': 'Геоаймақтар',
+    'layout.panel.quality': 'Деректер сапасы',
+    'layout.panel.alerts': 'Хабарландырулар',
+    'layout.panel.trips': 'Сапарлар',
+    'layout.panel.overspeed': 'Жылдамдықты асыру',
+    'layout.panel.fuelEvents': 'Құю және төгу',
+    'layout.panel.calibration': 'Тарировка'
+};
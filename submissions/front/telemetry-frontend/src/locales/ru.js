@@ -0,0 +1,578 @@
+// Русский - основной язык интерфейса: ключи, которых нет в других словарях, берутся отсюда
+export default {
+    // Дата и время
+    'time.dateTime': '{day}.{month}.{year} {hour}:{minute}:{second}',
+    'time.dateTimeShort': '{day}.{month}.{year} {hour}:{minute}',
+    'time.minutes': '{minutes} мин',
+    'time.hoursMinutes': '{hours} ч {minutes} мин',
+    'time.justNow': 'только что',
+    'time.ago': '{duration} назад',
+    'time.date': '{day}.{month}.{year}',
+    'time.dayMonth': '{day}.{month}',
+    'weekday.1': 'Пн',
+    'weekday.2': 'Вт',
+    'weekday.3': 'Ср',
+    'weekday.4': 'Чт',
+    'weekday.5': 'Пт',
+    'weekday.6': 'Сб',
+    'weekday.7': 'Вс',
+    'month.1': 'Январь',
+    'month.2': 'Февраль',
+    'month.3': 'Март',
+    'month.4': 'Апрель',
+    'month.5': 'Май',
+    'month.6': 'Июнь',
+    'month.7': 'Июль',
+    'month.8': 'Август',
+    'month.9': 'Сентябрь',
+    'month.10': 'Октябрь',
+    'month.11': 'Ноябрь',
+    'month.12': 'Декабрь',
+
+    // Часовые пояса
+    'tz.Asia/Almaty': 'Алматы',
+    'tz.Asia/Qostanay': 'Костанай',
+    'tz.Asia/Qyzylorda': 'Кызылорда',
+    'tz.Asia/Aqtobe': 'Актобе',
+    'tz.Asia/Aqtau': 'Актау',
+    'tz.Asia/Atyrau': 'Атырау',
+    'tz.Asia/Oral': 'Уральск',
+    'tz.Europe/Kaliningrad': 'Калининград',
+    'tz.Europe/Moscow': 'Москва',
+    'tz.Europe/Samara': 'Самара',
+    'tz.Asia/Yekaterinburg': 'Екатеринбург',
+    'tz.Asia/Omsk': 'Омск',
+    'tz.Asia/Novosibirsk': 'Новосибирск',
+    'tz.Asia/Krasnoyarsk': 'Красноярск',
+    'tz.Asia/Irkutsk': 'Иркутск',
+    'tz.Asia/Yakutsk': 'Якутск',
+    'tz.Asia/Vladivostok': 'Владивосток',
+    'tz.Asia/Magadan': 'Магадан',
+    'tz.Asia/Kamchatka': 'Камчатка',
+    'tz.UTC': 'UTC',
+
+    // Общее
+    'common.httpError': 'Ошибка {status}: {text}',
+    'common.save': 'Сохранить',
+    'common.add': 'Добавить',
+    'common.refresh': 'Обновить',
+    'common.cancel': 'Отмена',
+    'common.edit': 'Изменить',
+    'common.delete': 'Удалить',
+    'common.loading': 'Загрузка...',
+    'common.vehicles': 'ТС',
+    'common.noData': 'Нет данных',
+    'common.imeiLoadError': 'Ошибка загрузки списка IMEI: {message}',
+    'common.httpStatus': 'Ошибка {status}',
+    'common.vehicle': 'ТС',
+
+    // Вход
+    'login.invalidCredentials': 'Неверный логин или пароль',
+    'login.tooManyAttempts': 'Слишком много попыток входа, подождите минуту',
+    'login.title': '🚚 Телеметрия автопарка',
+    'login.username': 'Логин',
+    'login.password': 'Пароль',
+    'login.submit': 'Войти',
+
+    // Навигация
+    'nav.fleet': 'Автопарк',
+    'nav.dashboard': 'Телеметрия',
+    'nav.daily': 'По дням',
+    'nav.devices': 'Устройства',
+    'nav.users': 'Пользователи',
+    'nav.logout': 'Выйти',
+    'preferences.language': 'Язык интерфейса',
+    'preferences.darkTheme': 'Тёмная тема',
+    'preferences.lightTheme': 'Светлая тема',
+
+    // Пользователи
+    'users.title': '👥 Пользователи ({count})',
+    'users.usernameRule': 'Логин: 3-64 символа, латиница, цифры, _ . @ -',
+    'users.passwordRequired': 'Задайте пароль',
+    'users.passwordTooShort': 'Пароль не короче {length} символов',
+    'users.loadError': 'Ошибка загрузки пользователей: {message}',
+    'users.saveError': 'Не удалось сохранить пользователя: {message}',
+    'users.deleteConfirm': 'Удалить пользователя {username}? Его сессии будут закрыты.',
+    'users.deleteError': 'Не удалось удалить пользователя: {message}',
+    'users.newPassword': 'Новый пароль (пусто - не менять)',
+    'users.role': 'Роль',
+    'users.role.admin': 'Администратор',
+    'users.role.user': 'Пользователь',
+    'users.roleHint.admin': 'все ТС, пользователи и реестр устройств',
+    'users.roleHint.user': 'только назначенные ТС',
+    'users.vehicles': 'ТС пользователя',
+    'users.you': '(вы)',
+    'users.allVehicles': 'Все',
+    'users.empty': 'Нет пользователей',
+
+    // Выбор ТС
+    'imeiSelector.none': 'Не выбрано',
+    'imeiSelector.search': 'Госномер, водитель, группа, IMEI',
+    'imeiSelector.empty': 'Список IMEI пуст',
+    'imeiSelector.notFound': 'Ничего не найдено',
+    'imeiSelector.unregisteredHint': 'IMEI есть в данных, но не внесён в реестр устройств',
+
+    // Устройства
+    'devices.ungrouped': 'Без группы',
+    'devices.unregistered': 'Не зарегистрированы',
+    'devices.title': '🏷️ Устройства ({count})',
+    'devices.field.name': 'Госномер / название',
+    'devices.field.driver': 'Водитель',
+    'devices.field.group': 'Группа / подразделение',
+    'devices.placeholder.name': '123 ABC 02',
+    'devices.placeholder.driver': 'Фамилия И. О.',
+    'devices.placeholder.group': 'Карьер, Доставка...',
+    'devices.imeiPlaceholder': '15 цифр',
+    'devices.group': 'Группа',
+    'devices.fuelTanks': 'Баков',
+    'devices.notes': 'Заметки',
+    'devices.loadError': 'Ошибка загрузки устройств: {message}',
+    'devices.duplicate': 'IMEI {imei} уже есть в реестре',
+    'devices.saveError': 'Не удалось сохранить устройство: {message}',
+    'devices.deleteConfirm': 'Удалить {name} из реестра? Данные телеметрии останутся.',
+    'devices.deleteError': 'Не удалось удалить устройство: {message}',
+    'devices.noRecentData': '(нет данных)',
+    'devices.noRecentDataHint': 'Нет данных за последние 30 дней',
+    'devices.openTelemetry': 'Открыть телеметрию',
+    'devices.updatedAt': 'Изменено {time}',
+    'devices.remove': 'Удалить из реестра',
+    'devices.empty': 'Реестр пуст: добавьте устройства из списка ниже или вручную',
+    'devices.unregisteredHint': 'IMEI, которые присылали данные за последние 30 дней, но нет в реестре',
+    'devices.register': 'Внести в реестр',
+    'devices.allRegistered': 'Все IMEI из данных внесены в реестр',
+
+    // Единицы измерения
+    'units.kmh': 'км/ч',
+    'units.km': 'км',
+    'units.volts': 'В',
+    'units.liters': 'л',
+    'units.level': 'ур.',
+    'units.hours': 'ч',
+    'units.pieces': 'шт',
+    'units.sensorUnits': 'ед.',
+
+    // Автопарк
+    'fleet.title': '🚚 Автопарк ({count})',
+    'fleet.loadError': 'Ошибка загрузки автопарка: {message}',
+    'fleet.updated': 'Обновлено:',
+    'fleet.option.movingSpeed': 'Движется от, км/ч',
+    'fleet.option.noSignalHours': 'Нет связи дольше, ч',
+    'fleet.option.lowVoltage': 'Низкое напряжение, В',
+    'fleet.status.noSignal': 'Нет связи',
+    'fleet.status.lowVoltage': 'Низкое напряжение',
+    'fleet.status.moving': 'В движении',
+    'fleet.status.parked': 'Стоянка',
+    'fleet.map': '🗺️ Положение ТС ({count})',
+    'fleet.table': '📋 Состояние ТС',
+    'fleet.column.name': 'ТС',
+    'fleet.column.group': 'Группа',
+    'fleet.column.status': 'Статус',
+    'fleet.column.lastSeen': 'Последние данные',
+    'fleet.column.speed': 'Скорость, км/ч',
+    'fleet.column.voltage': 'Напряжение, В',
+    'fleet.column.fuel': 'Топливо',
+    'fleet.openVehicle': 'Открыть телеметрию ТС',
+    'fleet.unregistered': '⚠️ нет в реестре',
+    'fleet.unregisteredHint': 'Внесите IMEI на странице «Устройства»',
+    'fleet.empty': 'Нет доступных ТС',
+    'fleet.neverSeen': 'данных нет',
+
+    // Сводка по дням
+    'daily.title': '📅 Сводка по дням',
+    'daily.monthTitle': '{month} {year}',
+    'daily.metric.mileageKm': 'Пробег',
+    'daily.metric.engineHours': 'Моточасы',
+    'daily.metric.fuelConsumed': 'Расход топлива',
+    'daily.metric.fuelRefueled': 'Заправлено',
+    'daily.metric.maxSpeed': 'Макс. скорость',
+    'daily.refuelsCount': 'Заправок: {count}',
+    'daily.clickToOpen': 'Нажмите, чтобы открыть день',
+    'daily.loadError': 'Ошибка загрузки суточной сводки: {message}',
+    'daily.fromMonth': 'Первый месяц',
+    'daily.toMonth': 'Последний месяц',
+    'daily.show': 'Показать',
+    'daily.engineOnVoltage': 'Двигатель работает от, В',
+    'daily.hint': 'Сутки считаются по зоне {zone}. Моточасы - время, когда напряжение бортсети выше порога зарядки.',
+    'daily.totalMileage': 'Пробег за {days} дн.',
+    'daily.fuelTotals': 'Расход / заправлено',
+    'daily.calibrationNote': 'Топливо - в литрах по тарировке датчиков, сохранённой в этом браузере.',
+    'daily.calendar': '🗓️ Календарь',
+    'daily.empty': 'За выбранные месяцы нет данных',
+    'daily.chartByDay': '{metric} по дням',
+    'daily.chartByMonth': '{metric} по месяцам',
+    'daily.byMonth': 'По месяцам',
+    'daily.error.noMonths': 'Выберите месяцы начала и конца',
+    'daily.error.startAfterEnd': 'Начало позже конца',
+    'daily.error.tooManyMonths': 'Не больше {count} месяцев за раз',
+    'daily.error.notStarted': 'Период ещё не начался',
+
+    // Прочее
+    'export.title': 'Экспорт загруженного периода',
+    'export.fileTimeZone': 'Время в файле',
+    'live.updated': 'Обновлено:',
+    'live.updating': 'Обновление...',
+    'live.lastPoint': 'последняя точка {ago}',
+    'live.noCoordinates': 'нет координат',
+    'live.error': 'Не удалось обновить: {message}',
+    'legend.title': 'Сравнение ТС:',
+    'legend.show': 'показать',
+    'legend.hide': 'скрыть',
+    'legend.primary': '(основной)',
+    'playback.pause': 'Пауза',
+    'playback.play': 'Воспроизвести',
+    'playback.speed': 'Скорость воспроизведения',
+    'playback.exit': 'Выйти из режима воспроизведения',
+    'fields.title': '🧩 Дополнительные поля',
+    'fields.search': 'Поиск',
+    'fields.field': 'Поле ({count})',
+    'fields.placement': 'Куда',
+    'fields.placement.chart': 'Отдельный график',
+    'fields.placement.speed': 'Ось справа: скорость',
+    'fields.placement.fuel': 'Ось справа: топливо',
+    'fields.placement.voltage': 'Ось справа: напряжение',
+    'fields.limit': 'Не больше {count} полей',
+    'fields.loading': 'Загрузка списка полей...',
+    'fields.empty': 'Других полей у выбранных ТС не найдено',
+    'fields.remove': 'Убрать поле',
+    'calibration.error.notNumbers': 'Уровень и объём должны быть числами',
+    'calibration.error.tooFewPoints': 'Нужно минимум две точки тарировки',
+    'report.error.tile': 'Тайл {tile} не загрузился',
+    'cache.unavailable': 'IndexedDB недоступен',
+    'cache.accessDenied': 'Нет доступа к ТС {imei}: сохранённые данные удалены',
+
+    // Таблицы
+    'table.start': 'Начало ({zone})',
+    'table.end': 'Конец ({zone})',
+    'table.duration': 'Длительность',
+    'table.place': 'Место',
+
+    // Поездки
+    'trips.title': '🛣️ Поездки ({count})',
+    'trips.stationarySpeed': 'Стоит при скорости до, км/ч',
+    'trips.minStop': 'Мин. стоянка, мин',
+    'trips.showStops': 'Показывать стоянки',
+    'trips.distance': 'Расстояние, км',
+    'trips.maxSpeed': 'Макс., км/ч',
+    'trips.avgSpeed': 'Средняя, км/ч',
+    'trips.fuel': 'Топливо, л',
+    'trips.stop': 'Стоянка',
+    'trips.empty': 'Поездок за период не обнаружено',
+
+    // Превышения скорости
+    'overspeed.title': '🚨 Превышения скорости ({count})',
+    'overspeed.limit': 'Ограничение, км/ч',
+    'overspeed.total': 'Всего выше ограничения:',
+    'overspeed.peak': 'Пик, км/ч',
+    'overspeed.singlePoint': 'одна точка',
+    'overspeed.empty': 'Превышений не обнаружено',
+    'speed.band.stop': 'до 5',
+    'speed.band.slow': '5–30',
+    'speed.band.town': '30–60',
+    'speed.band.road': '60–90',
+    'speed.band.fast': '90–110',
+    'speed.band.excess': 'свыше 110',
+
+    // Заправки и сливы
+    'fuelEvents.title': '⛽ Заправки и сливы ({count})',
+    'fuelEvents.source': 'Источник',
+    'fuelEvents.threshold': 'Порог, л',
+    'fuelEvents.window': 'Окно, мин',
+    'fuelEvents.maxSpeed': 'Макс. скорость, км/ч',
+    'fuelEvents.type': 'Тип',
+    'fuelEvents.liters': 'Литры',
+    'fuelEvents.type.refuel': 'Заправка',
+    'fuelEvents.type.drain': 'Слив',
+    'fuelEvents.empty': 'Заправок и сливов не обнаружено',
+
+    // Геозоны
+    'geofences.title': '📍 Геозоны ({count})',
+    'geofences.hint.addVertices': 'Щёлкайте по карте, чтобы поставить вершины ({count} из минимум 3)',
+    'geofences.hint.vertices': 'Вершин: {count}. Можно добавить ещё или сохранить',
+    'geofences.hint.center': 'Щёлкните по карте в центр зоны',
+    'geofences.hint.radius': 'Радиус {radius} м. Щёлкните ещё раз, чтобы изменить',
+    'geofences.hint.edge': 'Щёлкните по карте на границе зоны',
+    'geofences.namePlaceholder': 'Название: склад, АЗС, объект...',
+    'geofences.polygon': 'Многоугольник',
+    'geofences.circle': 'Круг',
+    'geofences.circleRadius': 'круг {radius} м',
+    'geofences.polygonVertices': '{count} вершин',
+    'geofences.remove': 'Удалить геозону',
+    'geofences.visits': 'Въезды и выезды ({count})',
+    'geofences.zone': 'Зона',
+    'geofences.enter': 'Въезд ({zone})',
+    'geofences.exit': 'Выезд',
+    'geofences.inside': 'В зоне',
+    'geofences.enteredBefore': 'ТС уже было в зоне в начале периода',
+    'geofences.stillInside': 'в зоне',
+    'geofences.noVisits': 'За период ТС не заезжало в геозоны',
+    'geofences.empty': 'Нарисуйте зону на карте',
+
+    // Качество данных
+    'quality.title': '🩺 Качество данных ({count})',
+    'quality.gapMinutes': 'Разрыв связи от, мин',
+    'quality.maxSpeed': 'Скачок GPS от, км/ч',
+    'quality.flatlineMinutes': 'Залипание от, мин',
+    'quality.dropBadPoints': 'Убирать (0, 0) и выбросы GPS из трека и расчётов',
+    'quality.coverage': 'Полнота за период:',
+    'quality.gapsTotal': 'без связи {count} раз, всего {duration}',
+    'quality.gapThreshold': 'разрыв считается от {duration}',
+    'quality.day': 'Сутки',
+    'quality.dayCoverage': 'Полнота',
+    'quality.points': 'Точек',
+    'quality.issues': 'Сбоев',
+    'quality.showType': 'Показать в таблице',
+    'quality.hideType': 'Скрыть из таблицы',
+    'quality.issue': 'Сбой',
+    'quality.series': 'Ряд',
+    'quality.detail': 'Подробности',
+    'quality.wholePeriod': 'Весь период',
+    'quality.show': 'Показать',
+    'quality.truncated': 'Показаны первые {count} из {total}',
+    'quality.allHidden': 'Все типы сбоев скрыты',
+    'quality.empty': 'Сбоев в данных не найдено',
+    'quality.type.gap': 'Нет связи',
+    'quality.type.dropout': 'Пропуск датчика',
+    'quality.type.jump': 'Скачок GPS',
+    'quality.type.zero': 'Координаты (0, 0)',
+    'quality.type.flatline': 'Залипание',
+    'quality.type.range': 'Вне диапазона',
+    'quality.series.fuel_total': 'Топливо',
+    'quality.series.main_power_voltage': 'Напряжение',
+    'quality.series.sensor': 'Датчик #{number}',
+    'quality.series.track': 'Трек',
+    'quality.detail.gap': 'Нет ни одной точки',
+    'quality.detail.dropout': 'Ряд пуст, другие данные приходят',
+    'quality.detail.zero': '{count} точ. без координат',
+    'quality.detail.jump': '{distance} км, {speed} км/ч',
+    'quality.detail.jumpSpike': '{distance} км, {speed} км/ч, выброс',
+    'quality.detail.jumpInstant': '{distance} км, мгновенно',
+    'quality.detail.jumpInstantSpike': '{distance} км, мгновенно, выброс',
+    'quality.detail.flatline': 'Держится {value}',
+    'quality.detail.range': 'До {worst}, допустимо 0–{max}',
+
+    // Оповещения
+    'alerts.title': '🔔 Оповещения ({count})',
+    'alerts.series.speed': 'Скорость',
+    'alerts.series.main_power_voltage': 'Напряжение',
+    'alerts.series.fuel_total': 'Топливо',
+    'alerts.condition': 'Условие',
+    'alerts.condition.above': 'выше',
+    'alerts.condition.below': 'ниже',
+    'alerts.condition.drop': 'падает больше чем на',
+    'alerts.minutes.above': 'Дольше, мин',
+    'alerts.minutes.below': 'Дольше, мин',
+    'alerts.minutes.drop': 'За окно, мин',
+    'alerts.preset.lowVoltage': 'Низкое напряжение',
+    'alerts.preset.overspeed': 'Превышение скорости',
+    'alerts.preset.parkedDrain': 'Слив на стоянке',
+    'alerts.describe.window': 'за {minutes} мин',
+    'alerts.describe.longer': 'дольше {minutes} мин',
+    'alerts.describe.parked': '{rule}, на стоянке',
+    'alerts.enable': 'Включить правило',
+    'alerts.disable': 'Выключить правило',
+    'alerts.edit': 'Изменить правило',
+    'alerts.remove': 'Удалить правило',
+    'alerts.name': 'Название',
+    'alerts.threshold': 'Порог',
+    'alerts.thresholdUnit': 'Порог, {unit}',
+    'alerts.parkedOnly': 'Только на стоянке',
+    'alerts.new': 'Новое правило',
+    'alerts.rule': 'Правило',
+    'alerts.value': 'Значение',
+    'alerts.noIncidents': 'За период правила не сработали',
+    'alerts.empty': 'Добавьте правило, чтобы искать нарушения',
+
+    // Импорт файлов
+    'import.title': '📄 Импорт: {fileName}',
+    'import.hint': 'Строк: {rows}. Время без часового пояса считается в зоне {zone}.',
+    'import.column': 'Столбец',
+    'import.samples': 'Примеры значений',
+    'import.target': 'Значение',
+    'import.target.ignore': '— не использовать',
+    'import.target.time': 'Время',
+    'import.target.lat': 'Широта',
+    'import.target.lon': 'Долгота',
+    'import.target.speed': 'Скорость, км/ч',
+    'import.target.main_power_voltage': 'Напряжение, В',
+    'import.target.main_power_voltage_mv': 'Напряжение, мВ',
+    'import.target.fuel': 'Датчик топлива',
+    'import.target.imei': 'IMEI',
+    'import.imei': 'IMEI или название ТС',
+    'import.imeiFromColumn': 'Берётся из столбца IMEI',
+    'import.submit': 'Импортировать',
+    'import.error.badGpx': 'Файл GPX повреждён или это не XML',
+    'import.error.noRows': 'В файле нет строк с данными',
+    'import.error.noTime': 'Укажите столбец времени',
+    'import.error.duplicate': '«{target}» выбрано у нескольких столбцов',
+    'import.error.latLon': 'Для трека нужны и широта, и долгота',
+    'import.error.voltageTwice': 'Напряжение выбрано дважды',
+    'import.error.noData': 'Выберите хотя бы один столбец с данными',
+    'import.error.noTimeParsed': 'Не удалось распознать время ни в одной строке',
+
+    // Тарировка
+    'calibration.title': '📏 Тарировка датчиков топлива',
+    'calibration.sensor': 'Датчик',
+    'calibration.importCsv': 'Импорт CSV',
+    'calibration.imported': 'Загружено точек: {count}. Проверьте и сохраните.',
+    'calibration.saved': 'Тарировка сохранена',
+    'calibration.removed': 'Тарировка удалена, показываются сырые значения',
+    'calibration.noSensors': 'У ТС нет датчиков уровня топлива',
+    'calibration.summary': 'Тарировка задана: {count} точек, уровень {from}–{to}',
+    'calibration.none': 'Тарировки нет - на графиках сырые показания датчика',
+    'calibration.unsaved': '(есть несохранённые изменения)',
+    'calibration.level': 'Уровень',
+    'calibration.removePoint': 'Удалить точку',
+    'calibration.addPoint': 'Добавить точку',
+    'calibration.discard': 'Отменить',
+    'calibration.remove': 'Удалить тарировку',
+
+    // Отчёт за период
+    'report.preparingMap': 'Готовится карта трека...',
+    'report.ready': 'Отчёт готов к печати. PDF - «Сохранить как PDF» в диалоге печати',
+    'report.print': 'Печать / PDF',
+    'report.close': 'Закрыть',
+    'report.title': 'Отчёт по ТС {vehicle}',
+    'report.meta': 'время: {zone} · сформирован {generatedAt}',
+    'report.summary': 'Сводка',
+    'report.period': 'Период',
+    'report.days': '{count} дней',
+    'report.records': 'Записей',
+    'report.recordsValue': '{count} шт, агрегация {window}',
+    'report.fuelSensors': 'Датчики топлива',
+    'report.mileage': 'Пробег',
+    'report.mileageValue': '{distance} км, поездок: {trips}',
+    'report.driving': 'В движении',
+    'report.stopped': 'На стоянках',
+    'report.stoppedValue': '{duration}, стоянок: {stops}',
+    'report.fuelStartEnd': 'Топливо в начале / в конце',
+    'report.consumed': 'Израсходовано',
+    'report.refueled': 'Заправлено',
+    'report.refueledValue': '{amount} {unit}, заправок: {count}',
+    'report.drains': 'Подозрительные сливы',
+    'report.drainsValue': '{amount} {unit}, случаев: {count}',
+    'report.chart.speed': '🏎️ Скорость',
+    'report.chart.fuel_total': '⛽ Уровень топлива',
+    'report.chart.main_power_voltage': '🔋 Напряжение питания',
+    'report.track': '🗺️ Трек',
+    'report.trackAlt': 'Трек ТС {vehicle}',
+    'report.mapLoading': 'Загрузка карты...',
+    'report.mapError': 'Не удалось построить карту',
+    'report.noGps': 'Нет данных GPS',
+    'report.fuelEvents': '⛽ Заправки и сливы',
+    'report.event': 'Событие',
+    'report.start': 'Начало',
+    'report.end': 'Конец',
+    'report.volume': 'Объём, {unit}',
+
+    // Дашборд
+    'dashboard.title': '🚗 Мониторинг Телеметрии InfluxDB',
+    'dashboard.timeZone': '🌐 Часовой пояс',
+    'dashboard.load': 'Загрузить данные',
+    'dashboard.liveStop': 'Остановить слежение',
+    'dashboard.liveStart': 'Следить за новыми данными',
+    'dashboard.report': 'Отчёт за период для печати',
+    'dashboard.reportFor': 'Отчёт за период для печати по {vehicle}',
+    'dashboard.openFile': 'Открыть CSV или GPX (можно перетащить файл на страницу)',
+    'dashboard.dropFile': '📄 Отпустите CSV или GPX, чтобы открыть его в дашборде',
+    'dashboard.drivingStopped': 'В движении / на стоянках',
+    'dashboard.tripsStops': 'Поездок / стоянок',
+    'dashboard.fromFile': '📄 Из файла:',
+    'dashboard.aggregation': '⚙️ Агрегация:',
+    'dashboard.cacheFull': '(из кэша)',
+    'dashboard.cachePartial': '(частично из кэша)',
+    'dashboard.from': '📅 С:',
+    'dashboard.to': '📅 По:',
+    'dashboard.summaryFor': 'Сводка по',
+    'dashboard.linkCopied': 'Ссылка скопирована',
+    'dashboard.copyLink': 'Скопировать ссылку',
+    'dashboard.cache': '🗄️ Кэш:',
+    'dashboard.megabytes': '{size} МБ',
+    'dashboard.clearCache': 'Очистить',
+    'dashboard.shownRange': '🔍 Показан интервал:',
+    'dashboard.detailLoading': 'Уточнение данных...',
+    'dashboard.detail': '🔬 Детализация: окно {window} вместо {loadedWindow}',
+    'dashboard.series.speed': 'Скорость',
+    'dashboard.series.fuelTotal': 'Общий объем топлива',
+    'dashboard.series.voltage': 'Напряжение',
+    'dashboard.chart.speed': 'Скорость (км/ч)',
+    'dashboard.chart.fuelLiters': 'Уровень топлива (л)',
+    'dashboard.chart.fuelRaw': 'Уровень топлива (сырые показания)',
+    'dashboard.chart.voltage': 'Напряжение питания (В)',
+    'dashboard.showTotal': 'Показать сумму',
+    'dashboard.showSeparate': 'Показать раздельно',
+    'dashboard.noSpeed': 'Нет данных о скорости',
+    'dashboard.noFuel': 'Нет данных о топливе',
+    'dashboard.noVoltage': 'Нет данных о напряжении',
+    'dashboard.noFieldData': 'Нет данных за период',
+    'dashboard.mapTitle': 'Трек на карте ({count} точек)',
+    'dashboard.drawnPoints': 'на карте {count}',
+    'dashboard.playTrip': 'Воспроизвести поездку',
+    'dashboard.routeStart': 'Начало маршрута',
+    'dashboard.routeEnd': 'Конец маршрута',
+    'dashboard.lastPoint': 'Последняя точка',
+    'dashboard.overspeed': 'Превышение: {speed} км/ч',
+    'dashboard.speedLimit': 'Ограничение {limit} км/ч, {duration}',
+    'dashboard.currentPosition': 'Текущее положение',
+    'dashboard.noGps': 'Нет данных GPS',
+    'dashboard.speedLegend': 'Скорость, км/ч:',
+    'dashboard.emptyHint': 'Выберите IMEI и период, затем нажмите "Загрузить данные"',
+    'dashboard.emptyAggregation': 'Система автоматически применит оптимальную агрегацию данных',
+    'dashboard.error.copyLink': 'Не удалось скопировать ссылку: {message}',
+    'dashboard.error.fillAll': 'Пожалуйста, заполните все поля',
+    'dashboard.error.badDates': 'Некорректная дата начала или конца периода',
+    'dashboard.error.partial': 'Не удалось загрузить часть ТС: {message}',
+    'dashboard.error.load': 'Ошибка загрузки телеметрии: {message}',
+    'dashboard.error.clearCache': 'Не удалось очистить кэш: {message}',
+    'dashboard.error.readFile': 'Не удалось прочитать файл {fileName}: {message}',
+    'dashboard.error.skippedRows': 'Пропущено строк с нераспознанным временем: {count}',
+    'dashboard.error.live': 'Live: не удалось обновить {message}',
+    'dashboard.error.field': 'Не удалось загрузить поле {field}: {message}',
+
+    // Раскладка панелей
+    'layout.preset': 'Раскладка панелей',
+    'layout.builtinPresets': 'Стандартные',
+    'layout.userPresets': 'Мои раскладки',
+    'layout.preset.standard': 'Стандартная',
+    'layout.preset.fuel': 'Контроль топлива',
+    'layout.preset.dispatcher': 'Диспетчер',
+    'layout.modified': 'изменена',
+    'layout.revert': 'Вернуть раскладку как была',
+    'layout.save': 'Сохранить раскладку',
+    'layout.savePrompt': 'Название раскладки',
+    'layout.overwriteConfirm': 'Раскладка «{name}» уже есть. Заменить её?',
+    'layout.deletePreset': 'Удалить раскладку',
+    'layout.deleteConfirm': 'Удалить раскладку «{name}»?',
+    'layout.customize': 'Настроить панели',
+    'layout.done': 'Готово',
+    'layout.hidden': 'Скрытые панели:',
+    'layout.drag': 'Перетащите, чтобы переместить',
+    'layout.moveUp': 'Выше',
+    'layout.moveDown': 'Ниже',
+    'layout.width': 'Ширина',
+    'layout.width.full': 'Вся ширина',
+    'layout.width.twoThirds': '2/3 ширины',
+    'layout.width.half': '1/2 ширины',
+    'layout.width.third': '1/3 ширины',
+    'layout.height': 'Высота',
+    'layout.height.S': 'Низкая',
+    'layout.height.M': 'Средняя',
+    'layout.height.L': 'Высокая',
+    'layout.duplicate': 'Показать копию панели',
+    'layout.copy': 'копия',
+    'layout.removeCopy': 'Убрать копию',
+    'layout.hide': 'Скрыть панель',
+    'layout.emptyPanel': 'Для загруженных данных панель пуста',
+    'layout.panel.speed': 'Скорость',
+    'layout.panel.fuel': 'Уровень топлива',
+    'layout.panel.voltage': 'Напряжение питания',
+    'layout.panel.fieldCharts': 'Графики полей',
+    'layout.panel.fields': 'Дополнительные поля',
+    'layout.panel.map': 'Карта',
+    'layout.panel.geofences': 'Геозоны',
+    'layout.panel.quality': 'Качество данных',
+    'layout.panel.alerts': 'Оповещения',
+    'layout.panel.trips': 'Поездки',
+    'layout.panel.overspeed': 'Превышения скорости',
+    'layout.panel.fuelEvents': 'Заправки и сливы',
+    'layout.panel.calibration': 'Тарировка'
+};
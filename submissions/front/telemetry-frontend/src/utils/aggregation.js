@@ -0,0 +1,17 @@
+// Та же лестница окон, что в /api/telemetry: сервер выбирает окно агрегации по длине периода
+const AGGREGATION_STEPS = [
+    { maxDays: 1, window: '1m', seconds: 60 },
+    { maxDays: 7, window: '5m', seconds: 5 * 60 },
+    { maxDays: 30, window: '15m', seconds: 15 * 60 },
+    { maxDays: 90, window: '1h', seconds: 60 * 60 },
+    { maxDays: Infinity, window: '4h', seconds: 4 * 60 * 60 }
+];
+
+export const windowSeconds = (window) => AGGREGATION_STEPS.find(step => step.window === window)?.seconds ?? 0;
+
+export const getAggregationWindow = (rangeSeconds) =>
+    AGGREGATION_STEPS.find(step => rangeSeconds / (24 * 60 * 60) <= step.maxDays).window;
+
+// Даст ли повторный запрос интервала окно мельче, чем у загруженных данных
+export const isFinerWindow = (rangeSeconds, loadedWindow) =>
+    windowSeconds(getAggregationWindow(rangeSeconds)) < windowSeconds(loadedWindow);
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { getAggregationWindow, windowSeconds, isFinerWindow } from './aggregation';
+
+const DAY = 24 * 60 * 60;
+
+describe('getAggregationWindow', () => {
+    it.each([
+        [60 * 60, '1m'],
+        [DAY, '1m'],
+        [DAY + 1, '5m'],
+        [7 * DAY, '5m'],
+        [7 * DAY + 1, '15m'],
+        [30 * DAY, '15m'],
+        [30 * DAY + 1, '1h'],
+        [90 * DAY, '1h'],
+        [90 * DAY + 1, '4h'],
+        [365 * DAY, '4h']
+    ])('период %i с -> окно %s, границы включительно, как в /api/telemetry', (rangeSeconds, window) => {
+        expect(getAggregationWindow(rangeSeconds)).toBe(window);
+    });
+});
+
+describe('windowSeconds', () => {
+    it('переводит окно в секунды', () => {
+        expect(windowSeconds('1m')).toBe(60);
+        expect(windowSeconds('15m')).toBe(15 * 60);
+        expect(windowSeconds('4h')).toBe(4 * 60 * 60);
+    });
+
+    it('возвращает 0 для неизвестного окна', () => {
+        expect(windowSeconds('2h')).toBe(0);
+        expect(windowSeconds(undefined)).toBe(0);
+    });
+});
+
+describe('isFinerWindow', () => {
+    it('сообщает, что приближение к части периода даст более подробные точки', () => {
+        expect(isFinerWindow(DAY, '15m')).toBe(true);
+        expect(isFinerWindow(7 * DAY, '1h')).toBe(true);
+    });
+
+    it('не требует перезагрузки, если окно не станет мельче', () => {
+        expect(isFinerWindow(20 * DAY, '15m')).toBe(false);
+        expect(isFinerWindow(DAY, '1m')).toBe(false);
+    });
+});
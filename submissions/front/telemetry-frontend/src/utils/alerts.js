@@ -0,0 +1,144 @@
+import { pointTime, getSeriesValueAt } from './track';
+import { DEFAULT_TRIP_OPTIONS } from './trips';
+import { LOW_VOLTAGE } from './power';
+
+// Правила оповещений: { id, name, series, condition, threshold, minutes, parkedOnly, enabled, color }
+// series - ключ ряда ('speed', 'main_power_voltage', 'fuel_total') или дополнительного поля
+// Правила пользователей: { [username]: rules }
+const ALERT_RULES_STORAGE_KEY = 'telemetry.alertRules';
+
+// Ключ ряда -> ключ его единицы в словаре; подписи рядов - под alerts.series.<key>
+export const ALERT_SERIES = {
+    speed: 'units.kmh',
+    main_power_voltage: 'units.volts',
+    fuel_total: 'units.liters'
+};
+
+// minutes: для above/below - сколько условие должно держаться, для drop - окно, за которое считается падение.
+// Подписи - под alerts.condition.<condition> и alerts.minutes.<condition>
+export const ALERT_CONDITIONS = ['above', 'below', 'drop'];
+
+export const ALERT_COLORS = ['#dc2626', '#d97706', '#7c3aed', '#db2777', '#0891b2', '#65a30d'];
+
+// Примеры из практики диспетчеров - предлагаются, пока своих правил нет; названия - под alerts.preset.<key>
+export const ALERT_RULE_PRESETS = [
+    { key: 'lowVoltage', series: 'main_power_voltage', condition: 'below', threshold: LOW_VOLTAGE, minutes: 5, parkedOnly: false },
+    { key: 'overspeed', series: 'speed', condition: 'above', threshold: 90, minutes: 0, parkedOnly: false },
+    { key: 'parkedDrain', series: 'fuel_total', condition: 'drop', threshold: 20, minutes: 30, parkedOnly: true }
+];
+
+const loadAllAlertRules = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(ALERT_RULES_STORAGE_KEY));
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch {
+        return {};
+    }
+};
+
+export const loadAlertRules = (username) => {
+    const rules = loadAllAlertRules()[username];
+    return Array.isArray(rules) ? rules : [];
+};
+
+export const saveAlertRules = (username, rules) => {
+    const all = loadAllAlertRules();
+    all[username] = rules;
+    localStorage.setItem(ALERT_RULES_STORAGE_KEY, JSON.stringify(all));
+};
+
+export const getRuleSeries = (data, series) => data.series[series] ?? data.fields?.[series] ?? [];
+
+// Подряд идущие точки, где выполняется условие, длительностью не меньше minutes.
+// Худшее значение - максимум для above, минимум для below.
+const detectThresholdRuns = (points, rule) => {
+    const matches = rule.condition === 'above'
+        ? (value) => value > rule.threshold
+        : (value) => value < rule.threshold;
+    const isWorse = rule.condition === 'above' ? (a, b) => a > b : (a, b) => a < b;
+    const runs = [];
+    let run = null;
+
+    const finish = () => {
+        if (run.endTime - run.startTime >= rule.minutes * 60) runs.push(run);
+        run = null;
+    };
+
+    points.forEach(point => {
+        const time = pointTime(point);
+        const value = Number(point.value);
+        if (matches(value)) {
+            if (!run) run = { startTime: time, endTime: time, value };
+            run.endTime = time;
+            if (isWorse(value, run.value)) run.value = value;
+        } else if (run) {
+            finish();
+        }
+    });
+    if (run) finish();
+
+    return runs;
+};
+
+// Падение: значение ниже максимума за последние minutes больше чем на threshold.
+// Максимум окна - монотонная очередь индексов, чтобы не пересматривать окно на каждой точке.
+// Подряд сработавшие точки - один инцидент, от точки максимума до последней сработавшей.
+const detectDrops = (points, rule) => {
+    const windowSeconds = Math.max(rule.minutes, 1) * 60;
+    const queue = [];
+    let head = 0;
+    const runs = [];
+    let run = null;
+
+    points.forEach((point, index) => {
+        const time = pointTime(point);
+        const value = Number(point.value);
+        while (head < queue.length && pointTime(points[queue[head]]) < time - windowSeconds) head++;
+        while (queue.length > head && Number(points[queue[queue.length - 1]].value) <= value) queue.pop();
+        queue.push(index);
+
+        const peak = points[queue[head]];
+        const drop = Number(peak.value) - value;
+        if (drop > rule.threshold) {
+            if (!run) run = { startTime: pointTime(peak), endTime: time, value: drop };
+            run.endTime = time;
+            run.value = Math.max(run.value, drop);
+        } else if (run) {
+            runs.push(run);
+            run = null;
+        }
+    });
+    if (run) runs.push(run);
+
+    return runs.map(item => ({ ...item, value: Math.round(item.value * 100) / 100 }));
+};
+
+// Инциденты одного правила по данным одного ТС.
+// parkedOnly - учитываются только точки, где ТС стоит (скорость не выше порога стоянки поездок)
+export const evaluateAlertRule = (rule, data) => {
+    let points = getRuleSeries(data, rule.series);
+    if (rule.parkedOnly) {
+        points = points.filter(point =>
+            (getSeriesValueAt(data.series.speed, pointTime(point)) ?? 0) <= DEFAULT_TRIP_OPTIONS.stationarySpeed
+        );
+    }
+    if (points.length === 0) return [];
+
+    const runs = rule.condition === 'drop' ? detectDrops(points, rule) : detectThresholdRuns(points, rule);
+    return runs.map(run => ({
+        ...run,
+        id: `${rule.id}-${run.startTime}`,
+        ruleId: rule.id,
+        duration: run.endTime - run.startTime
+    }));
+};
+
+// Инциденты всех включённых правил по всем загруженным ТС, по времени начала
+export const evaluateAlertRules = (rules, vehicles) => rules
+    .filter(rule => rule.enabled)
+    .flatMap(rule => vehicles.flatMap(vehicle => evaluateAlertRule(rule, vehicle.data).map(incident => ({
+        ...incident,
+        id: `${vehicle.imei}-${incident.id}`,
+        imei: vehicle.imei
+    }))))
+    .sort((a, b) => a.startTime - b.startTime);
@@ -0,0 +1,74 @@
+import { translate } from './i18n';
+
+export const API_BASE = 'http://localhost:5294';
+
+// Сессия входа { token, expiresAt, user: { username, role, imeis } } переживает перезагрузку страницы
+const SESSION_STORAGE_KEY = 'telemetry.session';
+
+export const loadSession = () => {
+    try {
+        const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        return session?.token && session.expiresAt > Date.now() / 1000 ? session : null;
+    } catch {
+        return null;
+    }
+};
+
+export const saveSession = (session) => {
+    if (session) {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    } else {
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+};
+
+let unauthorizedHandler = null;
+
+// Вызывается, когда API отверг токен: App сбрасывает сессию и показывает вход
+export const setUnauthorizedHandler = (handler) => {
+    unauthorizedHandler = handler;
+};
+
+// fetch к API с токеном текущей сессии; path - от корня API, например '/api/imeis'
+export const apiFetch = async (path, options = {}) => {
+    const token = loadSession()?.token;
+    const response = await fetch(`${API_BASE}${path}`, {
+        ...options,
+        headers: { ...options.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+    });
+    if (response.status === 401 && unauthorizedHandler) {
+        unauthorizedHandler();
+    }
+    return response;
+};
+
+// Ответ с ошибкой -> исключение с кодом и текстом сервера
+export const checkResponse = async (response) => {
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(translate('common.httpError', { status: response.status, text: errorText }));
+    }
+    return response;
+};
+
+export const login = async (username, password) => {
+    const response = await fetch(`${API_BASE}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    if (response.status === 401) throw new Error(translate('login.invalidCredentials'));
+    if (response.status === 429) throw new Error(translate('login.tooManyAttempts'));
+    const session = await (await checkResponse(response)).json();
+    saveSession(session);
+    return session;
+};
+
+// Токен отзывается и на сервере; локальная сессия сбрасывается, даже если сервер недоступен
+export const logout = async () => {
+    try {
+        await apiFetch('/api/auth/logout', { method: 'POST' });
+    } finally {
+        saveSession(null);
+    }
+};
@@ -0,0 +1,114 @@
+import { pointTime } from './track';
+import { translate } from './i18n';
+
+// Тарировочные таблицы датчиков уровня: { [imei]: { [sensorName]: [[level, liters], ...] } }, по возрастанию уровня
+const CALIBRATION_STORAGE_KEY = 'telemetry.fuelCalibrations';
+
+export const loadCalibrations = () => {
+    try {
+        return JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY)) || {};
+    } catch {
+        return {};
+    }
+};
+
+export const saveCalibrations = (calibrations) => {
+    localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(calibrations));
+};
+
+// Пары (уровень, литры) -> таблица, пригодная для интерполяции; ошибка с понятным текстом, если нет
+export const normalizeCalibrationTable = (pairs) => {
+    const byLevel = new Map();
+    pairs.forEach(([level, liters]) => {
+        if (!Number.isFinite(level) || !Number.isFinite(liters)) {
+            throw new Error(translate('calibration.error.notNumbers'));
+        }
+        byLevel.set(level, liters);
+    });
+    if (byLevel.size < 2) {
+        throw new Error(translate('calibration.error.tooFewPoints'));
+    }
+    return [...byLevel.entries()].sort((a, b) => a[0] - b[0]);
+};
+
+const parseNumber = (value) => Number(value.trim().replace(',', '.'));
+
+// CSV от установщиков: «уровень;литры» или «уровень,литры», десятичная запятая допустима,
+// строки заголовков и комментариев (не два числа) пропускаются
+export const parseCalibrationCsv = (text) => {
+    const pairs = [];
+    text.split(/\r?\n/).forEach(line => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        const cells = trimmed.includes(';') || trimmed.includes('\t')
+            ? trimmed.split(/[;\t]/)
+            : trimmed.split(',');
+        if (cells.length < 2) return;
+        const level = parseNumber(cells[0]);
+        const liters = parseNumber(cells[1]);
+        if (Number.isFinite(level) && Number.isFinite(liters) && cells[0].trim() && cells[1].trim()) {
+            pairs.push([level, liters]);
+        }
+    });
+    return normalizeCalibrationTable(pairs);
+};
+
+// Кусочно-линейная интерполяция; за пределами таблицы - крайнее значение (бак не бывает больше полного)
+export const levelToLiters = (table, level) => {
+    if (level <= table[0][0]) return table[0][1];
+    const last = table[table.length - 1];
+    if (level >= last[0]) return last[1];
+
+    let low = 0;
+    let high = table.length - 1;
+    while (high - low > 1) {
+        const mid = (low + high) >> 1;
+        if (table[mid][0] <= level) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    const [level1, liters1] = table[low];
+    const [level2, liters2] = table[high];
+    return liters1 + (liters2 - liters1) * (level - level1) / (level2 - level1);
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// fuel_total пересчитывается как сумма датчиков, пришедших в ту же метку времени - как на бэкенде,
+// но уже из литров. Без таблиц для ТС данные возвращаются как есть.
+export const applyFuelCalibration = (data, tables) => {
+    const fuelSensors = data.fuelSensors || {};
+    const calibrated = Object.keys(fuelSensors).filter(sensorName => tables?.[sensorName]);
+    if (calibrated.length === 0) return data;
+
+    const sensors = {};
+    Object.entries(fuelSensors).forEach(([sensorName, points]) => {
+        const table = tables[sensorName];
+        sensors[sensorName] = table
+            ? points.map(point => ({ ...point, value: round(levelToLiters(table, point.value)) }))
+            : points;
+    });
+
+    const totals = new Map();
+    Object.values(sensors).forEach(points => points.forEach(point => {
+        const time = pointTime(point);
+        totals.set(time, (totals.get(time) ?? 0) + point.value);
+    }));
+    const fuelTotal = [...totals.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([time, value]) => ({ time: String(time), value: round(value) }));
+
+    return {
+        ...data,
+        fuelSensors: sensors,
+        series: { ...data.series, fuel_total: fuelTotal },
+        metadata: { ...data.metadata, calibratedFuelSensors: calibrated.sort() }
+    };
+};
+
+export const calibrateVehicle = (vehicle, calibrations) => {
+    const data = applyFuelCalibration(vehicle.data, calibrations[vehicle.imei]);
+    return data === vehicle.data ? vehicle : { ...vehicle, data };
+};
@@ -0,0 +1,173 @@
+import { apiFetch, checkResponse } from './api';
+import { zonedToUnixTimestamp, unixTimestampToZoned } from './time';
+import { translate } from './i18n';
+import { ENGINE_ON_VOLTAGE } from './power';
+import { DEFAULT_FUEL_EVENT_OPTIONS } from './fuelEvents';
+
+// Суточная сводка ТС (/api/daily): итоги считает бэкенд, здесь - период, календарь и помесячные суммы
+
+export const DEFAULT_DAILY_OPTIONS = {
+    engineOnVoltage: ENGINE_ON_VOLTAGE
+};
+
+// API отдаёт не больше 93 суток: любые три месяца подряд в них укладываются
+export const MAX_DAILY_MONTHS = 3;
+
+// Подписи - daily.metric.<метрика>, unit - ключ единицы измерения в словаре.
+// Топливо (fuel) - в литрах, если сервер пересчитал датчики по тарировке, иначе в показаниях датчиков
+export const DAILY_METRICS = {
+    mileageKm: { unit: 'units.km', color: '#3b82f6' },
+    engineHours: { unit: 'units.hours', color: '#f59e0b' },
+    fuelConsumed: { unit: 'units.sensorUnits', fuel: true, color: '#ef4444' },
+    fuelRefueled: { unit: 'units.sensorUnits', fuel: true, color: '#10b981' },
+    maxSpeed: { unit: 'units.kmh', color: '#8b5cf6' }
+};
+
+export const getMetricUnit = (metric, fuelInLiters) =>
+    DAILY_METRICS[metric].fuel && fuelInLiters ? 'units.liters' : DAILY_METRICS[metric].unit;
+
+// Пн-Вс: календарь начинает неделю с понедельника
+export const getWeekdayNames = () => [1, 2, 3, 4, 5, 6, 7].map(day => translate(`weekday.${day}`));
+
+// Интенсивность ячейки календаря: 0 - значение 0, дальше доли от максимума за период
+const HEAT_COLORS = ['#eff6ff', '#bfdbfe', '#60a5fa', '#2563eb', '#1e3a8a'];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// '2025-09' -> '2025-07' при shift = -2
+export const shiftMonth = (month, shift) => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, monthNumber - 1 + shift, 1));
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`;
+};
+
+const monthsBetween = (fromMonth, toMonth) => {
+    const [fromYear, fromNumber] = fromMonth.split('-').map(Number);
+    const [toYear, toNumber] = toMonth.split('-').map(Number);
+    return (toYear - fromYear) * 12 + toNumber - fromNumber + 1;
+};
+
+// '2025-09' -> 'Сентябрь 2025'
+export const getMonthTitle = (month) => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return translate('daily.monthTitle', { month: translate(`month.${monthNumber}`), year });
+};
+
+// '2025-09-10' -> '10.09', с year - '10.09.2025' (разделители - как в датах языка)
+export const formatDay = (date, withYear = false) => translate(withYear ? 'time.date' : 'time.dayMonth', {
+    day: date.slice(8, 10),
+    month: date.slice(5, 7),
+    year: date.slice(0, 4)
+});
+
+export const getCurrentMonth = (timeZone) => unixTimestampToZoned(Math.floor(Date.now() / 1000), timeZone).slice(0, 7);
+
+// Месяцы с fromMonth по toMonth включительно -> { start, end } в UNIX-секундах: от полуночи первого дня
+// до начала следующего месяца, но не позже текущего момента; { error }, если период не подходит
+export const getMonthsRange = (fromMonth, toMonth, timeZone) => {
+    if (!/^\d{4}-\d{2}$/.test(fromMonth || '') || !/^\d{4}-\d{2}$/.test(toMonth || '')) {
+        return { error: translate('daily.error.noMonths') };
+    }
+    const count = monthsBetween(fromMonth, toMonth);
+    if (count < 1) return { error: translate('daily.error.startAfterEnd') };
+    if (count > MAX_DAILY_MONTHS) return { error: translate('daily.error.tooManyMonths', { count: MAX_DAILY_MONTHS }) };
+
+    const start = zonedToUnixTimestamp(`${fromMonth}-01T00:00`, timeZone);
+    const end = Math.min(
+        zonedToUnixTimestamp(`${shiftMonth(toMonth, 1)}-01T00:00`, timeZone),
+        Math.floor(Date.now() / 1000)
+    );
+    if (start >= end) return { error: translate('daily.error.notStarted') };
+    return { start, end };
+};
+
+// Сутки '2025-09-10' -> границы для дашборда в формате его полей datetime-local
+export const getDayInputs = (date) => {
+    const next = new Date(Date.parse(`${date}T00:00:00Z`) + 24 * 3600 * 1000).toISOString().slice(0, 10);
+    return { startDate: `${date}T00:00`, endDate: `${next}T00:00` };
+};
+
+// Итоги считает сервер, но тарировка хранится в браузере: таблицы ТС уходят в запросе, и топливо
+// приходит в литрах. Пороги заправок - те же, что у событий на дашборде (DEFAULT_FUEL_EVENT_OPTIONS)
+export const fetchDailyStats = async (imei, { start, end }, timeZone, options = DEFAULT_DAILY_OPTIONS, calibration = {}) => {
+    const params = new URLSearchParams({
+        imei,
+        startTimestamp: start,
+        endTimestamp: end,
+        timeZone,
+        engineOnVoltage: options.engineOnVoltage,
+        refuelThreshold: DEFAULT_FUEL_EVENT_OPTIONS.thresholdLiters,
+        refuelWindowMinutes: DEFAULT_FUEL_EVENT_OPTIONS.windowMinutes,
+        refuelMaxSpeed: DEFAULT_FUEL_EVENT_OPTIONS.maxSpeed
+    });
+    if (Object.keys(calibration).length > 0) params.set('calibration', JSON.stringify(calibration));
+    const response = await checkResponse(await apiFetch(`/api/daily?${params}`));
+    return response.json();
+};
+
+// Цвет ячейки календаря; null - за сутки нет данных
+export const getHeatColor = (value, max) => {
+    if (value === null || value === undefined) return null;
+    if (value <= 0 || max <= 0) return HEAT_COLORS[0];
+    const level = Math.ceil(value / max * (HEAT_COLORS.length - 1));
+    return HEAT_COLORS[Math.min(level, HEAT_COLORS.length - 1)];
+};
+
+// Тёмные ячейки - с белым текстом
+export const isDarkHeatColor = (color) => HEAT_COLORS.indexOf(color) >= 3;
+
+// Сетка месяца для календаря: недели с понедельника, ячейки { date, day, stats } или null вне месяца
+export const buildCalendarMonth = (month, statsByDate) => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+    const firstWeekday = (new Date(Date.UTC(year, monthNumber - 1, 1)).getUTCDay() + 6) % 7;
+
+    const cells = Array(firstWeekday).fill(null);
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = `${month}-${pad(day)}`;
+        cells.push({ date, day, stats: statsByDate.get(date) ?? null });
+    }
+    while (cells.length % 7 !== 0) cells.push(null);
+
+    const weeks = [];
+    for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+    return { month, weeks };
+};
+
+export const listMonths = (fromMonth, toMonth) =>
+    Array.from({ length: Math.max(monthsBetween(fromMonth, toMonth), 0) }, (_, index) => shiftMonth(fromMonth, index));
+
+const sumNullable = (values) => {
+    const present = values.filter(value => value !== null && value !== undefined);
+    return present.length > 0 ? round(present.reduce((sum, value) => sum + value, 0)) : null;
+};
+
+// Итоги нескольких суток: суммы, у скорости - максимум
+export const summarizeDays = (days) => {
+    const speeds = days.map(day => day.maxSpeed).filter(speed => speed !== null && speed !== undefined);
+    return {
+        days: days.length,
+        mileageKm: round(days.reduce((sum, day) => sum + day.mileageKm, 0)),
+        engineHours: Math.round(days.reduce((sum, day) => sum + day.engineHours, 0) * 100) / 100,
+        fuelConsumed: sumNullable(days.map(day => day.fuelConsumed)),
+        fuelRefueled: sumNullable(days.map(day => day.fuelRefueled)),
+        refuels: days.reduce((sum, day) => sum + day.refuels, 0),
+        maxSpeed: speeds.length > 0 ? Math.max(...speeds) : null
+    };
+};
+
+// Помесячные итоги для графика: [{ month: '2025-09', ...summarizeDays }]
+export const summarizeByMonth = (days) => {
+    const byMonth = new Map();
+    days.forEach(day => {
+        const month = day.date.slice(0, 7);
+        if (!byMonth.has(month)) byMonth.set(month, []);
+        byMonth.get(month).push(day);
+    });
+    return [...byMonth.entries()].map(([month, monthDays]) => ({
+        month,
+        ...summarizeDays(monthDays)
+    }));
+};
@@ -0,0 +1,268 @@
+import { pointTime, getSeriesMaxInRange } from './track';
+import { haversineKm } from './geo';
+import { windowSeconds } from './aggregation';
+import { DEFAULT_TRIP_OPTIONS } from './trips';
+import { zonedToUnixTimestamp, unixTimestampToZoned } from './time';
+import { translate, formatNumber } from './i18n';
+
+export const DEFAULT_QUALITY_OPTIONS = {
+    gapMinutes: 15,         // без единой точки дольше - разрыв связи
+    maxSpeedKmh: 250,       // скорость между соседними точками GPS выше - скачок координат
+    flatlineMinutes: 60,    // показание датчика не меняется дольше - датчик «залип»
+    maxVoltage: 40,         // В, выше (или ниже нуля) - сбой датчика, а не реальное питание
+    maxFuel: 4095,          // верх шкалы FLS485; отрицательное топливо - тоже сбой
+    dropBadPoints: true     // убирать (0,0) и одиночные выбросы GPS из трека перед расчётами
+};
+
+// Порядок - как в сводке панели; подписи - в словаре под quality.type.<type>
+export const QUALITY_ISSUE_TYPES = {
+    gap: { color: '#6b7280', icon: '📵' },
+    dropout: { color: '#d97706', icon: '🕳️' },
+    jump: { color: '#dc2626', icon: '⚡' },
+    zero: { color: '#7c3aed', icon: '🎯' },
+    flatline: { color: '#0891b2', icon: '➖' },
+    range: { color: '#db2777', icon: '📏' }
+};
+
+// Дрожание GPS на стоянке на секундных интервалах даёт сотни км/ч -
+// скачком считается только смещение больше полукилометра
+const MIN_JUMP_KM = 0.5;
+
+export const getQualitySeriesLabel = (series) =>
+    ['fuel_total', 'main_power_voltage'].includes(series)
+        ? translate(`quality.series.${series}`)
+        : translate('quality.series.sensor', { number: series.replace('fls485_level_', '') });
+
+// Подробности сбоя хранятся как { key, params } и переводятся при показе: язык можно сменить после расчёта
+export const formatIssueDetail = ({ key, params = {} }) => {
+    const formatted = {};
+    Object.entries(params).forEach(([name, value]) => {
+        formatted[name] = typeof value === 'number' ? formatNumber(value) : value;
+    });
+    return translate(key, formatted);
+};
+
+// Порог разрыва не меньше двух окон агрегации: на длинных периодах точки и так идут раз в час-четыре
+export const getGapSeconds = (metadata, options) =>
+    Math.max(options.gapMinutes * 60, 2 * windowSeconds(metadata?.aggregationWindow));
+
+const isZeroPoint = (point) => Math.abs(point.lat) < 1e-6 && Math.abs(point.lon) < 1e-6;
+
+const jumpBetween = (from, to, maxSpeedKmh) => {
+    const distanceKm = haversineKm(from.lat, from.lon, to.lat, to.lon);
+    if (distanceKm <= MIN_JUMP_KM) return null;
+    const hours = (pointTime(to) - pointTime(from)) / 3600;
+    const speedKmh = hours > 0 ? distanceKm / hours : Infinity;
+    return speedKmh > maxSpeedKmh ? { distanceKm, speedKmh } : null;
+};
+
+// Сбойные точки трека: (0, 0) и скачки с невозможной скоростью от последней нормальной точки.
+// Если следующая точка тоже далеко от скачка - это одиночный выброс (spike), он выбрасывается;
+// если следующая согласуется с ним - ТС действительно оказалось в новом месте (например, после
+// долгого поиска спутников), и точка остаётся. badTimes - метки выбрасываемых точек.
+export const detectTrackIssues = (track, options) => {
+    const jumps = [];
+    const badTimes = new Set();
+    let previous = null;
+
+    (track || []).forEach((point, index) => {
+        if (isZeroPoint(point)) {
+            badTimes.add(pointTime(point));
+            return;
+        }
+        const jump = previous && jumpBetween(previous, point, options.maxSpeedKmh);
+        if (jump) {
+            let next = null;
+            for (let i = index + 1; i < track.length && !next; i++) {
+                if (!isZeroPoint(track[i])) next = track[i];
+            }
+            const spike = !next || jumpBetween(point, next, options.maxSpeedKmh) !== null;
+            jumps.push({ from: previous, to: point, ...jump, spike });
+            if (spike) {
+                badTimes.add(pointTime(point));
+                return;
+            }
+        }
+        previous = point;
+    });
+
+    return { jumps, badTimes };
+};
+
+// Данные ТС без сбойных точек трека: поездки, пробег и карта не видят выбросов GPS
+export const removeBadTrackPoints = (data, options) => {
+    const { badTimes } = detectTrackIssues(data.track, options);
+    if (badTimes.size === 0) return data;
+    return { ...data, track: data.track.filter(point => !badTimes.has(pointTime(point))) };
+};
+
+// Интервалы дольше gapSeconds без единой метки из times (отсортированы), включая края периода
+const findGaps = (times, start, end, gapSeconds) => {
+    const gaps = [];
+    let previous = start;
+    times.forEach(time => {
+        if (time - previous > gapSeconds) gaps.push({ startTime: previous, endTime: time });
+        previous = Math.max(previous, time);
+    });
+    if (end - previous > gapSeconds) gaps.push({ startTime: previous, endTime: end });
+    return gaps;
+};
+
+// Есть ли в отсортированном times метка строго внутри (start, end)
+const hasTimeBetween = (times, start, end) => {
+    let low = 0;
+    let high = times.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (times[mid] <= start) low = mid + 1; else high = mid;
+    }
+    return low < times.length && times[low] < end;
+};
+
+// Подряд идущие точки, для которых matches(point) истинно: [{ startTime, endTime, points: [...] }]
+const findRuns = (points, matches) => {
+    const runs = [];
+    let run = null;
+    points.forEach(point => {
+        if (matches(point)) {
+            if (!run) {
+                run = { startTime: pointTime(point), endTime: pointTime(point), points: [] };
+                runs.push(run);
+            }
+            run.endTime = pointTime(point);
+            run.points.push(point);
+        } else {
+            run = null;
+        }
+    });
+    return runs;
+};
+
+// Участки, где значение ряда не менялось дольше minSeconds
+const findFlatlines = (points, minSeconds) => {
+    const runs = [];
+    let start = 0;
+    for (let i = 1; i <= points.length; i++) {
+        if (i < points.length && Number(points[i].value) === Number(points[start].value)) continue;
+        const startTime = pointTime(points[start]);
+        const endTime = pointTime(points[i - 1]);
+        if (endTime - startTime >= minSeconds) runs.push({ startTime, endTime, value: Number(points[start].value) });
+        start = i;
+    }
+    return runs;
+};
+
+const overlapSeconds = (ranges, start, end) => ranges.reduce(
+    (sum, range) => sum + Math.max(0, Math.min(range.endTime, end) - Math.max(range.startTime, start)),
+    0
+);
+
+// Начало суток в зоне timeZone, в которые попадает timestamp
+const startOfDay = (timestamp, timeZone) =>
+    zonedToUnixTimestamp(`${unixTimestampToZoned(timestamp, timeZone).slice(0, 10)}T00:00`, timeZone);
+
+// Полнота по суткам периода: доля времени вне разрывов связи, число точек и проблем.
+// Следующие сутки - через +36 ч от начала текущих, чтобы переход на летнее время не сбивал границы.
+const summarizeDays = (times, gaps, issues, start, end, timeZone) => {
+    const days = [];
+    let dayStart = startOfDay(start, timeZone);
+    while (dayStart < end) {
+        const nextDay = startOfDay(dayStart + 36 * 3600, timeZone);
+        const from = Math.max(dayStart, start);
+        const to = Math.min(nextDay, end);
+        days.push({
+            day: unixTimestampToZoned(dayStart, timeZone).slice(0, 10),
+            startTime: from,
+            endTime: to,
+            coverage: to > from ? 1 - overlapSeconds(gaps, from, to) / (to - from) : 1,
+            points: times.filter(time => time >= from && time < to).length,
+            issues: issues.filter(issue => issue.type !== 'gap' && issue.startTime >= from && issue.startTime < to).length
+        });
+        dayStart = nextDay;
+    }
+    return days;
+};
+
+const collectTimes = (data) => {
+    const groups = [data.track, ...Object.values(data.series || {}), ...Object.values(data.fuelSensors || {})];
+    return [...new Set(groups.flatMap(points => (points || []).map(pointTime)))].sort((a, b) => a - b);
+};
+
+// Проверка данных одного ТС за загруженный период.
+// issues: [{ id, type, series, startTime, endTime, duration, detail, from?, to? }] по времени начала;
+// gaps и dropouts - интервалы для затенения графиков; days - полнота по суткам в зоне timeZone
+export const analyzeDataQuality = (data, options, timeZone) => {
+    const nowTimestamp = Math.floor(Date.now() / 1000);
+    const start = data.metadata?.startTimestamp ?? 0;
+    const end = Math.min(data.metadata?.endTimestamp ?? nowTimestamp, nowTimestamp);
+    const gapSeconds = getGapSeconds(data.metadata, options);
+    const times = collectTimes(data);
+    const issues = [];
+    const addIssue = (type, series, startTime, endTime, detail, extra = {}) => issues.push({
+        id: `${type}-${series ?? 'track'}-${startTime}`,
+        type,
+        series,
+        startTime,
+        endTime,
+        duration: endTime - startTime,
+        detail,
+        ...extra
+    });
+
+    // Разрывы связи: ни трека, ни одного ряда
+    const gaps = times.length > 0 ? findGaps(times, start, end, gapSeconds) : [{ startTime: start, endTime: end }];
+    gaps.forEach(gap => addIssue('gap', null, gap.startTime, gap.endTime, { key: 'quality.detail.gap' }));
+
+    // Пропуски датчика: ряд молчит, хотя трекер в это время передавал другие данные.
+    // Ряды без единой точки за период не проверяются - датчика, скорее всего, просто нет
+    const dropouts = [];
+    ['fuel_total', 'main_power_voltage'].forEach(series => {
+        const points = data.series?.[series] || [];
+        if (points.length === 0) return;
+        findGaps(points.map(pointTime), start, end, gapSeconds)
+            .filter(gap => hasTimeBetween(times, gap.startTime, gap.endTime))
+            .forEach(gap => {
+                dropouts.push({ ...gap, series });
+                addIssue('dropout', series, gap.startTime, gap.endTime, { key: 'quality.detail.dropout' });
+            });
+    });
+
+    findRuns(data.track || [], isZeroPoint).forEach(run => {
+        addIssue('zero', null, run.startTime, run.endTime, { key: 'quality.detail.zero', params: { count: run.points.length } });
+    });
+    detectTrackIssues(data.track, options).jumps.forEach(jump => {
+        const key = `quality.detail.${Number.isFinite(jump.speedKmh) ? 'jump' : 'jumpInstant'}${jump.spike ? 'Spike' : ''}`;
+        const params = { distance: Math.round(jump.distanceKm * 10) / 10, speed: Math.round(jump.speedKmh) };
+        addIssue('jump', null, pointTime(jump.from), pointTime(jump.to), { key, params },
+            { from: [jump.from.lat, jump.from.lon], to: [jump.to.lat, jump.to.lon] });
+    });
+
+    // Залипание и невозможные значения - по каждому датчику топлива отдельно и по напряжению.
+    // Неизменное топливо на стоянке нормально, поэтому залипанием считается только ровная линия в движении
+    const checkedSeries = [
+        ...Object.entries(data.fuelSensors || {}).map(([series, points]) => ({ series, points, max: options.maxFuel, movingOnly: true })),
+        { series: 'main_power_voltage', points: data.series?.main_power_voltage || [], max: options.maxVoltage, movingOnly: false }
+    ];
+    checkedSeries.forEach(({ series, points, max, movingOnly }) => {
+        findFlatlines(points, options.flatlineMinutes * 60)
+            .filter(run => !movingOnly ||
+                (getSeriesMaxInRange(data.series?.speed, run.startTime, run.endTime) ?? 0) > DEFAULT_TRIP_OPTIONS.stationarySpeed)
+            .forEach(run => addIssue('flatline', series, run.startTime, run.endTime, { key: 'quality.detail.flatline', params: { value: run.value } }));
+        findRuns(points, point => Number(point.value) < 0 || Number(point.value) > max).forEach(run => {
+            const worst = run.points.reduce((value, point) => Math.max(value, Math.abs(Number(point.value))), 0);
+            addIssue('range', series, run.startTime, run.endTime, { key: 'quality.detail.range', params: { worst, max } });
+        });
+    });
+
+    issues.sort((a, b) => a.startTime - b.startTime);
+    const totalSeconds = Math.max(end - start, 0);
+
+    return {
+        gapSeconds,
+        gaps,
+        dropouts,
+        issues,
+        coverage: totalSeconds > 0 ? 1 - overlapSeconds(gaps, start, end) / totalSeconds : 1,
+        days: summarizeDays(times, gaps, issues, start, end, timeZone)
+    };
+};
@@ -0,0 +1,66 @@
+import { apiFetch, checkResponse } from './api';
+import { compareText } from './i18n';
+
+// Реестр устройств (/api/devices): госномер, водитель, группа, число баков и заметки по IMEI.
+// На клиенте реестр - объект { [imei]: device }, чтобы имя находилось без перебора
+
+export const EMPTY_DEVICE = { name: '', driver: '', group: '', fuelTanks: '', notes: '' };
+
+// Формат IMEI, который принимает API
+export const IMEI_PATTERN = /^\d{15}$/;
+
+export const fetchDevices = async () => {
+    const response = await checkResponse(await apiFetch('/api/devices'));
+    const { devices } = await response.json();
+    return Object.fromEntries(devices.map(device => [device.imei, device]));
+};
+
+export const saveDevice = async (imei, device) => {
+    const fuelTanks = Number.parseInt(device.fuelTanks, 10);
+    const response = await checkResponse(await apiFetch(`/api/devices/${encodeURIComponent(imei)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...device, fuelTanks: Number.isFinite(fuelTanks) ? fuelTanks : null })
+    }));
+    return response.json();
+};
+
+export const deleteDevice = async (imei) => {
+    await checkResponse(await apiFetch(`/api/devices/${encodeURIComponent(imei)}`, { method: 'DELETE' }));
+};
+
+// Имя ТС для подписей: госномер из реестра, без него - сам IMEI
+export const getVehicleName = (imei, devices) => devices[imei]?.name || imei;
+
+const matchesSearch = (imei, device, search) => {
+    if (!search) return true;
+    const text = [imei, device?.name, device?.driver, device?.group, device?.notes].filter(Boolean).join(' ').toLowerCase();
+    return search.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+};
+
+// Группы для выбора ТС: группы реестра по алфавиту, затем «Без группы» (label ''), в конце - IMEI не из реестра.
+// Поиск - по всем словам сразу в IMEI, госномере, водителе, группе и заметках
+export const groupImeis = (imeis, devices, search = '') => {
+    const groups = new Map();
+    const unregistered = [];
+    imeis.forEach(imei => {
+        const device = devices[imei];
+        if (!matchesSearch(imei, device, search.trim())) return;
+        if (!device) {
+            unregistered.push(imei);
+            return;
+        }
+        const label = device.group || '';
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(imei);
+    });
+
+    const byName = (a, b) => compareText(getVehicleName(a, devices), getVehicleName(b, devices));
+    const result = [...groups.entries()]
+        .sort(([a], [b]) => (a === '') - (b === '') || compareText(a, b))
+        .map(([label, items]) => ({ label, imeis: items.sort(byName), registered: true }));
+    if (unregistered.length > 0) {
+        result.push({ label: null, imeis: unregistered.sort(), registered: false });
+    }
+    return result;
+};
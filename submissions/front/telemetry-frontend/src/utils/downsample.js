@@ -0,0 +1,167 @@
+import { pointTime } from './track';
+import { buildSpeedColoredRuns } from './speed';
+
+// Точек на линию графика: примерно по одной на пиксель ширины, больше Recharts всё равно не покажет
+export const MAX_CHART_POINTS = 800;
+
+// Допуск упрощения трека в пикселях карты: отклонения меньше пикселя на экране не видны
+const TRACK_TOLERANCE_PX = 1;
+
+const toChartPoint = (point) => ({ timestamp: pointTime(point), value: point.value });
+
+// Точки, попадающие в [start, end], и по одной соседней с каждой стороны, чтобы линия доходила до края графика
+const sliceToDomain = (points, domain) => {
+    if (!domain) return points;
+    const [start, end] = domain;
+    let from = 0;
+    while (from < points.length && pointTime(points[from]) < start) from++;
+    let to = from;
+    while (to < points.length && pointTime(points[to]) <= end) to++;
+    return points.slice(Math.max(from - 1, 0), Math.min(to + 1, points.length));
+};
+
+// Largest-Triangle-Three-Buckets: из каждой корзины берётся точка, образующая наибольший треугольник
+// с выбранной точкой предыдущей корзины и средним следующей. Пики и провалы ряда сохраняются,
+// в отличие от прореживания через N точек.
+export const lttb = (points, threshold) => {
+    if (points.length <= threshold || threshold < 3) return points.map(toChartPoint);
+
+    const x = (index) => pointTime(points[index]);
+    const y = (index) => Number(points[index].value);
+    const bucketSize = (points.length - 2) / (threshold - 2);
+    const sampled = [toChartPoint(points[0])];
+    let selected = 0;
+
+    for (let bucket = 0; bucket < threshold - 2; bucket++) {
+        const nextFrom = Math.floor((bucket + 1) * bucketSize) + 1;
+        const nextTo = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, points.length);
+        let avgX = 0;
+        let avgY = 0;
+        for (let i = nextFrom; i < nextTo; i++) {
+            avgX += x(i);
+            avgY += y(i);
+        }
+        avgX /= nextTo - nextFrom;
+        avgY /= nextTo - nextFrom;
+
+        const from = Math.floor(bucket * bucketSize) + 1;
+        const to = nextFrom;
+        let maxArea = -1;
+        let next = from;
+        for (let i = from; i < to; i++) {
+            const area = Math.abs((x(selected) - avgX) * (y(i) - y(selected)) - (x(selected) - x(i)) * (avgY - y(selected)));
+            if (area > maxArea) {
+                maxArea = area;
+                next = i;
+            }
+        }
+        sampled.push(toChartPoint(points[next]));
+        selected = next;
+    }
+
+    sampled.push(toChartPoint(points[points.length - 1]));
+    return sampled;
+};
+
+// Линии графика: сырые точки { time, value } -> не больше maxPoints точек { timestamp, value } в пределах domain
+export const downsampleChartLines = (lines, domain, maxPoints = MAX_CHART_POINTS) => lines.map(line => ({
+    ...line,
+    data: lttb(sliceToDomain(line.data, domain), maxPoints)
+}));
+
+// Градусов на пиксель на экваторе для тайлов 256 px
+const degreesPerPixel = (zoom) => 360 / (256 * 2 ** zoom);
+
+// Квадрат расстояния от точки до отрезка; долгота сжата на cos(широты), как на карте
+const segmentDistanceSq = (point, start, end, lonScale) => {
+    const px = point.lon * lonScale;
+    const sx = start.lon * lonScale;
+    const ex = end.lon * lonScale;
+    const dx = ex - sx;
+    const dy = end.lat - start.lat;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0
+        ? Math.max(0, Math.min(1, ((px - sx) * dx + (point.lat - start.lat) * dy) / lengthSq))
+        : 0;
+    const ox = px - (sx + t * dx);
+    const oy = point.lat - (start.lat + t * dy);
+    return ox * ox + oy * oy;
+};
+
+// Дуглас-Пекер со стеком вместо рекурсии: на сотнях тысяч точек рекурсия переполняет стек вызовов.
+// Возвращает подмножество исходных точек трека, первая и последняя сохраняются всегда.
+export const simplifyTrack = (track, tolerance) => {
+    if (track.length <= 2) return track;
+    const lonScale = Math.cos(track[0].lat * Math.PI / 180);
+    const toleranceSq = tolerance * tolerance;
+    const keep = new Uint8Array(track.length);
+    keep[0] = 1;
+    keep[track.length - 1] = 1;
+
+    const stack = [[0, track.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistanceSq = 0;
+        let farthest = -1;
+        for (let i = first + 1; i < last; i++) {
+            const distanceSq = segmentDistanceSq(track[i], track[first], track[last], lonScale);
+            if (distanceSq > maxDistanceSq) {
+                maxDistanceSq = distanceSq;
+                farthest = i;
+            }
+        }
+        if (farthest !== -1 && maxDistanceSq > toleranceSq) {
+            keep[farthest] = 1;
+            stack.push([first, farthest], [farthest, last]);
+        }
+    }
+
+    return track.filter((_, index) => keep[index]);
+};
+
+// Трек -> куски без пауз дольше gapSeconds: через время без данных линия не тянется прямой
+const splitAtGaps = (track, gapSeconds) => {
+    const pieces = [];
+    track.forEach((point, index) => {
+        if (index === 0 || pointTime(point) - pointTime(track[index - 1]) > gapSeconds) {
+            pieces.push([]);
+        }
+        pieces[pieces.length - 1].push(point);
+    });
+    return pieces;
+};
+
+// Треки для карты при данном приближении: упрощённые куски линии между разрывами связи,
+// пунктирные связки через разрывы и, если передан ряд скорости, участки по цвету скорости
+export const simplifyMapTracks = (tracks, zoom) => {
+    const tolerance = degreesPerPixel(zoom) * TRACK_TOLERANCE_PX;
+    return tracks.map(({ imei, track, speed, gapSeconds }) => {
+        const pieces = (gapSeconds ? splitAtGaps(track, gapSeconds) : [track])
+            .map(piece => simplifyTrack(piece, tolerance));
+        return {
+            imei,
+            positions: pieces.map(piece => piece.map(p => [p.lat, p.lon])),
+            speedRuns: speed ? pieces.flatMap(piece => buildSpeedColoredRuns(piece, speed)) : null,
+            gapLinks: pieces.slice(1).map((piece, index) => {
+                const before = pieces[index][pieces[index].length - 1];
+                return [[before.lat, before.lon], [piece[0].lat, piece[0].lon]];
+            })
+        };
+    });
+};
+
+// Границы без Math.min(...lats): разворот массива в аргументы падает на больших треках
+export const getTrackBounds = (points) => {
+    if (points.length === 0) return null;
+    let minLat = Infinity;
+    let minLon = Infinity;
+    let maxLat = -Infinity;
+    let maxLon = -Infinity;
+    points.forEach(({ lat, lon }) => {
+        if (lat < minLat) minLat = lat;
+        if (lat > maxLat) maxLat = lat;
+        if (lon < minLon) minLon = lon;
+        if (lon > maxLon) maxLon = lon;
+    });
+    return [[minLat, minLon], [maxLat, maxLon]];
+};
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { lttb, downsampleChartLines, simplifyTrack, simplifyMapTracks } from './downsample';
+
+// 2025-09-10 08:20:00 UTC
+const SEPTEMBER_10 = Date.UTC(2025, 8, 10, 8, 20) / 1000;
+
+const series = (values) => values.map((value, index) => ({ time: String(SEPTEMBER_10 + index * 60), value }));
+
+// Точки трека раз в минуту: [[lat, lon], ...]
+const track = (coordinates, step = 60) =>
+    coordinates.map(([lat, lon], index) => ({ time: String(SEPTEMBER_10 + index * step), lat, lon }));
+
+const later = (points, seconds) => points.map(point => ({ ...point, time: String(Number(point.time) + seconds) }));
+
+describe('lttb', () => {
+    it('возвращает все точки, если их не больше порога', () => {
+        expect(lttb(series([1, 2, 3]), 10)).toEqual([
+            { timestamp: SEPTEMBER_10, value: 1 },
+            { timestamp: SEPTEMBER_10 + 60, value: 2 },
+            { timestamp: SEPTEMBER_10 + 120, value: 3 }
+        ]);
+    });
+
+    it('оставляет ровно threshold точек, первую и последнюю', () => {
+        const points = series(Array.from({ length: 1000 }, (_, index) => Math.sin(index / 20)));
+        const sampled = lttb(points, 100);
+
+        expect(sampled).toHaveLength(100);
+        expect(sampled[0].timestamp).toBe(SEPTEMBER_10);
+        expect(sampled[99].timestamp).toBe(SEPTEMBER_10 + 999 * 60);
+    });
+
+    it('сохраняет одиночный пик и провал', () => {
+        const values = Array(500).fill(50);
+        values[123] = 140;
+        values[377] = 0;
+        const sampled = lttb(series(values), 20).map(point => point.value);
+
+        expect(sampled).toContain(140);
+        expect(sampled).toContain(0);
+    });
+
+    it('идёт по времени без повторов', () => {
+        const sampled = lttb(series(Array.from({ length: 300 }, (_, index) => index % 7)), 50);
+        sampled.slice(1).forEach((point, index) => expect(point.timestamp).toBeGreaterThan(sampled[index].timestamp));
+    });
+});
+
+describe('downsampleChartLines', () => {
+    it('обрезает линию до domain с соседней точкой по краям', () => {
+        const [line] = downsampleChartLines(
+            [{ key: 'speed', data: series([0, 10, 20, 30, 40, 50]) }],
+            [SEPTEMBER_10 + 120, SEPTEMBER_10 + 180]
+        );
+        expect(line.key).toBe('speed');
+        expect(line.data.map(point => point.value)).toEqual([10, 20, 30, 40]);
+    });
+
+    it('без domain берёт весь ряд и прореживает до maxPoints', () => {
+        const [line] = downsampleChartLines([{ key: 'speed', data: series(Array(5000).fill(1)) }], null, 300);
+        expect(line.data).toHaveLength(300);
+    });
+});
+
+describe('simplifyTrack', () => {
+    it('сводит прямой участок к концам', () => {
+        const straight = track(Array.from({ length: 50 }, (_, index) => [43 + index * 0.001, 76]));
+        expect(simplifyTrack(straight, 0.0001)).toEqual([straight[0], straight[49]]);
+    });
+
+    it('оставляет поворот больше допуска', () => {
+        const corner = track([[43, 76], [43.005, 76], [43.01, 76], [43.01, 76.005], [43.01, 76.01]]);
+        expect(simplifyTrack(corner, 0.0001)).toEqual([corner[0], corner[2], corner[4]]);
+    });
+
+    it('убирает отклонения меньше допуска', () => {
+        const jitter = track([[43, 76], [43.005, 76.00001], [43.01, 76]]);
+        expect(simplifyTrack(jitter, 0.001)).toEqual([jitter[0], jitter[2]]);
+    });
+
+    it('не трогает треки из одной-двух точек', () => {
+        const short = track([[43, 76], [43.1, 76.1]]);
+        expect(simplifyTrack(short, 1)).toBe(short);
+        expect(simplifyTrack([], 1)).toEqual([]);
+    });
+
+    it('справляется с длинным треком без переполнения стека', () => {
+        const arc = track(Array.from({ length: 100000 }, (_, index) => [43 + index * 0.00001, 76 + (index * 0.00001) ** 2]));
+        const simplified = simplifyTrack(arc, 0.000001);
+        expect(simplified.length).toBeGreaterThan(2);
+        expect(simplified.length).toBeLessThan(arc.length);
+    });
+});
+
+describe('simplifyMapTracks', () => {
+    it('разбивает трек на разрывах связи и связывает куски', () => {
+        const points = [
+            ...track([[43, 76], [43.01, 76]]),
+            ...later(track([[43.1, 76.1], [43.11, 76.1]]), 3600)
+        ];
+        const [result] = simplifyMapTracks([{ imei: '1', track: points, speed: null, gapSeconds: 600 }], 13);
+
+        expect(result.imei).toBe('1');
+        expect(result.positions).toEqual([[[43, 76], [43.01, 76]], [[43.1, 76.1], [43.11, 76.1]]]);
+        expect(result.gapLinks).toEqual([[[43.01, 76], [43.1, 76.1]]]);
+        expect(result.speedRuns).toBeNull();
+    });
+
+    it('раскрашивает участки по скорости, если передан её ряд', () => {
+        const points = track([[43, 76], [43.01, 76], [43.02, 76.01]]);
+        const [result] = simplifyMapTracks([{ imei: '1', track: points, speed: series([0, 100, 100]), gapSeconds: 0 }], 13);
+
+        expect(result.gapLinks).toEqual([]);
+        expect(result.speedRuns.map(run => run.color)).toEqual(['#9ca3af', '#f97316']);
+    });
+});
@@ -0,0 +1,155 @@
+import { formatTimestampISO as formatExportTime } from './time';
+import { pointTime } from './track';
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const escapeCsv = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const seriesByTime = (series) => new Map((series || []).map(point => [pointTime(point), point.value]));
+
+// Имя ТС из реестра устройств (ExportMenu дописывает его в name), без записи - IMEI
+const vehicleLabel = ({ imei, name }) => name || imei;
+
+// Одна строка на метку времени: все ряды ТС сводятся по времени
+export const buildCsv = (vehicles, timeZone) => {
+    const sensorNames = [...new Set(vehicles.flatMap(vehicle => Object.keys(vehicle.data.fuelSensors || {})))].sort();
+    const header = ['imei', 'name', 'time', 'latitude', 'longitude', 'speed', 'main_power_voltage', 'fuel_total', ...sensorNames];
+    const rows = [header.join(',')];
+
+    vehicles.forEach(vehicle => {
+        const { imei, data } = vehicle;
+        const columns = {
+            speed: seriesByTime(data.series.speed),
+            main_power_voltage: seriesByTime(data.series.main_power_voltage),
+            fuel_total: seriesByTime(data.series.fuel_total)
+        };
+        sensorNames.forEach(sensorName => {
+            columns[sensorName] = seriesByTime(data.fuelSensors?.[sensorName]);
+        });
+        const track = new Map(data.track.map(point => [pointTime(point), point]));
+
+        const timestamps = new Set(track.keys());
+        Object.values(columns).forEach(column => column.forEach((_, time) => timestamps.add(time)));
+
+        [...timestamps].sort((a, b) => a - b).forEach(time => {
+            const point = track.get(time);
+            const row = [
+                imei,
+                vehicleLabel(vehicle),
+                formatExportTime(time, timeZone),
+                point?.lat,
+                point?.lon,
+                ...['speed', 'main_power_voltage', 'fuel_total', ...sensorNames].map(key => columns[key].get(time))
+            ];
+            rows.push(row.map(escapeCsv).join(','));
+        });
+    });
+
+    return rows.join('\n');
+};
+
+export const buildGpx = (vehicles, timeZone) => {
+    const tracks = vehicles.map(vehicle => {
+        const { data } = vehicle;
+        const points = data.track.map(point =>
+            `      <trkpt lat="${point.lat}" lon="${point.lon}"><time>${formatExportTime(pointTime(point), timeZone)}</time></trkpt>`
+        ).join('\n');
+        return `  <trk>\n    <name>${escapeXml(vehicleLabel(vehicle))}</name>\n    <trkseg>\n${points}\n    </trkseg>\n  </trk>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="telemetry-frontend" xmlns="http://www.topografix.com/GPX/1/1">
+${tracks}
+</gpx>`;
+};
+
+export const buildKml = (vehicles, timeZone) => {
+    const placemarks = vehicles.filter(({ data }) => data.track.length > 0).map(vehicle => {
+        const { data } = vehicle;
+        const coordinates = data.track.map(point => `${point.lon},${point.lat},0`).join(' ');
+        const begin = formatExportTime(pointTime(data.track[0]), timeZone);
+        const end = formatExportTime(pointTime(data.track[data.track.length - 1]), timeZone);
+        return `    <Placemark>
+      <name>${escapeXml(vehicleLabel(vehicle))}</name>
+      <TimeSpan><begin>${begin}</begin><end>${end}</end></TimeSpan>
+      <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>
+    </Placemark>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Telemetry</name>
+${placemarks}
+  </Document>
+</kml>`;
+};
+
+// LineString трека плюс точки с показаниями датчиков в properties
+export const buildGeoJson = (vehicles, timeZone) => {
+    const features = vehicles.flatMap(vehicle => {
+        const { imei, data } = vehicle;
+        const name = vehicleLabel(vehicle);
+        if (data.track.length === 0) return [];
+        const speed = seriesByTime(data.series.speed);
+        const voltage = seriesByTime(data.series.main_power_voltage);
+        const fuel = seriesByTime(data.series.fuel_total);
+
+        const line = {
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: data.track.map(point => [point.lon, point.lat]) },
+            properties: {
+                imei,
+                name,
+                start: formatExportTime(pointTime(data.track[0]), timeZone),
+                end: formatExportTime(pointTime(data.track[data.track.length - 1]), timeZone)
+            }
+        };
+        const points = data.track.map(point => {
+            const time = pointTime(point);
+            return {
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [point.lon, point.lat] },
+                properties: {
+                    imei,
+                    name,
+                    time: formatExportTime(time, timeZone),
+                    event_time: point.eventTime ?? null,
+                    speed: speed.get(time) ?? null,
+                    main_power_voltage: voltage.get(time) ?? null,
+                    fuel_total: fuel.get(time) ?? null
+                }
+            };
+        });
+        return [line, ...points];
+    });
+
+    return JSON.stringify({ type: 'FeatureCollection', features });
+};
+
+export const EXPORT_FORMATS = [
+    { key: 'csv', name: 'CSV (Excel)', extension: 'csv', mime: 'text/csv;charset=utf-8', build: buildCsv },
+    { key: 'gpx', name: 'GPX', extension: 'gpx', mime: 'application/gpx+xml', build: buildGpx },
+    { key: 'kml', name: 'KML', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml', build: buildKml },
+    { key: 'geojson', name: 'GeoJSON (QGIS)', extension: 'geojson', mime: 'application/geo+json', build: buildGeoJson }
+];
+
+export const downloadFile = (content, filename, mime) => {
+    const blob = new Blob([content], { type: mime });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
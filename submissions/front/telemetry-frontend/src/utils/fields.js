@@ -0,0 +1,16 @@
+// Поля, которые дашборд и так показывает своими графиками и картой
+const BUILT_IN_FIELD_PATTERN = /^(speed|main_power_voltage|latitude|longitude|event_time|fls485_level_\d+)$/;
+
+// Та же проверка имени, что и на бэкенде: остальные поля запросить нельзя
+const FIELD_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+
+export const MAX_CUSTOM_FIELDS = 20;
+
+// Подписи - в словаре под fields.placement.<key>
+export const FIELD_PLACEMENTS = ['chart', 'speed', 'fuel', 'voltage'];
+
+export const FIELD_COLORS = ['#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16', '#0ea5e9', '#a855f7'];
+
+// Поля из /api/fields, которые имеет смысл предлагать в обозревателе
+export const getExplorableFields = (fields) =>
+    [...new Set(fields)].filter(field => FIELD_NAME_PATTERN.test(field) && !BUILT_IN_FIELD_PATTERN.test(field)).sort();
@@ -0,0 +1,260 @@
+import { zonedToUnixTimestamp } from './time';
+import { translate } from './i18n';
+
+// Импорт CSV и GPX в ту же форму, что отдаёт /api/telemetry: { series, fuelSensors, track, fields, metadata }.
+// Оба формата сначала сводятся к таблице { headers, rows }, дальше - общее сопоставление столбцов.
+
+// Куда можно отнести столбец файла; fuel - очередной датчик уровня (fls485_level_N по порядку столбцов).
+// Подписи - в словаре под import.target.<target>
+export const IMPORT_TARGETS = ['ignore', 'time', 'lat', 'lon', 'speed', 'main_power_voltage', 'main_power_voltage_mv', 'fuel', 'imei'];
+
+// Столбцы, которые в файле могут быть только одни
+const SINGLE_TARGETS = ['time', 'lat', 'lon', 'speed', 'main_power_voltage', 'main_power_voltage_mv', 'imei'];
+
+// Разделитель - тот из ; , табуляции, что чаще встречается в строке заголовка
+const detectDelimiter = (line) => [';', ',', '\t']
+    .map(delimiter => ({ delimiter, count: line.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+
+// CSV по RFC 4180: кавычки, удвоенные кавычки и переводы строк внутри значений
+export const parseCsv = (text) => {
+    const content = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(content.split('\n', 1)[0]);
+    const records = [];
+    let record = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            record.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            record.push(value);
+            records.push(record);
+            record = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    if (value !== '' || record.length > 0) {
+        record.push(value);
+        records.push(record);
+    }
+
+    const [headers = [], ...rows] = records.filter(row => row.some(cell => cell.trim() !== ''));
+    return { headers: headers.map(header => header.trim()), rows };
+};
+
+// GPX: точки всех треков; скорость из расширений (м/с по стандарту GPX) переводится в км/ч
+export const parseGpx = (text) => {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.querySelector('parsererror')) {
+        throw new Error(translate('import.error.badGpx'));
+    }
+    const points = [...xml.getElementsByTagName('trkpt'), ...xml.getElementsByTagName('rtept')];
+    const childText = (point, name) => point.getElementsByTagNameNS('*', name)[0]?.textContent.trim() ?? '';
+    const hasSpeed = points.some(point => childText(point, 'speed') !== '');
+    const rows = points.map(point => {
+        const row = [childText(point, 'time'), point.getAttribute('lat'), point.getAttribute('lon')];
+        if (hasSpeed) {
+            const speed = Number.parseFloat(childText(point, 'speed'));
+            row.push(Number.isFinite(speed) ? String(Math.round(speed * 3.6 * 100) / 100) : '');
+        }
+        return row;
+    });
+    return { headers: ['time', 'lat', 'lon', ...(hasSpeed ? ['speed'] : [])], rows };
+};
+
+export const parseImportFile = async (file) => {
+    const text = await file.text();
+    const table = /\.gpx$/i.test(file.name) || /^\s*<\?xml|^\s*<gpx/i.test(text) ? parseGpx(text) : parseCsv(text);
+    if (table.rows.length === 0) {
+        throw new Error(translate('import.error.noRows'));
+    }
+    return table;
+};
+
+// Сопоставление по названиям столбцов: наш собственный экспорт CSV и типичные выгрузки других платформ
+const GUESSES = [
+    { target: 'imei', pattern: /^(imei|device|unit)(_?id)?$/i },
+    { target: 'time', pattern: /^(time|timestamp|datetime|date|gps_?time|время|дата)/i },
+    { target: 'lat', pattern: /^(lat|latitude|широта)$/i },
+    { target: 'lon', pattern: /^(lon|lng|long|longitude|долгота)$/i },
+    { target: 'speed', pattern: /^(speed|скорость)/i },
+    { target: 'main_power_voltage', pattern: /^(main_power_voltage|voltage|power|напряжение)/i },
+    { target: 'fuel', pattern: /^(fls485_level_\d+|fuel(_?level)?\d*|lls\d*|топливо)$/i }
+];
+
+export const guessColumnMapping = (headers) => {
+    const used = new Set();
+    const mapping = headers.map(header => {
+        const guess = GUESSES.find(item => item.pattern.test(header));
+        if (!guess || (SINGLE_TARGETS.includes(guess.target) && used.has(guess.target))) return 'ignore';
+        used.add(guess.target);
+        return guess.target;
+    });
+    // fuel_total - сумма датчиков, её пересчитываем сами; берётся, только если отдельных датчиков в файле нет
+    const totalIndex = headers.findIndex(header => /^fuel_total$/i.test(header));
+    if (totalIndex >= 0 && !used.has('fuel')) mapping[totalIndex] = 'fuel';
+    return mapping;
+};
+
+// Ошибки сопоставления, из-за которых импорт невозможен; пустой массив - можно импортировать
+export const validateColumnMapping = (mapping) => {
+    const errors = [];
+    const count = (target) => mapping.filter(item => item === target).length;
+    if (count('time') === 0) errors.push(translate('import.error.noTime'));
+    SINGLE_TARGETS.filter(target => count(target) > 1).forEach(target => {
+        errors.push(translate('import.error.duplicate', { target: translate(`import.target.${target}`) }));
+    });
+    if ((count('lat') > 0) !== (count('lon') > 0)) errors.push(translate('import.error.latLon'));
+    if (count('main_power_voltage') > 0 && count('main_power_voltage_mv') > 0) errors.push(translate('import.error.voltageTwice'));
+    if (!mapping.some(target => !['ignore', 'time', 'imei'].includes(target))) errors.push(translate('import.error.noData'));
+    return errors;
+};
+
+const parseNumber = (text) => {
+    const value = Number.parseFloat(String(text).trim().replace(',', '.'));
+    return Number.isFinite(value) ? value : null;
+};
+
+// Время строки -> UNIX-секунды. Понимает UNIX-секунды и миллисекунды, ISO-8601 с зоной,
+// а время без зоны ('2025-09-10 13:20:00', '10.09.2025 13:20:00') считает временем в timeZone
+export const parseImportTime = (text, timeZone) => {
+    const value = String(text).trim();
+    if (/^\d{9,13}(\.\d+)?$/.test(value)) {
+        const number = Number(value);
+        return Math.floor(number > 1e11 ? number / 1000 : number);
+    }
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+        const parsed = Date.parse(value);
+        return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+    }
+    const dotted = /^(\d{2})\.(\d{2})\.(\d{4})[ T](\d{2}:\d{2}(?::\d{2})?)/.exec(value);
+    const iso = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(?::\d{2})?)/.exec(value);
+    if (dotted) return zonedToUnixTimestamp(`${dotted[3]}-${dotted[2]}-${dotted[1]}T${dotted[4]}`, timeZone);
+    if (iso) return zonedToUnixTimestamp(`${iso[1]}T${iso[2]}`, timeZone);
+    return null;
+};
+
+// Точки по времени без повторов: при совпадении метки остаётся последняя строка файла
+const toSortedPoints = (byTime) => [...byTime.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([time, point]) => ({ time: String(time), ...point }));
+
+const buildVehicleData = (entries, sensorNames) => {
+    const speed = new Map();
+    const voltage = new Map();
+    const track = new Map();
+    const sensors = Object.fromEntries(sensorNames.map(name => [name, new Map()]));
+    const fuelTotal = new Map();
+
+    entries.forEach(({ time, values }) => {
+        if (values.speed !== null) speed.set(time, { value: values.speed });
+        if (values.voltage !== null) voltage.set(time, { value: values.voltage });
+        if (values.lat !== null && values.lon !== null) {
+            track.set(time, { lat: values.lat, lon: values.lon, eventTime: time });
+        }
+        let total = null;
+        sensorNames.forEach((name, index) => {
+            const level = values.fuel[index];
+            if (level === null) return;
+            sensors[name].set(time, { value: level });
+            total = (total ?? 0) + level;
+        });
+        if (total !== null) fuelTotal.set(time, { value: Math.round(total * 100) / 100 });
+    });
+
+    const fuelSensors = Object.fromEntries(
+        Object.entries(sensors).filter(([, points]) => points.size > 0).map(([name, points]) => [name, toSortedPoints(points)])
+    );
+    return {
+        series: {
+            speed: toSortedPoints(speed),
+            main_power_voltage: toSortedPoints(voltage),
+            fuel_total: toSortedPoints(fuelTotal)
+        },
+        fuelSensors,
+        track: toSortedPoints(track),
+        fields: {}
+    };
+};
+
+// Таблица файла + сопоставление столбцов -> [{ imei, data }] в форме ответа /api/telemetry.
+// Без столбца IMEI весь файл - одно ТС с именем defaultImei. skipped - строки с нераспознанным временем
+export const buildImportedTelemetry = (table, mapping, { timeZone, defaultImei, fileName }) => {
+    const columnOf = (target) => mapping.indexOf(target);
+    const fuelColumns = mapping.map((target, index) => target === 'fuel' ? index : -1).filter(index => index >= 0);
+    // Названия датчиков из нашего экспорта сохраняются, остальные нумеруются по порядку
+    const sensorNames = fuelColumns.map((column, index) =>
+        /^fls485_level_\d+$/.test(table.headers[column]) ? table.headers[column] : `fls485_level_${index + 1}`);
+    const cell = (row, column) => column >= 0 ? parseNumber(row[column] ?? '') : null;
+    const voltageColumn = columnOf('main_power_voltage') >= 0 ? columnOf('main_power_voltage') : columnOf('main_power_voltage_mv');
+    const voltageScale = columnOf('main_power_voltage_mv') >= 0 ? 1000 : 1;
+
+    const byImei = new Map();
+    let skipped = 0;
+    table.rows.forEach(row => {
+        const time = parseImportTime(row[columnOf('time')] ?? '', timeZone);
+        if (time === null) {
+            skipped++;
+            return;
+        }
+        const imei = (columnOf('imei') >= 0 && row[columnOf('imei')]?.trim()) || defaultImei;
+        const voltage = cell(row, voltageColumn);
+        if (!byImei.has(imei)) byImei.set(imei, []);
+        byImei.get(imei).push({
+            time,
+            values: {
+                speed: cell(row, columnOf('speed')),
+                voltage: voltage === null ? null : Math.round(voltage / voltageScale * 100) / 100,
+                lat: cell(row, columnOf('lat')),
+                lon: cell(row, columnOf('lon')),
+                fuel: fuelColumns.map(column => cell(row, column))
+            }
+        });
+    });
+
+    if (byImei.size === 0) {
+        throw new Error(translate('import.error.noTimeParsed'));
+    }
+
+    const vehicles = [...byImei.entries()].map(([imei, entries]) => {
+        const data = buildVehicleData(entries, sensorNames);
+        const start = entries.reduce((min, entry) => Math.min(min, entry.time), Infinity);
+        const end = entries.reduce((max, entry) => Math.max(max, entry.time), -Infinity);
+        return {
+            imei,
+            data: {
+                ...data,
+                metadata: {
+                    startTimestamp: start,
+                    endTimestamp: end,
+                    afterTimestamp: null,
+                    totalRecords: data.track.length,
+                    availableFuelSensors: Object.keys(data.fuelSensors).sort(),
+                    aggregationWindow: 'raw',
+                    rangeDays: Math.round((end - start) / (24 * 60 * 60) * 100) / 100,
+                    importedFrom: fileName
+                }
+            }
+        };
+    });
+
+    return { vehicles, skipped };
+};
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv, parseGpx, parseImportTime, guessColumnMapping, validateColumnMapping, buildImportedTelemetry } from './fileImport';
+
+// 2025-09-10 08:20:00 UTC
+const SEPTEMBER_10 = Date.UTC(2025, 8, 10, 8, 20) / 1000;
+
+describe('parseCsv', () => {
+    it('определяет разделитель по строке заголовка', () => {
+        expect(parseCsv('time;lat;lon\n1;2;3')).toEqual({ headers: ['time', 'lat', 'lon'], rows: [['1', '2', '3']] });
+        expect(parseCsv('time,speed\n1,40')).toEqual({ headers: ['time', 'speed'], rows: [['1', '40']] });
+        expect(parseCsv('time\tspeed\n1\t40')).toEqual({ headers: ['time', 'speed'], rows: [['1', '40']] });
+    });
+
+    it('разбирает кавычки, удвоенные кавычки и переводы строк внутри значений', () => {
+        const { rows } = parseCsv('name;note\n"ТС ""Север""";"строка 1\nстрока 2"\n"a;b";c');
+        expect(rows).toEqual([['ТС "Север"', 'строка 1\nстрока 2'], ['a;b', 'c']]);
+    });
+
+    it('понимает CRLF, BOM и пропускает пустые строки', () => {
+        expect(parseCsv('\uFEFFtime;speed\r\n1;10\r\n\r\n2;20\r\n')).toEqual({
+            headers: ['time', 'speed'],
+            rows: [['1', '10'], ['2', '20']]
+        });
+    });
+
+    it('обрезает пробелы в заголовках', () => {
+        expect(parseCsv(' time ; speed \n1;2').headers).toEqual(['time', 'speed']);
+    });
+});
+
+describe('parseGpx', () => {
+    const gpx = (points) => `<?xml version="1.0"?>
+        <gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1"><trk><trkseg>${points}</trkseg></trk></gpx>`;
+
+    it('берёт время и координаты точек трека', () => {
+        const table = parseGpx(gpx(`
+            <trkpt lat="43.25" lon="76.95"><time>2025-09-10T08:20:00Z</time></trkpt>
+            <trkpt lat="43.26" lon="76.96"><time>2025-09-10T08:21:00Z</time></trkpt>`));
+        expect(table).toEqual({
+            headers: ['time', 'lat', 'lon'],
+            rows: [['2025-09-10T08:20:00Z', '43.25', '76.95'], ['2025-09-10T08:21:00Z', '43.26', '76.96']]
+        });
+    });
+
+    it('переводит скорость из расширений из м/с в км/ч', () => {
+        const table = parseGpx(gpx(`
+            <trkpt lat="43.25" lon="76.95"><time>2025-09-10T08:20:00Z</time><extensions><speed>10</speed></extensions></trkpt>
+            <trkpt lat="43.26" lon="76.96"><time>2025-09-10T08:21:00Z</time></trkpt>`));
+        expect(table.headers).toEqual(['time', 'lat', 'lon', 'speed']);
+        expect(table.rows.map(row => row[3])).toEqual(['36', '']);
+    });
+
+    it('сообщает о повреждённом файле', () => {
+        expect(() => parseGpx('<gpx><trk>')).toThrow();
+    });
+});
+
+describe('parseImportTime', () => {
+    it('понимает UNIX-секунды и миллисекунды', () => {
+        expect(parseImportTime(String(SEPTEMBER_10), 'UTC')).toBe(SEPTEMBER_10);
+        expect(parseImportTime(String(SEPTEMBER_10 * 1000 + 500), 'UTC')).toBe(SEPTEMBER_10);
+    });
+
+    it('берёт зону из строки ISO-8601, если она указана', () => {
+        expect(parseImportTime('2025-09-10T08:20:00Z', 'Asia/Almaty')).toBe(SEPTEMBER_10);
+        expect(parseImportTime('2025-09-10T13:20:00+05:00', 'Europe/Moscow')).toBe(SEPTEMBER_10);
+    });
+
+    it('считает время без зоны временем выбранного пояса', () => {
+        expect(parseImportTime('2025-09-10 13:20:00', 'Asia/Almaty')).toBe(SEPTEMBER_10);
+        expect(parseImportTime('2025-09-10T11:20', 'Europe/Moscow')).toBe(SEPTEMBER_10);
+        expect(parseImportTime('10.09.2025 13:20:00', 'Asia/Almaty')).toBe(SEPTEMBER_10);
+        expect(parseImportTime('10.09.2025 08:20', 'UTC')).toBe(SEPTEMBER_10);
+    });
+
+    it('возвращает null для нераспознанного времени', () => {
+        expect(parseImportTime('', 'UTC')).toBeNull();
+        expect(parseImportTime('вчера', 'UTC')).toBeNull();
+        expect(parseImportTime('2025-13-45T99:99:00Z', 'UTC')).toBeNull();
+    });
+});
+
+describe('guessColumnMapping', () => {
+    it('узнаёт столбцы собственного экспорта', () => {
+        expect(guessColumnMapping(['time', 'latitude', 'longitude', 'speed', 'main_power_voltage', 'fls485_level_1', 'fls485_level_2', 'fuel_total']))
+            .toEqual(['time', 'lat', 'lon', 'speed', 'main_power_voltage', 'fuel', 'fuel', 'ignore']);
+    });
+
+    it('берёт fuel_total, только если отдельных датчиков нет', () => {
+        expect(guessColumnMapping(['Время', 'fuel_total'])).toEqual(['time', 'fuel']);
+    });
+
+    it('не назначает одну цель двум столбцам', () => {
+        expect(guessColumnMapping(['time', 'timestamp', 'notes'])).toEqual(['time', 'ignore', 'ignore']);
+    });
+});
+
+describe('validateColumnMapping', () => {
+    it('пропускает корректное сопоставление', () => {
+        expect(validateColumnMapping(['time', 'lat', 'lon'])).toEqual([]);
+    });
+
+    it('требует время, данные и широту вместе с долготой', () => {
+        expect(validateColumnMapping(['lat', 'lon'])).toHaveLength(1);
+        expect(validateColumnMapping(['time', 'imei'])).toHaveLength(1);
+        expect(validateColumnMapping(['time', 'lat'])).toHaveLength(1);
+        expect(validateColumnMapping(['time', 'main_power_voltage', 'main_power_voltage_mv'])).toHaveLength(1);
+    });
+});
+
+describe('buildImportedTelemetry', () => {
+    const table = {
+        headers: ['imei', 'time', 'lat', 'lon', 'mv', 'fuel1', 'fuel2'],
+        rows: [
+            ['111', '2025-09-10 13:21:00', '43,26', '76,96', '27500', '100', '50'],
+            ['111', '2025-09-10 13:20:00', '43.25', '76.95', '27000', '', '50'],
+            ['222', '2025-09-10 13:20:00', '', '', '', '10', ''],
+            ['111', 'не время', '43.3', '77', '', '', '']
+        ]
+    };
+    const mapping = ['imei', 'time', 'lat', 'lon', 'main_power_voltage_mv', 'fuel', 'fuel'];
+
+    it('раскладывает строки по ТС в форме ответа API', () => {
+        const { vehicles, skipped } = buildImportedTelemetry(table, mapping, { timeZone: 'Asia/Almaty', defaultImei: 'file', fileName: 'a.csv' });
+        expect(skipped).toBe(1);
+        expect(vehicles.map(vehicle => vehicle.imei)).toEqual(['111', '222']);
+
+        const { data } = vehicles[0];
+        expect(data.track.map(point => [point.time, point.lat, point.lon])).toEqual([
+            [String(SEPTEMBER_10), 43.25, 76.95],
+            [String(SEPTEMBER_10 + 60), 43.26, 76.96]
+        ]);
+        expect(data.series.main_power_voltage.map(point => point.value)).toEqual([27, 27.5]);
+        expect(data.fuelSensors.fls485_level_1.map(point => point.value)).toEqual([100]);
+        expect(data.series.fuel_total.map(point => point.value)).toEqual([50, 150]);
+        expect(data.metadata).toMatchObject({ startTimestamp: SEPTEMBER_10, endTimestamp: SEPTEMBER_10 + 60, importedFrom: 'a.csv' });
+    });
+
+    it('без столбца IMEI отдаёт файл одним ТС', () => {
+        const { vehicles } = buildImportedTelemetry(
+            { headers: ['time', 'speed'], rows: [[String(SEPTEMBER_10), '40']] },
+            ['time', 'speed'],
+            { timeZone: 'UTC', defaultImei: 'file', fileName: 'b.csv' }
+        );
+        expect(vehicles).toHaveLength(1);
+        expect(vehicles[0].imei).toBe('file');
+        expect(vehicles[0].data.series.speed).toEqual([{ time: String(SEPTEMBER_10), value: 40 }]);
+    });
+
+    it('сообщает, если ни одно время не распознано', () => {
+        expect(() => buildImportedTelemetry({ headers: ['time', 'speed'], rows: [['?', '1']] }, ['time', 'speed'], { timeZone: 'UTC' }))
+            .toThrow();
+    });
+});
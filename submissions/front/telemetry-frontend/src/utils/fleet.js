@@ -0,0 +1,56 @@
+import { levelToLiters } from './calibration';
+import { compareText } from './i18n';
+import { LOW_VOLTAGE } from './power';
+
+export const DEFAULT_FLEET_OPTIONS = {
+    movingSpeed: 3,     // км/ч, выше - ТС в движении (как порог стоянки в поездках)
+    noSignalHours: 2,   // без данных дольше - «нет связи»
+    lowVoltage: LOW_VOLTAGE
+};
+
+// Порядок - от самого тревожного: так же сортируется столбец статуса. Подписи - в словарях (fleet.status.<статус>)
+export const FLEET_STATUSES = {
+    noSignal: { color: '#6b7280', icon: '📵' },
+    lowVoltage: { color: '#dc2626', icon: '🔋' },
+    moving: { color: '#16a34a', icon: '🚚' },
+    parked: { color: '#2563eb', icon: '🅿️' }
+};
+
+const STATUS_ORDER = Object.keys(FLEET_STATUSES);
+
+// Один статус на ТС: при потере связи остальные значения устарели, низкое напряжение важнее движения.
+// lastSeen = null - ТС из реестра, от которого данных не было вовсе
+export const getVehicleStatus = (vehicle, now, options) => {
+    if (vehicle.lastSeen === null || now - vehicle.lastSeen > options.noSignalHours * 3600) return 'noSignal';
+    if (vehicle.voltage !== null && vehicle.voltage < options.lowVoltage) return 'lowVoltage';
+    return vehicle.speed !== null && vehicle.speed > options.movingSpeed ? 'moving' : 'parked';
+};
+
+const sortValue = (row, key) => key === 'status' ? STATUS_ORDER.indexOf(row.status) : row[key];
+
+// Сортировка строк таблицы автопарка; пустые значения всегда в конце
+export const sortFleet = (rows, { key, direction }) => {
+    const sign = direction === 'asc' ? 1 : -1;
+    return [...rows].sort((a, b) => {
+        const valueA = sortValue(a, key);
+        const valueB = sortValue(b, key);
+        if (valueA === null || valueA === undefined) return valueB === null || valueB === undefined ? 0 : 1;
+        if (valueB === null || valueB === undefined) return -1;
+        if (typeof valueA === 'string') return sign * compareText(valueA, valueB);
+        return sign * (valueA - valueB);
+    });
+};
+
+// Топливо по последним показаниям датчиков; тарированные датчики пересчитываются в литры, как на дашборде
+export const getFleetFuel = (vehicle, tables) => {
+    const sensors = Object.entries(vehicle.fuelSensors || {});
+    if (sensors.length === 0) return { fuel: null, fuelInLiters: false };
+    const total = sensors.reduce(
+        (sum, [sensorName, level]) => sum + (tables?.[sensorName] ? levelToLiters(tables[sensorName], level) : level),
+        0
+    );
+    return {
+        fuel: Math.round(total * 100) / 100,
+        fuelInLiters: sensors.some(([sensorName]) => tables?.[sensorName])
+    };
+};
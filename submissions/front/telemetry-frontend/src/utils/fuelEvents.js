@@ -0,0 +1,79 @@
+import { pointTime, getSeriesMaxInRange, interpolatePosition } from './track';
+
+// Единственное место порогов: сводка по дням передаёт их серверу (/api/daily), у него только запасные значения
+export const DEFAULT_FUEL_EVENT_OPTIONS = {
+    thresholdLiters: 10,   // минимальное изменение уровня
+    windowMinutes: 15,     // за какое время должно произойти изменение
+    maxSpeed: 5            // выше этой скорости изменения уровня считаем колебаниями в баке
+};
+
+export const FUEL_EVENT_COLORS = {
+    refuel: '#10b981',
+    drain: '#ef4444'
+};
+
+// Поиск заправок (рост уровня) и подозрительных сливов (падение уровня):
+// изменение уровня больше порога в пределах окна при скорости не выше лимита.
+// Границы события сужаются до участка, где уровень монотонно меняется в одну сторону.
+export const detectFuelEvents = (fuelSeries, speedSeries, track, options = {}) => {
+    const { thresholdLiters, windowMinutes, maxSpeed } = { ...DEFAULT_FUEL_EVENT_OPTIONS, ...options };
+    if (!fuelSeries || fuelSeries.length < 2) return [];
+
+    const windowSeconds = windowMinutes * 60;
+    const points = fuelSeries.map(p => ({ time: pointTime(p), value: Number(p.value) }));
+    const events = [];
+
+    let i = 0;
+    while (i < points.length - 1) {
+        let peakIndex = -1;
+        let peakDelta = 0;
+        for (let j = i + 1; j < points.length && points[j].time - points[i].time <= windowSeconds; j++) {
+            const delta = points[j].value - points[i].value;
+            if (Math.abs(delta) >= thresholdLiters && Math.abs(delta) > Math.abs(peakDelta)) {
+                peakIndex = j;
+                peakDelta = delta;
+            }
+        }
+
+        if (peakIndex < 0) {
+            i++;
+            continue;
+        }
+
+        const direction = Math.sign(peakDelta);
+        let start = i;
+        while (start < peakIndex && (points[start + 1].value - points[start].value) * direction <= 0) {
+            start++;
+        }
+        let end = peakIndex;
+        while (
+            end + 1 < points.length &&
+            points[end + 1].time - points[end].time <= windowSeconds &&
+            (points[end + 1].value - points[end].value) * direction > 0
+        ) {
+            end++;
+        }
+
+        const startTime = points[start].time;
+        const endTime = points[end].time;
+        const speedInEvent = getSeriesMaxInRange(speedSeries, startTime, endTime);
+        if (speedInEvent !== null && speedInEvent > maxSpeed) {
+            i++;
+            continue;
+        }
+
+        events.push({
+            id: `${startTime}-${endTime}`,
+            type: direction > 0 ? 'refuel' : 'drain',
+            startTime,
+            endTime,
+            startLevel: points[start].value,
+            endLevel: points[end].value,
+            liters: Math.round((points[end].value - points[start].value) * 10) / 10,
+            position: track && track.length > 0 ? interpolatePosition(track, startTime) : null
+        });
+        i = end;
+    }
+
+    return events;
+};
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { detectFuelEvents } from './fuelEvents';
+
+// 2025-09-10 08:20:00 UTC
+const SEPTEMBER_10 = Date.UTC(2025, 8, 10, 8, 20) / 1000;
+
+// Значения -> ряд с точками раз в step секунд; time строкой, как отдаёт бэкенд
+const series = (values, step = 60) => values.map((value, index) => ({ time: String(SEPTEMBER_10 + index * step), value }));
+
+const parked = (length) => series(Array(length).fill(0));
+
+describe('detectFuelEvents', () => {
+    it('находит заправку и сужает её до участка роста уровня', () => {
+        const fuel = series([100, 100, 100, 130, 160, 160, 160]);
+        const events = detectFuelEvents(fuel, parked(7), null);
+
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({
+            type: 'refuel',
+            startTime: SEPTEMBER_10 + 2 * 60,
+            endTime: SEPTEMBER_10 + 4 * 60,
+            startLevel: 100,
+            endLevel: 160,
+            liters: 60
+        });
+    });
+
+    it('находит слив на стоянке с отрицательным объёмом', () => {
+        const events = detectFuelEvents(series([200, 200, 185, 170, 170]), parked(5), null);
+
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ type: 'drain', liters: -30 });
+    });
+
+    it('пропускает изменения меньше порога', () => {
+        expect(detectFuelEvents(series([100, 104, 108, 104, 100]), parked(5), null)).toEqual([]);
+    });
+
+    it('пропускает изменения на ходу', () => {
+        const speed = series([0, 40, 60, 40, 0]);
+        expect(detectFuelEvents(series([100, 90, 120, 100, 100]), speed, null)).toEqual([]);
+    });
+
+    it('не складывает медленное изменение дольше окна', () => {
+        // +5 каждые 10 минут: за окно в 15 минут уровень меняется только на 5
+        expect(detectFuelEvents(series([100, 105, 110, 115, 120], 600), parked(5), null)).toEqual([]);
+    });
+
+    it('берёт порог и скорость из options', () => {
+        const fuel = series([100, 100, 104, 108, 108]);
+        expect(detectFuelEvents(fuel, parked(5), null)).toEqual([]);
+        expect(detectFuelEvents(fuel, parked(5), null, { thresholdLiters: 5 })).toHaveLength(1);
+
+        const slowMoving = series([0, 8, 8, 8, 0]);
+        expect(detectFuelEvents(series([100, 130, 160, 160, 160]), slowMoving, null)).toEqual([]);
+        expect(detectFuelEvents(series([100, 130, 160, 160, 160]), slowMoving, null, { maxSpeed: 10 })).toHaveLength(1);
+    });
+
+    it('находит несколько событий подряд', () => {
+        const events = detectFuelEvents(series([100, 160, 160, 160, 130, 100, 100]), parked(7), null);
+        expect(events.map(event => event.type)).toEqual(['refuel', 'drain']);
+    });
+
+    it('ставит событие в точку трека на момент начала', () => {
+        const track = [
+            { time: String(SEPTEMBER_10), lat: 43.2, lon: 76.8 },
+            { time: String(SEPTEMBER_10 + 120), lat: 43.4, lon: 77.0 }
+        ];
+        const [event] = detectFuelEvents(series([100, 130, 160]), parked(3), track);
+        expect(event.position).toEqual([43.2, 76.8]);
+        expect(detectFuelEvents(series([100, 130, 160]), parked(3), [])[0].position).toBeNull();
+    });
+
+    it('возвращает пустой список без данных', () => {
+        expect(detectFuelEvents(undefined, parked(2), null)).toEqual([]);
+        expect(detectFuelEvents(series([100]), parked(1), null)).toEqual([]);
+    });
+});
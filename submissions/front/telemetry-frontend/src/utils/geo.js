@@ -0,0 +1,21 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Расстояние по дуге большого круга между двумя точками, км
+export const haversineKm = (lat1, lon1, lat2, lon2) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Длина трека между индексами from и to включительно, км
+export const trackDistanceKm = (track, from = 0, to = track.length - 1) => {
+    let distance = 0;
+    for (let i = from + 1; i <= to; i++) {
+        distance += haversineKm(track[i - 1].lat, track[i - 1].lon, track[i].lat, track[i].lon);
+    }
+    return distance;
+};
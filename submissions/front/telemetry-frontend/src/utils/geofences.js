@@ -0,0 +1,67 @@
+import { pointTime } from './track';
+import { haversineKm } from './geo';
+
+// Геозоны: { id, name, color, type: 'polygon', points: [[lat, lon], ...] } или { ..., type: 'circle', center: [lat, lon], radius } (м)
+const GEOFENCE_STORAGE_KEY = 'telemetry.geofences';
+
+export const GEOFENCE_COLORS = ['#2563eb', '#16a34a', '#dc2626', '#d97706', '#7c3aed', '#db2777', '#0891b2'];
+
+export const loadGeofences = () => {
+    try {
+        const geofences = JSON.parse(localStorage.getItem(GEOFENCE_STORAGE_KEY));
+        return Array.isArray(geofences) ? geofences : [];
+    } catch {
+        return [];
+    }
+};
+
+export const saveGeofences = (geofences) => {
+    localStorage.setItem(GEOFENCE_STORAGE_KEY, JSON.stringify(geofences));
+};
+
+// Луч вдоль долготы: для зон в пределах города искажения проекции несущественны
+const isInsidePolygon = (points, lat, lon) => {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [latI, lonI] = points[i];
+        const [latJ, lonJ] = points[j];
+        if ((latI > lat) !== (latJ > lat) && lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+export const isInsideGeofence = (geofence, lat, lon) => geofence.type === 'circle'
+    ? haversineKm(geofence.center[0], geofence.center[1], lat, lon) * 1000 <= geofence.radius
+    : isInsidePolygon(geofence.points, lat, lon);
+
+// Визиты в зоны по треку: въезд - первая точка внутри, выезд - первая точка снаружи после неё.
+// Если трек начинается или кончается внутри зоны, enteredBefore / exitTime === null:
+// настоящий въезд или выезд был за пределами загруженного периода.
+export const detectGeofenceVisits = (track, geofences) => {
+    if (!track?.length) return [];
+    const lastTime = pointTime(track[track.length - 1]);
+    const visits = [];
+
+    geofences.forEach(geofence => {
+        let visit = null;
+        track.forEach((point, index) => {
+            const inside = isInsideGeofence(geofence, point.lat, point.lon);
+            const time = pointTime(point);
+            if (inside && !visit) {
+                visit = { geofenceId: geofence.id, enterTime: time, enteredBefore: index === 0 };
+            } else if (!inside && visit) {
+                visits.push({ ...visit, exitTime: time, duration: time - visit.enterTime });
+                visit = null;
+            }
+        });
+        if (visit) {
+            visits.push({ ...visit, exitTime: null, duration: lastTime - visit.enterTime });
+        }
+    });
+
+    return visits
+        .map(visit => ({ ...visit, id: `${visit.geofenceId}-${visit.enterTime}` }))
+        .sort((a, b) => a.enterTime - b.enterTime);
+};
@@ -0,0 +1,58 @@
+import ru from '../locales/ru';
+import kk from '../locales/kk';
+import en from '../locales/en';
+
+// Языки интерфейса. intl - локаль для Intl (числа, сортировка строк); формат дат задаёт словарь (time.dateTime)
+export const LOCALES = {
+    ru: { label: 'Русский', intl: 'ru-RU', messages: ru },
+    kk: { label: 'Қазақша', intl: 'kk-KZ', messages: kk },
+    en: { label: 'English', intl: 'en-GB', messages: en }
+};
+
+export const DEFAULT_LOCALE = 'ru';
+
+const LOCALE_STORAGE_KEY = 'telemetry.locale';
+
+// В воркере обработки localStorage нет: там тексты не переводятся, язык - по умолчанию
+export const loadLocale = () => {
+    if (typeof localStorage === 'undefined') return DEFAULT_LOCALE;
+    const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+    return stored && LOCALES[stored] ? stored : DEFAULT_LOCALE;
+};
+
+export const saveLocale = (locale) => {
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+};
+
+// Текущий язык на уровне модуля: им пользуются и утилиты, которые форматируют текст вне React
+let currentLocale = loadLocale();
+
+export const getLocale = () => currentLocale;
+
+export const setLocale = (locale) => {
+    currentLocale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+};
+
+export const getIntlLocale = () => LOCALES[currentLocale].intl;
+
+// translate('fleet.title', { count: 5 }): '{count}' в строке заменяется параметром.
+// Ключа нет в словаре языка - берётся русская строка, нет и её - сам ключ, чтобы пропуск был заметен
+export const translate = (key, params) => {
+    const message = LOCALES[currentLocale].messages[key] ?? ru[key] ?? key;
+    if (!params) return message;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] ?? placeholder);
+};
+
+const numberFormats = new Map();
+
+// 12345.6 -> '12 345,6' (ru, kk) или '12,345.6' (en); options - как у Intl.NumberFormat
+export const formatNumber = (value, options = {}) => {
+    const cacheKey = `${currentLocale}:${JSON.stringify(options)}`;
+    if (!numberFormats.has(cacheKey)) {
+        numberFormats.set(cacheKey, new Intl.NumberFormat(getIntlLocale(), { maximumFractionDigits: 3, ...options }));
+    }
+    return numberFormats.get(cacheKey).format(value);
+};
+
+// Сравнение строк для сортировки по правилам языка интерфейса, числа внутри строк - по значению
+export const compareText = (a, b) => a.localeCompare(b, getIntlLocale(), { numeric: true });
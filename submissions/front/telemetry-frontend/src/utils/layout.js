@@ -0,0 +1,164 @@
+// Раскладка панелей дашборда: порядок, ширина, высота, скрытые панели, копии графиков и карты.
+// Раскладка - список { id, panel, width, height, hidden }; у копии id вида '<panel>-<метка>', у оригинала id === panel
+
+// resizable - у панели есть высота (графики и карта), duplicable - её можно показать второй раз
+export const PANEL_TYPES = {
+    speed: { icon: '🏎️', resizable: true, duplicable: true },
+    fuel: { icon: '⛽', resizable: true, duplicable: true },
+    voltage: { icon: '🔋', resizable: true, duplicable: true },
+    fieldCharts: { icon: '📈', resizable: true },
+    fields: { icon: '🧪' },
+    map: { icon: '🗺️', resizable: true, duplicable: true },
+    geofences: { icon: '📍' },
+    quality: { icon: '🩺' },
+    alerts: { icon: '🔔' },
+    trips: { icon: '🚗' },
+    overspeed: { icon: '🚨' },
+    fuelEvents: { icon: '⛽' },
+    calibration: { icon: '📏' }
+};
+
+// Ширина в сетке из 6 колонок на широком экране; на узком все панели во всю ширину
+export const PANEL_WIDTHS = {
+    full: 'xl:col-span-6',
+    twoThirds: 'xl:col-span-4',
+    half: 'xl:col-span-3',
+    third: 'xl:col-span-2'
+};
+
+// Высота в пикселях: графики и карта одной высоты смотрятся одинаково крупными
+export const PANEL_HEIGHTS = {
+    S: { chart: 250, map: 288 },
+    M: { chart: 350, map: 384 },
+    L: { chart: 500, map: 576 }
+};
+
+const makeItem = (panel, width = 'full', height = 'M') => ({ id: panel, panel, width, height, hidden: false });
+
+// Видимые панели по порядку, остальные - скрытыми в конце, чтобы их можно было вернуть
+const buildPreset = (visible) => {
+    const items = visible.map(([panel, width, height]) => makeItem(panel, width, height));
+    Object.keys(PANEL_TYPES)
+        .filter(panel => !items.some(item => item.panel === panel))
+        .forEach(panel => items.push({ ...makeItem(panel), hidden: true }));
+    return items;
+};
+
+// Стандартная раскладка повторяет прежний дашборд: графики, карта с геозонами, таблицы
+export const BUILTIN_PRESETS = {
+    standard: buildPreset([
+        ['speed'], ['fuel'], ['voltage'], ['fieldCharts'], ['fields'],
+        ['map', 'twoThirds'], ['geofences', 'third'],
+        ['quality'], ['alerts'], ['trips'], ['overspeed'], ['fuelEvents'], ['calibration']
+    ]),
+    fuel: buildPreset([
+        ['fuel', 'full', 'L'], ['fuelEvents'],
+        ['map', 'half'], ['speed', 'half', 'S'],
+        ['calibration', 'half'], ['voltage', 'half', 'S'],
+        ['quality']
+    ]),
+    dispatcher: buildPreset([
+        ['map', 'twoThirds', 'L'], ['geofences', 'third'],
+        ['speed', 'full', 'S'], ['trips'],
+        ['overspeed', 'half'], ['alerts', 'half']
+    ])
+};
+
+export const DEFAULT_PRESET_ID = 'builtin:standard';
+
+// Выбранная раскладка: 'builtin:<id>' или 'user:<имя>'
+export const getPresetItems = (presetId, presets) => {
+    const match = /^(builtin|user):(.+)$/.exec(presetId);
+    const items = match && (match[1] === 'user' ? presets[match[2]] : BUILTIN_PRESETS[match[2]]);
+    return items ? items.map(item => ({ ...item })) : null;
+};
+
+// Раскладка из хранилища: неизвестные панели и поля отбрасываются, недостающие панели дописываются видимыми,
+// чтобы новая панель дашборда не пропала у тех, кто сохранил раскладку раньше
+export const normalizeLayout = (items) => {
+    const valid = (Array.isArray(items) ? items : []).filter((item, index, all) =>
+        item && PANEL_TYPES[item.panel] && typeof item.id === 'string' &&
+        all.findIndex(other => other?.id === item.id) === index &&
+        (item.id === item.panel || PANEL_TYPES[item.panel].duplicable)
+    ).map(item => ({
+        id: item.id,
+        panel: item.panel,
+        width: PANEL_WIDTHS[item.width] ? item.width : 'full',
+        height: PANEL_HEIGHTS[item.height] ? item.height : 'M',
+        hidden: item.hidden === true
+    }));
+    Object.keys(PANEL_TYPES)
+        .filter(panel => !valid.some(item => item.id === panel))
+        .forEach(panel => valid.push(makeItem(panel)));
+    return valid;
+};
+
+export const isCopy = (item) => item.id !== item.panel;
+
+export const updateItem = (items, id, changes) => items.map(item => item.id === id ? { ...item, ...changes } : item);
+
+// Сдвиг на одну видимую панель вверх (-1) или вниз (1): скрытые между ними не мешают
+export const moveItemBy = (items, id, direction) => {
+    const index = items.findIndex(item => item.id === id);
+    let target = index + direction;
+    while (target >= 0 && target < items.length && items[target].hidden) target += direction;
+    if (index < 0 || target < 0 || target >= items.length) return items;
+    const next = [...items];
+    [next[index], next[target]] = [next[target], next[index]];
+    return next;
+};
+
+// Перетаскивание: панель встаёт на место targetId, а та сдвигается в сторону, откуда пришла панель
+export const moveItemTo = (items, id, targetId) => {
+    const fromIndex = items.findIndex(item => item.id === id);
+    const toIndex = items.findIndex(item => item.id === targetId);
+    if (fromIndex < 0 || toIndex < 0 || fromIndex === toIndex) return items;
+    const rest = items.filter(item => item.id !== id);
+    rest.splice(toIndex, 0, items[fromIndex]);
+    return rest;
+};
+
+// Копия встаёт сразу за оригиналом с теми же размерами
+export const duplicateItem = (items, id) => {
+    const index = items.findIndex(item => item.id === id);
+    if (index < 0 || !PANEL_TYPES[items[index].panel].duplicable) return items;
+    const copy = { ...items[index], id: `${items[index].panel}-${Date.now().toString(36)}`, hidden: false };
+    return [...items.slice(0, index + 1), copy, ...items.slice(index + 1)];
+};
+
+export const removeItem = (items, id) => items.filter(item => item.id !== id);
+
+// Раскладки пользователей: { [username]: { presetId, items, modified, presets: { [имя]: items } } }
+const LAYOUT_STORAGE_KEY = 'telemetry.layouts';
+
+const loadAllLayouts = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(LAYOUT_STORAGE_KEY));
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch {
+        return {};
+    }
+};
+
+export const loadUserLayouts = (username) => {
+    const stored = loadAllLayouts()[username];
+    const presets = {};
+    Object.entries(stored?.presets ?? {}).forEach(([name, items]) => {
+        presets[name] = normalizeLayout(items);
+    });
+    const presetId = typeof stored?.presetId === 'string' && getPresetItems(stored.presetId, presets)
+        ? stored.presetId
+        : DEFAULT_PRESET_ID;
+    return {
+        presetId,
+        items: stored?.items ? normalizeLayout(stored.items) : getPresetItems(presetId, presets),
+        modified: stored?.modified === true,
+        presets
+    };
+};
+
+export const saveUserLayouts = (username, layouts) => {
+    const all = loadAllLayouts();
+    all[username] = layouts;
+    localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(all));
+};
@@ -0,0 +1,57 @@
+import { pointTime } from './track';
+
+const lastTime = (points) => points?.length > 0 ? pointTime(points[points.length - 1]) : null;
+
+// Последняя метка времени среди всех рядов ТС - с неё продолжается опрос в режиме Live
+export const getLastTimestamp = (data) => {
+    const times = [
+        lastTime(data.track),
+        ...Object.values(data.series).map(lastTime),
+        ...Object.values(data.fuelSensors || {}).map(lastTime)
+    ].filter(time => time !== null);
+    return times.length > 0 ? Math.max(...times) : null;
+};
+
+// Дописывает только точки новее последней в ряду: повторный или запоздавший ответ ничего не дублирует
+const appendPoints = (points = [], update = []) => {
+    const after = lastTime(points);
+    const fresh = after === null ? update : update.filter(point => pointTime(point) > after);
+    return fresh.length > 0 ? [...points, ...fresh] : points;
+};
+
+const appendGroup = (group = {}, update = {}) => {
+    let changed = false;
+    const result = { ...group };
+    Object.entries(update).forEach(([key, points]) => {
+        result[key] = appendPoints(group[key], points);
+        changed = changed || result[key] !== group[key];
+    });
+    return changed ? result : group;
+};
+
+// Ответ инкрементального запроса -> данные ТС с дописанными точками.
+// Если нового ничего нет, возвращается тот же объект, чтобы не пересчитывать графики и карту.
+export const appendTelemetry = (data, update) => {
+    const series = appendGroup(data.series, update.series);
+    const fuelSensors = appendGroup(data.fuelSensors, update.fuelSensors);
+    const fields = appendGroup(data.fields, update.fields);
+    const track = appendPoints(data.track, update.track);
+
+    if (series === data.series && fuelSensors === data.fuelSensors && fields === data.fields && track === data.track) {
+        return data;
+    }
+
+    return {
+        ...data,
+        series,
+        fuelSensors,
+        fields,
+        track,
+        metadata: {
+            ...data.metadata,
+            endTimestamp: update.metadata?.endTimestamp ?? data.metadata?.endTimestamp,
+            totalRecords: track.length,
+            availableFuelSensors: Object.keys(fuelSensors).sort()
+        }
+    };
+};
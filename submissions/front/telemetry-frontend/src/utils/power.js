@@ -0,0 +1,4 @@
+// Пороги напряжения бортовой сети (ряд main_power_voltage). Парк - грузовики с сетью 24 В:
+// при работающем двигателе генератор держит 27-28 В, заряженная АКБ без нагрузки - около 25 В
+export const ENGINE_ON_VOLTAGE = 26.5;  // В, выше - генератор заряжает, двигатель работает
+export const LOW_VOLTAGE = 22;          // В, ниже - разряжается АКБ или отключено питание
@@ -0,0 +1,43 @@
+import { downsampleChartLines, simplifyMapTracks } from './downsample';
+import { analyzeDataQuality } from './dataQuality';
+import { detectFuelEvents } from './fuelEvents';
+import { segmentTrips } from './trips';
+import { detectGeofenceVisits } from './geofences';
+import { detectOverspeedEpisodes } from './speed';
+import { evaluateAlertRules } from './alerts';
+
+// Задачи воркера отрисовки (и основного потока, если воркеры недоступны): task(data, options).
+// data - объёмные данные (линии графика, треки, загруженные ТС), в воркер они передаются один раз;
+// options - то, что меняется часто: приближение, пороги, правила
+export const RENDER_TASKS = {
+    chartLines: (lines, domain) => downsampleChartLines(lines, domain),
+    mapTracks: (tracks, zoom) => simplifyMapTracks(tracks, zoom),
+
+    // Качество - по каждому ТС, как данные пришли (до чистки трека)
+    dataQuality: (vehicles, { options, timeZone }) => vehicles.map(vehicle => ({
+        imei: vehicle.imei,
+        report: analyzeDataQuality(vehicle.data, options, timeZone)
+    })),
+
+    // События, поездки и превышения - по основному ТС, первому из выбранных
+    fuelEvents: ([vehicle], { source, options }) => {
+        if (!vehicle) return [];
+        const { data } = vehicle;
+        const fuelSeries = source === 'fuel_total' ? data.series.fuel_total : data.fuelSensors?.[source];
+        return detectFuelEvents(fuelSeries, data.series.speed, data.track, options);
+    },
+    trips: ([vehicle], options) => vehicle ? segmentTrips(vehicle.data.track, vehicle.data.series, options) : [],
+    overspeed: ([vehicle], speedLimit) => vehicle
+        ? detectOverspeedEpisodes(vehicle.data.series.speed, vehicle.data.track, speedLimit)
+        : [],
+
+    // Визиты и оповещения - по всем загруженным ТС
+    geofenceVisits: (vehicles, geofences) => vehicles
+        .flatMap(vehicle => detectGeofenceVisits(vehicle.data.track, geofences).map(visit => ({
+            ...visit,
+            id: `${vehicle.imei}-${visit.id}`,
+            imei: vehicle.imei
+        })))
+        .sort((a, b) => a.enterTime - b.enterTime),
+    alerts: (vehicles, rules) => evaluateAlertRules(rules, vehicles)
+};
@@ -0,0 +1,21 @@
+const round = (value) => Math.round(value * 10) / 10;
+
+// Топливо за период для отчёта: уровень в начале и в конце, заправки и сливы по найденным событиям.
+// Израсходовано = начало − конец + заправки: сливы входят в расход и показываются отдельной строкой
+export const summarizeFuel = (fuelSeries, events) => {
+    if (!fuelSeries || fuelSeries.length === 0) return null;
+    const refuels = events.filter(event => event.type === 'refuel');
+    const drains = events.filter(event => event.type === 'drain');
+    const start = Number(fuelSeries[0].value);
+    const end = Number(fuelSeries[fuelSeries.length - 1].value);
+    const refueled = refuels.reduce((sum, event) => sum + event.liters, 0);
+    return {
+        start: round(start),
+        end: round(end),
+        refueled: round(refueled),
+        refuels: refuels.length,
+        drained: round(-drains.reduce((sum, event) => sum + event.liters, 0)),
+        drains: drains.length,
+        consumed: round(start - end + refueled)
+    };
+};
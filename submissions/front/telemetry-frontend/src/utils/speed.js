@@ -0,0 +1,71 @@
+import { pointTime, getSeriesValueAt, interpolatePosition } from './track';
+
+export const DEFAULT_SPEED_LIMIT = 90;
+
+// Цвет участка трека по скорости в его начальной точке, км/ч. Подпись в легенде - speed.band.<id>
+export const SPEED_BANDS = [
+    { id: 'stop', max: 5, color: '#9ca3af' },
+    { id: 'slow', max: 30, color: '#22c55e' },
+    { id: 'town', max: 60, color: '#84cc16' },
+    { id: 'road', max: 90, color: '#eab308' },
+    { id: 'fast', max: 110, color: '#f97316' },
+    { id: 'excess', max: Infinity, color: '#dc2626' }
+];
+
+const getSpeedColor = (speed) => SPEED_BANDS.find(band => speed < band.max).color;
+
+// Трек -> цепочки [lat, lon] одного цвета: соседние участки одной полосы скоростей
+// сливаются в одну линию, чтобы на карте были сотни Polyline, а не десятки тысяч
+export const buildSpeedColoredRuns = (track, speedSeries) => {
+    const runs = [];
+    for (let i = 0; i < track.length - 1; i++) {
+        const color = getSpeedColor(getSeriesValueAt(speedSeries, pointTime(track[i])) ?? 0);
+        const last = runs[runs.length - 1];
+        if (last && last.color === color) {
+            last.positions.push([track[i + 1].lat, track[i + 1].lon]);
+        } else {
+            runs.push({ color, positions: [[track[i].lat, track[i].lon], [track[i + 1].lat, track[i + 1].lon]] });
+        }
+    }
+    return runs;
+};
+
+// Эпизоды превышения: подряд идущие точки ряда скорости выше лимита.
+// Конец эпизода - следующий отсчёт, где скорость уже не выше лимита, поэтому и одиночная точка получает
+// длительность; только эпизод в самом конце ряда заканчивается на своей последней точке.
+// Место - положение на треке в момент пиковой скорости.
+export const detectOverspeedEpisodes = (speedSeries, track, speedLimit) => {
+    const episodes = [];
+    let episode = null;
+
+    const finish = () => {
+        episodes.push({
+            ...episode,
+            id: `overspeed-${episode.startTime}`,
+            duration: episode.endTime - episode.startTime,
+            position: track?.length ? interpolatePosition(track, episode.peakTime) : null
+        });
+        episode = null;
+    };
+
+    (speedSeries || []).forEach(point => {
+        const time = pointTime(point);
+        const speed = Number(point.value);
+        if (speed > speedLimit) {
+            if (!episode) {
+                episode = { startTime: time, endTime: time, peakSpeed: speed, peakTime: time };
+            }
+            episode.endTime = time;
+            if (speed > episode.peakSpeed) {
+                episode.peakSpeed = speed;
+                episode.peakTime = time;
+            }
+        } else if (episode) {
+            episode.endTime = time;
+            finish();
+        }
+    });
+    if (episode) finish();
+
+    return episodes;
+};
@@ -0,0 +1,116 @@
+import { getTrackBounds } from './downsample';
+import { translate } from './i18n';
+
+// Картинка карты с треком для печати: тайлы OSM и линия трека рисуются на canvas.
+// Живая карта Leaflet в печати обрезается и не дожидается тайлов, а картинка печатается как есть.
+const TILE_SIZE = 256;
+const TILE_URL = (x, y, z) => `https://tile.openstreetmap.org/${z}/${x}/${y}.png`;
+const MAX_ZOOM = 17;
+const PADDING_PX = 30;
+
+// Web Mercator: градусы -> пиксели мира при данном приближении
+const project = (lat, lon, zoom) => {
+    const scale = TILE_SIZE * 2 ** zoom;
+    const sin = Math.sin(lat * Math.PI / 180);
+    return [
+        (lon + 180) / 360 * scale,
+        (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+    ];
+};
+
+// Самое крупное приближение, при котором весь трек помещается в картинку с отступами
+const fitZoom = ([[minLat, minLon], [maxLat, maxLon]], width, height) => {
+    for (let zoom = MAX_ZOOM; zoom > 0; zoom--) {
+        const [left, bottom] = project(minLat, minLon, zoom);
+        const [right, top] = project(maxLat, maxLon, zoom);
+        if (right - left <= width - 2 * PADDING_PX && bottom - top <= height - 2 * PADDING_PX) return zoom;
+    }
+    return 0;
+};
+
+const loadTile = (x, y, zoom) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(translate('report.error.tile', { tile: `${zoom}/${x}/${y}` })));
+    image.src = TILE_URL(x, y, zoom);
+});
+
+// pieces: [[[lat, lon], ...], ...] - куски трека между разрывами связи.
+// Возвращает data URL картинки PNG или null, если рисовать нечего
+export const renderStaticMap = async (pieces, { width = 680, height = 400, color = '#2563eb' } = {}) => {
+    const points = pieces.flat().map(([lat, lon]) => ({ lat, lon }));
+    const bounds = getTrackBounds(points);
+    if (!bounds) return null;
+
+    const zoom = fitZoom(bounds, width, height);
+    const [centerX, centerY] = project((bounds[0][0] + bounds[1][0]) / 2, (bounds[0][1] + bounds[1][1]) / 2, zoom);
+    const originX = centerX - width / 2;
+    const originY = centerY - height / 2;
+    const tileCount = 2 ** zoom;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#e5e7eb';
+    context.fillRect(0, 0, width, height);
+
+    // Не загрузившийся тайл остаётся серым квадратом: трек важнее подложки
+    const tiles = [];
+    for (let x = Math.floor(originX / TILE_SIZE); x <= Math.floor((originX + width) / TILE_SIZE); x++) {
+        for (let y = Math.floor(originY / TILE_SIZE); y <= Math.floor((originY + height) / TILE_SIZE); y++) {
+            if (y < 0 || y >= tileCount) continue;
+            const wrappedX = ((x % tileCount) + tileCount) % tileCount;
+            tiles.push(loadTile(wrappedX, y, zoom).then(image => ({ image, x, y })));
+        }
+    }
+    (await Promise.allSettled(tiles)).forEach(result => {
+        if (result.status !== 'fulfilled') return;
+        const { image, x, y } = result.value;
+        context.drawImage(image, x * TILE_SIZE - originX, y * TILE_SIZE - originY);
+    });
+
+    const toCanvas = ([lat, lon]) => {
+        const [x, y] = project(lat, lon, zoom);
+        return [x - originX, y - originY];
+    };
+
+    context.strokeStyle = color;
+    context.lineWidth = 3;
+    context.lineJoin = 'round';
+    context.lineCap = 'round';
+    pieces.filter(piece => piece.length > 1).forEach(piece => {
+        context.beginPath();
+        piece.forEach((position, index) => {
+            const [x, y] = toCanvas(position);
+            if (index === 0) context.moveTo(x, y); else context.lineTo(x, y);
+        });
+        context.stroke();
+    });
+
+    const drawMarker = (position, fill) => {
+        const [x, y] = toCanvas(position);
+        context.beginPath();
+        context.arc(x, y, 7, 0, 2 * Math.PI);
+        context.fillStyle = fill;
+        context.fill();
+        context.lineWidth = 2;
+        context.strokeStyle = '#ffffff';
+        context.stroke();
+    };
+    const first = pieces.find(piece => piece.length > 0)[0];
+    const lastPiece = pieces.filter(piece => piece.length > 0).at(-1);
+    drawMarker(first, '#16a34a');
+    drawMarker(lastPiece[lastPiece.length - 1], '#dc2626');
+
+    context.font = '11px system-ui, sans-serif';
+    const attribution = '© OpenStreetMap';
+    const attributionWidth = context.measureText(attribution).width + 8;
+    context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    context.fillRect(width - attributionWidth, height - 16, attributionWidth, 16);
+    context.fillStyle = '#374151';
+    context.fillText(attribution, width - attributionWidth + 4, height - 4);
+
+    return canvas.toDataURL('image/png');
+};
@@ -0,0 +1,261 @@
+import { pointTime } from './track';
+import { getAggregationWindow, windowSeconds } from './aggregation';
+import { translate } from './i18n';
+
+// Кэш ответов /api/telemetry в IndexedDB. Ключ - IMEI, окно агрегации и набор доп. полей;
+// на ключ хранится несколько непересекающихся кусков { start, end } уже загруженного времени.
+// Метаданные кусков и сами данные лежат раздельно, чтобы вытеснение не читало мегабайты точек.
+const DB_NAME = 'telemetry-cache';
+const DB_VERSION = 1;
+const SEGMENTS_STORE = 'segments';   // { id, key, start, end, size, lastUsed }
+const PAYLOADS_STORE = 'payloads';   // { id, data }
+
+export const CACHE_LIMIT_BYTES = 200 * 1024 * 1024;
+
+// Свежие данные ещё дописываются устройствами: последние минуты не считаются закэшированными
+const CACHE_SETTLE_SECONDS = 15 * 60;
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error(translate('cache.unavailable')));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const segments = request.result.createObjectStore(SEGMENTS_STORE, { keyPath: 'id', autoIncrement: true });
+                segments.createIndex('key', 'key');
+                request.result.createObjectStore(PAYLOADS_STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+};
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+});
+
+// [start, end] минус уже покрытые куски - то, что надо догрузить
+export const subtractRanges = (range, covered) => {
+    const missing = [];
+    let cursor = range.start;
+    [...covered].sort((a, b) => a.start - b.start).forEach(segment => {
+        if (segment.start > cursor) missing.push({ start: cursor, end: Math.min(segment.start, range.end) });
+        cursor = Math.max(cursor, segment.end);
+    });
+    if (cursor < range.end) missing.push({ start: cursor, end: range.end });
+    return missing.filter(item => item.end > item.start);
+};
+
+// Смежные и пересекающиеся интервалы -> непрерывные куски
+export const unionRanges = (ranges) => {
+    const sorted = [...ranges].sort((a, b) => a.start - b.start);
+    const union = [];
+    sorted.forEach(range => {
+        const last = union[union.length - 1];
+        if (last && range.start <= last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            union.push({ ...range });
+        }
+    });
+    return union;
+};
+
+// Точки нескольких ответов в один ряд: при совпадении времени побеждает более поздний ответ
+const mergePoints = (parts) => {
+    const byTime = new Map();
+    parts.forEach(points => (points || []).forEach(point => byTime.set(point.time, point)));
+    return [...byTime.values()].sort((a, b) => pointTime(a) - pointTime(b));
+};
+
+const mergeGroups = (groups) => {
+    const names = new Set(groups.flatMap(group => Object.keys(group || {})));
+    return Object.fromEntries([...names].map(name => [name, mergePoints(groups.map(group => group?.[name]))]));
+};
+
+export const mergeData = (parts) => ({
+    series: mergeGroups(parts.map(part => part.series)),
+    fuelSensors: mergeGroups(parts.map(part => part.fuelSensors)),
+    track: mergePoints(parts.map(part => part.track)),
+    fields: mergeGroups(parts.map(part => part.fields))
+});
+
+const sliceGroup = (group, inRange) =>
+    Object.fromEntries(Object.entries(group).map(([name, points]) => [name, points.filter(inRange)]));
+
+const sliceData = (data, { start, end }) => {
+    const inRange = (point) => pointTime(point) >= start && pointTime(point) <= end;
+    return {
+        series: sliceGroup(data.series, inRange),
+        fuelSensors: sliceGroup(data.fuelSensors, inRange),
+        track: data.track.filter(inRange),
+        fields: sliceGroup(data.fields, inRange)
+    };
+};
+
+// Куски ключа или, без key, все куски кэша: [{ id, key, start, end, size, lastUsed }]
+const readSegments = async (db, key) => {
+    const store = db.transaction(SEGMENTS_STORE, 'readonly').objectStore(SEGMENTS_STORE);
+    return requestResult(key === undefined ? store.getAll() : store.index('key').getAll(key));
+};
+
+// Самые давно использованные куски удаляются, пока кэш не уложится в лимит
+const evictSegments = async (db) => {
+    const segments = await readSegments(db);
+    let total = segments.reduce((sum, segment) => sum + segment.size, 0);
+    if (total <= CACHE_LIMIT_BYTES) return;
+
+    const transaction = db.transaction([SEGMENTS_STORE, PAYLOADS_STORE], 'readwrite');
+    segments.sort((a, b) => a.lastUsed - b.lastUsed).forEach(segment => {
+        if (total <= CACHE_LIMIT_BYTES) return;
+        transaction.objectStore(SEGMENTS_STORE).delete(segment.id);
+        transaction.objectStore(PAYLOADS_STORE).delete(segment.id);
+        total -= segment.size;
+    });
+    await transactionDone(transaction);
+};
+
+// Все куски IMEI - при любом окне и наборе полей
+const removeImeiSegments = async (db, imei) => {
+    const segments = (await readSegments(db)).filter(segment => segment.key.startsWith(`${imei}|`));
+    const transaction = db.transaction([SEGMENTS_STORE, PAYLOADS_STORE], 'readwrite');
+    segments.forEach(segment => {
+        transaction.objectStore(SEGMENTS_STORE).delete(segment.id);
+        transaction.objectStore(PAYLOADS_STORE).delete(segment.id);
+    });
+    await transactionDone(transaction);
+};
+
+// Заменяет пересёкшиеся с запросом куски объединённым
+const storeSegments = async (db, key, replaced, data, ranges) => {
+    const now = Date.now();
+    const transaction = db.transaction([SEGMENTS_STORE, PAYLOADS_STORE], 'readwrite');
+    const segmentsStore = transaction.objectStore(SEGMENTS_STORE);
+    const payloadsStore = transaction.objectStore(PAYLOADS_STORE);
+    replaced.forEach(segment => {
+        segmentsStore.delete(segment.id);
+        payloadsStore.delete(segment.id);
+    });
+    ranges.forEach(range => {
+        const payload = sliceData(data, range);
+        const size = JSON.stringify(payload).length;
+        segmentsStore.add({ key, start: range.start, end: range.end, size, lastUsed: now }).onsuccess = (e) => {
+            payloadsStore.put({ id: e.target.result, data: payload });
+        };
+    });
+    await transactionDone(transaction);
+};
+
+const readPayloads = async (db, segments) => {
+    const transaction = db.transaction([SEGMENTS_STORE, PAYLOADS_STORE], 'readwrite');
+    const done = transactionDone(transaction);
+    const now = Date.now();
+    const payloads = Promise.all(segments.map(segment => {
+        transaction.objectStore(SEGMENTS_STORE).put({ ...segment, lastUsed: now });
+        return requestResult(transaction.objectStore(PAYLOADS_STORE).get(segment.id));
+    }));
+    await done;
+    return (await payloads).map(payload => payload?.data).filter(Boolean);
+};
+
+// Телеметрия за [startTimestamp, endTimestamp] с догрузкой только недостающих кусков.
+// fetchRange(start, end, aggregationWindow) - запрос к API; окно задаётся явно по длине всего периода,
+// а границы кусков выровнены по окну, чтобы точки кусков совпадали с точками цельного запроса.
+// checkAccess() -> true/false - есть ли у пользователя доступ к IMEI сейчас: период целиком из кэша
+// не доходит до сервера, а доступ к ТС могли отозвать. Без доступа все куски IMEI удаляются.
+// Без IndexedDB - обычный запрос всего периода.
+export const fetchTelemetryCached = async (imei, startTimestamp, endTimestamp, { fields = [], fetchRange, checkAccess }) => {
+    const db = await openDb().catch(() => null);
+    if (!db) return fetchRange(startTimestamp, endTimestamp, null);
+
+    const aggregationWindow = getAggregationWindow(endTimestamp - startTimestamp);
+    const step = windowSeconds(aggregationWindow);
+    const key = [imei, aggregationWindow, [...fields].sort().join(',')].join('|');
+    const range = {
+        start: Math.floor(startTimestamp / step) * step,
+        end: Math.ceil(endTimestamp / step) * step
+    };
+
+    const overlapping = (await readSegments(db, key))
+        .filter(segment => segment.start <= range.end && segment.end >= range.start);
+    const missing = subtractRanges(range, overlapping);
+
+    if (missing.length === 0 && !(await checkAccess())) {
+        await removeImeiSegments(db, imei);
+        throw new Error(translate('cache.accessDenied', { imei }));
+    }
+
+    const cachedParts = overlapping.length > 0 ? await readPayloads(db, overlapping) : [];
+    const fetched = await Promise.all(missing.map(item => fetchRange(item.start, item.end, aggregationWindow)));
+    const merged = mergeData([...cachedParts, ...fetched]);
+
+    if (missing.length > 0) {
+        const settledUntil = Math.floor((Date.now() / 1000 - CACHE_SETTLE_SECONDS) / step) * step;
+        const covered = unionRanges([
+            ...overlapping,
+            ...missing.map(item => ({ start: item.start, end: Math.min(item.end, settledUntil) }))
+        ].filter(item => item.end > item.start));
+        try {
+            await storeSegments(db, key, overlapping, merged, covered);
+            await evictSegments(db);
+        } catch (err) {
+            console.error('Ошибка записи в кэш:', err);
+        }
+    }
+
+    const data = sliceData(merged, { start: startTimestamp, end: endTimestamp });
+    return {
+        ...data,
+        metadata: {
+            startTimestamp,
+            endTimestamp,
+            afterTimestamp: null,
+            totalRecords: data.track.length,
+            availableFuelSensors: Object.keys(data.fuelSensors).sort(),
+            aggregationWindow,
+            rangeDays: Math.round((endTimestamp - startTimestamp) / (24 * 60 * 60) * 100) / 100,
+            // none - всё с сервера, partial - догружены недостающие куски, full - всё из кэша
+            cache: missing.length === 0 ? 'full' : overlapping.length > 0 ? 'partial' : 'none'
+        }
+    };
+};
+
+export const getTelemetryCacheSize = async () => {
+    const db = await openDb().catch(() => null);
+    if (!db) return 0;
+    const segments = await readSegments(db);
+    return segments.reduce((sum, segment) => sum + segment.size, 0);
+};
+
+export const clearTelemetryCache = async () => {
+    const db = await openDb().catch(() => null);
+    if (!db) return;
+    const transaction = db.transaction([SEGMENTS_STORE, PAYLOADS_STORE], 'readwrite');
+    transaction.objectStore(SEGMENTS_STORE).clear();
+    transaction.objectStore(PAYLOADS_STORE).clear();
+    await transactionDone(transaction);
+};
+
+// Кэш общий для браузера, а права на IMEI - у каждого пользователя свои: при входе другого пользователя
+// чужие данные удаляются, иначе их можно было бы открыть из кэша мимо проверки на сервере
+const CACHE_OWNER_STORAGE_KEY = 'telemetry.cacheOwner';
+
+export const claimTelemetryCache = async (username) => {
+    if (localStorage.getItem(CACHE_OWNER_STORAGE_KEY) === username) return;
+    await clearTelemetryCache();
+    localStorage.setItem(CACHE_OWNER_STORAGE_KEY, username);
+};
@@ -0,0 +1,94 @@
+import { describe, it, expect, vi } from 'vitest';
+import { subtractRanges, unionRanges, mergeData, fetchTelemetryCached } from './telemetryCache';
+
+// 2025-09-10 08:20:00 UTC
+const SEPTEMBER_10 = Date.UTC(2025, 8, 10, 8, 20) / 1000;
+
+const point = (offset, value) => ({ time: String(SEPTEMBER_10 + offset), value });
+
+const part = ({ speed = [], track = [], fuelSensors = {}, fields = {} }) => ({ series: { speed }, fuelSensors, track, fields });
+
+describe('subtractRanges', () => {
+    it('возвращает весь интервал, если ничего не закэшировано', () => {
+        expect(subtractRanges({ start: 0, end: 100 }, [])).toEqual([{ start: 0, end: 100 }]);
+    });
+
+    it('оставляет дыры между кусками и по краям', () => {
+        const covered = [{ start: 60, end: 80 }, { start: 20, end: 40 }];
+        expect(subtractRanges({ start: 0, end: 100 }, covered)).toEqual([
+            { start: 0, end: 20 },
+            { start: 40, end: 60 },
+            { start: 80, end: 100 }
+        ]);
+    });
+
+    it('ничего не догружает, если кусок покрывает интервал', () => {
+        expect(subtractRanges({ start: 10, end: 90 }, [{ start: 0, end: 100 }])).toEqual([]);
+    });
+
+    it('учитывает куски, выходящие за границы и пересекающиеся между собой', () => {
+        const covered = [{ start: -50, end: 30 }, { start: 20, end: 50 }, { start: 90, end: 150 }];
+        expect(subtractRanges({ start: 0, end: 100 }, covered)).toEqual([{ start: 50, end: 90 }]);
+    });
+});
+
+describe('unionRanges', () => {
+    it('сливает пересекающиеся и смежные интервалы', () => {
+        expect(unionRanges([{ start: 40, end: 60 }, { start: 0, end: 20 }, { start: 20, end: 30 }, { start: 50, end: 80 }])).toEqual([
+            { start: 0, end: 30 },
+            { start: 40, end: 80 }
+        ]);
+    });
+
+    it('не меняет переданные интервалы', () => {
+        const ranges = [{ start: 0, end: 20 }, { start: 10, end: 30 }];
+        unionRanges(ranges);
+        expect(ranges).toEqual([{ start: 0, end: 20 }, { start: 10, end: 30 }]);
+    });
+
+    it('возвращает пустой список без интервалов', () => {
+        expect(unionRanges([])).toEqual([]);
+    });
+});
+
+describe('mergeData', () => {
+    it('склеивает куски по времени', () => {
+        const merged = mergeData([
+            part({ speed: [point(120, 30), point(180, 40)] }),
+            part({ speed: [point(0, 10), point(60, 20)] })
+        ]);
+        expect(merged.series.speed.map(item => item.value)).toEqual([10, 20, 30, 40]);
+    });
+
+    it('при совпадении времени оставляет точку более позднего ответа', () => {
+        const merged = mergeData([
+            part({ speed: [point(0, 10), point(60, 20)] }),
+            part({ speed: [point(60, 25), point(120, 30)] })
+        ]);
+        expect(merged.series.speed.map(item => item.value)).toEqual([10, 25, 30]);
+    });
+
+    it('объединяет ряды, датчики и поля, которых нет в части кусков', () => {
+        const merged = mergeData([
+            part({ fuelSensors: { fls485_level_1: [point(0, 100)] }, track: [{ time: String(SEPTEMBER_10), lat: 43, lon: 76 }] }),
+            part({ fuelSensors: { fls485_level_2: [point(60, 50)] }, fields: { ignition: [point(60, 1)] } })
+        ]);
+        expect(Object.keys(merged.fuelSensors).sort()).toEqual(['fls485_level_1', 'fls485_level_2']);
+        expect(merged.fields.ignition).toHaveLength(1);
+        expect(merged.track).toHaveLength(1);
+        expect(merged.series.speed).toEqual([]);
+    });
+});
+
+describe('fetchTelemetryCached', () => {
+    it('без IndexedDB запрашивает весь период напрямую', async () => {
+        const response = { series: {}, fuelSensors: {}, track: [], fields: {}, metadata: {} };
+        const fetchRange = vi.fn().mockResolvedValue(response);
+        const checkAccess = vi.fn();
+
+        await expect(fetchTelemetryCached('123456789012345', SEPTEMBER_10, SEPTEMBER_10 + 3600, { fetchRange, checkAccess }))
+            .resolves.toBe(response);
+        expect(fetchRange).toHaveBeenCalledWith(SEPTEMBER_10, SEPTEMBER_10 + 3600, null);
+        expect(checkAccess).not.toHaveBeenCalled();
+    });
+});
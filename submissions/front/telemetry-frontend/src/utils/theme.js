@@ -0,0 +1,18 @@
+// Светлая и тёмная тема. Цвета тёмной темы - CSS-переменные в index.css, включаются классом dark на <html>
+
+export const THEMES = ['light', 'dark'];
+
+const THEME_STORAGE_KEY = 'telemetry.theme';
+
+export const loadTheme = () => {
+    const stored = localStorage.getItem(THEME_STORAGE_KEY);
+    return THEMES.includes(stored) ? stored : 'light';
+};
+
+export const saveTheme = (theme) => {
+    localStorage.setItem(THEME_STORAGE_KEY, theme);
+};
+
+export const applyTheme = (theme) => {
+    document.documentElement.classList.toggle('dark', theme === 'dark');
+};
@@ -0,0 +1,163 @@
+// Перевод между UTC и настенным временем в именованной зоне IANA.
+// Смещение берётся из Intl для конкретного момента, поэтому часовой пояс браузера
+// и переходы на летнее время (в зонах России в прошлом) не влияют на результат.
+
+import { translate } from './i18n';
+
+export const DEFAULT_TIME_ZONE = 'Asia/Almaty';
+
+// Названия зон - в словарях (tz.<зона>)
+export const TIME_ZONES = [
+    'Asia/Almaty',
+    'Asia/Qostanay',
+    'Asia/Qyzylorda',
+    'Asia/Aqtobe',
+    'Asia/Aqtau',
+    'Asia/Atyrau',
+    'Asia/Oral',
+    'Europe/Kaliningrad',
+    'Europe/Moscow',
+    'Europe/Samara',
+    'Asia/Yekaterinburg',
+    'Asia/Omsk',
+    'Asia/Novosibirsk',
+    'Asia/Krasnoyarsk',
+    'Asia/Irkutsk',
+    'Asia/Yakutsk',
+    'Asia/Vladivostok',
+    'Asia/Magadan',
+    'Asia/Kamchatka',
+    'UTC'
+];
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+export const isValidTimeZone = (timeZone) => {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const TIME_ZONE_STORAGE_KEY = 'telemetry.timeZone';
+
+// Последняя выбранная в шапке зона, общая для всех страниц
+export const loadTimeZone = () => {
+    const storedZone = localStorage.getItem(TIME_ZONE_STORAGE_KEY);
+    return storedZone && isValidTimeZone(storedZone) ? storedZone : DEFAULT_TIME_ZONE;
+};
+
+export const saveTimeZone = (timeZone) => {
+    localStorage.setItem(TIME_ZONE_STORAGE_KEY, timeZone);
+};
+
+// Компоненты настенного времени в зоне для UNIX-секунд
+const getZonedParts = (timestamp, timeZone) => {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(timestamp * 1000)).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+    return parts;
+};
+
+// Смещение зоны от UTC в секундах в момент timestamp (Алматы: +18000)
+export const getTimeZoneOffset = (timestamp, timeZone) => {
+    const parts = getZonedParts(timestamp, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) / 1000;
+    return asUtc - Math.floor(timestamp);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// '2025-09-10T13:20' (значение datetime-local) в зоне timeZone -> UNIX-секунды; null, если строка некорректна
+export const zonedToUnixTimestamp = (dateStr, timeZone = DEFAULT_TIME_ZONE) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(dateStr || '');
+    if (!match) return null;
+    const [year, month, day, hours, minutes, seconds = 0] = match.slice(1).map(value => value && Number(value));
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds) / 1000;
+
+    // Второй проход уточняет смещение, если между wallClock и результатом сменилось время (DST)
+    const firstGuess = wallClock - getTimeZoneOffset(wallClock, timeZone);
+    const offset = getTimeZoneOffset(firstGuess, timeZone);
+    return wallClock - offset;
+};
+
+// UNIX-секунды -> '2025-09-10T13:20' для поля datetime-local
+export const unixTimestampToZoned = (timestamp, timeZone = DEFAULT_TIME_ZONE) => {
+    const parts = getZonedParts(timestamp, timeZone);
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}`;
+};
+
+const formatZoned = (key, timestamp, timeZone) => {
+    const parts = getZonedParts(parseInt(timestamp), timeZone);
+    return translate(key, {
+        day: pad(parts.day),
+        month: pad(parts.month),
+        year: parts.year,
+        hour: pad(parts.hour),
+        minute: pad(parts.minute),
+        second: pad(parts.second)
+    });
+};
+
+// UNIX-секунды (числом или строкой) -> '10.09.2025 13:20:00', порядок и разделители - из словаря языка
+export const formatTimestampForDisplay = (timestamp, timeZone = DEFAULT_TIME_ZONE) =>
+    formatZoned('time.dateTime', timestamp, timeZone);
+
+// То же без секунд ('10.09.2025 13:20') - для подписей осей
+export const formatTimestampShort = (timestamp, timeZone = DEFAULT_TIME_ZONE) =>
+    formatZoned('time.dateTimeShort', timestamp, timeZone);
+
+const formatOffset = (offsetSeconds) => {
+    const sign = offsetSeconds < 0 ? '-' : '+';
+    const absolute = Math.abs(offsetSeconds);
+    return `${sign}${pad(Math.floor(absolute / 3600))}:${pad(Math.floor(absolute % 3600 / 60))}`;
+};
+
+// ISO-8601: в UTC с суффиксом Z, в остальных зонах - с явным смещением (2025-09-10T13:20:00+05:00)
+export const formatTimestampISO = (timestamp, timeZone = 'UTC') => {
+    const offset = getTimeZoneOffset(timestamp, timeZone);
+    const wallClock = new Date((timestamp + offset) * 1000).toISOString().slice(0, 19);
+    return timeZone === 'UTC' ? `${wallClock}Z` : `${wallClock}${formatOffset(offset)}`;
+};
+
+// 'Алматы' для известных зон, иначе идентификатор IANA
+export const getTimeZoneName = (timeZone) =>
+    TIME_ZONES.includes(timeZone) ? translate(`tz.${timeZone}`) : timeZone;
+
+// 'Алматы (UTC+05:00)' - смещение на текущий момент
+export const getTimeZoneLabel = (timeZone) => {
+    if (timeZone === 'UTC') return 'UTC';
+    const offset = getTimeZoneOffset(Math.floor(Date.now() / 1000), timeZone);
+    return `${getTimeZoneName(timeZone)} (UTC${formatOffset(offset)})`;
+};
+
+export const formatDuration = (seconds) => {
+    const totalMinutes = Math.round(seconds / 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    if (hours === 0) return translate('time.minutes', { minutes });
+    return translate('time.hoursMinutes', { hours, minutes: String(minutes).padStart(2, '0') });
+};
+
+// '5 мин назад' - для индикатора последней связи с ТС
+export const formatTimeAgo = (seconds) =>
+    seconds < 60 ? translate('time.justNow') : translate('time.ago', { duration: formatDuration(seconds) });
@@ -0,0 +1,98 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { zonedToUnixTimestamp, unixTimestampToZoned, getTimeZoneOffset, formatTimestampISO } from './time';
+
+// 2025-09-10 08:20:00 UTC
+const SEPTEMBER_10 = Date.UTC(2025, 8, 10, 8, 20) / 1000;
+
+describe('zonedToUnixTimestamp', () => {
+    it('переводит настенное время зоны в UTC', () => {
+        expect(zonedToUnixTimestamp('2025-09-10T13:20', 'Asia/Almaty')).toBe(SEPTEMBER_10);
+        expect(zonedToUnixTimestamp('2025-09-10T11:20', 'Europe/Moscow')).toBe(SEPTEMBER_10);
+        expect(zonedToUnixTimestamp('2025-09-10T13:20', 'Asia/Aqtobe')).toBe(SEPTEMBER_10);
+        expect(zonedToUnixTimestamp('2025-09-10T08:20', 'UTC')).toBe(SEPTEMBER_10);
+    });
+
+    it('учитывает секунды', () => {
+        expect(zonedToUnixTimestamp('2025-09-10T13:20:45', 'Asia/Almaty')).toBe(SEPTEMBER_10 + 45);
+    });
+
+    it('берёт смещение на дату, а не текущее', () => {
+        // Алматы до 1 марта 2024 года жила по UTC+6
+        expect(zonedToUnixTimestamp('2024-01-15T12:00', 'Asia/Almaty')).toBe(Date.UTC(2024, 0, 15, 6) / 1000);
+        // Москва летом 2010 года - летнее время UTC+4, зимой - UTC+3
+        expect(zonedToUnixTimestamp('2010-07-01T12:00', 'Europe/Moscow')).toBe(Date.UTC(2010, 6, 1, 8) / 1000);
+        expect(zonedToUnixTimestamp('2010-01-01T12:00', 'Europe/Moscow')).toBe(Date.UTC(2010, 0, 1, 9) / 1000);
+    });
+
+    it('возвращает null для некорректной строки', () => {
+        expect(zonedToUnixTimestamp('', 'Asia/Almaty')).toBeNull();
+        expect(zonedToUnixTimestamp('10.09.2025 13:20', 'Asia/Almaty')).toBeNull();
+        expect(zonedToUnixTimestamp(undefined, 'Asia/Almaty')).toBeNull();
+    });
+});
+
+describe('unixTimestampToZoned', () => {
+    it('показывает момент в настенном времени зоны', () => {
+        expect(unixTimestampToZoned(SEPTEMBER_10, 'Asia/Almaty')).toBe('2025-09-10T13:20');
+        expect(unixTimestampToZoned(SEPTEMBER_10, 'Europe/Moscow')).toBe('2025-09-10T11:20');
+        expect(unixTimestampToZoned(SEPTEMBER_10, 'Asia/Aqtobe')).toBe('2025-09-10T13:20');
+        expect(unixTimestampToZoned(SEPTEMBER_10, 'UTC')).toBe('2025-09-10T08:20');
+    });
+
+    it('переходит на следующие сутки в зоне восточнее UTC', () => {
+        expect(unixTimestampToZoned(Date.UTC(2025, 11, 31, 21, 30) / 1000, 'Asia/Almaty')).toBe('2026-01-01T02:30');
+    });
+
+    it.each(['Asia/Almaty', 'Europe/Moscow', 'Asia/Aqtobe', 'Asia/Kamchatka', 'UTC'])('сходится с zonedToUnixTimestamp туда и обратно в %s', (timeZone) => {
+        ['2025-01-15T00:00', '2025-06-30T23:59', '2025-09-10T13:20', '2010-03-28T12:00'].forEach(value => {
+            expect(unixTimestampToZoned(zonedToUnixTimestamp(value, timeZone), timeZone)).toBe(value);
+        });
+    });
+});
+
+describe('независимость от часового пояса браузера', () => {
+    const originalTz = process.env.TZ;
+
+    afterEach(() => {
+        process.env.TZ = originalTz;
+    });
+
+    it.each(['UTC', 'America/New_York', 'Asia/Tokyo', 'Asia/Almaty'])('при поясе системы %s результат тот же', (systemZone) => {
+        process.env.TZ = systemZone;
+        expect(zonedToUnixTimestamp('2025-09-10T13:20', 'Asia/Almaty')).toBe(SEPTEMBER_10);
+        expect(zonedToUnixTimestamp('2025-09-10T11:20', 'Europe/Moscow')).toBe(SEPTEMBER_10);
+        expect(unixTimestampToZoned(SEPTEMBER_10, 'Asia/Aqtobe')).toBe('2025-09-10T13:20');
+        expect(formatTimestampISO(SEPTEMBER_10, 'Europe/Moscow')).toBe('2025-09-10T11:20:00+03:00');
+    });
+});
+
+describe('getTimeZoneOffset', () => {
+    it('возвращает смещение от UTC в секундах', () => {
+        expect(getTimeZoneOffset(SEPTEMBER_10, 'Asia/Almaty')).toBe(5 * 3600);
+        expect(getTimeZoneOffset(SEPTEMBER_10, 'Europe/Moscow')).toBe(3 * 3600);
+        expect(getTimeZoneOffset(SEPTEMBER_10, 'UTC')).toBe(0);
+    });
+});
+
+describe('formatTimestampISO', () => {
+    it('в UTC ставит суффикс Z', () => {
+        expect(formatTimestampISO(SEPTEMBER_10)).toBe('2025-09-10T08:20:00Z');
+        expect(formatTimestampISO(SEPTEMBER_10, 'UTC')).toBe('2025-09-10T08:20:00Z');
+    });
+
+    it('в остальных зонах пишет явное смещение', () => {
+        expect(formatTimestampISO(SEPTEMBER_10, 'Asia/Almaty')).toBe('2025-09-10T13:20:00+05:00');
+        expect(formatTimestampISO(SEPTEMBER_10, 'Europe/Moscow')).toBe('2025-09-10T11:20:00+03:00');
+        expect(formatTimestampISO(SEPTEMBER_10, 'Asia/Aqtobe')).toBe('2025-09-10T13:20:00+05:00');
+        expect(formatTimestampISO(SEPTEMBER_10, 'Asia/Kamchatka')).toBe('2025-09-10T20:20:00+12:00');
+    });
+
+    it('пишет отрицательные и нецелые смещения', () => {
+        expect(formatTimestampISO(SEPTEMBER_10, 'America/New_York')).toBe('2025-09-10T04:20:00-04:00');
+        expect(formatTimestampISO(SEPTEMBER_10, 'Asia/Kolkata')).toBe('2025-09-10T13:50:00+05:30');
+    });
+
+    it('берёт смещение на момент метки', () => {
+        expect(formatTimestampISO(Date.UTC(2024, 0, 15, 6) / 1000, 'Asia/Almaty')).toBe('2024-01-15T12:00:00+06:00');
+    });
+});
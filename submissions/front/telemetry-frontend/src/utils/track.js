@@ -0,0 +1,60 @@
+// Бэкенд отдаёт time строкой с UNIX-секундами
+export const pointTime = (point) => Number(point.time);
+
+// Индекс последней точки с time <= timestamp (бинарный поиск, точки отсортированы по времени)
+export const findIndexAtTime = (points, timestamp) => {
+    if (!points || points.length === 0) return -1;
+    let low = 0;
+    let high = points.length - 1;
+    if (timestamp < pointTime(points[0])) return 0;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (pointTime(points[mid]) <= timestamp) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+};
+
+// Значение ряда в ближайшей к timestamp точке
+export const getSeriesValueAt = (series, timestamp) => {
+    const index = findIndexAtTime(series, timestamp);
+    if (index < 0) return null;
+    const next = series[index + 1];
+    if (next && Math.abs(pointTime(next) - timestamp) < Math.abs(pointTime(series[index]) - timestamp)) {
+        return next.value;
+    }
+    return series[index].value;
+};
+
+// Позиция на треке в момент timestamp с линейной интерполяцией между соседними точками
+export const interpolatePosition = (track, timestamp) => {
+    const index = findIndexAtTime(track, timestamp);
+    if (index < 0) return null;
+    const current = track[index];
+    const next = track[index + 1];
+    if (!next || timestamp <= pointTime(current)) {
+        return [current.lat, current.lon];
+    }
+    const ratio = (timestamp - pointTime(current)) / (pointTime(next) - pointTime(current));
+    return [
+        current.lat + (next.lat - current.lat) * ratio,
+        current.lon + (next.lon - current.lon) * ratio
+    ];
+};
+
+// Максимальное значение ряда на отрезке [from, to]; null, если точек на отрезке нет
+export const getSeriesMaxInRange = (series, from, to) => {
+    if (!series || series.length === 0) return null;
+    let max = null;
+    for (let i = Math.max(findIndexAtTime(series, from), 0); i < series.length; i++) {
+        const time = pointTime(series[i]);
+        if (time > to) break;
+        if (time >= from && (max === null || series[i].value > max)) {
+            max = series[i].value;
+        }
+    }
+    return max;
+};
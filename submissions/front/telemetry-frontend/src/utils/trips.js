@@ -0,0 +1,99 @@
+import { pointTime, getSeriesValueAt, getSeriesMaxInRange } from './track';
+import { trackDistanceKm } from './geo';
+
+export const DEFAULT_TRIP_OPTIONS = {
+    stationarySpeed: 3,   // км/ч, ниже - ТС стоит
+    minStopMinutes: 5     // более короткие остановки (светофоры, пробки) остаются частью поездки
+};
+
+const round = (value, digits = 1) => {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+};
+
+// Разбивка трека на участки движения и стоянки по скорости в точках трека.
+// Участки делят граничную точку, поэтому идут встык без разрывов во времени.
+const splitByMotion = (track, speedSeries, stationarySpeed) => {
+    const runs = [];
+    track.forEach((point, index) => {
+        const speed = getSeriesValueAt(speedSeries, pointTime(point)) ?? 0;
+        const moving = speed > stationarySpeed;
+        const last = runs[runs.length - 1];
+        if (last && last.moving === moving) {
+            last.endIndex = index;
+        } else {
+            if (last) last.endIndex = index;
+            runs.push({ moving, startIndex: index, endIndex: index });
+        }
+    });
+    return runs;
+};
+
+const buildSegment = (type, run, track, series) => {
+    const startTime = pointTime(track[run.startIndex]);
+    const endTime = pointTime(track[run.endIndex]);
+    const duration = endTime - startTime;
+    const segment = {
+        id: `${type}-${startTime}`,
+        type,
+        startIndex: run.startIndex,
+        endIndex: run.endIndex,
+        startTime,
+        endTime,
+        duration,
+        position: [track[run.startIndex].lat, track[run.startIndex].lon]
+    };
+    if (type === 'stop') return segment;
+
+    const distanceKm = trackDistanceKm(track, run.startIndex, run.endIndex);
+    const fuelStart = getSeriesValueAt(series.fuel_total, startTime);
+    const fuelEnd = getSeriesValueAt(series.fuel_total, endTime);
+    return {
+        ...segment,
+        distanceKm: round(distanceKm, 2),
+        maxSpeed: getSeriesMaxInRange(series.speed, startTime, endTime),
+        avgSpeed: duration > 0 ? round(distanceKm / (duration / 3600)) : 0,
+        fuelUsed: fuelStart !== null && fuelEnd !== null ? round(fuelStart - fuelEnd) : null
+    };
+};
+
+// Поездки и стоянки за период: [{ type: 'trip' | 'stop', startTime, endTime, duration, ... }]
+export const segmentTrips = (track, series, options = {}) => {
+    const { stationarySpeed, minStopMinutes } = { ...DEFAULT_TRIP_OPTIONS, ...options };
+    if (!track || track.length < 2) return [];
+
+    const minStopSeconds = minStopMinutes * 60;
+    const runs = splitByMotion(track, series.speed, stationarySpeed);
+
+    // Короткие остановки поглощаются поездкой, соседние участки одного типа склеиваются
+    const merged = [];
+    runs.forEach(run => {
+        const duration = pointTime(track[run.endIndex]) - pointTime(track[run.startIndex]);
+        const isStop = !run.moving && duration >= minStopSeconds;
+        const last = merged[merged.length - 1];
+        if (last && last.isStop === isStop) {
+            last.endIndex = run.endIndex;
+            last.moving = last.moving || run.moving;
+        } else {
+            merged.push({ isStop, moving: run.moving, startIndex: run.startIndex, endIndex: run.endIndex });
+        }
+    });
+
+    // Короткая остановка на краю периода без движения рядом - всё равно стоянка, а не поездка
+    return merged
+        .filter(run => run.endIndex > run.startIndex)
+        .map(run => buildSegment(run.isStop || !run.moving ? 'stop' : 'trip', run, track, series));
+};
+
+// Итоги по поездкам для сводки
+export const summarizeTrips = (segments) => segments.reduce((summary, segment) => {
+    if (segment.type === 'trip') {
+        summary.trips += 1;
+        summary.distanceKm = round(summary.distanceKm + segment.distanceKm, 2);
+        summary.drivingSeconds += segment.duration;
+    } else {
+        summary.stops += 1;
+        summary.stopSeconds += segment.duration;
+    }
+    return summary;
+}, { trips: 0, stops: 0, distanceKm: 0, drivingSeconds: 0, stopSeconds: 0 });
@@ -0,0 +1,62 @@
+// Состояние дашборда в query string, чтобы ссылкой можно было поделиться:
+// ?imei=111,222&from=2025-09-10T00:00&to=2025-09-11T00:00&tz=Asia/Almaty&sensors=1&range=1757462400,1757466000&map=43.22,76.85,12
+// from/to - настенное время в зоне tz
+
+import { isValidTimeZone } from './time';
+
+const parseNumbers = (value, count) => {
+    if (!value) return null;
+    const numbers = value.split(',').map(Number);
+    if (numbers.length !== count || numbers.some(number => !Number.isFinite(number))) return null;
+    return numbers;
+};
+
+export const readUrlState = () => {
+    const params = new URLSearchParams(window.location.search);
+    const range = parseNumbers(params.get('range'), 2);
+    const map = parseNumbers(params.get('map'), 3);
+    const timeZone = params.get('tz');
+
+    return {
+        imeis: (params.get('imei') || '').split(',').filter(Boolean),
+        startDate: params.get('from') || '',
+        endDate: params.get('to') || '',
+        timeZone: timeZone && isValidTimeZone(timeZone) ? timeZone : null,
+        showIndividualSensors: params.get('sensors') === '1',
+        viewRange: range && range[0] < range[1] ? { start: range[0], end: range[1] } : null,
+        mapViewport: map ? { lat: map[0], lon: map[1], zoom: map[2] } : null
+    };
+};
+
+export const buildUrlSearch = ({ imeis, startDate, endDate, timeZone, showIndividualSensors, viewRange, mapViewport }) => {
+    const params = new URLSearchParams();
+    if (imeis?.length > 0) params.set('imei', imeis.join(','));
+    if (startDate) params.set('from', startDate);
+    if (endDate) params.set('to', endDate);
+    if (timeZone) params.set('tz', timeZone);
+    if (showIndividualSensors) params.set('sensors', '1');
+    if (viewRange) params.set('range', `${viewRange.start},${viewRange.end}`);
+    if (mapViewport) params.set('map', `${mapViewport.lat},${mapViewport.lon},${mapViewport.zoom}`);
+
+    const search = params.toString();
+    return search ? `?${search}` : '';
+};
+
+// push - новая запись в истории (загрузка другого периода), иначе замена текущей (панорамирование, масштаб)
+export const writeUrlState = (state, { push = false } = {}) => {
+    const search = buildUrlSearch(state);
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (push) {
+        window.history.pushState(null, '', url);
+    } else {
+        window.history.replaceState(null, '', url);
+    }
+};
+
+export const isSameQuery = (a, b) => Boolean(a && b) &&
+    a.startDate === b.startDate &&
+    a.endDate === b.endDate &&
+    (a.timeZone || null) === (b.timeZone || null) &&
+    a.imeis.join(',') === b.imeis.join(',');
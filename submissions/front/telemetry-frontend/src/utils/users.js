@@ -0,0 +1,28 @@
+import { apiFetch, checkResponse } from './api';
+
+// Пользователи дашборда (/api/users, только для администратора). Ограничения те же, что проверяет API
+// Подписи и подсказки ролей - в словарях (users.role.<роль>, users.roleHint.<роль>)
+export const USER_ROLES = ['admin', 'user'];
+
+export const USERNAME_PATTERN = /^[A-Za-z0-9_.@-]{3,64}$/;
+export const MIN_PASSWORD_LENGTH = 8;
+
+export const fetchUsers = async () => {
+    const response = await checkResponse(await apiFetch('/api/users'));
+    const { users } = await response.json();
+    return users;
+};
+
+// Пустой пароль у существующего пользователя оставляет прежний
+export const saveUser = async (username, { password, role, imeis }) => {
+    const response = await checkResponse(await apiFetch(`/api/users/${encodeURIComponent(username)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: password || null, role, imeis })
+    }));
+    return response.json();
+};
+
+export const deleteUser = async (username) => {
+    await checkResponse(await apiFetch(`/api/users/${encodeURIComponent(username)}`, { method: 'DELETE' }));
+};
@@ -0,0 +1,22 @@
+import { RENDER_TASKS } from '../utils/renderTasks';
+
+// Прореживание графиков, упрощение треков и анализ периода вне основного потока: на длинных периодах это секунды работы.
+// Данные задач хранятся здесь по ключу, пока основной поток их не освободит
+const datasets = new Map();
+
+self.onmessage = ({ data: message }) => {
+    if (message.kind === 'share') {
+        datasets.set(message.key, message.data);
+        return;
+    }
+    if (message.kind === 'release') {
+        datasets.delete(message.key);
+        return;
+    }
+    const { id, type, key, options } = message;
+    try {
+        self.postMessage({ id, result: RENDER_TASKS[type](datasets.get(key), options) });
+    } catch (err) {
+        self.postMessage({ id, error: err.message });
+    }
+};
@@ -1,3 +1,9 @@
+// Цвета, которые в тёмной теме меняются, берутся из CSS-переменных (src/index.css);
+// остальные оттенки палитры - стандартные
+const themed = (color, shades) => Object.fromEntries(
+  shades.map(shade => [shade, `rgb(var(--${color}-${shade}) / <alpha-value>)`])
+)
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: [
@@ -5,7 +11,36 @@ export default {
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      colors: {
+        gray: themed('gray', [50, 100, 200, 300, 400, 500, 600, 700, 800, 900]),
+      },
+      // Фон карточек: text-white на цветных кнопках остаётся белым
+      backgroundColor: {
+        white: 'rgb(var(--surface) / <alpha-value>)',
+        blue: themed('blue', [50, 100]),
+        red: themed('red', [50, 100]),
+        amber: themed('amber', [50, 100]),
+        green: themed('green', [100]),
+        indigo: themed('indigo', [50, 100, 200]),
+      },
+      borderColor: {
+        blue: themed('blue', [200]),
+        red: themed('red', [200]),
+        amber: themed('amber', [300]),
+      },
+      gradientColorStops: {
+        blue: themed('blue', [50]),
+        indigo: themed('indigo', [50]),
+      },
+      textColor: {
+        blue: themed('blue', [700, 800, 900]),
+        red: themed('red', [700, 900]),
+        amber: themed('amber', [800]),
+        green: themed('green', [700]),
+        indigo: themed('indigo', [700]),
+      },
+    },
   },
   plugins: [],
-}
\ No newline at end of file
+}
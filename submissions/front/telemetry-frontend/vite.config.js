@@ -11,5 +11,9 @@ export default defineConfig({
         changeOrigin: true,
       }
     }
+  },
+  test: {
+    // utils/i18n читает язык из localStorage при импорте, поэтому тестам нужно браузерное окружение
+    environment: 'jsdom'
   }
 })
\ No newline at end of file